@@ -24,6 +24,7 @@ const QuotaLimiter = require('../src/plugins/validators/QuotaLimiter');
 const MagicByteDetector = require('../src/plugins/validators/MagicByteDetector');
 const RateLimiter = require('../src/plugins/validators/RateLimiter');
 const StreamHasher = require('../src/plugins/transformers/StreamHasher');
+const FileStore = require('../src/stores/FileStore');
 const { getLogger, getCollector, HealthCheck } = require('../src/observability');
 
 const PORT = process.env.PORT || 3000;
@@ -204,10 +205,12 @@ else {
   // Health check
   healthCheck.registerStorageCheck('./uploads');
 
-  // Rate limiter (per-worker, adjust limits accordingly)
+  // Rate limiter (buckets shared by all workers through the file store)
+  const rateStore = new FileStore({ directory: './.fluxupload-state/ratelimit' });
   const rateLimiter = new RateLimiter({
-    maxRequests: Math.ceil(100 / NUM_WORKERS), // Distribute limit across workers
-    windowMs: 60000
+    maxRequests: 100,
+    windowMs: 60000,
+    store: rateStore
   });
 
   // Create HTTP server
@@ -2,7 +2,7 @@
  * FluxUpload - Zero-dependency file upload handler for Node.js
  *
  * Main API class that orchestrates:
- * - Multipart parsing
+ * - Body parsing (multipart, urlencoded and JSON)
  * - Plugin pipeline execution
  * - Error handling and cleanup
  *
@@ -12,7 +12,18 @@
  */
 
 const MultipartParser = require('./core/MultipartParser');
-const { PipelineManager, StreamMultiplexer } = require('./core/PipelineManager');
+const UrlencodedParser = require('./core/UrlencodedParser');
+const JsonParser = require('./core/JsonParser');
+const RawBodyStream = require('./core/RawBodyStream');
+const { parseHeaderValue, decodeText } = require('./utils/HeaderParser');
+const { PipelineManager } = require('./core/PipelineManager');
+const UploadSession = require('./core/UploadSession');
+const { globToRegExp } = require('./core/PluginCondition');
+const { getLogger } = require('./observability/Logger');
+const UploadMetrics = require('./observability/UploadMetrics');
+const { SpanKind, SpanStatusCode } = require('./observability/Tracer');
+
+const logger = getLogger('FluxUpload');
 
 // Default limit constants
 const DEFAULT_MAX_FILE_SIZE = 100 * 1024 * 1024; // 100MB
@@ -22,6 +33,9 @@ const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024; // 1MB
 const DEFAULT_MAX_FIELD_NAME_SIZE = 100;
 const DEFAULT_UPLOAD_TIMEOUT = 5 * 60 * 1000; // 5 minutes
 
+// What to do with files of fields that have no `fields` entry
+const UNKNOWN_FIELD_ACTIONS = ['reject', 'ignore', 'default'];
+
 class FluxUpload {
   /**
    * @param {Object} config
@@ -29,13 +43,27 @@ class FluxUpload {
    * @param {number} config.limits.fileSize - Max file size
    * @param {number} config.limits.files - Max number of files
    * @param {number} config.limits.fields - Max number of fields
+   * @param {number} config.limits.totalSize - Max request body size (optional)
+   * @param {number} config.limits.jsonSize - Max application/json body size (default: 1MB)
+   * @param {Array<Plugin>} config.requestValidators - Plugins run once per request, before parsing
    * @param {Array<Plugin>} config.validators - Validation plugins
    * @param {Array<Plugin>} config.transformers - Transformation plugins
-   * @param {Plugin} config.storage - Storage plugin (or array for multiple)
-   * @param {Function} config.onField - Callback for form fields
-   * @param {Function} config.onFile - Callback for each file
-   * @param {Function} config.onError - Error callback
-   * @param {Function} config.onFinish - Completion callback
+   * @param {Plugin|Array<Plugin|Object>} config.storage - Storage plugin, or an array of
+   *   storage targets (plugins or { storage, required }) to mirror each file to; optional
+   *   when every `fields` entry has its own storage and unknownFields is not 'default'
+   * @param {Object} config.fields - Per-field pipelines: { [fieldName or pattern]: {
+   *   validators, transformers, storage, limits: { fileSize, files }, pattern } }
+   *   (omitted plugins are inherited from the top level; `*` in a name matches any
+   *   characters, `pattern` takes a RegExp and makes the key a label)
+   * @param {string} config.unknownFields - Files of fields without an entry:
+   *   'reject' (default with `fields`), 'ignore' or 'default' (top-level pipeline)
+   * @param {Function} config.onField - Callback for form fields (name, value, session)
+   * @param {Function} config.onFile - Callback for each file (result, session)
+   * @param {Function} config.onError - Error callback (error, session)
+   * @param {Function} config.onFinish - Completion callback (result, session)
+   * @param {boolean|MetricsCollector|Object} config.metrics - Record metrics automatically:
+   *   true (shared collector), a MetricsCollector, or { collector, maxFieldLabels }
+   * @param {Tracer} config.tracer - Record spans per request, file and plugin call (optional)
    */
   constructor(config = {}) {
     this.config = config;
@@ -52,9 +80,17 @@ class FluxUpload {
     };
 
     // Plugins
+    this.requestValidators = config.requestValidators || [];
     this.validators = config.validators || [];
     this.transformers = config.transformers || [];
     this.storage = config.storage;
+    this.unknownFields = config.unknownFields || (config.fields ? 'reject' : 'default');
+
+    // Metrics (opt-in)
+    this.metrics = UploadMetrics.from(config.metrics);
+
+    // Tracing (opt-in)
+    this.tracer = config.tracer || null;
 
     // Callbacks
     this.onField = config.onField || null;
@@ -62,12 +98,12 @@ class FluxUpload {
     this.onError = config.onError || null;
     this.onFinish = config.onFinish || null;
 
-    // Results
-    this.fields = {};
-    this.files = [];
-    this.errors = [];
+    if (!UNKNOWN_FIELD_ACTIONS.includes(this.unknownFields)) {
+      throw new Error(`unknownFields must be one of: ${UNKNOWN_FIELD_ACTIONS.join(', ')}`);
+    }
 
-    if (!this.storage) {
+    // The top-level pipeline is only optional when no file can reach it
+    if (!this.storage && (!config.fields || this.unknownFields === 'default')) {
       throw new Error('Storage plugin is required');
     }
 
@@ -76,28 +112,84 @@ class FluxUpload {
   }
 
   /**
-   * Initialize pipeline manager
+   * Initialize pipeline managers (top-level and per field)
    */
   _initializePipeline() {
-    // Support multiple storage targets
-    const storageArray = Array.isArray(this.storage) ? this.storage : [this.storage];
-
-    // For single storage, use normal pipeline
-    if (storageArray.length === 1) {
-      this.pipelineManager = new PipelineManager({
-        validators: this.validators,
-        transformers: this.transformers,
-        storage: storageArray[0]
-      });
-    } else {
-      // Multiple storage: use first as primary
-      this.pipelineManager = new PipelineManager({
-        validators: this.validators,
-        transformers: this.transformers,
-        storage: storageArray[0]
-      });
-      this.additionalStorage = storageArray.slice(1);
+    this.pipelineManager = null;
+
+    if (this.storage) {
+      this.pipelineManager = this._createPipeline(this.validators, this.transformers, this.storage);
+
+      // Mirror plugins, for compatibility
+      if (this.pipelineManager.mirrors.length > 0) {
+        this.additionalStorage = this.pipelineManager.mirrors.map(mirror => mirror.storage);
+      }
     }
+
+    // Exact names are matched before patterns
+    const routes = Object.entries(this.config.fields || {}).map(([name, fieldConfig]) => {
+      const storage = fieldConfig.storage || this.storage;
+      if (!storage) {
+        throw new Error(`Storage plugin is required for field "${name}"`);
+      }
+
+      return {
+        name,
+        exact: !fieldConfig.pattern && !name.includes('*'),
+        pattern: compileFieldPattern(fieldConfig.pattern || name),
+        limits: fieldConfig.limits || {},
+        pipelineManager: this._createPipeline(
+          fieldConfig.validators || this.validators,
+          fieldConfig.transformers || this.transformers,
+          storage
+        )
+      };
+    });
+
+    this.fieldRoutes = [
+      ...routes.filter(route => route.exact),
+      ...routes.filter(route => !route.exact)
+    ];
+  }
+
+  /**
+   * Create a pipeline manager
+   *
+   * @param {Array<Plugin>} validators
+   * @param {Array<Plugin>} transformers
+   * @param {Plugin|Array<Plugin|Object>} storage - Storage plugin or storage targets
+   *   (the first is the primary, the others are mirrors)
+   * @returns {PipelineManager}
+   */
+  _createPipeline(validators, transformers, storage) {
+    return new PipelineManager({
+      validators,
+      transformers,
+      storage,
+      metrics: this.metrics,
+      tracer: this.tracer
+    });
+  }
+
+  /**
+   * All configured plugins, each once (pipelines may share plugins)
+   *
+   * @returns {Array<Plugin>}
+   */
+  _getPlugins() {
+    const plugins = new Set(this.requestValidators);
+
+    const pipelines = this.pipelineManager
+      ? [this.pipelineManager, ...this.fieldRoutes.map(route => route.pipelineManager)]
+      : this.fieldRoutes.map(route => route.pipelineManager);
+
+    for (const pipelineManager of pipelines) {
+      for (const plugin of pipelineManager.getPlugins()) {
+        plugins.add(plugin);
+      }
+    }
+
+    return [...plugins];
   }
 
   /**
@@ -105,12 +197,8 @@ class FluxUpload {
    * @returns {Promise<void>}
    */
   async initialize() {
-    await this.pipelineManager.initialize();
-
-    if (this.additionalStorage) {
-      for (const storage of this.additionalStorage) {
-        await storage.initialize();
-      }
+    for (const plugin of this._getPlugins()) {
+      await plugin.initialize();
     }
   }
 
@@ -119,232 +207,702 @@ class FluxUpload {
    * @returns {Promise<void>}
    */
   async shutdown() {
-    await this.pipelineManager.shutdown();
-
-    if (this.additionalStorage) {
-      for (const storage of this.additionalStorage) {
-        await storage.shutdown();
-      }
+    for (const plugin of this._getPlugins()) {
+      await plugin.shutdown();
     }
   }
 
   /**
    * Handle upload from HTTP request
    *
+   * Each call gets its own UploadSession, so one uploader can serve
+   * concurrent requests. Request validators run before the body is read;
+   * every plugin context carries request, requestId, state and the fields
+   * parsed so far.
+   *
+   * With a tracer, the request runs in a 'fluxupload.request' span that
+   * continues the caller's W3C traceparent header.
+   *
+   * Content-Length is checked against limits.totalSize and the validators'
+   * checkRequestSize() before the body is read. For `Expect: 100-continue`
+   * requests received through the server's 'checkContinue' event, pass the
+   * response and `checkContinue: true`: `100 Continue` is only sent once
+   * these checks and the request validators pass, so a rejected client
+   * never sends the body.
+   *
    * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} options
+   * @param {Object} options.state - User-supplied state passed to plugins (e.g. authenticated user)
+   * @param {string} options.requestId - Request ID (default: random UUID)
+   * @param {http.ServerResponse} options.response - Response for `100 Continue` (optional)
+   * @param {boolean} options.checkContinue - Request came from the server's 'checkContinue'
+   *   event, so `100 Continue` has not been sent yet (default: false)
    * @returns {Promise<Object>} - { fields, files }
    * @throws {Error} If request is invalid or missing headers
-   * @throws {Error} If Content-Type is not multipart/form-data
+   * @throws {Error} If Content-Type is not multipart/form-data, urlencoded or JSON (415)
+   * @throws {Error} If the body exceeds limits.totalSize (LIMIT_TOTAL_SIZE, 413)
    * @throws {Error} If boundary is invalid or missing
    * @throws {Error} If upload timeout is exceeded
+   * @throws {Error} If a request validator rejects the request
    */
-  async handle(req) {
-    // Validate request object
-    if (!req || !req.headers) {
-      throw new Error('Invalid request object: missing headers');
+  async handle(req, options = {}) {
+    return this._traceRequest(req, (span) => this._handle(req, options, span));
+  }
+
+  /**
+   * Handle a raw upload: the request body is the file
+   *
+   * For clients that PUT/POST a file directly (e.g. `PUT /files/report.pdf`
+   * with `Content-Type: application/pdf`). The body runs through the same
+   * request validators, validators, transformers and storage as a
+   * multipart file.
+   *
+   * - Content-Length becomes fileInfo.size, so QuotaLimiter and
+   *   limits.fileSize reject oversized bodies before reading them
+   *   (and before `100 Continue`, see handle())
+   * - Content-MD5, Digest and Content-Digest checksums are verified;
+   *   a mismatch fails the upload and rolls back storage
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} fileInfo - File metadata (overrides values from headers)
+   * @param {string} fileInfo.filename - Filename (default: Content-Disposition filename)
+   * @param {string} fileInfo.mimeType - MIME type (default: Content-Type)
+   * @param {string} fileInfo.fieldName - Field name (default: 'file')
+   * @param {Object} options - Same as handle()
+   * @returns {Promise<Object>} - { fields, files }
+   * @throws {Error} If Content-Length exceeds limits.fileSize (LIMIT_FILE_SIZE, 413)
+   * @throws {Error} If a checksum header is malformed or does not match (400)
+   * @throws {Error} If upload timeout is exceeded
+   * @throws {Error} If a request validator or plugin rejects the upload
+   */
+  async handleRaw(req, fileInfo = {}, options = {}) {
+    return this._traceRequest(req, (span) => this._handleRaw(req, fileInfo, options, span));
+  }
+
+  /**
+   * Run a request handler, in a 'fluxupload.request' span with a tracer
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Function} fn - (span) => Promise<{ fields, files }>
+   * @returns {Promise<Object>}
+   */
+  async _traceRequest(req, fn) {
+    if (!this.tracer) {
+      return fn(null);
     }
 
-    // Setup timeout to prevent slow-loris attacks
-    let timeoutId = null;
-    const timeoutPromise = new Promise((_, reject) => {
-      if (this.limits.uploadTimeout > 0) {
-        timeoutId = setTimeout(() => {
-          const error = new Error(`Upload timeout: exceeded ${this.limits.uploadTimeout}ms limit`);
-          error.code = 'UPLOAD_TIMEOUT';
-          error.statusCode = 408;
-          // Abort the request stream if possible
-          if (req && typeof req.destroy === 'function') {
-            req.destroy(error);
-          }
-          reject(error);
-        }, this.limits.uploadTimeout);
+    // Continue the caller's trace (W3C traceparent) or the active span
+    const span = this.tracer.startSpan('fluxupload.request', {
+      parent: (req && req.headers && this.tracer.extract(req.headers)) || undefined,
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req && req.method,
+        'url.path': req && typeof req.url === 'string' ? req.url.split('?')[0] : undefined
       }
     });
 
-    // Reset state
-    this.fields = {};
-    this.files = [];
-    this.errors = [];
-    this.pendingFileHandlers = []; // Track async file operations
+    try {
+      const result = await this.tracer.withSpan(span, () => fn(span));
+      span.setAttribute('fluxupload.files', result.files.length);
+      return result;
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus(SpanStatusCode.ERROR, error.message);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
 
-    // Extract boundary from Content-Type header
-    const contentType = req.headers['content-type'];
-    if (!contentType || !contentType.includes('multipart/form-data')) {
-      throw new Error('Content-Type must be multipart/form-data');
+  /**
+   * Body of handle()
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} options - handle() options
+   * @param {Span} span - Request span (null without a tracer)
+   * @returns {Promise<Object>} - { fields, files }
+   */
+  async _handle(req, options, span) {
+    // Validate request object
+    if (!req || !req.headers) {
+      throw new Error('Invalid request object: missing headers');
     }
 
-    const boundary = MultipartParser.getBoundary(contentType);
+    // Pick the body parser from the Content-Type header
+    const parser = this._createParser(req.headers['content-type']);
+
+    const session = new UploadSession({
+      request: req,
+      id: options.requestId,
+      state: options.state,
+      span
+    });
 
-    // Validate boundary exists and is not empty
-    if (!boundary || boundary.length === 0) {
-      throw new Error('Invalid or missing boundary in Content-Type header');
+    if (span) {
+      span.setAttribute('fluxupload.request_id', session.id);
     }
 
-    // Create parser
-    const parser = new MultipartParser({
-      boundary,
-      limits: this.limits
-    });
+    // Request phase: reject before a single byte is parsed or stored
+    await this._checkRequestSize(session, null);
+    const requestContext = await this._runRequestValidators(session);
+    this._sendContinue(req, options);
+
+    session.parser = parser;
+    const endParseSpan = this._traceParser(session, parser);
 
     // Handle fields
     parser.on('field', (name, value) => {
-      this._handleField(name, value);
+      this._handleField(session, name, value);
     });
 
     // Handle files
     parser.on('file', (fileInfo, stream) => {
+      if (this.metrics) {
+        this.metrics.fileParsed(fileInfo);
+      }
+
       // Setup error handler immediately to catch stream errors
       stream.on('error', (error) => {
-        this.errors.push(error);
-        if (this.onError) {
-          this.onError(error);
-        }
+        this._handleError(session, error);
       });
 
       // Track this async operation
-      const filePromise = this._handleFile(fileInfo, stream).catch(error => {
-        this.errors.push(error);
-        if (this.onError) {
-          this.onError(error);
-        }
-      });
-      this.pendingFileHandlers.push(filePromise);
+      session.track(this._handleFile(session, fileInfo, stream));
     });
 
-    // Handle errors
-    parser.on('error', (error) => {
-      this.errors.push(error);
-      if (this.onError) {
-        this.onError(error);
-      }
-    });
+    try {
+      return await new Promise((resolve, reject) => {
+        this._startTimeout(session, req, reject);
 
-    // Wait for parsing to complete
-    const uploadPromise = new Promise((resolve, reject) => {
-      parser.on('finish', async () => {
-        // Wait for all file handlers to complete
-        try {
-          await Promise.all(this.pendingFileHandlers);
-        } catch (error) {
-          // Errors already handled above
-        }
+        // Handle errors
+        parser.on('error', (error) => {
+          this._handleError(session, error);
+          reject(error);
+        });
 
-        if (this.errors.length > 0) {
-          reject(this.errors[0]);
-        } else {
+        // Wait for parsing to complete
+        parser.on('finish', async () => {
+          // Wait for all file handlers to complete (errors are recorded on the session)
+          await session.waitForFiles();
+
+          if (session.errors.length > 0) {
+            reject(session.errors[0]);
+            return;
+          }
+
+          const result = session.toResult();
           if (this.onFinish) {
-            this.onFinish({ fields: this.fields, files: this.files });
+            this.onFinish(result, session);
           }
-          resolve({
-            fields: this.fields,
-            files: this.files
-          });
-        }
-      });
+          resolve(result);
+        });
 
-      parser.on('error', (error) => {
-        reject(error);
+        // Pipe request to parser
+        this._limitRequestBody(req, parser);
+        req.pipe(parser);
       });
+    } catch (error) {
+      await this._cleanupRequestValidators(requestContext, error);
+      throw error;
+    } finally {
+      endParseSpan();
+      session.finish();
+    }
+  }
+
+  /**
+   * Body of handleRaw()
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} fileInfo - File metadata overrides
+   * @param {Object} options - handle() options
+   * @param {Span} span - Request span (null without a tracer)
+   * @returns {Promise<Object>} - { fields, files }
+   */
+  async _handleRaw(req, fileInfo, options, span) {
+    // Validate request object
+    if (!req || !req.headers) {
+      throw new Error('Invalid request object: missing headers');
+    }
+
+    const info = this._getRawFileInfo(req, fileInfo);
+    const body = RawBodyStream.fromRequest(req, { maxBytes: this.limits.fileSize });
 
-      // Pipe request to parser
-      req.pipe(parser);
+    const session = new UploadSession({
+      request: req,
+      id: options.requestId,
+      state: options.state,
+      span
     });
 
-    // Race between upload and timeout
+    if (span) {
+      span.setAttribute('fluxupload.request_id', session.id);
+    }
+
+    // Request phase: reject before a single byte is read or stored
+    await this._checkRequestSize(session, info);
+    const requestContext = await this._runRequestValidators(session);
+    this._sendContinue(req, options);
+
     try {
-      const result = this.limits.uploadTimeout > 0
-        ? await Promise.race([uploadPromise, timeoutPromise])
-        : await uploadPromise;
+      return await new Promise((resolve, reject) => {
+        this._startTimeout(session, req, reject);
+
+        if (this.metrics) {
+          this.metrics.fileParsed(info);
+        }
 
-      // Clear timeout on success
-      if (timeoutId) clearTimeout(timeoutId);
+        // Request errors (e.g. client disconnects) fail the body stream
+        req.on('error', (error) => body.destroy(error));
+        body.on('error', (error) => {
+          this._handleError(session, error);
+        });
 
-      return result;
+        this._limitRequestBody(req, body);
+        const upload = this._handleFile(session, info, req.pipe(body));
+        session.track(upload);
+
+        upload.then(() => {
+          if (session.errors.length > 0) {
+            reject(session.errors[0]);
+            return;
+          }
+
+          const result = session.toResult();
+          if (this.onFinish) {
+            this.onFinish(result, session);
+          }
+          resolve(result);
+        });
+      });
     } catch (error) {
-      // Clear timeout on error
-      if (timeoutId) clearTimeout(timeoutId);
+      await this._cleanupRequestValidators(requestContext, error);
+      throw error;
+    } finally {
+      session.finish();
+    }
+  }
+
+  /**
+   * Reject a request whose declared size is over the limits
+   *
+   * Runs before request validators, so oversized requests don't use up
+   * rate limits, and calls checkRequestSize() on every validator.
+   *
+   * @param {UploadSession} session - Upload session
+   * @param {Object|null} fileInfo - File metadata of a raw upload
+   * @throws {Error} If Content-Length exceeds limits.totalSize (LIMIT_TOTAL_SIZE, 413)
+   * @throws {Error} If fileInfo.size exceeds limits.fileSize or the field's
+   *   fileSize limit (LIMIT_FILE_SIZE, 413)
+   * @throws {Error} If the raw upload's field is rejected (UNEXPECTED_FILE_FIELD, 400)
+   * @throws {Error} If a validator rejects the size
+   */
+  async _checkRequestSize(session, fileInfo) {
+    const contentLength = RawBodyStream.getContentLength(session.request.headers);
+
+    if (this.limits.totalSize && contentLength !== null && contentLength > this.limits.totalSize) {
+      const error = new Error(`Request body size limit exceeded: ${this.limits.totalSize} bytes`);
+      error.code = 'LIMIT_TOTAL_SIZE';
+      error.statusCode = 413;
       throw error;
     }
+
+    // A raw upload's file goes to one known pipeline
+    const route = fileInfo ? this._resolveRoute(fileInfo.fieldName) : null;
+
+    if (fileInfo && Number.isInteger(fileInfo.size)) {
+      const fileSize = Math.min(this.limits.fileSize, (route && route.limits.fileSize) || Infinity);
+      if (fileInfo.size > fileSize) {
+        const error = new Error(`File size limit exceeded: ${fileSize} bytes`);
+        error.code = 'LIMIT_FILE_SIZE';
+        error.statusCode = 413;
+        throw error;
+      }
+    }
+
+    const validators = route ? route.pipelineManager.validators : this.validators;
+    const context = { ...session.getPluginContext(), contentLength, fileInfo };
+    for (const validator of validators) {
+      await validator.checkRequestSize(context);
+    }
+  }
+
+  /**
+   * Send `100 Continue` to a client waiting for it (Expect: 100-continue)
+   *
+   * Node sends it itself unless the server has a 'checkContinue' listener,
+   * so it is only written for requests from that event (options.checkContinue).
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} options - handle() options ({ response, checkContinue })
+   */
+  _sendContinue(req, options) {
+    const expect = String(req.headers.expect || '').trim().toLowerCase();
+    const response = options.response;
+    if (expect !== '100-continue' || !options.checkContinue ||
+        !response || typeof response.writeContinue !== 'function') {
+      return;
+    }
+
+    response.writeContinue();
+  }
+
+  /**
+   * Enforce limits.totalSize on the bytes actually received, for bodies
+   * without (or with a wrong) Content-Length
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {stream.Writable} destination - Stream the request is piped to
+   */
+  _limitRequestBody(req, destination) {
+    if (!this.limits.totalSize) return;
+
+    let bytesReceived = 0;
+    const onData = (chunk) => {
+      bytesReceived += chunk.length;
+      if (bytesReceived <= this.limits.totalSize) return;
+
+      req.removeListener('data', onData);
+      req.unpipe(destination);
+
+      const error = new Error(`Request body size limit exceeded: ${this.limits.totalSize} bytes`);
+      error.code = 'LIMIT_TOTAL_SIZE';
+      error.statusCode = 413;
+      destination.destroy(error);
+    };
+
+    req.on('data', onData);
+  }
+
+  /**
+   * File metadata for a raw upload, from headers and caller overrides
+   *
+   * @param {http.IncomingMessage} req - HTTP request
+   * @param {Object} fileInfo - Caller overrides
+   * @returns {Object} - { fieldName, filename, mimeType, encoding, size, headers }
+   */
+  _getRawFileInfo(req, fileInfo) {
+    const info = {
+      fieldName: 'file',
+      filename: '',
+      mimeType: parseHeaderValue(req.headers['content-type']).value || 'application/octet-stream',
+      encoding: 'binary',
+      headers: req.headers
+    };
+
+    // Content-Disposition: attachment; filename="report.pdf" (filename* preferred).
+    // Node passes header bytes as latin1, which is what decodeText() expects.
+    if (req.headers['content-disposition']) {
+      const { params, extended } = parseHeaderValue(req.headers['content-disposition']);
+      if (extended.filename) {
+        info.filename = extended.filename;
+      } else if (params.filename) {
+        info.filename = decodeText(params.filename);
+      }
+    }
+
+    const size = RawBodyStream.getContentLength(req.headers);
+    if (size !== null) {
+      info.size = size;
+    }
+
+    return { ...info, ...fileInfo };
+  }
+
+  /**
+   * Start the upload timeout (prevents slow-loris attacks)
+   *
+   * @param {UploadSession} session - Upload session
+   * @param {http.IncomingMessage} req - HTTP request, destroyed on timeout
+   * @param {Function} reject - Called with the timeout error
+   */
+  _startTimeout(session, req, reject) {
+    session.startTimeout(this.limits.uploadTimeout, () => {
+      const error = new Error(`Upload timeout: exceeded ${this.limits.uploadTimeout}ms limit`);
+      error.code = 'UPLOAD_TIMEOUT';
+      error.statusCode = 408;
+      // Abort the request stream if possible
+      if (typeof req.destroy === 'function') {
+        req.destroy(error);
+      }
+      reject(error);
+    });
+  }
+
+  /**
+   * Create the body parser for a Content-Type
+   *
+   * multipart/form-data bodies go to MultipartParser; urlencoded and JSON
+   * bodies produce fields only, under the same field limits.
+   *
+   * @param {string} contentType - Content-Type header
+   * @returns {MultipartParser|UrlencodedParser|JsonParser}
+   * @throws {Error} If the Content-Type is not supported (415)
+   * @throws {Error} If boundary is invalid or missing
+   */
+  _createParser(contentType) {
+    const { value: type, params } = parseHeaderValue(contentType);
+
+    if (type === 'multipart/form-data') {
+      const boundary = MultipartParser.getBoundary(contentType);
+
+      // Validate boundary exists and is not empty
+      if (!boundary || boundary.length === 0) {
+        throw new Error('Invalid or missing boundary in Content-Type header');
+      }
+
+      return new MultipartParser({ boundary, limits: this.limits });
+    }
+
+    if (type === 'application/x-www-form-urlencoded') {
+      return new UrlencodedParser({ charset: params.charset, limits: this.limits });
+    }
+
+    if (type === 'application/json' || type.endsWith('+json')) {
+      return new JsonParser({ limits: this.limits });
+    }
+
+    const error = new Error(
+      'Content-Type must be multipart/form-data, application/x-www-form-urlencoded or application/json'
+    );
+    error.code = 'UNSUPPORTED_CONTENT_TYPE';
+    error.statusCode = 415;
+    throw error;
+  }
+
+  /**
+   * Run request validators once, before the body is parsed
+   *
+   * @param {UploadSession} session - Upload session
+   * @returns {Promise<Object>} - { context, executedPlugins } (kept for cleanup)
+   * @throws {Error} If a validator rejects the request
+   */
+  async _runRequestValidators(session) {
+    const requestContext = {
+      context: {
+        ...session.getPluginContext(),
+        stream: null,
+        fileInfo: null,
+        metadata: {}
+      },
+      executedPlugins: []
+    };
+
+    for (const validator of this.requestValidators) {
+      try {
+        if (session.span) {
+          await this.tracer.trace(`request ${validator.name}`, {
+            parent: session.span,
+            attributes: {
+              'fluxupload.plugin.name': validator.name,
+              'fluxupload.plugin.phase': 'request'
+            }
+          }, () => validator.process(requestContext.context));
+        } else {
+          await validator.process(requestContext.context);
+        }
+      } catch (error) {
+        await this._cleanupRequestValidators(requestContext, error);
+        throw error;
+      }
+      requestContext.executedPlugins.push(validator);
+    }
+
+    return requestContext;
+  }
+
+  /**
+   * Record a span covering body parsing (from first byte to the end
+   * of the body; file handlers may still be running when it ends)
+   *
+   * @param {UploadSession} session - Upload session
+   * @param {MultipartParser|UrlencodedParser|JsonParser} parser
+   * @returns {Function} - Ends the span if still open (e.g. on timeout)
+   */
+  _traceParser(session, parser) {
+    if (!session.span) return () => {};
+
+    const span = this.tracer.startSpan('fluxupload.parse', { parent: session.span });
+    let fields = 0;
+    let files = 0;
+
+    parser.on('field', () => fields++);
+    parser.on('file', () => files++);
+
+    const end = (error) => {
+      if (span.ended) return;
+      span.setAttributes({ 'fluxupload.fields': fields, 'fluxupload.files': files });
+      if (error) {
+        span.recordException(error);
+        span.setStatus(SpanStatusCode.ERROR, error.message);
+      }
+      span.end();
+    };
+
+    parser.on('finish', () => end());
+    parser.on('error', end);
+
+    return () => end();
+  }
+
+  /**
+   * Call cleanup() on executed request validators in reverse order
+   *
+   * @param {Object} requestContext - { context, executedPlugins }
+   * @param {Error} error
+   */
+  async _cleanupRequestValidators(requestContext, error) {
+    const { context, executedPlugins } = requestContext;
+    const plugins = [...executedPlugins].reverse();
+
+    for (const plugin of plugins) {
+      try {
+        await plugin.cleanup(context, error);
+      } catch (cleanupError) {
+        logger.error('Cleanup error in request validator', { plugin: plugin.name, error: cleanupError.message });
+      }
+    }
   }
 
   /**
    * Handle form field
    *
+   * @param {UploadSession} session - Upload session
    * @param {string} name - Field name
    * @param {string} value - Field value
    */
-  _handleField(name, value) {
-    // Support multiple values for same field name
-    if (this.fields[name]) {
-      if (Array.isArray(this.fields[name])) {
-        this.fields[name].push(value);
-      } else {
-        this.fields[name] = [this.fields[name], value];
-      }
-    } else {
-      this.fields[name] = value;
+  _handleField(session, name, value) {
+    session.addField(name, value);
+
+    if (this.metrics) {
+      this.metrics.fieldParsed(name);
     }
 
     // Call user callback
     if (this.onField) {
-      this.onField(name, value);
+      this.onField(name, value, session);
+    }
+  }
+
+  /**
+   * Record an error on the session and notify onError once per error
+   *
+   * @param {UploadSession} session - Upload session
+   * @param {Error} error
+   */
+  _handleError(session, error) {
+    if (session.addError(error) && this.onError) {
+      this.onError(error, session);
     }
   }
 
   /**
    * Handle file upload
    *
+   * Errors are recorded on the session, never thrown.
+   *
+   * @param {UploadSession} session - Upload session
    * @param {Object} fileInfo - File metadata
    * @param {stream.Readable} stream - File stream
+   * @returns {Promise<void>}
    */
-  async _handleFile(fileInfo, stream) {
+  async _handleFile(session, fileInfo, stream) {
     try {
-      let result;
-
-      // Check if multiple storage targets
-      if (this.additionalStorage && this.additionalStorage.length > 0) {
-        // Upload to multiple targets simultaneously
-        const allStorage = [this.pipelineManager.storage, ...this.additionalStorage];
-        const results = await StreamMultiplexer.executeParallel(
-          stream,
-          allStorage,
-          { fileInfo, metadata: {} }
-        );
-        result = results[0]; // Primary storage result
-        result.additionalStorage = results.slice(1);
-      } else {
-        // Single storage target
-        result = await this.pipelineManager.execute(stream, fileInfo);
+      const route = this._resolveRoute(fileInfo.fieldName);
+      if (!route) {
+        // Unknown field with unknownFields: 'ignore' - discard the file
+        stream.resume();
+        return;
       }
 
+      stream = this._applyFieldLimits(session, route, stream);
+      const result = await route.pipelineManager.execute(stream, fileInfo, session.getPluginContext());
+
       // Add to files array
-      this.files.push({
+      session.addFile({
         fieldName: fileInfo.fieldName,
         filename: fileInfo.filename,
         mimeType: fileInfo.mimeType,
         ...result.metadata,
-        ...result.storage
+        ...result.storage,
+        ...(result.additionalStorage && { additionalStorage: result.additionalStorage })
       });
 
       // Call user callback
       if (this.onFile) {
-        this.onFile(result);
+        this.onFile(result, session);
       }
 
     } catch (error) {
-      this.errors.push(error);
-
       // Destroy stream
       if (stream && typeof stream.destroy === 'function') {
         stream.destroy(error);
       }
 
-      if (this.onError) {
-        this.onError(error);
-      }
+      this._handleError(session, error);
+    }
+  }
+
+  /**
+   * Find the pipeline for a file field
+   *
+   * @param {string} fieldName - Form field name
+   * @returns {Object|null} - { name, limits, pipelineManager },
+   *   or null if the file should be ignored
+   * @throws {Error} If the field has no entry and unknownFields is 'reject'
+   *   (UNEXPECTED_FILE_FIELD, 400)
+   */
+  _resolveRoute(fieldName) {
+    const route = this.fieldRoutes.find(candidate => candidate.pattern.test(fieldName));
+    if (route) {
+      return route;
+    }
 
+    if (this.unknownFields === 'ignore') {
+      return null;
+    }
+
+    if (this.unknownFields === 'reject') {
+      const error = new Error(`Unexpected file field: ${fieldName}`);
+      error.code = 'UNEXPECTED_FILE_FIELD';
+      error.statusCode = 400;
       throw error;
     }
+
+    return {
+      name: null,
+      limits: {},
+      pipelineManager: this.pipelineManager
+    };
+  }
+
+  /**
+   * Apply a field's `files` and `fileSize` limits
+   *
+   * @param {UploadSession} session - Upload session
+   * @param {Object} route - Field route
+   * @param {stream.Readable} stream - File stream
+   * @returns {stream.Readable} - Stream limited to the field's fileSize
+   * @throws {Error} If the field already has `files` files (LIMIT_FILE_COUNT, 413)
+   */
+  _applyFieldLimits(session, route, stream) {
+    const { files, fileSize } = route.limits;
+
+    if (files !== undefined && session.countFile(route.name) > files) {
+      const error = new Error(`Too many files for field "${route.name}": ${files} max`);
+      error.code = 'LIMIT_FILE_COUNT';
+      error.statusCode = 413;
+      throw error;
+    }
+
+    if (!fileSize) {
+      return stream;
+    }
+
+    // Fail the parser's file stream too, like QuotaLimiter does
+    const limiter = new RawBodyStream({ maxBytes: fileSize });
+    limiter.on('error', (error) => stream.destroy(error));
+    return stream.pipe(limiter);
   }
 
   /**
@@ -360,11 +918,30 @@ class FluxUpload {
     // Create stream from buffer
     const stream = Readable.from(buffer);
 
-    // Execute pipeline
-    const result = await this.pipelineManager.execute(stream, fileInfo);
+    // Execute the pipeline of the file's field
+    const route = this._resolveRoute(fileInfo.fieldName);
+    if (!route) {
+      throw new Error(`File field is ignored: ${fileInfo.fieldName}`);
+    }
+    const result = await route.pipelineManager.execute(stream, fileInfo);
 
     return result;
   }
 }
 
+/**
+ * Compile a `fields` key or pattern ('*' matches any characters)
+ *
+ * @private
+ * @param {string|RegExp} pattern
+ * @returns {RegExp}
+ */
+function compileFieldPattern(pattern) {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+
+  return globToRegExp(pattern);
+}
+
 module.exports = FluxUpload;
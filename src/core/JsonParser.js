@@ -0,0 +1,141 @@
+/**
+ * JsonParser - application/json request body parser
+ *
+ * Zero Dependencies: Buffers the body and emits each top-level property
+ * of the JSON object as a field.
+ *
+ * Emits the same events as MultipartParser (without 'file'), so FluxUpload
+ * handles metadata-only JSON requests with the same limits and result shape:
+ * - 'field': (name, value) - Top-level property; strings stay strings,
+ *   other JSON values (numbers, arrays, objects...) are passed as parsed
+ * - 'finish': () - Body processed
+ * - 'error': (err) - Parsing error
+ * - 'limit': (type, limit) - Limit exceeded
+ *
+ * The body is buffered and parsed in one go, so it has its own, much
+ * smaller limit than the fields could add up to: larger bodies fail with
+ * a 'jsonSize' limit.
+ */
+
+const { Writable } = require('stream');
+
+// Default limits (same as MultipartParser)
+const DEFAULT_MAX_FIELDS = 100;
+const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024; // 1MB
+const DEFAULT_MAX_FIELD_NAME_SIZE = 100;
+const DEFAULT_MAX_JSON_SIZE = 1024 * 1024; // 1MB
+
+class JsonParser extends Writable {
+  /**
+   * @param {Object} options
+   * @param {Object} options.limits - Size limits
+   * @param {number} options.limits.fields - Max number of fields (top-level properties)
+   * @param {number} options.limits.fieldSize - Max field value size in bytes (JSON-encoded
+   *   for non-string values)
+   * @param {number} options.limits.fieldNameSize - Max field name size
+   * @param {number} options.limits.jsonSize - Max body size in bytes (default: 1MB)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.limits = {
+      fields: options.limits?.fields || DEFAULT_MAX_FIELDS,
+      fieldSize: options.limits?.fieldSize || DEFAULT_MAX_FIELD_SIZE,
+      fieldNameSize: options.limits?.fieldNameSize || DEFAULT_MAX_FIELD_NAME_SIZE,
+      jsonSize: options.limits?.jsonSize || DEFAULT_MAX_JSON_SIZE
+    };
+
+    this.chunks = [];
+    this.fieldCount = 0;
+    this.bytesReceived = 0;
+  }
+
+  /**
+   * Writable stream _write implementation
+   */
+  _write(chunk, encoding, callback) {
+    this.bytesReceived += chunk.length;
+
+    if (this.bytesReceived > this.limits.jsonSize) {
+      this.emit('limit', 'jsonSize', this.limits.jsonSize);
+      callback(new Error(`JSON body too large: ${this.limits.jsonSize} bytes max`));
+      return;
+    }
+
+    this.chunks.push(chunk);
+    callback();
+  }
+
+  /**
+   * Writable stream _final implementation (called on stream end)
+   */
+  _final(callback) {
+    try {
+      const body = this._parse(Buffer.concat(this.chunks));
+      this.chunks = [];
+
+      for (const [name, value] of Object.entries(body)) {
+        // Never let a client set the prototype of the fields object
+        if (name === '__proto__') continue;
+        this._emitField(name, value);
+      }
+
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Parse the body into an object
+   * @param {Buffer} buffer
+   * @returns {Object}
+   */
+  _parse(buffer) {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    if (text.trim() === '') {
+      return {};
+    }
+
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON body: ${err.message}`);
+    }
+
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      throw new Error('JSON body must be an object');
+    }
+
+    return body;
+  }
+
+  /**
+   * Check limits and emit a field
+   * @param {string} name
+   * @param {*} value
+   */
+  _emitField(name, value) {
+    if (this.fieldCount >= this.limits.fields) {
+      this.emit('limit', 'fields', this.limits.fields);
+      throw new Error(`Too many fields: ${this.limits.fields} max`);
+    }
+
+    if (name.length > this.limits.fieldNameSize) {
+      this.emit('limit', 'fieldNameSize', this.limits.fieldNameSize);
+      throw new Error(`Field name too long: ${this.limits.fieldNameSize} chars`);
+    }
+
+    const size = Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value));
+    if (size > this.limits.fieldSize) {
+      this.emit('limit', 'fieldSize', this.limits.fieldSize);
+      throw new Error(`Field size limit exceeded: ${this.limits.fieldSize} bytes`);
+    }
+
+    this.fieldCount++;
+    this.emit('field', name, value);
+  }
+}
+
+module.exports = JsonParser;
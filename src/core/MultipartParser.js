@@ -13,10 +13,29 @@
  * - 'finish': () - All parts processed
  * - 'error': (err) - Parsing error
  * - 'limit': (type, limit) - Limit exceeded
+ *
+ * Names and filenames:
+ * - filename* (RFC 5987) takes precedence over filename
+ * - Raw UTF-8 and percent-encoded UTF-8 filenames are decoded; other bytes
+ *   are read as windows-1252
+ * - A `_charset_` field (RFC 7578 4.6) sets the charset of the names,
+ *   filenames and values of the parts that follow it
+ *
+ * Part headers:
+ * - All headers of a file part are available as fileInfo.headers
+ * - base64 and quoted-printable bodies (Content-Transfer-Encoding) are
+ *   decoded; fileInfo.encoding is the encoding they were sent with
+ *
+ * Nested parts:
+ * - A multipart/mixed part (RFC 2388 style, several files under one field)
+ *   is parsed with its own boundary; each inner file gets its own 'file'
+ *   event with the outer field name and counts against the files limit
  */
 
-const { Writable, PassThrough } = require('stream');
+const { Writable } = require('stream');
 const BoundaryScanner = require('../utils/BoundaryScanner');
+const { parseHeaderValue, decodeText, decodeBytes, isSupportedCharset, percentDecode } = require('../utils/HeaderParser');
+const TransferDecoder = require('../utils/TransferDecoder');
 
 // Parser states
 const PARSER_STATE = {
@@ -33,6 +52,9 @@ const DEFAULT_MAX_FIELDS = 100;
 const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024; // 1MB
 const DEFAULT_MAX_FIELD_NAME_SIZE = 100;
 const DEFAULT_MAX_HEADER_SIZE = 8192; // 8KB
+const DEFAULT_MAX_NESTING_DEPTH = 2;
+
+const NESTED_CONTENT_TYPE = /^multipart\/mixed\s*(;|$)/i;
 
 class MultipartParser extends Writable {
   /**
@@ -44,6 +66,8 @@ class MultipartParser extends Writable {
    * @param {number} options.limits.fields - Max number of fields
    * @param {number} options.limits.fieldSize - Max field value size
    * @param {number} options.limits.fieldNameSize - Max field name size
+   * @param {number} options.limits.headerSize - Max part header size
+   * @param {number} options.limits.nestingDepth - Max nested multipart/mixed levels (default: 2)
    */
   constructor(options = {}) {
     super();
@@ -59,7 +83,8 @@ class MultipartParser extends Writable {
       fields: options.limits?.fields || DEFAULT_MAX_FIELDS,
       fieldSize: options.limits?.fieldSize || DEFAULT_MAX_FIELD_SIZE,
       fieldNameSize: options.limits?.fieldNameSize || DEFAULT_MAX_FIELD_NAME_SIZE,
-      headerSize: options.limits?.headerSize || DEFAULT_MAX_HEADER_SIZE
+      headerSize: options.limits?.headerSize || DEFAULT_MAX_HEADER_SIZE,
+      nestingDepth: options.limits?.nestingDepth ?? DEFAULT_MAX_NESTING_DEPTH
     };
 
     // Initialize boundary scanner
@@ -71,11 +96,19 @@ class MultipartParser extends Writable {
     this.currentPart = null;
     this.currentStream = null;
 
-    // Counters for limits
+    // Counters for limits (nested parsers count files on the root parser)
+    this.root = this;
     this.fileCount = 0;
     this.fieldCount = 0;
+
+    // Nested multipart/mixed: depth and the outer field name of its files
+    this.depth = 0;
+    this.nestedFieldName = null;
     this.bytesReceived = 0;
 
+    // Charset announced by a _charset_ field
+    this.charset = null;
+
     // Track if we're finished
     this.finished = false;
   }
@@ -125,56 +158,58 @@ class MultipartParser extends Writable {
   _processChunk(chunk) {
     const result = this.scanner.scan(chunk);
 
-    // If no boundaries found in this chunk
-    if (result.parts.length === 0) {
-      if (result.emitData && result.emitData.length > 0) {
-        this._handleBodyData(result.emitData);
-      }
-      this.scanner.carryover = result.carryover;
-      return;
-    }
-
     // Process each part separated by boundaries
     for (let i = 0; i < result.parts.length; i++) {
       const part = result.parts[i];
 
       // Emit data before boundary
       if (part.data.length > 0) {
-        this._handleBodyData(part.data);
+        this._handleBodyData(part.data, true);
       }
 
       // Handle the boundary - use searchBuffer for correct indexing
       this._handleBoundary(result.searchBuffer, part.boundaryIndex);
     }
 
+    // Data after the last boundary (may be the start of the next part)
+    if (result.emitData.length > 0) {
+      this._handleBodyData(result.emitData);
+    }
+
     this.scanner.carryover = result.carryover;
   }
 
   /**
    * Handle data in BODY state
    * @param {Buffer} data
-   * @param {boolean} isLast - Is this the last chunk
+   * @param {boolean} endOfPart - Data ends at a boundary (or the end of input)
    */
-  _handleBodyData(data, isLast = false) {
+  _handleBodyData(data, endOfPart = false) {
     if (this.state === PARSER_STATE.BODY) {
       if (this.currentStream) {
         // File upload - write to stream
         // Strip trailing CRLF before boundary
         let writeData = data;
-        if (data.length >= 2 && data[data.length - 2] === 0x0D && data[data.length - 1] === 0x0A) {
+        if (endOfPart && data.length >= 2 && data[data.length - 2] === 0x0D && data[data.length - 1] === 0x0A) {
           writeData = data.slice(0, -2);
         }
 
         if (writeData.length > 0) {
           // Check file size limit
-          if (this.currentPart.bytesReceived + writeData.length > this.limits.fileSize) {
+          // Nested parts are checked per file by their own parser
+          if (!this.currentPart.nested && this.currentPart.bytesReceived + writeData.length > this.limits.fileSize) {
             this.emit('limit', 'fileSize', this.limits.fileSize);
             this._abortCurrentStream(new Error(`File size limit exceeded: ${this.limits.fileSize} bytes`));
             return;
           }
 
           this.currentPart.bytesReceived += writeData.length;
-          this.currentStream.write(writeData);
+          if (this.currentPart.nested) {
+            // Parse synchronously, so nested limit errors fail this write
+            this.currentStream._processChunk(writeData);
+          } else {
+            this.currentStream.write(writeData);
+          }
         }
       } else if (this.currentPart) {
         // Regular field - accumulate in buffer
@@ -190,10 +225,17 @@ class MultipartParser extends Writable {
       this.headerBuffer = Buffer.concat([this.headerBuffer, data]);
 
       // Prevent DOS attack via unbounded header buffer
-      if (this.headerBuffer.length > this.limits.headerSize) {
+      const headerEndIndex = this.headerBuffer.indexOf('\r\n\r\n');
+      const headerLength = headerEndIndex === -1 ? this.headerBuffer.length : headerEndIndex;
+      if (headerLength > this.limits.headerSize) {
         this.emit('limit', 'headerSize', this.limits.headerSize);
         throw new Error(`Header size limit exceeded: ${this.limits.headerSize} bytes`);
       }
+
+      // Start the part as soon as its headers are complete
+      if (headerEndIndex !== -1) {
+        this._parseHeaders(endOfPart);
+      }
     }
   }
 
@@ -267,8 +309,9 @@ class MultipartParser extends Writable {
 
   /**
    * Parse accumulated headers and start body processing
+   * @param {boolean} endOfPart - Header buffer ends at a boundary
    */
-  _parseHeaders() {
+  _parseHeaders(endOfPart = false) {
     // Headers are separated from body by double CRLF
     const headerEndIndex = this.headerBuffer.indexOf('\r\n\r\n');
     if (headerEndIndex === -1) {
@@ -276,20 +319,34 @@ class MultipartParser extends Writable {
       return;
     }
 
-    const headerText = this.headerBuffer.slice(0, headerEndIndex).toString('utf8');
+    // latin1 keeps every byte; values are decoded once their charset is known
+    const headerText = this.headerBuffer.slice(0, headerEndIndex).toString('latin1');
     const headers = this._parseHeaderLines(headerText);
 
     // Extract any body data that came after headers in the same buffer
     const bodyStart = headerEndIndex + 4; // Skip past \r\n\r\n
     const bodyData = this.headerBuffer.slice(bodyStart);
 
-    // Extract Content-Disposition
+    // Extract Content-Disposition (optional inside multipart/mixed, RFC 2388)
+    const nested = this.nestedFieldName !== null;
     const contentDisposition = headers['content-disposition'];
-    if (!contentDisposition) {
+    if (!contentDisposition && !nested) {
       throw new Error('Missing Content-Disposition header');
     }
 
-    const { name, filename } = this._parseContentDisposition(contentDisposition);
+    const disposition = contentDisposition
+      ? this._parseContentDisposition(contentDisposition)
+      : { name: null, filename: null, rawFilename: null };
+    const { filename, rawFilename } = disposition;
+
+    // Parts of a nested multipart/mixed belong to the outer field
+    const name = nested ? this.nestedFieldName : disposition.name;
+    const contentType = headers['content-type'] || '';
+
+    const encoding = (headers['content-transfer-encoding'] || '7bit').toLowerCase();
+    if (!TransferDecoder.isSupportedEncoding(encoding)) {
+      throw new Error(`Unsupported Content-Transfer-Encoding: ${encoding}`);
+    }
 
     // Check field name size limit
     if (name.length > this.limits.fieldNameSize) {
@@ -297,15 +354,22 @@ class MultipartParser extends Writable {
       throw new Error(`Field name too long: ${this.limits.fieldNameSize} chars`);
     }
 
-    if (filename) {
+    if (NESTED_CONTENT_TYPE.test(contentType)) {
+      // Several files under one field (RFC 2388) - parse with their own boundary
+      this._startNestedPart(name, contentType);
+    } else if (filename || nested) {
       // This is a file upload
-      if (this.fileCount >= this.limits.files) {
+      if (this.root.fileCount >= this.limits.files) {
         this.emit('limit', 'files', this.limits.files);
         throw new Error(`Too many files: ${this.limits.files} max`);
       }
 
-      this.fileCount++;
-      this._startFileStream(name, filename, headers['content-type'] || 'application/octet-stream');
+      this.root.fileCount++;
+      this._startFileStream(name, filename || '', contentType || 'application/octet-stream', {
+        rawFilename,
+        encoding,
+        headers: this._decodeHeaders(headers)
+      });
     } else {
       // This is a regular field
       if (this.fieldCount >= this.limits.fields) {
@@ -316,6 +380,8 @@ class MultipartParser extends Writable {
       this.fieldCount++;
       this.currentPart = {
         name,
+        charset: this._getPartCharset(headers['content-type']),
+        encoding,
         value: Buffer.alloc(0)
       };
     }
@@ -325,68 +391,128 @@ class MultipartParser extends Writable {
 
     // Process any body data that was in the header buffer
     // This happens when headers and body are in the same chunk
+    this.state = PARSER_STATE.BODY;
     if (bodyData.length > 0) {
-      // Temporarily set state to BODY to handle body data
-      const prevState = this.state;
-      this.state = PARSER_STATE.BODY;
-      this._handleBodyData(bodyData);
-      // Note: state may be changed back in _handleBoundary
+      this._handleBodyData(bodyData, endOfPart);
     }
   }
 
   /**
    * Parse header lines into key-value object
+   *
+   * Folded lines (starting with whitespace) continue the previous header;
+   * repeated headers are joined with ', '.
+   *
    * @param {string} headerText
    * @returns {Object}
    */
   _parseHeaderLines(headerText) {
     const headers = {};
     const lines = headerText.split('\r\n');
+    let lastKey = null;
 
     for (const line of lines) {
+      if (lastKey && (line[0] === ' ' || line[0] === '\t')) {
+        headers[lastKey] += ' ' + line.trim();
+        continue;
+      }
+
       const colonIndex = line.indexOf(':');
       if (colonIndex === -1) continue;
 
       const key = line.slice(0, colonIndex).trim().toLowerCase();
       const value = line.slice(colonIndex + 1).trim();
-      headers[key] = value;
+      headers[key] = Object.prototype.hasOwnProperty.call(headers, key)
+        ? `${headers[key]}, ${value}`
+        : value;
+      lastKey = key;
     }
 
     return headers;
   }
 
+  /**
+   * Decode header values (latin1 bytes) to text
+   * @param {Object} headers
+   * @returns {Object}
+   */
+  _decodeHeaders(headers) {
+    const decoded = {};
+    for (const [key, value] of Object.entries(headers)) {
+      decoded[key] = decodeText(value, this.charset);
+    }
+    return decoded;
+  }
+
   /**
    * Parse Content-Disposition header
-   * @param {string} value - Header value
-   * @returns {Object} - { name, filename }
+   *
+   * filename* wins over filename. rawFilename is the parameter as sent
+   * (e.g. "UTF-8''%E2%82%AC.txt" for filename*).
+   *
+   * @param {string} value - Header value (latin1)
+   * @returns {Object} - { name, filename, rawFilename }
    */
   _parseContentDisposition(value) {
-    const result = { name: null, filename: null };
-
     // Example: form-data; name="file"; filename="test.jpg"
-    const parts = value.split(';').map(p => p.trim());
+    const { params, extended, raw } = parseHeaderValue(value);
 
-    for (const part of parts) {
-      if (part.startsWith('name=')) {
-        result.name = this._unquote(part.slice(5));
-      } else if (part.startsWith('filename=')) {
-        result.filename = this._unquote(part.slice(9));
-      }
+    const result = {
+      name: extended.name !== undefined ? extended.name : this._decodeParam(params.name),
+      filename: null,
+      rawFilename: null
+    };
+
+    if (extended.filename) {
+      result.filename = extended.filename;
+      result.rawFilename = raw['filename*'];
+    } else if (params.filename) {
+      result.filename = this._decodeParam(params.filename);
+      result.rawFilename = decodeText(params.filename, this.charset);
+    } else if (raw['filename*']) {
+      // Undecodable filename* without a fallback - keep it as sent
+      result.filename = result.rawFilename = raw['filename*'];
     }
 
     return result;
   }
 
   /**
-   * Remove quotes from header value
-   * @param {string} str
+   * Decode a parameter value (latin1 bytes) to text
+   *
+   * Some browsers percent-encode non-ASCII names; those are decoded when
+   * the escapes form valid non-ASCII UTF-8. Other '%' sequences are kept,
+   * since '%' is a legal filename character.
+   *
+   * @param {string} value - latin1 string
+   * @returns {string|null}
+   */
+  _decodeParam(value) {
+    if (value === undefined || value === null) return null;
+
+    if (/%[89a-fA-F][0-9a-fA-F]/.test(value)) {
+      const bytes = percentDecode(value);
+      const decoded = decodeBytes(bytes, 'utf-8');
+      if (!decoded.includes('\ufffd')) {
+        return decoded;
+      }
+    }
+
+    return decodeText(value, this.charset);
+  }
+
+  /**
+   * Charset of a field value: Content-Type charset, _charset_, or UTF-8
+   *
+   * @param {string} contentType - Part Content-Type header
    * @returns {string}
    */
-  _unquote(str) {
-    if (str.startsWith('"') && str.endsWith('"')) {
-      return str.slice(1, -1).replace(/\\"/g, '"');
+  _getPartCharset(contentType) {
+    if (contentType) {
+      const { charset } = parseHeaderValue(contentType).params;
+      if (charset && isSupportedCharset(charset)) return charset;
     }
-    return str;
+    return this.charset || 'utf-8';
   }
 
   /**
@@ -394,10 +520,16 @@ class MultipartParser extends Writable {
    * @param {string} name - Field name
    * @param {string} filename - Original filename
    * @param {string} mimeType - Content type
+   * @param {Object} details
+   * @param {string} details.rawFilename - Filename parameter as sent
+   * @param {string} details.encoding - Content-Transfer-Encoding
+   * @param {Object} details.headers - All part headers
    */
-  _startFileStream(name, filename, mimeType) {
-    // Create a PassThrough stream for this file
-    this.currentStream = new PassThrough();
+  _startFileStream(name, filename, mimeType, details = {}) {
+    const encoding = details.encoding || '7bit';
+
+    // Create a stream for this file (decodes base64/quoted-printable bodies)
+    this.currentStream = TransferDecoder.createDecoder(encoding);
 
     this.currentPart = {
       name,
@@ -409,8 +541,10 @@ class MultipartParser extends Writable {
     const fileInfo = {
       fieldName: name,
       filename,
+      rawFilename: details.rawFilename !== undefined ? details.rawFilename : filename,
       mimeType,
-      encoding: '7bit' // Default, could parse from headers
+      encoding,
+      headers: details.headers || {}
     };
 
     // Emit file event with stream
@@ -418,16 +552,61 @@ class MultipartParser extends Writable {
     this.emit('file', fileInfo, this.currentStream);
   }
 
+  /**
+   * Start a nested multipart/mixed part
+   *
+   * The part body is parsed by a child parser; its files are emitted by
+   * this parser under the outer field name and count against its limits.
+   *
+   * @param {string} name - Outer field name
+   * @param {string} contentType - multipart/mixed Content-Type with boundary
+   */
+  _startNestedPart(name, contentType) {
+    if (this.depth >= this.limits.nestingDepth) {
+      this.emit('limit', 'nestingDepth', this.limits.nestingDepth);
+      throw new Error(`Multipart nesting too deep: ${this.limits.nestingDepth} levels max`);
+    }
+
+    const parser = new MultipartParser({
+      boundary: MultipartParser.getBoundary(contentType),
+      limits: this.limits
+    });
+    parser.root = this.root;
+    parser.depth = this.depth + 1;
+    parser.nestedFieldName = name;
+    parser.charset = this.charset;
+
+    parser.on('file', (fileInfo, stream) => this.emit('file', fileInfo, stream));
+    parser.on('limit', (type, limit) => this.emit('limit', type, limit));
+    parser.on('error', (error) => this.destroy(error));
+
+    this.currentPart = {
+      name,
+      nested: true,
+      bytesReceived: 0
+    };
+    this.currentStream = parser;
+  }
+
   /**
    * Emit a field event
    */
   _emitField() {
     if (this.currentPart) {
-      let value = this.currentPart.value.toString('utf8');
+      let bytes = this.currentPart.value;
       // Strip trailing CRLF (added before boundary)
-      if (value.endsWith('\r\n')) {
-        value = value.slice(0, -2);
+      if (bytes.length >= 2 && bytes[bytes.length - 2] === 0x0D && bytes[bytes.length - 1] === 0x0A) {
+        bytes = bytes.slice(0, -2);
+      }
+
+      bytes = TransferDecoder.decode(bytes, this.currentPart.encoding);
+      const value = decodeBytes(bytes, this.currentPart.charset || 'utf-8');
+
+      // RFC 7578 4.6: _charset_ sets the default charset for the parts after it
+      if (this.currentPart.name === '_charset_' && isSupportedCharset(value.trim())) {
+        this.charset = value.trim();
       }
+
       this.emit('field', this.currentPart.name, value);
       this.currentPart = null;
     }
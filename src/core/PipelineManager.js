@@ -7,7 +7,15 @@
  * - No external promise libraries
  *
  * Pipeline Flow:
- * Source Stream → [Validators] → [Transformers] → Storage
+ * Source Stream → [Validators] → [Transformers] → Storage [+ Mirrors]
+ *
+ * With mirrors, the transformed stream is split once and written to every
+ * storage target. Each mirror is required (its failure fails the upload and
+ * rolls back every copy) or best-effort (its failure is rolled back and
+ * reported in result.additionalStorage).
+ *
+ * Validators and transformers with a `when` condition are skipped for
+ * files that don't match it (see PluginCondition).
  *
  * On Error:
  * - Destroy all streams
@@ -16,29 +24,54 @@
  */
 
 const { pipeline } = require('stream/promises');
-const { PassThrough } = require('stream');
+const { PassThrough, Transform } = require('stream');
+const { matchesCondition } = require('./PluginCondition');
 const { getLogger } = require('../observability/Logger');
+const UploadMetrics = require('../observability/UploadMetrics');
+const { SpanStatusCode } = require('../observability/Tracer');
 
 const logger = getLogger('PipelineManager');
 
+// Bytes buffered before a `when` condition is evaluated, so stream-inspecting
+// plugins before it (MagicByteDetector, ImageDimensionProbe) have set their metadata
+const CONDITION_PEEK_SIZE = 16 * 1024;
+
+// How long a failed upload waits for its storage write to settle before cleanup
+const DEFAULT_STORAGE_SETTLE_TIMEOUT = 5000; // 5s
+
 class PipelineManager {
   /**
    * @param {Object} options
    * @param {Array<Plugin>} options.validators - Validation plugins
    * @param {Array<Plugin>} options.transformers - Transformation plugins
-   * @param {Plugin} options.storage - Storage plugin
+   * @param {Plugin|Array<Plugin|Object>} options.storage - Storage plugin, or an array of
+   *   storage targets (plugins or { storage, required }); the first is the primary,
+   *   the others are mirrors (required unless `required: false`)
+   * @param {boolean|MetricsCollector|UploadMetrics|Object} options.metrics - Record upload metrics (optional)
+   * @param {Tracer} options.tracer - Record a span per file and per plugin call (optional)
+   * @param {number} options.storageSettleTimeout - Max ms a failed upload waits for the
+   *   storage write to stop before cleanup (default: 5000)
    */
   constructor(options = {}) {
     this.validators = options.validators || [];
     this.transformers = options.transformers || [];
-    this.storage = options.storage;
+    this.metrics = UploadMetrics.from(options.metrics);
+    this.tracer = options.tracer || null;
+    this.storageSettleTimeout = options.storageSettleTimeout || DEFAULT_STORAGE_SETTLE_TIMEOUT;
+
+    const targets = (Array.isArray(options.storage) ? options.storage : [options.storage])
+      .filter(Boolean)
+      .map(normalizeStorageTarget);
 
-    if (!this.storage) {
+    if (targets.length === 0) {
       throw new Error('Storage plugin is required');
     }
+    if (!targets[0].required) {
+      throw new Error('The primary storage target must be required');
+    }
 
-    // Track executed plugins for cleanup
-    this.executedPlugins = [];
+    this.storage = targets[0].storage;
+    this.mirrors = targets.slice(1);
   }
 
   /**
@@ -49,21 +82,57 @@ class PipelineManager {
    * @param {string} fileInfo.fieldName - Form field name
    * @param {string} fileInfo.filename - Original filename
    * @param {string} fileInfo.mimeType - MIME type
+   * @param {Object} requestContext - Request-level context shared with plugins (optional)
+   * @param {http.IncomingMessage} requestContext.request - HTTP request
+   * @param {string} requestContext.requestId - Request ID
+   * @param {Object} requestContext.fields - Form fields parsed before this file
+   * @param {Object} requestContext.state - User-supplied state (e.g. authenticated user)
+   * @param {Span} requestContext.span - Parent span (default: the active span)
    * @returns {Promise<Object>} - Upload result with metadata
    * @throws {Error} If validation fails
    * @throws {Error} If transformation fails
    * @throws {Error} If storage fails
    */
-  async execute(sourceStream, fileInfo) {
+  async execute(sourceStream, fileInfo, requestContext = {}) {
     const context = {
+      ...requestContext,
       stream: sourceStream,
       fileInfo,
       metadata: {}
     };
 
-    this.executedPlugins = [];
+    // Plugins see the file span as context.span
+    const tracer = this.tracer;
+    const fileSpan = tracer ? tracer.startSpan('fluxupload.file', {
+      parent: requestContext.span || undefined,
+      attributes: {
+        'fluxupload.request_id': requestContext.requestId,
+        'fluxupload.file.field': fileInfo && fileInfo.fieldName,
+        'fluxupload.file.mime_type': fileInfo && fileInfo.mimeType
+      }
+    }) : null;
+    if (fileSpan) {
+      context.span = fileSpan;
+    }
+
+    // Track executed plugins for cleanup (per execution, so concurrent
+    // uploads never clean up each other's plugins)
+    const executedPlugins = [];
+
+    // Storage targets run with their own context when mirroring
+    const pluginContexts = new Map();
+
+    const metrics = this.metrics;
+    const upload = metrics ? metrics.startUpload(fileInfo, this.storage) : null;
+
+    // Count received bytes before any plugin sees the stream
+    if (upload && sourceStream) {
+      context.stream = sourceStream.pipe(metrics.countBytes(upload));
+    }
+    const countedStream = context.stream;
 
     let rejected = false;
+    let storagePromise = null;
     let resolvePromise, rejectPromise;
 
     const promise = new Promise((resolve, reject) => {
@@ -71,20 +140,49 @@ class PipelineManager {
       rejectPromise = reject;
     });
 
-    // Setup error handler for the stream
-    const errorHandler = async (error) => {
+    // Setup error handler for the stream. `source` is the plugin (and
+    // phase) the error came from, when known, for metrics.
+    const errorHandler = async (error, source = null) => {
       // Atomically check and set rejected flag to prevent race conditions
       if (rejected) return;
       rejected = true;
 
+      if (metrics) {
+        if (source) {
+          metrics.pluginFailed(source.plugin, source.phase, error);
+        }
+        metrics.uploadFailed(upload, error);
+      }
+      if (fileSpan && source) {
+        fileSpan.setAttribute('fluxupload.error.plugin', source.plugin.name);
+      }
+
+      // Stop an in-flight storage write and let it settle, so its cleanup()
+      // sees the final state of the partial write. Destroy with the error:
+      // without one, a consumer listening for 'data'/'end' only gets 'close'.
+      if (storagePromise) {
+        const stream = context.stream;
+        if (stream && typeof stream.destroy === 'function' && !stream.destroyed) {
+          stream.on('error', () => {}); // Already handled here
+          stream.destroy(error);
+        }
+        await this._settle(storagePromise);
+      }
+
       try {
         // Cleanup is idempotent - safe to call multiple times
-        await this._cleanup(context, error);
+        await this._cleanup(context, error, executedPlugins, pluginContexts);
       } catch (cleanupError) {
         // Log cleanup error but continue with rejection
         logger.error('Error during cleanup', { error: cleanupError.message, stack: cleanupError.stack });
       }
 
+      if (fileSpan) {
+        fileSpan.recordException(error);
+        fileSpan.setStatus(SpanStatusCode.ERROR, error.message);
+        fileSpan.end();
+      }
+
       try {
         // Reject the promise (may fail if already rejected, which is fine)
         rejectPromise(error);
@@ -95,50 +193,244 @@ class PipelineManager {
 
     // Listen for errors on source stream from the start
     if (sourceStream) {
-      sourceStream.on('error', errorHandler);
+      sourceStream.on('error', (error) => errorHandler(error));
+    }
+    if (countedStream !== sourceStream) {
+      countedStream.on('error', (error) => errorHandler(error));
     }
 
-    (async () => {
+    // Plugin currently in process(), so a thrown error can be attributed
+    let current = null;
+
+    // Check a plugin's `when` condition. The file's first bytes are buffered
+    // first, so metadata from earlier plugins is available.
+    let peekedStream = null;
+    const shouldRun = async (plugin) => {
+      if (!plugin.when) return true;
+
+      if (context.stream && context.stream !== peekedStream) {
+        const peekStream = new PeekStream({ size: CONDITION_PEEK_SIZE });
+        context.stream = context.stream.pipe(peekStream);
+        context.stream.on('error', (error) => errorHandler(error));
+        peekedStream = context.stream;
+
+        // Stop waiting if the upload fails meanwhile
+        await Promise.race([peekStream.ready, promise]);
+      }
+
+      const matches = await matchesCondition(plugin.when, context);
+      if (!matches && fileSpan) {
+        fileSpan.addEvent('plugin skipped', { 'fluxupload.plugin.name': plugin.name });
+      }
+      return matches;
+    };
+
+    const run = async () => {
       try {
         // Phase 1: Validation
         // Validators can inspect metadata and first bytes without consuming stream
         for (const validator of this.validators) {
-          await validator.process(context);
-          this.executedPlugins.push(validator);
+          current = { plugin: validator, phase: 'validator' };
+          if (!(await shouldRun(validator))) continue;
+
+          const startTime = Date.now();
+          const result = await this._runPlugin(validator, 'validator', fileSpan, () => validator.process(context));
+          executedPlugins.push(validator);
+
+          // Validators that wrap the stream may return it instead of setting context.stream
+          if (result && result.stream) {
+            context.stream = result.stream;
+          }
+          if (metrics) metrics.pluginExecuted(validator, 'validator', startTime);
 
           // If validator wrapped the stream, listen for errors
-          if (context.stream && context.stream !== sourceStream) {
-            context.stream.on('error', errorHandler);
+          if (context.stream && context.stream !== countedStream) {
+            const source = current;
+            context.stream.on('error', (error) => errorHandler(error, source));
           }
         }
 
         // Phase 2: Transformation
         // Transformers wrap the stream with transform streams
         for (const transformer of this.transformers) {
-          context.stream = await this._wrapStream(context.stream, transformer, context);
-          this.executedPlugins.push(transformer);
+          current = { plugin: transformer, phase: 'transformer' };
+          if (!(await shouldRun(transformer))) continue;
+
+          const startTime = Date.now();
+          context.stream = await this._runPlugin(transformer, 'transformer', fileSpan,
+            () => this._wrapStream(context.stream, transformer, context));
+          executedPlugins.push(transformer);
+          if (metrics) metrics.pluginExecuted(transformer, 'transformer', startTime);
 
           // Listen for errors on transformed stream
           if (context.stream) {
-            context.stream.on('error', errorHandler);
+            const source = current;
+            context.stream.on('error', (error) => errorHandler(error, source));
           }
         }
 
         // Phase 3: Storage
-        // Storage plugin is the final destination
-        const result = await this.storage.process(context);
-        this.executedPlugins.push(this.storage);
+        // Storage plugin is the final destination. It is registered for
+        // cleanup before process() so a failed write can be rolled back.
+        current = { plugin: this.storage, phase: 'storage' };
+        const startTime = Date.now();
+        if (this.mirrors.length > 0) {
+          storagePromise = this._storeMirrored(context, {
+            executedPlugins, pluginContexts, source: current, span: fileSpan
+          });
+        } else {
+          executedPlugins.push(this.storage);
+          storagePromise = this._runPlugin(this.storage, 'storage', fileSpan, () => this.storage.process(context));
+        }
+        const result = await storagePromise;
+
+        if (metrics) {
+          if (this.mirrors.length === 0) {
+            metrics.pluginExecuted(this.storage, 'storage', startTime);
+          }
+          metrics.storageWritten(upload, startTime);
+          metrics.uploadSucceeded(upload);
+        }
+
+        if (fileSpan) {
+          fileSpan.setAttribute('fluxupload.file.size', upload ? upload.bytes : (result.storage && result.storage.size));
+          fileSpan.end();
+        }
 
         resolvePromise(result);
 
       } catch (error) {
-        await errorHandler(error);
+        await errorHandler(error, current);
       }
-    })();
+    };
+
+    if (fileSpan) {
+      tracer.withSpan(fileSpan, run);
+    } else {
+      run();
+    }
 
     return promise;
   }
 
+  /**
+   * Run a plugin hook, in its own span when tracing
+   *
+   * @param {Plugin} plugin
+   * @param {string} phase - 'validator', 'transformer', 'storage' or 'cleanup'
+   * @param {Span} parentSpan - File span (null without a tracer)
+   * @param {Function} fn - Calls the hook
+   * @returns {Promise<*>}
+   */
+  _runPlugin(plugin, phase, parentSpan, fn) {
+    if (!this.tracer || !parentSpan) {
+      return fn();
+    }
+
+    return this.tracer.trace(`${phase} ${plugin.name}`, {
+      parent: parentSpan,
+      attributes: {
+        'fluxupload.plugin.name': plugin.name,
+        'fluxupload.plugin.phase': phase
+      }
+    }, fn);
+  }
+
+  /**
+   * Write the file to the primary storage and every mirror
+   *
+   * The stream is split once, so validators and transformers run once for
+   * all targets. A failed best-effort mirror is rolled back right away and
+   * reported; a failed required target stops the others and fails the
+   * upload, whose cleanup rolls back every copy (completed ones included).
+   *
+   * @param {Object} context - Upload context
+   * @param {Object} state
+   * @param {Array<Plugin>} state.executedPlugins - Plugins to clean up on error
+   * @param {Map<Plugin, Object>} state.pluginContexts - Context each target ran with
+   * @param {Object} state.source - Error source, set to the failed required target
+   * @param {Span} state.span - File span (null without a tracer)
+   * @returns {Promise<Object>} - Primary storage result with additionalStorage:
+   *   [{ name, required, status: 'stored'|'failed', storage, error }]
+   * @throws {Error} The first error of a required target
+   */
+  async _storeMirrored(context, { executedPlugins, pluginContexts, source, span }) {
+    const targets = [{ storage: this.storage, required: true }, ...this.mirrors];
+    const branches = StreamMultiplexer.split(context.stream, targets.length, { independent: true });
+    const metrics = this.metrics;
+
+    let aborted = false;
+    let requiredError = null;
+    context.stream.once('error', () => { aborted = true; });
+    context.stream.once('close', () => {
+      if (!context.stream.readableEnded) aborted = true;
+    });
+
+    const outcomes = await Promise.all(targets.map(async (target, index) => {
+      const { storage } = target;
+      const targetContext = { ...context, stream: branches[index] };
+      executedPlugins.push(storage);
+      pluginContexts.set(storage, targetContext);
+
+      const startTime = Date.now();
+      try {
+        const result = await this._runPlugin(storage, 'storage', span, () => storage.process(targetContext));
+        if (metrics) metrics.pluginExecuted(storage, 'storage', startTime);
+
+        // Never hold back the other targets if this one stopped reading early
+        branches[index].resume();
+        return { result };
+      } catch (error) {
+        branches[index].destroy();
+
+        if (target.required) {
+          if (!requiredError) {
+            requiredError = error;
+            source.plugin = storage;
+
+            // Stop the other targets; the upload's cleanup rolls them back
+            branches.forEach(branch => branch.destroy(error));
+          }
+          return { error };
+        }
+
+        // Best-effort: roll back this copy now, keep the others
+        if (!aborted) {
+          if (metrics) metrics.pluginFailed(storage, 'storage', error);
+          if (span) {
+            span.addEvent('storage target failed', {
+              'fluxupload.plugin.name': storage.name,
+              'exception.message': error.message
+            });
+          }
+          logger.warn('Best-effort storage target failed', { plugin: storage.name, error: error.message });
+        }
+        executedPlugins.splice(executedPlugins.indexOf(storage), 1);
+        try {
+          await this._runPlugin(storage, 'cleanup', span, () => storage.cleanup(targetContext, error));
+        } catch (cleanupError) {
+          logger.error('Cleanup error in plugin', { plugin: storage.name, error: cleanupError.message, stack: cleanupError.stack });
+        }
+        return { error };
+      }
+    }));
+
+    if (requiredError) {
+      throw requiredError;
+    }
+
+    const [primary, ...mirrors] = outcomes;
+    return {
+      ...primary.result,
+      additionalStorage: mirrors.map(({ result, error }, index) => ({
+        name: this.mirrors[index].storage.name,
+        required: this.mirrors[index].required,
+        status: error ? 'failed' : 'stored',
+        ...(error ? { error: error.message } : { storage: result.storage })
+      }))
+    };
+  }
+
   /**
    * Wrap stream with transformer plugin
    *
@@ -163,13 +455,41 @@ class PipelineManager {
     return result.stream;
   }
 
+  /**
+   * Wait for a storage write to settle, at most storageSettleTimeout
+   *
+   * @private
+   * @param {Promise} storagePromise
+   * @returns {Promise<void>}
+   */
+  async _settle(storagePromise) {
+    let timer;
+    const timedOut = new Promise(resolve => {
+      timer = setTimeout(() => resolve(true), this.storageSettleTimeout);
+    });
+
+    try {
+      const expired = await Promise.race([storagePromise.then(() => false, () => false), timedOut]);
+      if (expired) {
+        logger.warn('Storage did not stop after the upload failed; cleaning up anyway', {
+          timeout: this.storageSettleTimeout
+        });
+      }
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
   /**
    * Cleanup executed plugins on error (idempotent)
    *
    * @param {Object} context
    * @param {Error} error
+   * @param {Array<Plugin>} executedPlugins - Plugins that completed process()
+   * @param {Map<Plugin, Object>} pluginContexts - Plugins that ran with their own
+   *   context (mirrored storage targets)
    */
-  async _cleanup(context, error) {
+  async _cleanup(context, error, executedPlugins, pluginContexts = new Map()) {
     // Mark context as cleaned up to prevent duplicate cleanup
     if (context._cleanedUp) {
       return; // Already cleaned up
@@ -182,11 +502,12 @@ class PipelineManager {
     }
 
     // Call cleanup on executed plugins in reverse order
-    const pluginsToCleanup = [...this.executedPlugins].reverse();
+    const pluginsToCleanup = [...executedPlugins].reverse();
 
     for (const plugin of pluginsToCleanup) {
       try {
-        await plugin.cleanup(context, error);
+        await this._runPlugin(plugin, 'cleanup', context.span,
+          () => plugin.cleanup(pluginContexts.get(plugin) || context, error));
       } catch (cleanupError) {
         // Log but don't throw - we want to cleanup all plugins
         logger.error('Cleanup error in plugin', { plugin: plugin.name, error: cleanupError.message, stack: cleanupError.stack });
@@ -195,17 +516,24 @@ class PipelineManager {
   }
 
   /**
-   * Initialize all plugins
-   * @returns {Promise<void>}
+   * All plugins of this pipeline (storage mirrors included)
+   * @returns {Array<Plugin>}
    */
-  async initialize() {
-    const allPlugins = [
+  getPlugins() {
+    return [
       ...this.validators,
       ...this.transformers,
-      this.storage
+      this.storage,
+      ...this.mirrors.map(mirror => mirror.storage)
     ];
+  }
 
-    for (const plugin of allPlugins) {
+  /**
+   * Initialize all plugins
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    for (const plugin of this.getPlugins()) {
       await plugin.initialize();
     }
   }
@@ -215,24 +543,92 @@ class PipelineManager {
    * @returns {Promise<void>}
    */
   async shutdown() {
-    const allPlugins = [
-      ...this.validators,
-      ...this.transformers,
-      this.storage
-    ];
-
-    for (const plugin of allPlugins) {
+    for (const plugin of this.getPlugins()) {
       await plugin.shutdown();
     }
   }
 }
 
+/**
+ * Normalize a storage target: a plugin or { storage, required }
+ *
+ * @private
+ */
+function normalizeStorageTarget(target) {
+  if (typeof target.process === 'function') {
+    return { storage: target, required: true };
+  }
+
+  if (!target.storage || typeof target.storage.process !== 'function') {
+    throw new Error('Storage target must be a storage plugin or { storage, required }');
+  }
+
+  return { storage: target.storage, required: target.required !== false };
+}
+
+/**
+ * PeekStream - Holds back the first bytes of a stream
+ *
+ * Passes nothing on until `size` bytes have arrived (or the stream ended),
+ * then releases them and passes everything through. `ready` resolves on
+ * release, when upstream plugins have seen those bytes.
+ *
+ * @private
+ */
+class PeekStream extends Transform {
+  /**
+   * @param {Object} options
+   * @param {number} options.size - Bytes to buffer
+   */
+  constructor(options) {
+    super();
+
+    this.size = options.size;
+    this.chunks = [];
+    this.length = 0;
+    this.released = false;
+    this.ready = new Promise((resolve) => {
+      this._resolveReady = resolve;
+    });
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.released) {
+      return callback(null, chunk);
+    }
+
+    this.chunks.push(chunk);
+    this.length += chunk.length;
+    if (this.length >= this.size) {
+      this._release();
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    this._release();
+    callback();
+  }
+
+  _release() {
+    if (this.released) return;
+    this.released = true;
+
+    for (const chunk of this.chunks) {
+      this.push(chunk);
+    }
+    this.chunks = [];
+    this._resolveReady();
+  }
+}
+
 /**
  * StreamMultiplexer - Split a stream to multiple destinations
  *
  * Zero Dependency: Uses native PassThrough streams to "tee" a stream
  *
  * Use case: Upload to both local storage AND S3 simultaneously
+ * (PipelineManager uses it for storage mirrors)
  *
  * Example:
  *   const [stream1, stream2] = StreamMultiplexer.split(sourceStream, 2);
@@ -243,11 +639,17 @@ class StreamMultiplexer {
   /**
    * Split a stream into N identical streams
    *
+   * By default an error on any output aborts the source and every other
+   * output. With `independent`, a failed output is only detached, so the
+   * others keep receiving data.
+   *
    * @param {stream.Readable} sourceStream
    * @param {number} count - Number of output streams
+   * @param {Object} options
+   * @param {boolean} options.independent - Outputs fail independently (default: false)
    * @returns {Array<stream.Readable>}
    */
-  static split(sourceStream, count) {
+  static split(sourceStream, count, options = {}) {
     const outputs = [];
     let errorOccurred = false;
 
@@ -268,10 +670,19 @@ class StreamMultiplexer {
       outputs.forEach(output => output.destroy(err));
     });
 
-    // Handle errors from individual output streams - abort all
+    // A source destroyed before its end never ends the outputs
+    sourceStream.on('close', () => {
+      if (errorOccurred || sourceStream.readableEnded) return;
+      errorOccurred = true;
+      const err = new Error('Source stream closed before end');
+      outputs.forEach(output => output.destroy(err));
+    });
+
+    // Handle errors from individual output streams
     outputs.forEach((output, index) => {
       output.on('error', (err) => {
-        if (errorOccurred) return;
+        // Independent outputs: pipe() already detached the failed one
+        if (options.independent || errorOccurred) return;
         errorOccurred = true;
 
         // Destroy source stream
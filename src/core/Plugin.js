@@ -11,13 +11,22 @@
  * 4. Side effects (logging, metrics)
  */
 
+const { assertCondition } = require('./PluginCondition');
+
 class Plugin {
   /**
    * @param {Object} config - Plugin-specific configuration
+   * @param {Function|Object|Array} config.when - Only run for matching files
+   *   (validators and transformers; see PluginCondition)
    */
   constructor(config = {}) {
     this.config = config;
     this.name = this.constructor.name;
+
+    this.when = config.when || null;
+    if (this.when) {
+      assertCondition(this.when);
+    }
   }
 
   /**
@@ -39,12 +48,33 @@ class Plugin {
     return context;
   }
 
+  /**
+   * Check the declared request size before the body is read
+   *
+   * Called once per request, before request validators run and before
+   * `100 Continue` is sent, so oversized uploads are rejected without
+   * receiving the payload.
+   *
+   * @param {Object} context - Request context (request, requestId, state)
+   * @param {number|null} context.contentLength - Content-Length (null if unknown)
+   * @param {Object|null} context.fileInfo - File metadata with size (raw uploads only)
+   * @returns {Promise<void>}
+   * @throws {Error} - To reject the request
+   */
+  async checkRequestSize(context) {
+    // Base implementation: accept
+  }
+
   /**
    * Cleanup on error
    *
    * Called when upload fails or is aborted.
    * Use this to rollback partial operations.
    *
+   * Storage plugins are also cleaned up after their process() succeeded
+   * when a required mirror target fails (see PipelineManager), so they
+   * must remember what each context stored and remove that copy too.
+   *
    * @param {Object} context - Upload context
    * @param {Error} error - The error that occurred
    * @returns {Promise<void>}
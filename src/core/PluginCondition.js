@@ -0,0 +1,179 @@
+/**
+ * PluginCondition - Declarative `when` conditions for plugins
+ *
+ * Zero Dependency: Plain object/function matching
+ *
+ * A plugin with a `when` condition only runs for files that match it.
+ * PipelineManager evaluates the condition against the upload context, after
+ * earlier plugins have seen the first bytes of the file, so metadata such as
+ * `detectedMimeType` (MagicByteDetector) is available.
+ *
+ * Conditions:
+ * - Function: `(context) => boolean` (may return a Promise)
+ * - Object: every key must match (see below)
+ * - Array: any of the conditions must match
+ *
+ * Object keys:
+ * - `mimeType`: Detected MIME type (metadata.detectedMimeType), else the
+ *   declared one; compared case-insensitively
+ * - `fieldName`, `filename`: From fileInfo
+ * - `not`: Condition that must NOT match
+ * - Anything else: Dotted path into the context
+ *   (`'metadata.dimensions.width'`, `'fileInfo.encoding'`, `'state.plan'`)
+ *
+ * Values:
+ * - String: Exact match, `*` matches any characters (`'image/*'`)
+ * - RegExp: Tested against the value as a string
+ * - Array: Any of the values must match
+ * - Function: `(value, context) => boolean`
+ * - Anything else: Strict equality
+ *
+ * @example
+ * new ImageDimensionProbe({ maxWidth: 4096, when: { mimeType: 'image/*' } })
+ * new StreamEncryptor({ keyProvider, when: { mimeType: 'application/pdf' } })
+ * new StreamCompressor({ when: { not: { mimeType: ['image/*', 'video/*'] } } })
+ * new MyResizer({ when: { 'metadata.dimensions.width': width => width > 1024 } })
+ *
+ * @module core/PluginCondition
+ */
+
+/**
+ * Check whether a context matches a condition
+ *
+ * @param {Function|Object|Array} condition
+ * @param {Object} context - Upload context ({ fileInfo, metadata, ... })
+ * @returns {Promise<boolean>}
+ * @throws {Error} If the condition is invalid
+ */
+async function matchesCondition(condition, context) {
+  if (typeof condition === 'function') {
+    return Boolean(await condition(context));
+  }
+
+  if (Array.isArray(condition)) {
+    for (const alternative of condition) {
+      if (await matchesCondition(alternative, context)) return true;
+    }
+    return false;
+  }
+
+  assertCondition(condition);
+
+  for (const [key, expected] of Object.entries(condition)) {
+    if (key === 'not') {
+      if (await matchesCondition(expected, context)) return false;
+      continue;
+    }
+
+    const pattern = key === 'mimeType' ? lowercasePatterns(expected) : expected;
+    if (!(await matchesValue(pattern, getValue(key, context), context))) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate a condition without evaluating it
+ *
+ * @param {Function|Object|Array} condition
+ * @throws {Error} If the condition is not a function, object or array of them
+ */
+function assertCondition(condition) {
+  if (Array.isArray(condition)) {
+    condition.forEach(assertCondition);
+    return;
+  }
+
+  if (typeof condition === 'function') return;
+
+  if (!condition || typeof condition !== 'object' || condition instanceof RegExp) {
+    throw new Error('Plugin condition (when) must be a function, an object or an array');
+  }
+
+  if (Object.prototype.hasOwnProperty.call(condition, 'not')) {
+    assertCondition(condition.not);
+  }
+}
+
+/**
+ * Compile a pattern where `*` matches any characters
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = String(pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * @private
+ */
+function getValue(key, context) {
+  const fileInfo = context.fileInfo || {};
+  const metadata = context.metadata || {};
+
+  switch (key) {
+    case 'mimeType': {
+      const mimeType = metadata.detectedMimeType || fileInfo.mimeType;
+      return mimeType ? String(mimeType).toLowerCase() : mimeType;
+    }
+    case 'fieldName':
+    case 'filename':
+      return fileInfo[key];
+    default:
+      return key.split('.').reduce(
+        (value, part) => (value === null || value === undefined ? undefined : value[part]),
+        context
+      );
+  }
+}
+
+/**
+ * Lowercase string patterns, as mimeType values are lowercased
+ *
+ * @private
+ */
+function lowercasePatterns(expected) {
+  if (Array.isArray(expected)) {
+    return expected.map(lowercasePatterns);
+  }
+  return typeof expected === 'string' ? expected.toLowerCase() : expected;
+}
+
+/**
+ * @private
+ */
+async function matchesValue(expected, value, context) {
+  if (Array.isArray(expected)) {
+    for (const alternative of expected) {
+      if (await matchesValue(alternative, value, context)) return true;
+    }
+    return false;
+  }
+
+  if (typeof expected === 'function') {
+    return Boolean(await expected(value, context));
+  }
+
+  if (expected instanceof RegExp) {
+    return value !== null && value !== undefined && expected.test(String(value));
+  }
+
+  if (typeof expected === 'string') {
+    return typeof value === 'string' && globToRegExp(expected).test(value);
+  }
+
+  return value === expected;
+}
+
+module.exports = {
+  matchesCondition,
+  assertCondition,
+  globToRegExp
+};
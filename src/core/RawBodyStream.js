@@ -0,0 +1,185 @@
+/**
+ * RawBodyStream - Request body of a raw (non-multipart) upload
+ *
+ * Zero Dependency: Transform stream using native crypto
+ *
+ * Passes the body through unchanged while it:
+ * - Enforces the file size limit (LIMIT_FILE_SIZE, 413)
+ * - Checks that the body matches Content-Length (INCOMPLETE_BODY, 400)
+ * - Verifies Content-MD5, Digest (RFC 3230) and Content-Digest (RFC 9530)
+ *   checksums (DIGEST_MISMATCH, 400)
+ *
+ * Checks that need the whole body fail the stream at its end, so the
+ * pipeline rolls back whatever storage already wrote.
+ */
+
+const { Transform } = require('stream');
+const crypto = require('crypto');
+
+// Digest algorithm tokens (RFC 3230 / RFC 9530) -> crypto algorithm
+const DIGEST_ALGORITHMS = {
+  'md5': 'md5',
+  'sha': 'sha1',
+  'sha-1': 'sha1',
+  'sha-256': 'sha256',
+  'sha-512': 'sha512'
+};
+
+class RawBodyStream extends Transform {
+  /**
+   * @param {Object} options
+   * @param {number} options.maxBytes - Max body size (optional)
+   * @param {number} options.expectedLength - Content-Length (optional)
+   * @param {Array<Object>} options.digests - Expected digests: [{ algorithm, header, value }]
+   *   (algorithm is a crypto name, value the expected digest Buffer)
+   */
+  constructor(options = {}) {
+    super();
+
+    this.maxBytes = options.maxBytes || null;
+    this.expectedLength = Number.isInteger(options.expectedLength) ? options.expectedLength : null;
+    this.digests = (options.digests || []).map(digest => ({
+      ...digest,
+      hash: crypto.createHash(digest.algorithm)
+    }));
+    this.bytesReceived = 0;
+  }
+
+  /**
+   * Create a body stream from request headers
+   *
+   * @param {http.IncomingMessage} req
+   * @param {Object} options
+   * @param {number} options.maxBytes - Max body size
+   * @returns {RawBodyStream}
+   * @throws {Error} If a checksum header is malformed (INVALID_DIGEST, 400)
+   */
+  static fromRequest(req, options = {}) {
+    return new RawBodyStream({
+      maxBytes: options.maxBytes,
+      expectedLength: RawBodyStream.getContentLength(req.headers),
+      digests: RawBodyStream.parseDigests(req.headers)
+    });
+  }
+
+  /**
+   * Read Content-Length
+   *
+   * @param {Object} headers - Request headers
+   * @returns {number|null} - null if absent or invalid
+   */
+  static getContentLength(headers) {
+    const value = headers['content-length'];
+    if (value === undefined || !/^\d+$/.test(String(value).trim())) {
+      return null;
+    }
+    return parseInt(value, 10);
+  }
+
+  /**
+   * Parse checksum headers into expected digests
+   *
+   * Unknown Digest algorithms are ignored (RFC 3230 allows the server
+   * to skip them).
+   *
+   * @param {Object} headers - Request headers
+   * @returns {Array<Object>} - [{ algorithm, header, value }]
+   * @throws {Error} If a checksum value is malformed (INVALID_DIGEST, 400)
+   */
+  static parseDigests(headers) {
+    const digests = [];
+
+    if (headers['content-md5']) {
+      digests.push(createDigest('md5', 'Content-MD5', headers['content-md5']));
+    }
+
+    for (const header of ['Digest', 'Content-Digest']) {
+      const value = headers[header.toLowerCase()];
+      if (!value) continue;
+
+      for (const entry of String(value).split(',')) {
+        const separator = entry.indexOf('=');
+        if (separator === -1) continue;
+
+        const algorithm = DIGEST_ALGORITHMS[entry.slice(0, separator).trim().toLowerCase()];
+        if (!algorithm) continue;
+
+        // Content-Digest wraps values in colons (structured field byte sequence)
+        let encoded = entry.slice(separator + 1).trim();
+        if (header === 'Content-Digest') {
+          encoded = encoded.replace(/^:|:$/g, '');
+        }
+
+        digests.push(createDigest(algorithm, header, encoded));
+      }
+    }
+
+    return digests;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.bytesReceived += chunk.length;
+
+    if (this.maxBytes && this.bytesReceived > this.maxBytes) {
+      return callback(createError(
+        `File size exceeds limit of ${this.maxBytes} bytes`, 'LIMIT_FILE_SIZE', 413
+      ));
+    }
+
+    if (this.expectedLength !== null && this.bytesReceived > this.expectedLength) {
+      return callback(createError(
+        `Request body is longer than Content-Length (${this.expectedLength} bytes)`, 'INCOMPLETE_BODY', 400
+      ));
+    }
+
+    for (const digest of this.digests) {
+      digest.hash.update(chunk);
+    }
+
+    callback(null, chunk);
+  }
+
+  _flush(callback) {
+    if (this.expectedLength !== null && this.bytesReceived !== this.expectedLength) {
+      return callback(createError(
+        `Request body ended after ${this.bytesReceived} of ${this.expectedLength} bytes`, 'INCOMPLETE_BODY', 400
+      ));
+    }
+
+    for (const digest of this.digests) {
+      if (!digest.hash.digest().equals(digest.value)) {
+        return callback(createError(
+          `${digest.header} mismatch (${digest.algorithm})`, 'DIGEST_MISMATCH', 400
+        ));
+      }
+    }
+
+    callback();
+  }
+}
+
+/**
+ * @private
+ */
+function createDigest(algorithm, header, encoded) {
+  const value = Buffer.from(String(encoded).trim(), 'base64');
+  const expectedSize = crypto.createHash(algorithm).digest().length;
+
+  if (value.length !== expectedSize) {
+    throw createError(`Invalid ${header} header`, 'INVALID_DIGEST', 400);
+  }
+
+  return { algorithm, header, value };
+}
+
+/**
+ * @private
+ */
+function createError(message, code, statusCode) {
+  const error = new Error(message);
+  error.code = code;
+  error.statusCode = statusCode;
+  return error;
+}
+
+module.exports = RawBodyStream;
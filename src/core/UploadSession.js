@@ -0,0 +1,187 @@
+/**
+ * UploadSession - State of a single upload request
+ *
+ * One session is created per FluxUpload.handle() call. It owns everything
+ * that belongs to that request - the parser, collected fields and files,
+ * errors, pending file handlers and the timeout timer - so a single
+ * configured uploader can serve concurrent requests without them seeing
+ * each other's results.
+ *
+ * Sessions are passed to the user callbacks (onField, onFile, onError,
+ * onFinish) as the last argument.
+ */
+
+const crypto = require('crypto');
+
+class UploadSession {
+  /**
+   * @param {Object} options
+   * @param {http.IncomingMessage} options.request - HTTP request
+   * @param {string} options.id - Session ID, used as request ID (default: random UUID)
+   * @param {Object} options.state - User-supplied state (e.g. authenticated user)
+   * @param {Span} options.span - Request span when tracing
+   */
+  constructor(options = {}) {
+    this.id = options.id || crypto.randomUUID();
+    this.request = options.request || null;
+    this.state = options.state || {};
+    this.span = options.span || null;
+    this.startTime = Date.now();
+
+    // Results
+    this.fields = {};
+    this.files = [];
+    this.errors = [];
+
+    // Files received per field route (see FluxUpload `fields` config)
+    this.fileCounts = new Map();
+
+    // Per-request resources
+    this.parser = null;
+    this.pendingFileHandlers = [];
+    this.timeoutId = null;
+    this.finished = false;
+  }
+
+  /**
+   * Record a form field (repeated names become arrays)
+   *
+   * @param {string} name - Field name
+   * @param {string} value - Field value
+   */
+  addField(name, value) {
+    if (Object.prototype.hasOwnProperty.call(this.fields, name)) {
+      if (Array.isArray(this.fields[name])) {
+        this.fields[name].push(value);
+      } else {
+        this.fields[name] = [this.fields[name], value];
+      }
+    } else {
+      this.fields[name] = value;
+    }
+  }
+
+  /**
+   * Record a stored file
+   *
+   * @param {Object} file - File result entry
+   */
+  addFile(file) {
+    this.files.push(file);
+  }
+
+  /**
+   * Count a file received for a field route
+   *
+   * @param {string} route - Route name (key of the `fields` config)
+   * @returns {number} - Files counted for the route, including this one
+   */
+  countFile(route) {
+    const count = (this.fileCounts.get(route) || 0) + 1;
+    this.fileCounts.set(route, count);
+    return count;
+  }
+
+  /**
+   * Record an error
+   *
+   * @param {Error} error
+   * @returns {boolean} - False if this exact error was already recorded
+   */
+  addError(error) {
+    if (this.errors.includes(error)) {
+      return false;
+    }
+    this.errors.push(error);
+    return true;
+  }
+
+  /**
+   * Track an async file operation
+   *
+   * @param {Promise} promise
+   */
+  track(promise) {
+    this.pendingFileHandlers.push(promise);
+  }
+
+  /**
+   * Wait for all tracked file operations (including ones added while waiting)
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForFiles() {
+    let settled = 0;
+    while (settled < this.pendingFileHandlers.length) {
+      const pending = this.pendingFileHandlers.slice(settled);
+      settled = this.pendingFileHandlers.length;
+      await Promise.allSettled(pending);
+    }
+  }
+
+  /**
+   * Start the upload timeout
+   *
+   * @param {number} ms - Timeout in milliseconds (0 disables)
+   * @param {Function} onTimeout - Called once if the timeout fires
+   */
+  startTimeout(ms, onTimeout) {
+    if (!ms || ms <= 0) return;
+
+    this.timeoutId = setTimeout(() => {
+      this.timeoutId = null;
+      onTimeout();
+    }, ms);
+  }
+
+  /**
+   * Release timers and mark the session finished (idempotent)
+   */
+  finish() {
+    if (this.timeoutId) {
+      clearTimeout(this.timeoutId);
+      this.timeoutId = null;
+    }
+    this.finished = true;
+  }
+
+  /**
+   * Elapsed time since the session started
+   *
+   * @returns {number} - Milliseconds
+   */
+  getDuration() {
+    return Date.now() - this.startTime;
+  }
+
+  /**
+   * Request-level context shared with every plugin
+   *
+   * Fields are copied, so each file sees the fields parsed before it.
+   *
+   * @returns {Object} - { request, requestId, state, fields, span }
+   */
+  getPluginContext() {
+    return {
+      request: this.request,
+      requestId: this.id,
+      state: this.state,
+      fields: { ...this.fields },
+      span: this.span
+    };
+  }
+
+  /**
+   * Build the result returned by handle()
+   *
+   * @returns {Object} - { fields, files }
+   */
+  toResult() {
+    return {
+      fields: this.fields,
+      files: this.files
+    };
+  }
+}
+
+module.exports = UploadSession;
@@ -0,0 +1,156 @@
+/**
+ * UrlencodedParser - Stream-based application/x-www-form-urlencoded parser
+ *
+ * Zero Dependencies: Splits `name=value&name=value` pairs as the body
+ * streams in, so only one pair is buffered at a time.
+ *
+ * Emits the same events as MultipartParser (without 'file'), so FluxUpload
+ * handles plain form posts with the same limits and result shape:
+ * - 'field': (name, value) - Form field
+ * - 'finish': () - Body processed
+ * - 'error': (err) - Parsing error
+ * - 'limit': (type, limit) - Limit exceeded
+ */
+
+const { Writable } = require('stream');
+const { decodeBytes, isSupportedCharset, percentDecode } = require('../utils/HeaderParser');
+
+// Default limits (same as MultipartParser)
+const DEFAULT_MAX_FIELDS = 100;
+const DEFAULT_MAX_FIELD_SIZE = 1024 * 1024; // 1MB
+const DEFAULT_MAX_FIELD_NAME_SIZE = 100;
+
+const AMPERSAND = 0x26;
+
+// A character can take up to 4 UTF-8 bytes, each sent as %XX
+const MAX_ENCODED_CHAR_SIZE = 12;
+const MAX_ENCODED_BYTE_SIZE = 3;
+
+class UrlencodedParser extends Writable {
+  /**
+   * @param {Object} options
+   * @param {string} options.charset - Body charset (default: utf-8)
+   * @param {Object} options.limits - Size limits
+   * @param {number} options.limits.fields - Max number of fields
+   * @param {number} options.limits.fieldSize - Max field value size in bytes
+   * @param {number} options.limits.fieldNameSize - Max field name size
+   */
+  constructor(options = {}) {
+    super();
+
+    this.limits = {
+      fields: options.limits?.fields || DEFAULT_MAX_FIELDS,
+      fieldSize: options.limits?.fieldSize || DEFAULT_MAX_FIELD_SIZE,
+      fieldNameSize: options.limits?.fieldNameSize || DEFAULT_MAX_FIELD_NAME_SIZE
+    };
+
+    this.charset = options.charset && isSupportedCharset(options.charset)
+      ? options.charset
+      : 'utf-8';
+
+    // Largest encoded pair that can still be within the limits
+    this.maxPairSize = this.limits.fieldNameSize * MAX_ENCODED_CHAR_SIZE + 1 +
+      this.limits.fieldSize * MAX_ENCODED_BYTE_SIZE;
+
+    this.pending = Buffer.alloc(0);
+    this.fieldCount = 0;
+    this.bytesReceived = 0;
+  }
+
+  /**
+   * Writable stream _write implementation
+   */
+  _write(chunk, encoding, callback) {
+    try {
+      this.bytesReceived += chunk.length;
+      this._processChunk(chunk);
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Writable stream _final implementation (called on stream end)
+   */
+  _final(callback) {
+    try {
+      this._emitPair(this.pending);
+      this.pending = Buffer.alloc(0);
+      callback();
+    } catch (err) {
+      callback(err);
+    }
+  }
+
+  /**
+   * Emit every complete pair in a chunk and keep the rest
+   * @param {Buffer} chunk
+   */
+  _processChunk(chunk) {
+    let data = this.pending.length > 0 ? Buffer.concat([this.pending, chunk]) : chunk;
+    let separator;
+
+    while ((separator = data.indexOf(AMPERSAND)) !== -1) {
+      this._emitPair(data.slice(0, separator));
+      data = data.slice(separator + 1);
+    }
+
+    if (data.length > this.maxPairSize) {
+      this.emit('limit', 'fieldSize', this.limits.fieldSize);
+      throw new Error(`Field size limit exceeded: ${this.limits.fieldSize} bytes`);
+    }
+
+    this.pending = Buffer.from(data);
+  }
+
+  /**
+   * Decode and emit one name=value pair
+   * @param {Buffer} pair
+   */
+  _emitPair(pair) {
+    if (pair.length === 0) return;
+
+    const text = pair.toString('latin1');
+    const equals = text.indexOf('=');
+    const name = this._decode(equals === -1 ? text : text.slice(0, equals));
+    const value = this._decodeBytes(equals === -1 ? '' : text.slice(equals + 1));
+
+    if (this.fieldCount >= this.limits.fields) {
+      this.emit('limit', 'fields', this.limits.fields);
+      throw new Error(`Too many fields: ${this.limits.fields} max`);
+    }
+
+    if (name.length > this.limits.fieldNameSize) {
+      this.emit('limit', 'fieldNameSize', this.limits.fieldNameSize);
+      throw new Error(`Field name too long: ${this.limits.fieldNameSize} chars`);
+    }
+
+    if (value.length > this.limits.fieldSize) {
+      this.emit('limit', 'fieldSize', this.limits.fieldSize);
+      throw new Error(`Field size limit exceeded: ${this.limits.fieldSize} bytes`);
+    }
+
+    this.fieldCount++;
+    this.emit('field', name, decodeBytes(value, this.charset));
+  }
+
+  /**
+   * Decode a form-encoded string ('+' is a space)
+   * @param {string} text - latin1 string
+   * @returns {string}
+   */
+  _decode(text) {
+    return decodeBytes(this._decodeBytes(text), this.charset);
+  }
+
+  /**
+   * @param {string} text - latin1 string
+   * @returns {Buffer}
+   */
+  _decodeBytes(text) {
+    return percentDecode(text.replace(/\+/g, ' '));
+  }
+}
+
+module.exports = UrlencodedParser;
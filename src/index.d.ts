@@ -7,7 +7,7 @@
 
 /// <reference types="node" />
 
-import { IncomingMessage } from 'http';
+import { IncomingMessage, IncomingHttpHeaders, ServerResponse } from 'http';
 import { Readable, Writable, Transform } from 'stream';
 
 // ============================================================================
@@ -16,9 +16,17 @@ import { Readable, Writable, Transform } from 'stream';
 
 export interface FileInfo {
   fieldName: string;
+  /** Decoded filename (filename* takes precedence over filename) */
   filename: string;
+  /** Filename parameter as sent by the client */
+  rawFilename?: string;
   mimeType: string;
+  /** Content-Transfer-Encoding the part was sent with (the stream is decoded) */
   encoding?: string;
+  /** All part headers, lowercased names */
+  headers?: { [name: string]: string };
+  /** Declared size in bytes (raw uploads: Content-Length) */
+  size?: number;
 }
 
 export interface UploadMetadata {
@@ -33,10 +41,23 @@ export interface UploadMetadata {
   compressionAlgorithm?: string;
   originalFilename?: string;
   compressedFilename?: string;
+  encrypted?: boolean;
+  encryption?: EncryptionMetadata;
+  virusScan?: VirusScanResult;
+  archive?: ArchiveInfo;
   [key: string]: any;
 }
 
-export interface UploadContext {
+export interface RequestContext {
+  request?: IncomingMessage;
+  requestId?: string;
+  fields?: { [key: string]: string | string[] };
+  state?: { [key: string]: any };
+  /** Current span when a tracer is configured (file span for pipeline plugins) */
+  span?: Span | null;
+}
+
+export interface UploadContext extends RequestContext {
   stream: Readable;
   fileInfo: FileInfo;
   metadata: UploadMetadata;
@@ -47,8 +68,32 @@ export interface StorageResult {
   [key: string]: any;
 }
 
+/**
+ * Storage target: a plugin (required) or { storage, required }. A failed
+ * required target fails the upload and rolls back every copy; a failed
+ * best-effort target is rolled back and reported.
+ */
+export type StorageTarget = Plugin | { storage: Plugin; required?: boolean };
+
+/** Status of a mirror (storage target after the first) */
+export interface AdditionalStorageResult {
+  name: string;
+  required: boolean;
+  status: 'stored' | 'failed';
+  /** Storage result of a stored copy */
+  storage?: StorageResult;
+  /** Error message of a failed best-effort copy */
+  error?: string;
+}
+
+/**
+ * Field value: a string for multipart and urlencoded bodies, the parsed
+ * JSON value for application/json bodies
+ */
+export type FieldValue = any;
+
 export interface UploadResult {
-  fields: { [key: string]: string | string[] };
+  fields: { [key: string]: FieldValue };
   files: Array<{
     fieldName: string;
     filename: string;
@@ -60,6 +105,8 @@ export interface UploadResult {
     size?: number;
     path?: string;
     url?: string;
+    /** Mirror status, when more than one storage target is configured */
+    additionalStorage?: AdditionalStorageResult[];
     [key: string]: any;
   }>;
 }
@@ -70,21 +117,98 @@ export interface Limits {
   fields?: number;
   fieldSize?: number;
   fieldNameSize?: number;
+  /** Max nested multipart/mixed levels (default: 2) */
+  nestingDepth?: number;
+  /** Max application/json body size, buffered to parse (default: 1MB) */
+  jsonSize?: number;
+  /** Max request body size, checked against Content-Length before reading (optional) */
+  totalSize?: number;
+}
+
+export interface HandleOptions {
+  state?: { [key: string]: any };
+  requestId?: string;
+  /** Response used to send `100 Continue` for `Expect: 100-continue` requests */
+  response?: ServerResponse;
+  /** Request came from the server's 'checkContinue' event (100 Continue not sent yet) */
+  checkContinue?: boolean;
 }
 
 // ============================================================================
 // Main API
 // ============================================================================
 
+export interface FieldConfig {
+  /** Match field names with a RegExp (the `fields` key becomes a label) */
+  pattern?: RegExp;
+  /** Default: top-level validators */
+  validators?: Plugin[];
+  /** Default: top-level transformers */
+  transformers?: Plugin[];
+  /** Default: top-level storage */
+  storage?: StorageTarget | StorageTarget[];
+  limits?: {
+    /** Max file size for this field (below limits.fileSize) */
+    fileSize?: number;
+    /** Max files for this field per request */
+    files?: number;
+  };
+}
+
 export interface FluxUploadConfig {
   limits?: Limits;
+  requestValidators?: Plugin[];
   validators?: Plugin[];
   transformers?: Plugin[];
-  storage: Plugin | Plugin[];
-  onField?: (name: string, value: string) => void;
-  onFile?: (file: any) => void;
-  onError?: (error: Error) => void;
-  onFinish?: (result: UploadResult) => void;
+  /**
+   * Storage plugin, or targets to mirror each file to (the first is the primary).
+   * Optional when every `fields` entry has storage and unknownFields is not 'default'
+   */
+  storage?: StorageTarget | StorageTarget[];
+  /** Per-field pipelines keyed by field name or `*` pattern */
+  fields?: { [fieldName: string]: FieldConfig };
+  /** Files of fields without an entry (default: 'reject' with `fields`, else 'default') */
+  unknownFields?: 'reject' | 'ignore' | 'default';
+  onField?: (name: string, value: FieldValue, session: UploadSession) => void;
+  onFile?: (file: any, session: UploadSession) => void;
+  onError?: (error: Error, session: UploadSession) => void;
+  onFinish?: (result: UploadResult, session: UploadSession) => void;
+  /** Record metrics automatically: true uses the shared collector (getCollector()) */
+  metrics?: MetricsConfig;
+  /** Record spans per request, parser, file and plugin call */
+  tracer?: Tracer;
+}
+
+export class UploadSession {
+  constructor(options?: {
+    request?: IncomingMessage;
+    id?: string;
+    state?: { [key: string]: any };
+    span?: Span;
+  });
+
+  readonly id: string;
+  readonly request: IncomingMessage | null;
+  state: { [key: string]: any };
+  readonly span: Span | null;
+  readonly startTime: number;
+  fields: { [key: string]: FieldValue };
+  files: UploadResult['files'];
+  errors: Error[];
+  parser: MultipartParser | UrlencodedParser | JsonParser | null;
+  finished: boolean;
+
+  addField(name: string, value: FieldValue): void;
+  addFile(file: UploadResult['files'][number]): void;
+  countFile(route: string): number;
+  addError(error: Error): boolean;
+  track(promise: Promise<any>): void;
+  waitForFiles(): Promise<void>;
+  startTimeout(ms: number, onTimeout: () => void): void;
+  finish(): void;
+  getDuration(): number;
+  getPluginContext(): Required<RequestContext>;
+  toResult(): UploadResult;
 }
 
 export class FluxUpload {
@@ -92,7 +216,8 @@ export class FluxUpload {
 
   initialize(): Promise<void>;
   shutdown(): Promise<void>;
-  handle(req: IncomingMessage): Promise<UploadResult>;
+  handle(req: IncomingMessage, options?: HandleOptions): Promise<UploadResult>;
+  handleRaw(req: IncomingMessage, fileInfo?: Partial<FileInfo>, options?: HandleOptions): Promise<UploadResult>;
   parseBuffer(buffer: Buffer, fileInfo: FileInfo): Promise<any>;
 }
 
@@ -100,10 +225,48 @@ export class FluxUpload {
 // Plugin System
 // ============================================================================
 
+export interface RequestSizeContext {
+  request: IncomingMessage;
+  requestId: string;
+  state: { [key: string]: any };
+  /** Content-Length (null if absent) */
+  contentLength: number | null;
+  /** File metadata of a raw upload (null for multipart, urlencoded and JSON bodies) */
+  fileInfo: FileInfo | null;
+}
+
+export type ConditionValue =
+  | string
+  | RegExp
+  | number
+  | boolean
+  | null
+  | ((value: any, context: UploadContext) => boolean | Promise<boolean>)
+  | ConditionValue[];
+
+/** `when` condition: a predicate, all keys of an object, or any entry of an array */
+export type PluginCondition =
+  | ((context: UploadContext) => boolean | Promise<boolean>)
+  | ({
+      /** Detected MIME type (metadata.detectedMimeType), else the declared one */
+      mimeType?: ConditionValue;
+      fieldName?: ConditionValue;
+      filename?: ConditionValue;
+      not?: PluginCondition;
+      /** Dotted paths into the context, e.g. 'metadata.dimensions.width' */
+      [path: string]: ConditionValue | PluginCondition | undefined;
+    })
+  | PluginCondition[];
+
 export class Plugin {
   constructor(config?: any);
 
+  name: string;
+  /** Only run for matching files (validators and transformers) */
+  when: PluginCondition | null;
+
   process(context: UploadContext): Promise<UploadContext | any>;
+  checkRequestSize(context: RequestSizeContext): Promise<void>;
   cleanup(context: UploadContext, error: Error): Promise<void>;
   initialize(): Promise<void>;
   shutdown(): Promise<void>;
@@ -114,16 +277,28 @@ export class PipelineManager {
   constructor(options: {
     validators?: Plugin[];
     transformers?: Plugin[];
-    storage: Plugin;
+    storage: StorageTarget | StorageTarget[];
+    metrics?: MetricsConfig;
+    tracer?: Tracer;
+    /** Max ms a failed upload waits for storage to stop before cleanup (default: 5000) */
+    storageSettleTimeout?: number;
   });
 
-  execute(sourceStream: Readable, fileInfo: FileInfo): Promise<any>;
+  readonly storage: Plugin;
+  readonly mirrors: Array<{ storage: Plugin; required: boolean }>;
+  readonly metrics: UploadMetrics | null;
+  readonly tracer: Tracer | null;
+
+  /** Result has additionalStorage when mirrors are configured */
+  execute(sourceStream: Readable, fileInfo: FileInfo, requestContext?: RequestContext): Promise<any>;
+  getPlugins(): Plugin[];
   initialize(): Promise<void>;
   shutdown(): Promise<void>;
 }
 
 export class StreamMultiplexer {
-  static split(sourceStream: Readable, count: number): Readable[];
+  /** With `independent`, a failed output no longer aborts the others */
+  static split(sourceStream: Readable, count: number, options?: { independent?: boolean }): Readable[];
   static executeParallel(
     sourceStream: Readable,
     storagePlugins: Plugin[],
@@ -167,6 +342,64 @@ export class ImageDimensionProbe extends Plugin {
   constructor(config?: ImageDimensionProbeConfig);
 }
 
+export interface VirusScannerConfig {
+  host?: string;
+  port?: number;
+  socketPath?: string;
+  timeout?: number;
+  chunkSize?: number;
+  failOpen?: boolean;
+}
+
+export interface VirusScanResult {
+  status: 'clean' | 'infected' | 'error';
+  signature: string | null;
+  scanner: 'clamav';
+  durationMs: number;
+  error: string | null;
+}
+
+export class VirusScanner extends Plugin {
+  constructor(config?: VirusScannerConfig);
+
+  ping(): Promise<boolean>;
+}
+
+export interface ArchiveInspectorConfig {
+  maxEntries?: number;
+  maxTotalSize?: number;
+  maxCompressionRatio?: number;
+  allowNested?: boolean;
+  forbiddenNames?: Array<string | RegExp>;
+  forbiddenExtensions?: string[];
+  allowEncrypted?: boolean;
+  allowLinks?: boolean;
+  maxCentralDirectorySize?: number;
+}
+
+export interface ArchiveEntry {
+  name: string;
+  type: 'file' | 'directory' | 'symlink' | 'hardlink' | 'other';
+  size: number;
+  compressedSize: number | null;
+  encrypted: boolean;
+  linkName: string | null;
+}
+
+export interface ArchiveInfo {
+  format: 'zip' | 'tar' | 'gzip' | 'tar+gzip';
+  entryCount: number;
+  totalSize: number;
+  compressedSize: number;
+  compressionRatio: number;
+  nestedArchives: number;
+  entries: ArchiveEntry[];
+}
+
+export class ArchiveInspector extends Plugin {
+  constructor(config?: ArchiveInspectorConfig);
+}
+
 // ============================================================================
 // Transformers
 // ============================================================================
@@ -195,6 +428,41 @@ export class StreamCompressor extends Plugin {
   constructor(config?: StreamCompressorConfig);
 }
 
+export interface DataKey {
+  keyId: string;
+  plaintextKey: Buffer;
+  encryptedKey: Buffer;
+}
+
+export interface KeyProvider {
+  generateDataKey(): Promise<DataKey>;
+  decryptDataKey(options: { keyId: string; encryptedKey: Buffer }): Promise<Buffer>;
+}
+
+export interface EncryptionMetadata {
+  algorithm: 'aes-256-gcm';
+  keyId: string;
+  encryptedKey: string;
+  iv: string;
+  chunkSize: number;
+  tagLength: number;
+  aad: string | null;
+  plaintextSize?: number;
+}
+
+export interface StreamEncryptorConfig {
+  keyProvider: KeyProvider;
+  chunkSize?: number;
+  aad?: (context: UploadContext) => string | Buffer;
+}
+
+export class StreamEncryptor extends Plugin {
+  constructor(config: StreamEncryptorConfig);
+
+  createDecryptStream(encryption: EncryptionMetadata): Promise<Transform>;
+  static createDecryptStream(encryption: EncryptionMetadata, keyProvider: KeyProvider): Promise<Transform>;
+}
+
 // ============================================================================
 // Storage
 // ============================================================================
@@ -242,6 +510,12 @@ export interface S3StorageConfig {
   metadata?: { [key: string]: string };
   acl?: string;
   storageClass?: string;
+  /** Use multipart above this size; smaller files are buffered in memory (default: 16MB, max: 100MB) */
+  multipartThreshold?: number;
+  partSize?: number;
+  queueSize?: number;
+  maxRetries?: number;
+  retryDelay?: number;
 }
 
 export class S3Storage extends Plugin {
@@ -253,6 +527,200 @@ export class S3Storage extends Plugin {
   }): string;
 }
 
+export interface AzureBlobStorageConfig {
+  account: string;
+  /** Shared Key authentication */
+  accountKey?: string;
+  /** SAS authentication (instead of accountKey) */
+  sasToken?: string;
+  container: string;
+  endpoint?: string;
+  prefix?: string;
+  naming?: NamingStrategy | FileNamingConfig | FileNaming;
+  metadata?: { [key: string]: string };
+  accessTier?: 'Hot' | 'Cool' | 'Cold' | 'Archive';
+  singleUploadThreshold?: number;
+  blockSize?: number;
+  queueSize?: number;
+  maxRetries?: number;
+  retryDelay?: number;
+}
+
+export class AzureBlobStorage extends Plugin {
+  constructor(config: AzureBlobStorageConfig);
+
+  generateSasUrl(blobName: string, options?: {
+    expiresIn?: number;
+    permissions?: string;
+  }): string;
+}
+
+export interface GoogleServiceAccountCredentials {
+  client_email: string;
+  private_key: string;
+  private_key_id?: string;
+  token_uri?: string;
+  [key: string]: any;
+}
+
+export interface GCSStorageConfig {
+  bucket: string;
+  credentials?: GoogleServiceAccountCredentials;
+  /** Path to the service account key JSON (instead of credentials) */
+  keyFilename?: string;
+  endpoint?: string;
+  prefix?: string;
+  naming?: NamingStrategy | FileNamingConfig | FileNaming;
+  metadata?: { [key: string]: string };
+  predefinedAcl?: 'authenticatedRead' | 'bucketOwnerFullControl' | 'bucketOwnerRead' | 'private' | 'projectPrivate' | 'publicRead';
+  storageClass?: string;
+  /** Multiple of 256KiB (default: 8MB) */
+  chunkSize?: number;
+  maxRetries?: number;
+  retryDelay?: number;
+}
+
+export class GCSStorage extends Plugin {
+  constructor(config: GCSStorageConfig);
+}
+
+export interface WebDavStorageConfig {
+  /** Base collection URL */
+  url: string;
+  username?: string;
+  password?: string;
+  authType?: 'basic' | 'digest';
+  prefix?: string;
+  naming?: NamingStrategy | FileNamingConfig | FileNaming;
+  createDirectories?: boolean;
+  overwrite?: boolean;
+  headers?: { [key: string]: string };
+}
+
+export class WebDavStorage extends Plugin {
+  constructor(config: WebDavStorageConfig);
+}
+
+export interface MemoryStorageConfig {
+  maxFileSize?: number;
+  maxMemory?: number;
+  retain?: boolean;
+  naming?: NamingStrategy | FileNamingConfig | FileNaming;
+}
+
+export interface MemoryFile {
+  key: string;
+  buffer: Buffer;
+  size: number;
+  filename: string;
+  mimeType: string;
+  metadata: { [key: string]: any };
+  createdAt: Date;
+}
+
+export class MemoryStorage extends Plugin {
+  readonly usedBytes: number;
+
+  constructor(config?: MemoryStorageConfig);
+
+  get(key: string): MemoryFile | null;
+  delete(key: string): boolean;
+  list(): MemoryFile[];
+}
+
+export interface ContentAddressableStorageConfig {
+  /** Storage plugin that holds the files (its naming is replaced; must not be used directly or wrapped twice) */
+  storage: Plugin;
+  algorithm?: string;
+  /** Durable, non-evicting store for reference counts; required unless storage is a MemoryStorage */
+  store?: Store;
+  tempDir?: string;
+  /** Max ms a delete may take before its tombstone expires (default: 30000) */
+  deleteTimeout?: number;
+}
+
+export interface ContentReference {
+  refs: number;
+  storage: { [key: string]: any };
+}
+
+export class ContentAddressableStorage extends Plugin {
+  constructor(config: ContentAddressableStorageConfig);
+
+  /** `<algorithm>/<ab>/<cd>/<digest>` */
+  getAddress(digest: string): string;
+  get(address: string): Promise<ContentReference | null>;
+  /** Resolves true when the last reference was released and the file removed */
+  delete(address: string): Promise<boolean>;
+}
+
+// ============================================================================
+// Protocols - tus Resumable Uploads
+// ============================================================================
+
+export interface TusUpload {
+  id: string;
+  size: number | null;
+  offset: number;
+  metadata: { [key: string]: string };
+  createdAt: string;
+  expiresAt: string | null;
+  completed: boolean;
+  result: {
+    metadata: UploadMetadata;
+    storage: StorageResult;
+  } | null;
+}
+
+export interface TusUploadStoreConfig {
+  directory: string;
+  fileMode?: number;
+  dirMode?: number;
+}
+
+export class TusUploadStore {
+  constructor(config: TusUploadStoreConfig);
+
+  initialize(): Promise<void>;
+  generateId(): string;
+  create(upload: Partial<TusUpload> & { id: string }): Promise<TusUpload>;
+  get(id: string): Promise<TusUpload | null>;
+  update(upload: TusUpload): Promise<TusUpload>;
+  append(id: string, stream: Readable, options?: { maxBytes?: number | null }): Promise<number>;
+  getOffset(id: string): Promise<number>;
+  createReadStream(id: string): Readable;
+  removeData(id: string): Promise<void>;
+  remove(id: string): Promise<void>;
+  list(): Promise<TusUpload[]>;
+}
+
+export interface TusHandlerConfig {
+  directory?: string;
+  path?: string;
+  maxSize?: number;
+  expiration?: number;
+  cleanupInterval?: number;
+  validators?: Plugin[];
+  transformers?: Plugin[];
+  storage: Plugin;
+  store?: TusUploadStore;
+  onUploadCreate?: (upload: TusUpload) => void | Promise<void>;
+  onUploadFinish?: (upload: TusUpload, result: any) => void | Promise<void>;
+  onError?: (error: Error, upload: TusUpload | null) => void;
+}
+
+export class TusHandler {
+  constructor(config: TusHandlerConfig);
+
+  initialize(): Promise<void>;
+  shutdown(): Promise<void>;
+  handle(req: IncomingMessage, res: ServerResponse): Promise<void>;
+  cleanupExpired(): Promise<number>;
+
+  static parseMetadata(header: string | undefined): { [key: string]: string };
+  static formatMetadata(metadata: { [key: string]: string }): string;
+}
+
 // ============================================================================
 // Utilities
 // ============================================================================
@@ -304,12 +772,50 @@ export class AwsSignatureV4 {
   presign(options: PresignOptions): string;
 }
 
+export interface AzureSharedKeyConfig {
+  accountName: string;
+  accountKey: string;
+}
+
+export interface BlobSasOptions {
+  container: string;
+  blobName: string;
+  /** In order 'racwd' (default: 'r') */
+  permissions?: string;
+  expiresIn?: number;
+  startsOn?: Date;
+  protocol?: 'https' | 'https,http';
+}
+
+export class AzureSharedKey {
+  static readonly API_VERSION: string;
+
+  constructor(config: AzureSharedKeyConfig);
+
+  sign(request: Omit<SignRequest, 'body'>): { [key: string]: string };
+  /** Query string without leading '?' */
+  generateBlobSas(options: BlobSasOptions): string;
+}
+
+export interface GoogleServiceAccountConfig {
+  credentials?: GoogleServiceAccountCredentials;
+  keyFilename?: string;
+  scope?: string | string[];
+}
+
+export class GoogleServiceAccount {
+  constructor(config: GoogleServiceAccountConfig);
+
+  getAccessToken(): Promise<string>;
+  createAssertion(now?: Date): Promise<string>;
+}
+
 export class BoundaryScanner {
   constructor(boundary: Buffer);
 
   scan(chunk: Buffer): {
     parts: Array<{ data: Buffer; boundaryIndex: number }>;
-    emitData: Buffer | null;
+    emitData: Buffer;
     carryover: Buffer;
   };
 
@@ -339,6 +845,59 @@ export class MultipartParser extends Writable {
   on(event: string, listener: Function): this;
 }
 
+export interface BodyParserOptions {
+  limits?: Limits;
+}
+
+export interface UrlencodedParserOptions extends BodyParserOptions {
+  /** Body charset (default: utf-8) */
+  charset?: string;
+}
+
+export class UrlencodedParser extends Writable {
+  constructor(options?: UrlencodedParserOptions);
+
+  on(event: 'field', listener: (name: string, value: string) => void): this;
+  on(event: 'finish', listener: () => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'limit', listener: (type: string, limit: number) => void): this;
+  on(event: string, listener: Function): this;
+}
+
+export class JsonParser extends Writable {
+  constructor(options?: BodyParserOptions);
+
+  on(event: 'field', listener: (name: string, value: FieldValue) => void): this;
+  on(event: 'finish', listener: () => void): this;
+  on(event: 'error', listener: (error: Error) => void): this;
+  on(event: 'limit', listener: (type: string, limit: number) => void): this;
+  on(event: string, listener: Function): this;
+}
+
+export interface ExpectedDigest {
+  /** Node crypto algorithm (e.g. 'sha256') */
+  algorithm: string;
+  /** Header the digest came from */
+  header: string;
+  value: Buffer;
+}
+
+export interface RawBodyStreamOptions {
+  maxBytes?: number;
+  expectedLength?: number;
+  digests?: ExpectedDigest[];
+}
+
+export class RawBodyStream extends Transform {
+  constructor(options?: RawBodyStreamOptions);
+
+  readonly bytesReceived: number;
+
+  static fromRequest(req: IncomingMessage, options?: { maxBytes?: number }): RawBodyStream;
+  static getContentLength(headers: IncomingHttpHeaders): number | null;
+  static parseDigests(headers: IncomingHttpHeaders): ExpectedDigest[];
+}
+
 // ============================================================================
 // Observability - Logging
 // ============================================================================
@@ -431,9 +990,10 @@ export class MetricsCollector {
 
   recordUploadStart(metadata?: MetricLabels): number;
   recordUploadComplete(startTime: number, metadata?: MetricLabels): void;
-  recordUploadFailure(startTime: number, metadata?: MetricLabels): void;
+  recordUploadFailure(startTime: number, metadata?: MetricLabels, error?: Error): void;
   recordBytesUploaded(bytes: number, metadata?: MetricLabels): void;
   recordPluginExecution(pluginName: string, duration: number, metadata?: MetricLabels): void;
+  recordPluginError(pluginName: string, error: Error, metadata?: MetricLabels): void;
   recordFieldParsed(metadata?: MetricLabels): void;
   recordFileParsed(metadata?: MetricLabels): void;
   recordStorageWrite(duration: number, metadata?: MetricLabels): void;
@@ -445,6 +1005,41 @@ export class MetricsCollector {
 
 export function getCollector(): MetricsCollector;
 
+export interface UploadMetricsOptions {
+  /** Collector to record into (default: getCollector()) */
+  collector?: MetricsCollector;
+  /** Distinct field names labelled individually; the rest are '_other' (default: 100) */
+  maxFieldLabels?: number;
+}
+
+export type MetricsConfig = boolean | MetricsCollector | UploadMetrics | UploadMetricsOptions;
+
+export interface UploadMetricsHandle {
+  labels: { storage: string; field: string };
+  bytes: number;
+  startTime: number;
+}
+
+export class UploadMetrics {
+  constructor(options?: UploadMetricsOptions);
+
+  static from(config?: MetricsConfig): UploadMetrics | null;
+
+  readonly collector: MetricsCollector;
+  readonly maxFieldLabels: number;
+
+  fieldLabel(name: string | undefined): string;
+  fieldParsed(name: string): void;
+  fileParsed(fileInfo: FileInfo): void;
+  startUpload(fileInfo: FileInfo, storage: Plugin): UploadMetricsHandle;
+  countBytes(upload: UploadMetricsHandle): Transform;
+  uploadSucceeded(upload: UploadMetricsHandle): void;
+  uploadFailed(upload: UploadMetricsHandle, error: Error): void;
+  pluginExecuted(plugin: Plugin, phase: 'validator' | 'transformer' | 'storage', startTime: number): void;
+  pluginFailed(plugin: Plugin, phase: 'validator' | 'transformer' | 'storage', error: Error): void;
+  storageWritten(upload: UploadMetricsHandle, startTime: number): void;
+}
+
 // ============================================================================
 // Observability - Progress Tracking
 // ============================================================================
@@ -606,6 +1201,9 @@ export interface RateLimiterConfig {
   skipFailedRequests?: boolean;
   handler?: RateLimitHandler;
   cleanupInterval?: number;
+  maxBuckets?: number;
+  trustProxy?: boolean;
+  store?: Store;
 }
 
 export interface RateLimitStatus {
@@ -618,10 +1216,12 @@ export interface RateLimitStatus {
 export class RateLimiter extends Plugin {
   constructor(config?: RateLimiterConfig);
 
-  getStatus(key: string): RateLimitStatus;
-  reset(key: string): void;
+  /** Returns a Promise when a store is configured */
+  getStatus(key: string): RateLimitStatus | Promise<RateLimitStatus>;
+  reset(key: string): void | Promise<void>;
   getStats(): {
-    activeBuckets: number;
+    activeBuckets: number | null;
+    store: string | null;
     maxRequests: number;
     windowMs: number;
     refillRate: number;
@@ -639,29 +1239,42 @@ export interface CsrfProtectionConfig {
   headerName?: string;
   getToken?: (req: any) => string | null;
   validateToken?: (req: any, token: string) => boolean | Promise<boolean>;
+  /** Default: true, or false for stateless tokens with getSessionId; stateless tokens without it cannot turn it off */
   doubleSubmitCookie?: boolean;
+  maxTokens?: number;
+  secret?: string | Buffer;
+  secrets?: Array<string | Buffer>;
+  getSessionId?: (req: any) => string | undefined;
+  bindAction?: boolean;
+  store?: Store;
 }
 
 export interface TokenOptions {
   sessionId?: string;
+  action?: string;
 }
 
 export interface VerifyOptions {
   oneTime?: boolean;
   sessionId?: string;
+  action?: string;
 }
 
 export class CsrfProtection extends Plugin {
   constructor(config?: CsrfProtectionConfig);
 
-  generateToken(options?: TokenOptions): string;
-  verifyToken(token: string, options?: VerifyOptions): boolean;
-  revokeToken(token: string): void;
+  /** Stored tokens with a store return Promises */
+  generateToken(options?: TokenOptions): string | Promise<string>;
+  verifyToken(token: string, options?: VerifyOptions): boolean | Promise<boolean>;
+  revokeToken(token: string): void | Promise<void>;
   clearTokens(): void;
   getStats(): {
-    activeTokens: number;
+    mode: 'stored' | 'stateless';
+    activeTokens: number | null;
+    store: string | null;
     tokenLifetime: number;
     doubleSubmitCookie: boolean;
+    signingKeys: number;
   };
 }
 
@@ -700,22 +1313,214 @@ export interface SignedUrlsConfig {
   secret: string;
   defaultExpiry?: number;
   algorithm?: string;
+  store?: Store;
 }
 
 export class SignedUrls {
   constructor(config: SignedUrlsConfig);
 
   sign(baseUrl: string, options?: SignedUrlOptions): string;
-  validate(url: string, options?: { preventReplay?: boolean }): SignedUrlValidation;
+  /** Returns a Promise when a store is configured */
+  validate(url: string, options?: { preventReplay?: boolean }): SignedUrlValidation | Promise<SignedUrlValidation>;
   createValidator(options?: any): Plugin;
   shutdown(): void;
   getStats(): {
-    usedSignatures: number;
+    usedSignatures: number | null;
+    store: string | null;
     defaultExpiry: number;
     algorithm: string;
   };
 }
 
+export class LocalKeyProvider implements KeyProvider {
+  constructor(config: {
+    keys: { [keyId: string]: Buffer | string };
+    currentKeyId?: string;
+  });
+
+  currentKeyId: string;
+
+  generateDataKey(): Promise<DataKey>;
+  decryptDataKey(options: { keyId: string; encryptedKey: Buffer }): Promise<Buffer>;
+}
+
+// ============================================================================
+// Shared Stores
+// ============================================================================
+
+export interface StoreSetOptions {
+  /** Time to live in milliseconds (default: no expiry) */
+  ttl?: number;
+}
+
+export abstract class Store {
+  initialize(): Promise<void>;
+  get<T = any>(key: string): Promise<T | null>;
+  set(key: string, value: any, options?: StoreSetOptions): Promise<void>;
+  delete(key: string): Promise<void>;
+  /** TTL only applies when the counter is created */
+  incr(key: string, amount?: number, options?: StoreSetOptions): Promise<number>;
+  /** expected = null: set only if the key does not exist; value = null: delete the key */
+  compareAndSet(key: string, expected: any, value: any, options?: StoreSetOptions): Promise<boolean>;
+  close(): Promise<void>;
+}
+
+export class MemoryStore extends Store {
+  constructor(config?: { maxEntries?: number; sweepInterval?: number });
+
+  readonly size: number;
+  sweep(): number;
+}
+
+export class FileStore extends Store {
+  constructor(config: {
+    directory: string;
+    lockTimeout?: number;
+    staleLockTimeout?: number;
+    sweepInterval?: number;
+    fileMode?: number;
+    dirMode?: number;
+  });
+
+  sweep(): Promise<number>;
+}
+
+export interface RedisStoreConfig {
+  url?: string;
+  host?: string;
+  port?: number;
+  socketPath?: string;
+  username?: string;
+  password?: string;
+  db?: number;
+  keyPrefix?: string;
+  connectTimeout?: number;
+  commandTimeout?: number;
+}
+
+export class RedisStore extends Store {
+  constructor(config?: RedisStoreConfig);
+
+  ping(): Promise<boolean>;
+  command(...args: string[]): Promise<any>;
+}
+
+// ============================================================================
+// Observability - Tracing
+// ============================================================================
+
+export const SpanKind: {
+  readonly INTERNAL: 1;
+  readonly SERVER: 2;
+  readonly CLIENT: 3;
+  readonly PRODUCER: 4;
+  readonly CONSUMER: 5;
+};
+
+export const SpanStatusCode: {
+  readonly UNSET: 0;
+  readonly OK: 1;
+  readonly ERROR: 2;
+};
+
+export type AttributeValue = string | number | boolean | Array<string | number | boolean>;
+
+export interface SpanAttributes {
+  [key: string]: AttributeValue | undefined | null;
+}
+
+export interface SpanContext {
+  traceId: string;
+  spanId: string;
+  traceFlags: number;
+  traceState: string | null;
+}
+
+export class Span {
+  readonly tracer: Tracer;
+  readonly name: string;
+  readonly kind: number;
+  readonly traceId: string;
+  readonly spanId: string;
+  readonly parentSpanId: string | null;
+  readonly traceFlags: number;
+  readonly traceState: string | null;
+  readonly attributes: SpanAttributes;
+  readonly events: Array<{ name: string; time: bigint; attributes: SpanAttributes }>;
+  readonly status: { code: number; message?: string };
+  /** Unix time in nanoseconds */
+  readonly startTime: bigint;
+  readonly endTime: bigint | null;
+  readonly sampled: boolean;
+  readonly ended: boolean;
+  /** Milliseconds, null until ended */
+  readonly duration: number | null;
+
+  spanContext(): SpanContext;
+  setAttribute(key: string, value: AttributeValue | undefined | null): this;
+  setAttributes(attributes: SpanAttributes): this;
+  addEvent(name: string, attributes?: SpanAttributes): this;
+  recordException(error: Error): this;
+  setStatus(code: number, message?: string): this;
+  end(): void;
+}
+
+export interface SpanExporter {
+  export(spans: Span[], info: { resource: { [key: string]: AttributeValue } }): Promise<void>;
+  shutdown?(): Promise<void>;
+}
+
+export interface TracerConfig {
+  /** service.name resource attribute (default: 'fluxupload') */
+  serviceName?: string;
+  resource?: { [key: string]: AttributeValue };
+  exporter?: SpanExporter;
+  /** Probability of sampling a new trace, 0-1 (default: 1) */
+  sampleRate?: number;
+  maxQueueSize?: number;
+  maxBatchSize?: number;
+  flushInterval?: number;
+}
+
+export interface StartSpanOptions {
+  /** Parent span or context; defaults to the active span, null starts a new trace */
+  parent?: Span | SpanContext | null;
+  kind?: number;
+  attributes?: SpanAttributes;
+}
+
+export class Tracer {
+  constructor(config?: TracerConfig);
+
+  readonly serviceName: string;
+  readonly resource: { [key: string]: AttributeValue };
+
+  startSpan(name: string, options?: StartSpanOptions): Span;
+  trace<T>(name: string, options: StartSpanOptions, fn: (span: Span) => T | Promise<T>): Promise<T>;
+  withSpan<T>(span: Span, fn: () => T): T;
+  getActiveSpan(): Span | null;
+  extract(headers: { [key: string]: string | string[] | undefined }): SpanContext | null;
+  inject<H extends { [key: string]: any }>(span: Span | SpanContext, headers?: H): H;
+  flush(): Promise<void>;
+  shutdown(): Promise<void>;
+  getStats(): { queuedSpans: number; droppedSpans: number; sampleRate: number };
+}
+
+export interface OtlpHttpExporterConfig {
+  /** Traces URL (default: http://localhost:4318/v1/traces) */
+  endpoint?: string;
+  headers?: { [key: string]: string };
+  timeout?: number;
+}
+
+export class OtlpHttpExporter implements SpanExporter {
+  constructor(config?: OtlpHttpExporterConfig);
+
+  export(spans: Span[], info?: { resource?: { [key: string]: AttributeValue } }): Promise<void>;
+  encode(spans: Span[], resource?: { [key: string]: AttributeValue }): object;
+  shutdown(): Promise<void>;
+}
+
 // ============================================================================
 // Observability Namespace
 // ============================================================================
@@ -730,10 +1535,16 @@ export namespace observability {
     Counter,
     Gauge,
     Histogram,
+    UploadMetrics,
     ProgressTracker,
     ProgressStream,
     HealthCheck,
-    HealthCheckResult
+    HealthCheckResult,
+    Tracer,
+    Span,
+    SpanKind,
+    SpanStatusCode,
+    OtlpHttpExporter
   };
 }
 
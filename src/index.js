@@ -8,7 +8,11 @@
 const FluxUpload = require('./FluxUpload');
 const Plugin = require('./core/Plugin');
 const MultipartParser = require('./core/MultipartParser');
+const UrlencodedParser = require('./core/UrlencodedParser');
+const JsonParser = require('./core/JsonParser');
+const RawBodyStream = require('./core/RawBodyStream');
 const { PipelineManager, StreamMultiplexer } = require('./core/PipelineManager');
+const UploadSession = require('./core/UploadSession');
 
 // Validators
 const QuotaLimiter = require('./plugins/validators/QuotaLimiter');
@@ -16,20 +20,41 @@ const MagicByteDetector = require('./plugins/validators/MagicByteDetector');
 const ImageDimensionProbe = require('./plugins/validators/ImageDimensionProbe');
 const RateLimiter = require('./plugins/validators/RateLimiter');
 const CsrfProtection = require('./plugins/validators/CsrfProtection');
+const VirusScanner = require('./plugins/validators/VirusScanner');
+const ArchiveInspector = require('./plugins/validators/ArchiveInspector');
 
 // Transformers
 const StreamHasher = require('./plugins/transformers/StreamHasher');
 const StreamCompressor = require('./plugins/transformers/StreamCompressor');
+const StreamEncryptor = require('./plugins/transformers/StreamEncryptor');
 
 // Storage
 const LocalStorage = require('./storage/LocalStorage');
 const S3Storage = require('./storage/S3Storage');
+const AzureBlobStorage = require('./storage/AzureBlobStorage');
+const GCSStorage = require('./storage/GCSStorage');
+const WebDavStorage = require('./storage/WebDavStorage');
+const MemoryStorage = require('./storage/MemoryStorage');
+const ContentAddressableStorage = require('./storage/ContentAddressableStorage');
+
+// Protocols
+const TusHandler = require('./tus/TusHandler');
+const TusUploadStore = require('./tus/TusUploadStore');
 
 // Utilities
 const FileNaming = require('./utils/FileNaming');
 const MimeDetector = require('./utils/MimeDetector');
 const AwsSignatureV4 = require('./utils/AwsSignatureV4');
+const AzureSharedKey = require('./utils/AzureSharedKey');
+const GoogleServiceAccount = require('./utils/GoogleServiceAccount');
 const SignedUrls = require('./utils/SignedUrls');
+const LocalKeyProvider = require('./utils/LocalKeyProvider');
+
+// Stores
+const Store = require('./stores/Store');
+const MemoryStore = require('./stores/MemoryStore');
+const FileStore = require('./stores/FileStore');
+const RedisStore = require('./stores/RedisStore');
 
 // Observability
 const observability = require('./observability');
@@ -46,8 +71,12 @@ module.exports.FluxUpload = FluxUpload;
 // Core
 module.exports.Plugin = Plugin;
 module.exports.MultipartParser = MultipartParser;
+module.exports.UrlencodedParser = UrlencodedParser;
+module.exports.JsonParser = JsonParser;
+module.exports.RawBodyStream = RawBodyStream;
 module.exports.PipelineManager = PipelineManager;
 module.exports.StreamMultiplexer = StreamMultiplexer;
+module.exports.UploadSession = UploadSession;
 
 // Validators
 module.exports.QuotaLimiter = QuotaLimiter;
@@ -55,20 +84,41 @@ module.exports.MagicByteDetector = MagicByteDetector;
 module.exports.ImageDimensionProbe = ImageDimensionProbe;
 module.exports.RateLimiter = RateLimiter;
 module.exports.CsrfProtection = CsrfProtection;
+module.exports.VirusScanner = VirusScanner;
+module.exports.ArchiveInspector = ArchiveInspector;
 
 // Transformers
 module.exports.StreamHasher = StreamHasher;
 module.exports.StreamCompressor = StreamCompressor;
+module.exports.StreamEncryptor = StreamEncryptor;
 
 // Storage
 module.exports.LocalStorage = LocalStorage;
 module.exports.S3Storage = S3Storage;
+module.exports.AzureBlobStorage = AzureBlobStorage;
+module.exports.GCSStorage = GCSStorage;
+module.exports.WebDavStorage = WebDavStorage;
+module.exports.MemoryStorage = MemoryStorage;
+module.exports.ContentAddressableStorage = ContentAddressableStorage;
+
+// Protocols
+module.exports.TusHandler = TusHandler;
+module.exports.TusUploadStore = TusUploadStore;
 
 // Utilities
 module.exports.FileNaming = FileNaming;
 module.exports.MimeDetector = MimeDetector;
 module.exports.AwsSignatureV4 = AwsSignatureV4;
+module.exports.AzureSharedKey = AzureSharedKey;
+module.exports.GoogleServiceAccount = GoogleServiceAccount;
 module.exports.SignedUrls = SignedUrls;
+module.exports.LocalKeyProvider = LocalKeyProvider;
+
+// Stores
+module.exports.Store = Store;
+module.exports.MemoryStore = MemoryStore;
+module.exports.FileStore = FileStore;
+module.exports.RedisStore = RedisStore;
 
 // Observability (export entire module for convenience)
 module.exports.observability = observability;
@@ -77,8 +127,13 @@ module.exports.getLogger = observability.getLogger;
 module.exports.configureLogger = observability.configureLogger;
 module.exports.MetricsCollector = observability.MetricsCollector;
 module.exports.getCollector = observability.getCollector;
+module.exports.UploadMetrics = observability.UploadMetrics;
 module.exports.ProgressTracker = observability.ProgressTracker;
 module.exports.HealthCheck = observability.HealthCheck;
+module.exports.Tracer = observability.Tracer;
+module.exports.SpanKind = observability.SpanKind;
+module.exports.SpanStatusCode = observability.SpanStatusCode;
+module.exports.OtlpHttpExporter = observability.OtlpHttpExporter;
 
 // Errors (export entire module + individual classes)
 module.exports.errors = errors;
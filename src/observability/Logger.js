@@ -12,12 +12,14 @@
  * - Performance timing
  * - Request tracking
  * - Multiple output formats
+ * - Trace correlation: traceId/spanId of the active span (see Tracer)
  *
  * @module observability/Logger
  */
 
 const { Writable } = require('stream');
 const { format } = require('util');
+const { getActiveSpan } = require('./TraceContext');
 
 const LOG_LEVELS = {
   trace: 0,
@@ -220,7 +222,11 @@ class Logger {
       return; // Skip if below threshold
     }
 
+    // Correlate with the span this code runs in, if any
+    const span = getActiveSpan();
+
     const logEntry = {
+      ...(span && { traceId: span.traceId, spanId: span.spanId }),
       ...this.baseContext,
       ...context,
       level,
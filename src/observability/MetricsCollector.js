@@ -245,6 +245,11 @@ class MetricsCollector {
       [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1]
     );
 
+    this.registerCounter(
+      'fluxupload_plugin_errors_total',
+      'Total number of plugin errors'
+    );
+
     // Parser metrics
     this.registerCounter(
       'fluxupload_parser_fields_total',
@@ -314,13 +319,15 @@ class MetricsCollector {
 
   /**
    * Record an upload failure
+   *
+   * If an error is given, failures are also labelled by its code.
    */
-  recordUploadFailure(startTime, metadata = {}) {
+  recordUploadFailure(startTime, metadata = {}, error = null) {
     const activeGauge = this.getMetric('fluxupload_uploads_active');
     activeGauge.dec(metadata);
 
     const failedCounter = this.getMetric('fluxupload_uploads_failed_total');
-    failedCounter.inc(metadata);
+    failedCounter.inc(error ? { ...metadata, code: errorCode(error) } : metadata);
   }
 
   /**
@@ -342,6 +349,14 @@ class MetricsCollector {
     histogram.observe({ ...metadata, plugin: pluginName }, duration / 1000);
   }
 
+  /**
+   * Record plugin error
+   */
+  recordPluginError(pluginName, error, metadata = {}) {
+    const counter = this.getMetric('fluxupload_plugin_errors_total');
+    counter.inc({ ...metadata, plugin: pluginName, code: errorCode(error) });
+  }
+
   /**
    * Record field parsed
    */
@@ -406,6 +421,13 @@ class MetricsCollector {
   }
 }
 
+/**
+ * Error code used as a label value
+ */
+function errorCode(error) {
+  return (error && error.code) || 'UNKNOWN';
+}
+
 // Singleton instance
 let defaultCollector = null;
 
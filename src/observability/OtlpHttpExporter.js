@@ -0,0 +1,177 @@
+/**
+ * OTLP/HTTP Exporter - Send spans to an OpenTelemetry collector
+ *
+ * Zero Dependency: Uses native http/https modules
+ *
+ * Encodes spans as OTLP/HTTP JSON (POST <endpoint>, Content-Type:
+ * application/json), which the OpenTelemetry Collector, Jaeger, Tempo,
+ * Honeycomb and most tracing backends accept on port 4318.
+ *
+ * @module observability/OtlpHttpExporter
+ */
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_ENDPOINT = 'http://localhost:4318/v1/traces';
+const DEFAULT_TIMEOUT = 10000; // 10 seconds
+const SCOPE_NAME = 'fluxupload';
+
+class OtlpHttpExporter {
+  /**
+   * @param {Object} config
+   * @param {string} config.endpoint - Traces URL (default: http://localhost:4318/v1/traces)
+   * @param {Object} config.headers - Extra request headers (e.g. API keys)
+   * @param {number} config.timeout - Request timeout in ms (default: 10000)
+   */
+  constructor(config = {}) {
+    this.endpoint = new URL(config.endpoint || DEFAULT_ENDPOINT);
+    this.headers = config.headers || {};
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+
+    if (this.endpoint.protocol !== 'http:' && this.endpoint.protocol !== 'https:') {
+      throw new Error(`Unsupported OTLP endpoint protocol: ${this.endpoint.protocol}`);
+    }
+  }
+
+  /**
+   * Send spans to the collector
+   *
+   * @param {Array<Span>} spans - Ended spans
+   * @param {Object} info
+   * @param {Object} info.resource - Resource attributes (service.name, ...)
+   * @returns {Promise<void>}
+   * @throws {Error} If the collector rejects the request (code OTLP_EXPORT_FAILED)
+   */
+  async export(spans, info = {}) {
+    const body = JSON.stringify(this.encode(spans, info.resource));
+    const res = await this._post(body);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      const error = new Error(`OTLP export failed: ${res.statusCode} ${res.body.slice(0, 200)}`);
+      error.code = 'OTLP_EXPORT_FAILED';
+      error.statusCode = res.statusCode;
+      throw error;
+    }
+  }
+
+  /**
+   * Build the OTLP JSON request body
+   *
+   * @param {Array<Span>} spans
+   * @param {Object} resource - Resource attributes
+   * @returns {Object} - ExportTraceServiceRequest
+   */
+  encode(spans, resource = {}) {
+    return {
+      resourceSpans: [{
+        resource: { attributes: encodeAttributes(resource) },
+        scopeSpans: [{
+          scope: { name: SCOPE_NAME },
+          spans: spans.map(encodeSpan)
+        }]
+      }]
+    };
+  }
+
+  async shutdown() {
+    // Nothing to release: one request per export
+  }
+
+  /**
+   * @private
+   */
+  _post(body) {
+    return new Promise((resolve, reject) => {
+      const client = this.endpoint.protocol === 'https:' ? https : http;
+
+      const req = client.request({
+        method: 'POST',
+        hostname: this.endpoint.hostname,
+        port: this.endpoint.port || (this.endpoint.protocol === 'https:' ? 443 : 80),
+        path: this.endpoint.pathname + this.endpoint.search,
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        }
+      }, (res) => {
+        const chunks = [];
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+        res.on('error', reject);
+      });
+
+      req.setTimeout(this.timeout, () => {
+        req.destroy(new Error(`OTLP export timed out after ${this.timeout}ms`));
+      });
+      req.on('error', reject);
+
+      req.end(body);
+    });
+  }
+}
+
+/**
+ * @private
+ */
+function encodeSpan(span) {
+  const encoded = {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTimeUnixNano: String(span.startTime),
+    endTimeUnixNano: String(span.endTime),
+    attributes: encodeAttributes(span.attributes),
+    events: span.events.map(event => ({
+      name: event.name,
+      timeUnixNano: String(event.time),
+      attributes: encodeAttributes(event.attributes)
+    })),
+    status: span.status
+  };
+
+  if (span.parentSpanId) {
+    encoded.parentSpanId = span.parentSpanId;
+  }
+  if (span.traceState) {
+    encoded.traceState = span.traceState;
+  }
+
+  return encoded;
+}
+
+/**
+ * @private
+ */
+function encodeAttributes(attributes) {
+  const encoded = [];
+  for (const [key, value] of Object.entries(attributes)) {
+    if (value === undefined || value === null) continue;
+    encoded.push({ key, value: encodeValue(value) });
+  }
+  return encoded;
+}
+
+/**
+ * @private
+ */
+function encodeValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'bigint') return { intValue: String(value) };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(encodeValue) } };
+  }
+  return { stringValue: String(value) };
+}
+
+module.exports = OtlpHttpExporter;
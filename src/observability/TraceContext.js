@@ -0,0 +1,39 @@
+/**
+ * Trace Context - Active span tracking
+ *
+ * Keeps the span that is currently running in AsyncLocalStorage, so code
+ * called from inside it (plugins, storage requests, loggers) can find it
+ * without passing it around. Logger uses it to add traceId and spanId to
+ * every entry written while a span is active.
+ *
+ * @module observability/TraceContext
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Get the active span
+ *
+ * @returns {Span|null}
+ */
+function getActiveSpan() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Run a function with a span active
+ *
+ * @param {Span} span
+ * @param {Function} fn
+ * @returns {*} - Return value of fn
+ */
+function runWithSpan(span, fn) {
+  return storage.run(span, fn);
+}
+
+module.exports = {
+  getActiveSpan,
+  runWithSpan
+};
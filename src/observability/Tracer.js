@@ -0,0 +1,468 @@
+/**
+ * Tracer - Dependency-free distributed tracing
+ *
+ * Records spans compatible with OpenTelemetry and sends them in batches to
+ * an exporter (e.g. OtlpHttpExporter for any OTLP/HTTP collector).
+ *
+ * Features:
+ * - Spans with attributes, events, exceptions and status
+ * - W3C Trace Context: traceparent/tracestate extraction and injection
+ * - Active span tracking via AsyncLocalStorage (see TraceContext), which
+ *   also correlates Logger output with spans
+ * - Head sampling for root spans; child spans follow their parent
+ * - Bounded queue, batched export on size or interval
+ *
+ * Usage:
+ *   const tracer = new Tracer({
+ *     serviceName: 'upload-api',
+ *     exporter: new OtlpHttpExporter({ endpoint: 'http://collector:4318/v1/traces' })
+ *   });
+ *
+ *   const uploader = new FluxUpload({ storage, tracer });
+ *
+ * @module observability/Tracer
+ */
+
+const crypto = require('crypto');
+const { getActiveSpan, runWithSpan } = require('./TraceContext');
+const { getLogger } = require('./Logger');
+
+const logger = getLogger('Tracer');
+
+// OTLP enum values
+const SpanKind = {
+  INTERNAL: 1,
+  SERVER: 2,
+  CLIENT: 3,
+  PRODUCER: 4,
+  CONSUMER: 5
+};
+
+const SpanStatusCode = {
+  UNSET: 0,
+  OK: 1,
+  ERROR: 2
+};
+
+const TRACE_FLAG_SAMPLED = 0x01;
+
+// Batching defaults
+const DEFAULT_MAX_QUEUE_SIZE = 2048;
+const DEFAULT_MAX_BATCH_SIZE = 512;
+const DEFAULT_FLUSH_INTERVAL = 5000; // 5 seconds
+
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+
+// Wall clock in nanoseconds with hrtime precision
+const EPOCH_OFFSET_NS = BigInt(Date.now()) * 1000000n - process.hrtime.bigint();
+
+function nowNanos() {
+  return EPOCH_OFFSET_NS + process.hrtime.bigint();
+}
+
+class Span {
+  /**
+   * Created by Tracer.startSpan()
+   *
+   * @param {Tracer} tracer
+   * @param {string} name
+   * @param {Object} options
+   */
+  constructor(tracer, name, options) {
+    this.tracer = tracer;
+    this.name = name;
+    this.kind = options.kind || SpanKind.INTERNAL;
+    this.traceId = options.traceId;
+    this.spanId = options.spanId;
+    this.parentSpanId = options.parentSpanId || null;
+    this.traceFlags = options.traceFlags;
+    this.traceState = options.traceState || null;
+
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: SpanStatusCode.UNSET };
+
+    this.startTime = nowNanos();
+    this.endTime = null;
+  }
+
+  /**
+   * Whether the span will be exported
+   */
+  get sampled() {
+    return (this.traceFlags & TRACE_FLAG_SAMPLED) !== 0;
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  /**
+   * Duration in milliseconds (null until ended)
+   */
+  get duration() {
+    return this.ended ? Number(this.endTime - this.startTime) / 1e6 : null;
+  }
+
+  /**
+   * Identifiers for propagation
+   *
+   * @returns {Object} - { traceId, spanId, traceFlags, traceState }
+   */
+  spanContext() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      traceFlags: this.traceFlags,
+      traceState: this.traceState
+    };
+  }
+
+  setAttribute(key, value) {
+    if (!this.ended && value !== undefined && value !== null) {
+      this.attributes[key] = value;
+    }
+    return this;
+  }
+
+  setAttributes(attributes) {
+    for (const [key, value] of Object.entries(attributes)) {
+      this.setAttribute(key, value);
+    }
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    if (!this.ended) {
+      this.events.push({ name, time: nowNanos(), attributes });
+    }
+    return this;
+  }
+
+  /**
+   * Record an error as an 'exception' event (OpenTelemetry semantic conventions)
+   */
+  recordException(error) {
+    const attributes = {
+      'exception.type': error.name || 'Error',
+      'exception.message': error.message,
+      'exception.stacktrace': error.stack
+    };
+    if (error.code) {
+      attributes['exception.code'] = String(error.code);
+    }
+    return this.addEvent('exception', attributes);
+  }
+
+  /**
+   * @param {number} code - SpanStatusCode
+   * @param {string} message - Description (errors only)
+   */
+  setStatus(code, message) {
+    if (!this.ended) {
+      this.status = code === SpanStatusCode.ERROR && message
+        ? { code, message }
+        : { code };
+    }
+    return this;
+  }
+
+  /**
+   * End the span (idempotent) and queue it for export
+   */
+  end() {
+    if (this.ended) return;
+    this.endTime = nowNanos();
+    this.tracer._onEnd(this);
+  }
+}
+
+class Tracer {
+  /**
+   * @param {Object} config
+   * @param {string} config.serviceName - service.name resource attribute (default: 'fluxupload')
+   * @param {Object} config.resource - Extra resource attributes
+   * @param {Object} config.exporter - Exporter with export(spans, info) and optional shutdown()
+   * @param {number} config.sampleRate - Probability of sampling a new trace, 0-1 (default: 1)
+   * @param {number} config.maxQueueSize - Spans kept while waiting for export; more are dropped (default: 2048)
+   * @param {number} config.maxBatchSize - Spans per export call (default: 512)
+   * @param {number} config.flushInterval - Export interval in ms (default: 5000)
+   */
+  constructor(config = {}) {
+    this.serviceName = config.serviceName || 'fluxupload';
+    this.exporter = config.exporter || null;
+    this.sampleRate = config.sampleRate !== undefined ? config.sampleRate : 1;
+    this.maxQueueSize = config.maxQueueSize || DEFAULT_MAX_QUEUE_SIZE;
+    this.maxBatchSize = config.maxBatchSize || DEFAULT_MAX_BATCH_SIZE;
+    this.flushInterval = config.flushInterval || DEFAULT_FLUSH_INTERVAL;
+
+    if (this.sampleRate < 0 || this.sampleRate > 1) {
+      throw new Error('sampleRate must be between 0 and 1');
+    }
+
+    this.resource = {
+      'service.name': this.serviceName,
+      'telemetry.sdk.name': 'fluxupload',
+      'telemetry.sdk.language': 'nodejs',
+      ...config.resource
+    };
+
+    this.queue = [];
+    this.droppedSpans = 0;
+    this.exporting = null;
+    this.flushTimer = null;
+  }
+
+  /**
+   * Start a span
+   *
+   * @param {string} name - Span name (low cardinality, e.g. 'storage S3Storage')
+   * @param {Object} options
+   * @param {Span|Object|null} options.parent - Parent span or span context;
+   *   defaults to the active span, null starts a new trace
+   * @param {number} options.kind - SpanKind (default: INTERNAL)
+   * @param {Object} options.attributes - Initial attributes
+   * @returns {Span}
+   */
+  startSpan(name, options = {}) {
+    const parent = options.parent !== undefined ? options.parent : getActiveSpan();
+    const parentContext = parent instanceof Span ? parent.spanContext() : parent;
+
+    let traceId, traceFlags, traceState;
+    if (parentContext) {
+      traceId = parentContext.traceId;
+      traceFlags = parentContext.traceFlags;
+      traceState = parentContext.traceState;
+    } else {
+      traceId = crypto.randomBytes(16).toString('hex');
+      traceFlags = Math.random() < this.sampleRate ? TRACE_FLAG_SAMPLED : 0;
+      traceState = null;
+    }
+
+    return new Span(this, name, {
+      kind: options.kind,
+      attributes: options.attributes,
+      traceId,
+      spanId: crypto.randomBytes(8).toString('hex'),
+      parentSpanId: parentContext ? parentContext.spanId : null,
+      traceFlags,
+      traceState
+    });
+  }
+
+  /**
+   * Run fn inside a new span
+   *
+   * The span is active while fn runs, is marked as failed if fn throws,
+   * and always ends.
+   *
+   * @param {string} name - Span name
+   * @param {Object} options - startSpan() options
+   * @param {Function} fn - Receives the span, may return a promise
+   * @returns {Promise<*>} - Result of fn
+   */
+  async trace(name, options, fn) {
+    const span = this.startSpan(name, options);
+
+    try {
+      return await runWithSpan(span, () => fn(span));
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus(SpanStatusCode.ERROR, error.message);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /**
+   * Run fn with a span active (for Logger correlation and child spans)
+   *
+   * @param {Span} span
+   * @param {Function} fn
+   * @returns {*} - Return value of fn
+   */
+  withSpan(span, fn) {
+    return runWithSpan(span, fn);
+  }
+
+  /**
+   * Get the active span
+   *
+   * @returns {Span|null}
+   */
+  getActiveSpan() {
+    return getActiveSpan();
+  }
+
+  /**
+   * Read the W3C trace context from incoming headers
+   *
+   * @param {Object} headers - Request headers (lowercase names)
+   * @returns {Object|null} - Span context, or null if absent or invalid
+   */
+  extract(headers) {
+    const context = parseTraceparent(headers && headers.traceparent);
+    if (context && typeof headers.tracestate === 'string' && headers.tracestate.length <= 512) {
+      context.traceState = headers.tracestate;
+    }
+    return context;
+  }
+
+  /**
+   * Write the W3C trace context into outgoing headers
+   *
+   * @param {Span|Object} span - Span or span context
+   * @param {Object} headers - Headers object to modify
+   * @returns {Object} - headers
+   */
+  inject(span, headers = {}) {
+    const context = span instanceof Span ? span.spanContext() : span;
+    headers.traceparent = formatTraceparent(context);
+    if (context.traceState) {
+      headers.tracestate = context.traceState;
+    }
+    return headers;
+  }
+
+  /**
+   * Export all queued spans
+   *
+   * @returns {Promise<void>}
+   */
+  async flush() {
+    while (this.exporting || this.queue.length > 0) {
+      await (this.exporting || this._exportBatch());
+    }
+  }
+
+  /**
+   * Flush and shut down the exporter
+   *
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (this.flushTimer) {
+      clearTimeout(this.flushTimer);
+      this.flushTimer = null;
+    }
+
+    await this.flush();
+
+    if (this.exporter && typeof this.exporter.shutdown === 'function') {
+      await this.exporter.shutdown();
+    }
+  }
+
+  /**
+   * Get tracer statistics
+   *
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      queuedSpans: this.queue.length,
+      droppedSpans: this.droppedSpans,
+      sampleRate: this.sampleRate
+    };
+  }
+
+  /**
+   * Queue an ended span
+   *
+   * @private
+   */
+  _onEnd(span) {
+    if (!span.sampled || !this.exporter) return;
+
+    if (this.queue.length >= this.maxQueueSize) {
+      this.droppedSpans++;
+      return;
+    }
+
+    this.queue.push(span);
+
+    if (this.queue.length >= this.maxBatchSize) {
+      if (!this.exporting) {
+        this._exportBatch();
+      }
+    } else if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => {
+        this.flushTimer = null;
+        this.flush();
+      }, this.flushInterval);
+      this.flushTimer.unref();
+    }
+  }
+
+  /**
+   * Export one batch; failures are logged and the batch is dropped
+   *
+   * @private
+   */
+  _exportBatch() {
+    const batch = this.queue.splice(0, this.maxBatchSize);
+    if (batch.length === 0) return Promise.resolve();
+
+    // Exports must not be traced themselves
+    this.exporting = runWithSpan(null, () => Promise.resolve()
+      .then(() => this.exporter.export(batch, { resource: this.resource }))
+      .catch((error) => {
+        logger.warn('Span export failed', { spans: batch.length, error: error.message });
+      })
+      .finally(() => {
+        this.exporting = null;
+        if (this.queue.length >= this.maxBatchSize) {
+          this._exportBatch();
+        }
+      }));
+
+    return this.exporting;
+  }
+}
+
+/**
+ * Parse a W3C traceparent header
+ *
+ * @param {string} header
+ * @returns {Object|null} - { traceId, spanId, traceFlags, traceState }
+ */
+function parseTraceparent(header) {
+  if (typeof header !== 'string') return null;
+
+  const match = TRACEPARENT_PATTERN.exec(header.trim().toLowerCase());
+  if (!match) return null;
+
+  const [, version, traceId, spanId, flags, rest] = match;
+
+  // Version ff is invalid; version 00 has no trailing data
+  if (version === 'ff' || (version === '00' && rest)) return null;
+  if (/^0+$/.test(traceId) || /^0+$/.test(spanId)) return null;
+
+  return {
+    traceId,
+    spanId,
+    traceFlags: parseInt(flags, 16),
+    traceState: null
+  };
+}
+
+/**
+ * Format a W3C traceparent header
+ *
+ * @param {Object} context - { traceId, spanId, traceFlags }
+ * @returns {string}
+ */
+function formatTraceparent(context) {
+  const flags = (context.traceFlags & 0xff).toString(16).padStart(2, '0');
+  return `00-${context.traceId}-${context.spanId}-${flags}`;
+}
+
+module.exports = {
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  parseTraceparent,
+  formatTraceparent
+};
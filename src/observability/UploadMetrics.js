@@ -0,0 +1,170 @@
+/**
+ * Upload Metrics - Automatic instrumentation for FluxUpload
+ *
+ * Connects FluxUpload and PipelineManager to a MetricsCollector, so
+ * uploads are measured without hand-written recordX() calls:
+ * - Uploads started/failed (by error code), active uploads, duration
+ * - Bytes received and file size distribution
+ * - Plugin durations and errors
+ * - Storage write durations
+ * - Parsed fields and files
+ *
+ * Upload metrics are labelled by storage driver and field name; plugin
+ * metrics by plugin name and phase (validator, transformer, storage).
+ *
+ * Field names come from the client, so only the first maxFieldLabels
+ * distinct names get their own label value; the rest share '_other'.
+ *
+ * Usage:
+ *   new FluxUpload({ storage, metrics: true });              // Default collector
+ *   new FluxUpload({ storage, metrics: myCollector });       // Custom collector
+ *   new FluxUpload({ storage, metrics: { collector, maxFieldLabels: 20 } });
+ *
+ * @module observability/UploadMetrics
+ */
+
+const { Transform } = require('stream');
+const { MetricsCollector, getCollector } = require('./MetricsCollector');
+
+const DEFAULT_MAX_FIELD_LABELS = 100;
+const OTHER_FIELD_LABEL = '_other';
+
+class UploadMetrics {
+  /**
+   * @param {Object} options
+   * @param {MetricsCollector} options.collector - Collector (default: shared collector)
+   * @param {number} options.maxFieldLabels - Distinct field name labels (default: 100)
+   */
+  constructor(options = {}) {
+    this.collector = options.collector || getCollector();
+    this.maxFieldLabels = options.maxFieldLabels !== undefined
+      ? options.maxFieldLabels
+      : DEFAULT_MAX_FIELD_LABELS;
+    this.fieldLabels = new Set();
+  }
+
+  /**
+   * Create instrumentation from a `metrics` config value
+   *
+   * @param {boolean|MetricsCollector|UploadMetrics|Object} config
+   * @returns {UploadMetrics|null} - null if metrics are disabled
+   */
+  static from(config) {
+    if (!config) return null;
+    if (config instanceof UploadMetrics) return config;
+    if (config === true) return new UploadMetrics();
+    if (config instanceof MetricsCollector) return new UploadMetrics({ collector: config });
+    return new UploadMetrics(config);
+  }
+
+  /**
+   * Label value for a field name (bounded cardinality)
+   *
+   * @param {string} name - Field name
+   * @returns {string}
+   */
+  fieldLabel(name) {
+    if (name === undefined || name === null) return '';
+
+    const label = String(name);
+    if (this.fieldLabels.has(label)) return label;
+
+    if (this.fieldLabels.size < this.maxFieldLabels) {
+      this.fieldLabels.add(label);
+      return label;
+    }
+
+    return OTHER_FIELD_LABEL;
+  }
+
+  /**
+   * Record a parsed form field
+   */
+  fieldParsed(name) {
+    this.collector.recordFieldParsed({ field: this.fieldLabel(name) });
+  }
+
+  /**
+   * Record a parsed file part
+   */
+  fileParsed(fileInfo) {
+    this.collector.recordFileParsed({ field: this.fieldLabel(fileInfo.fieldName) });
+  }
+
+  /**
+   * Start measuring an upload
+   *
+   * @param {Object} fileInfo - File metadata
+   * @param {Plugin} storage - Storage plugin
+   * @returns {Object} - Upload handle for the other methods
+   */
+  startUpload(fileInfo, storage) {
+    const labels = {
+      storage: storage.name,
+      field: this.fieldLabel(fileInfo && fileInfo.fieldName)
+    };
+
+    return {
+      labels,
+      bytes: 0,
+      startTime: this.collector.recordUploadStart(labels)
+    };
+  }
+
+  /**
+   * Transform stream that counts the bytes of an upload
+   *
+   * @param {Object} upload - Upload handle
+   * @returns {stream.Transform}
+   */
+  countBytes(upload) {
+    return new Transform({
+      transform(chunk, encoding, callback) {
+        upload.bytes += chunk.length;
+        callback(null, chunk);
+      }
+    });
+  }
+
+  /**
+   * Record a stored upload
+   */
+  uploadSucceeded(upload) {
+    this.collector.recordUploadComplete(upload.startTime, upload.labels);
+    this.collector.recordBytesUploaded(upload.bytes, upload.labels);
+  }
+
+  /**
+   * Record a failed upload
+   */
+  uploadFailed(upload, error) {
+    this.collector.recordUploadFailure(upload.startTime, upload.labels, error);
+  }
+
+  /**
+   * Record a plugin's process() duration
+   *
+   * @param {Plugin} plugin
+   * @param {string} phase - 'validator', 'transformer' or 'storage'
+   * @param {number} startTime - Date.now() before process()
+   */
+  pluginExecuted(plugin, phase, startTime) {
+    this.collector.recordPluginExecution(plugin.name, Date.now() - startTime, { phase });
+  }
+
+  /**
+   * Record a plugin error
+   */
+  pluginFailed(plugin, phase, error) {
+    this.collector.recordPluginError(plugin.name, error, { phase });
+  }
+
+  /**
+   * Record a storage write duration
+   */
+  storageWritten(upload, startTime) {
+    this.collector.recordStorageWrite(Date.now() - startTime, upload.labels);
+  }
+}
+
+module.exports = UploadMetrics;
@@ -6,14 +6,18 @@
  * - Metrics collection (Prometheus-compatible)
  * - Progress tracking
  * - Health checks
+ * - Tracing (OpenTelemetry-compatible, OTLP/HTTP export)
  *
  * @module observability
  */
 
 const { Logger, getLogger, configure: configureLogger } = require('./Logger');
 const { MetricsCollector, getCollector, Counter, Gauge, Histogram } = require('./MetricsCollector');
+const UploadMetrics = require('./UploadMetrics');
 const { ProgressTracker, ProgressStream } = require('./ProgressTracker');
 const { HealthCheck, HealthCheckResult } = require('./HealthCheck');
+const { Tracer, Span, SpanKind, SpanStatusCode } = require('./Tracer');
+const OtlpHttpExporter = require('./OtlpHttpExporter');
 
 module.exports = {
   // Logger
@@ -27,6 +31,7 @@ module.exports = {
   Counter,
   Gauge,
   Histogram,
+  UploadMetrics,
 
   // Progress
   ProgressTracker,
@@ -34,5 +39,12 @@ module.exports = {
 
   // Health
   HealthCheck,
-  HealthCheckResult
+  HealthCheckResult,
+
+  // Tracing
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  OtlpHttpExporter
 };
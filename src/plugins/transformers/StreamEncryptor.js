@@ -0,0 +1,321 @@
+/**
+ * StreamEncryptor - Encrypt files during upload (AES-256-GCM envelope encryption)
+ *
+ * Zero Dependency: Uses native crypto module
+ *
+ * Envelope Encryption:
+ * - Every file gets a fresh 256-bit data key from the key provider
+ * - The data key is stored wrapped (encrypted by the provider's master key)
+ * - Master keys never touch the file data and can be rotated
+ *
+ * Chunked Format:
+ * The plaintext is split into chunkSize frames, each sealed separately:
+ *
+ *   [ciphertext (chunkSize)][tag (16)] ... [ciphertext (<= chunkSize)][tag (16)]
+ *
+ * - Frame nonce: iv with the frame counter XORed into its last 4 bytes
+ * - Frame AAD: file AAD | counter (uint32 BE) | final flag (uint8)
+ *
+ * The counter stops frames from being reordered and the final flag stops
+ * truncation at a frame boundary. Memory use is one frame, whatever the
+ * file size, and decryption can stream too.
+ *
+ * Metadata (context.metadata.encryption) - everything needed to decrypt:
+ *   { algorithm, keyId, encryptedKey, iv, chunkSize, tagLength, aad, plaintextSize }
+ *
+ * Persist it next to the storage result; use createDecryptStream() to read
+ * the file back.
+ */
+
+const { Transform } = require('stream');
+const crypto = require('crypto');
+const Plugin = require('../../core/Plugin');
+
+const ALGORITHM = 'aes-256-gcm';
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+const MAX_FRAMES = 0xffffffff;
+const DEFAULT_CHUNK_SIZE = 64 * 1024; // 64KB
+
+class StreamEncryptor extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {Object} config.keyProvider - Provides data keys (see LocalKeyProvider)
+   * @param {number} config.chunkSize - Plaintext bytes per frame (default: 64KB)
+   * @param {Function} config.aad - (context) => string|Buffer, extra authenticated data (optional)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.keyProvider = config.keyProvider;
+    this.chunkSize = config.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.aad = config.aad || null;
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (!this.keyProvider ||
+        typeof this.keyProvider.generateDataKey !== 'function' ||
+        typeof this.keyProvider.decryptDataKey !== 'function') {
+      throw new Error('keyProvider with generateDataKey() and decryptDataKey() is required');
+    }
+
+    if (!Number.isInteger(this.chunkSize) || this.chunkSize < 1024 || this.chunkSize > 16 * 1024 * 1024) {
+      throw new Error('chunkSize must be an integer between 1KB and 16MB');
+    }
+
+    if (this.aad !== null && typeof this.aad !== 'function') {
+      throw new Error('aad must be a function');
+    }
+  }
+
+  async process(context) {
+    const dataKey = await this.keyProvider.generateDataKey();
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const aad = this.aad ? Buffer.from(this.aad(context)) : Buffer.alloc(0);
+
+    const encryption = {
+      algorithm: ALGORITHM,
+      keyId: dataKey.keyId,
+      encryptedKey: dataKey.encryptedKey.toString('base64'),
+      iv: iv.toString('base64'),
+      chunkSize: this.chunkSize,
+      tagLength: TAG_LENGTH,
+      aad: aad.length > 0 ? aad.toString('base64') : null
+    };
+
+    const encryptStream = new EncryptTransform({
+      key: dataKey.plaintextKey,
+      iv,
+      aad,
+      chunkSize: this.chunkSize
+    });
+
+    encryptStream.on('encrypted', ({ plaintextSize }) => {
+      encryption.plaintextSize = plaintextSize;
+    });
+
+    // Update metadata
+    context.metadata.encrypted = true;
+    context.metadata.encryption = encryption;
+
+    // Pipe through encryptor
+    const newStream = context.stream.pipe(encryptStream);
+
+    // Propagate errors from source stream to encryption stream
+    context.stream.on('error', (err) => {
+      encryptStream.destroy(err);
+    });
+
+    return {
+      ...context,
+      stream: newStream
+    };
+  }
+
+  /**
+   * Create a stream that decrypts a stored file
+   *
+   * @param {Object} encryption - context.metadata.encryption from the upload
+   * @returns {Promise<stream.Transform>} - Pipe the stored ciphertext into it
+   */
+  async createDecryptStream(encryption) {
+    return StreamEncryptor.createDecryptStream(encryption, this.keyProvider);
+  }
+
+  /**
+   * Create a stream that decrypts a stored file
+   *
+   * @param {Object} encryption - context.metadata.encryption from the upload
+   * @param {Object} keyProvider - Key provider that wrapped the data key
+   * @returns {Promise<stream.Transform>}
+   * @throws {Error} If the metadata is invalid or the data key cannot be unwrapped
+   */
+  static async createDecryptStream(encryption, keyProvider) {
+    if (!encryption || encryption.algorithm !== ALGORITHM) {
+      throw new Error(`Unsupported encryption algorithm: ${encryption && encryption.algorithm}`);
+    }
+
+    const key = await keyProvider.decryptDataKey({
+      keyId: encryption.keyId,
+      encryptedKey: Buffer.from(encryption.encryptedKey, 'base64')
+    });
+
+    return new DecryptTransform({
+      key,
+      iv: Buffer.from(encryption.iv, 'base64'),
+      aad: encryption.aad ? Buffer.from(encryption.aad, 'base64') : Buffer.alloc(0),
+      chunkSize: encryption.chunkSize
+    });
+  }
+}
+
+/**
+ * Nonce and AAD for one frame
+ *
+ * @private
+ */
+function frameParams(iv, aad, counter, final) {
+  const nonce = Buffer.from(iv);
+  nonce.writeUInt32BE((nonce.readUInt32BE(IV_LENGTH - 4) ^ counter) >>> 0, IV_LENGTH - 4);
+
+  const frameAad = Buffer.alloc(aad.length + 5);
+  aad.copy(frameAad, 0);
+  frameAad.writeUInt32BE(counter, aad.length);
+  frameAad.writeUInt8(final ? 1 : 0, aad.length + 4);
+
+  return { nonce, frameAad };
+}
+
+/**
+ * EncryptTransform - Seal the stream into authenticated frames
+ *
+ * One full frame is held back until more data (or the end) arrives, so the
+ * last frame can be flagged as final.
+ */
+class EncryptTransform extends Transform {
+  constructor(options) {
+    super();
+
+    this.key = options.key;
+    this.iv = options.iv;
+    this.aad = options.aad;
+    this.chunkSize = options.chunkSize;
+
+    this.pending = [];
+    this.pendingLength = 0;
+    this.counter = 0;
+    this.plaintextSize = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+    this.plaintextSize += chunk.length;
+
+    try {
+      while (this.pendingLength > this.chunkSize) {
+        const data = Buffer.concat(this.pending, this.pendingLength);
+        this.push(this._seal(data.subarray(0, this.chunkSize), false));
+
+        const rest = data.subarray(this.chunkSize);
+        this.pending = [rest];
+        this.pendingLength = rest.length;
+      }
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      // Always emit a final frame, even for empty files
+      this.push(this._seal(Buffer.concat(this.pending, this.pendingLength), true));
+      this.pending = [];
+      this.pendingLength = 0;
+    } catch (err) {
+      return callback(err);
+    }
+
+    this.emit('encrypted', { plaintextSize: this.plaintextSize, frames: this.counter });
+    callback();
+  }
+
+  _seal(plaintext, final) {
+    if (this.counter >= MAX_FRAMES) {
+      throw new Error('File too large for chunkSize: frame counter exhausted');
+    }
+
+    const { nonce, frameAad } = frameParams(this.iv, this.aad, this.counter, final);
+    this.counter++;
+
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, nonce);
+    cipher.setAAD(frameAad);
+
+    return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+  }
+}
+
+/**
+ * DecryptTransform - Open authenticated frames
+ *
+ * Fails with DECRYPTION_FAILED if any frame was modified, reordered,
+ * dropped, or the file was truncated.
+ */
+class DecryptTransform extends Transform {
+  constructor(options) {
+    super();
+
+    this.key = options.key;
+    this.iv = options.iv;
+    this.aad = options.aad;
+    this.frameSize = options.chunkSize + TAG_LENGTH;
+
+    this.pending = [];
+    this.pendingLength = 0;
+    this.counter = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.pending.push(chunk);
+    this.pendingLength += chunk.length;
+
+    try {
+      while (this.pendingLength > this.frameSize) {
+        const data = Buffer.concat(this.pending, this.pendingLength);
+        this.push(this._open(data.subarray(0, this.frameSize), false));
+
+        const rest = data.subarray(this.frameSize);
+        this.pending = [rest];
+        this.pendingLength = rest.length;
+      }
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    try {
+      this.push(this._open(Buffer.concat(this.pending, this.pendingLength), true));
+    } catch (err) {
+      return callback(err);
+    }
+
+    callback();
+  }
+
+  _open(frame, final) {
+    if (frame.length < TAG_LENGTH) {
+      throw this._error('Encrypted data is truncated');
+    }
+
+    const { nonce, frameAad } = frameParams(this.iv, this.aad, this.counter, final);
+    this.counter++;
+
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, nonce);
+    decipher.setAAD(frameAad);
+    decipher.setAuthTag(frame.subarray(frame.length - TAG_LENGTH));
+
+    try {
+      return Buffer.concat([
+        decipher.update(frame.subarray(0, frame.length - TAG_LENGTH)),
+        decipher.final()
+      ]);
+    } catch (err) {
+      throw this._error('Encrypted data failed authentication');
+    }
+  }
+
+  _error(message) {
+    const error = new Error(message);
+    error.code = 'DECRYPTION_FAILED';
+    return error;
+  }
+}
+
+module.exports = StreamEncryptor;
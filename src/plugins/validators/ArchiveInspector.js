@@ -0,0 +1,886 @@
+/**
+ * ArchiveInspector - Look inside ZIP, tar and gzip uploads
+ *
+ * Zero Dependency: Uses native zlib and manual header parsing
+ *
+ * Protects against:
+ * - Zip bombs (huge uncompressed size, extreme compression ratios)
+ * - Archives with too many entries
+ * - Archives nested inside archives
+ * - Path traversal ("../../etc/passwd") and absolute paths in entry names
+ * - Forbidden entry names or extensions (e.g. executables)
+ *
+ * Nothing is extracted. The stream passes through unchanged while:
+ * - tar headers are parsed as they arrive (gzip is inflated on the fly
+ *   and only counted), so violations abort the upload early
+ * - ZIP central directories are read from a bounded buffer of the last
+ *   bytes of the stream, once the upload ends
+ *
+ * Like VirusScanner, the end of the stream is held back until the archive
+ * has been checked, so a rejected archive is never committed by storage.
+ *
+ * Non-archive files pass through untouched.
+ *
+ * @module plugins/validators/ArchiveInspector
+ */
+
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const Plugin = require('../../core/Plugin');
+
+// Inspection limits
+const DEFAULT_MAX_ENTRIES = 10000;
+const DEFAULT_MAX_TOTAL_SIZE = 1024 * 1024 * 1024; // 1GB uncompressed
+const DEFAULT_MAX_COMPRESSION_RATIO = 100;
+const DEFAULT_MAX_CENTRAL_DIRECTORY_SIZE = 4 * 1024 * 1024; // 4MB
+
+// Ratios are only meaningful once there is something to compress
+const RATIO_MIN_SIZE = 1024 * 1024; // 1MB
+
+// Bytes needed to detect the format (tar magic ends at offset 262)
+const DETECT_BYTES = 263;
+
+// ZIP record signatures
+const ZIP_EOCD = 0x06054b50;
+const ZIP64_EOCD = 0x06064b50;
+const ZIP64_EOCD_LOCATOR = 0x07064b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_EOCD_MIN_SIZE = 22;
+const ZIP_MAX_COMMENT = 0xffff;
+
+// Entry names with these extensions are archives themselves
+const ARCHIVE_EXTENSIONS = [
+  '.zip', '.jar', '.war', '.ear', '.apk',
+  '.tar', '.gz', '.tgz', '.bz2', '.xz', '.zst', '.7z', '.rar'
+];
+
+class ArchiveInspector extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {number} config.maxEntries - Max entries per archive (default: 10000)
+   * @param {number} config.maxTotalSize - Max total uncompressed size in bytes (default: 1GB)
+   * @param {number} config.maxCompressionRatio - Max uncompressed/compressed ratio (default: 100)
+   * @param {boolean} config.allowNested - Accept entries named like archives (default: false);
+   *   they are never opened, so this allows any nesting depth
+   * @param {Array<string|RegExp>} config.forbiddenNames - Entry names to reject (basename match)
+   * @param {Array<string>} config.forbiddenExtensions - Entry extensions to reject (e.g. ['.exe'])
+   * @param {boolean} config.allowEncrypted - Accept encrypted ZIP entries (default: true)
+   * @param {boolean} config.allowLinks - Accept tar symlinks/hardlinks (default: true)
+   * @param {number} config.maxCentralDirectorySize - Max ZIP central directory size (default: 4MB)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.maxEntries = config.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxTotalSize = config.maxTotalSize || DEFAULT_MAX_TOTAL_SIZE;
+    this.maxCompressionRatio = config.maxCompressionRatio || DEFAULT_MAX_COMPRESSION_RATIO;
+    this.allowNested = config.allowNested === true;
+    this.forbiddenNames = config.forbiddenNames || [];
+    this.forbiddenExtensions = (config.forbiddenExtensions || []).map(ext =>
+      (ext.startsWith('.') ? ext : `.${ext}`).toLowerCase()
+    );
+    this.allowEncrypted = config.allowEncrypted !== false;
+    this.allowLinks = config.allowLinks !== false;
+    this.maxCentralDirectorySize = config.maxCentralDirectorySize || DEFAULT_MAX_CENTRAL_DIRECTORY_SIZE;
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    const positive = ['maxEntries', 'maxTotalSize', 'maxCompressionRatio', 'maxCentralDirectorySize'];
+    for (const key of positive) {
+      if (typeof this[key] !== 'number' || this[key] <= 0) {
+        throw new Error(`${key} must be a positive number`);
+      }
+    }
+
+    if (!Array.isArray(this.forbiddenNames)) {
+      throw new Error('forbiddenNames must be an array');
+    }
+  }
+
+  /**
+   * Wrap stream with archive inspector
+   */
+  async process(context) {
+    // Validate stream exists
+    if (!context.stream || typeof context.stream.pipe !== 'function') {
+      const error = new Error('ArchiveInspector requires a valid readable stream in context');
+      error.code = 'INVALID_STREAM';
+      throw error;
+    }
+
+    const inspectStream = new InspectStream({
+      inspector: this,
+      filename: context.fileInfo && context.fileInfo.filename
+    });
+
+    inspectStream.on('archive', (archive) => {
+      context.metadata.archive = archive;
+    });
+
+    // Propagate inspector errors to original stream for proper error handling
+    inspectStream.on('error', (err) => {
+      if (context.stream && typeof context.stream.destroy === 'function') {
+        context.stream.destroy(err);
+      }
+    });
+
+    // Pipe original stream through inspector
+    context.stream = context.stream.pipe(inspectStream);
+
+    return context;
+  }
+
+  /**
+   * Check a single entry against the limits (throws on violation)
+   *
+   * @param {Object} entry - { name, size, compressedSize, type, encrypted, linkName }
+   * @param {Object} archive - Archive summary so far
+   */
+  checkEntry(entry, archive) {
+    if (archive.entryCount > this.maxEntries) {
+      throw this._error('ARCHIVE_TOO_MANY_ENTRIES', `Archive has more than ${this.maxEntries} entries`);
+    }
+
+    this._checkPath(entry.name, entry.name);
+
+    if (entry.linkName) {
+      if (!this.allowLinks) {
+        throw this._error('ARCHIVE_FORBIDDEN_ENTRY', `Archive links are not allowed: ${entry.name}`, entry.name);
+      }
+      // Symlink targets are relative to the entry's directory
+      const base = entry.name.split('/').slice(0, -1).join('/');
+      const target = entry.type === 'symlink' && base ? `${base}/${entry.linkName}` : entry.linkName;
+      this._checkPath(target, entry.name);
+    }
+
+    if (entry.encrypted && !this.allowEncrypted) {
+      throw this._error('ARCHIVE_FORBIDDEN_ENTRY', `Encrypted archive entries are not allowed: ${entry.name}`, entry.name);
+    }
+
+    if (entry.type !== 'directory') {
+      const basename = entry.name.split('/').filter(Boolean).pop() || '';
+      const lower = basename.toLowerCase();
+
+      for (const pattern of this.forbiddenNames) {
+        const match = pattern instanceof RegExp ? pattern.test(basename) : lower === String(pattern).toLowerCase();
+        if (match) {
+          throw this._error('ARCHIVE_FORBIDDEN_ENTRY', `Forbidden entry name: ${entry.name}`, entry.name);
+        }
+      }
+
+      for (const extension of this.forbiddenExtensions) {
+        if (lower.endsWith(extension)) {
+          throw this._error('ARCHIVE_FORBIDDEN_ENTRY', `Forbidden entry extension: ${entry.name}`, entry.name);
+        }
+      }
+
+      // Nested archives are recognized by name only; their content is not inspected
+      if (ARCHIVE_EXTENSIONS.some(ext => lower.endsWith(ext))) {
+        archive.nestedArchives++;
+        if (!this.allowNested) {
+          throw this._error('ARCHIVE_NESTED', `Nested archives are not allowed: ${entry.name}`, entry.name);
+        }
+      }
+    }
+
+    if (entry.compressedSize !== null && entry.size >= RATIO_MIN_SIZE) {
+      this._checkRatio(entry.size, entry.compressedSize, entry.name);
+    }
+
+    this.checkTotals(archive);
+  }
+
+  /**
+   * Check archive-wide size and ratio (throws on violation)
+   *
+   * @param {Object} archive - Archive summary so far
+   */
+  checkTotals(archive) {
+    if (archive.totalSize > this.maxTotalSize) {
+      throw this._error('ARCHIVE_TOO_LARGE', `Archive uncompressed size exceeds ${this.maxTotalSize} bytes`);
+    }
+
+    // Plain tar is not compressed - declared sizes may run ahead of the bytes received
+    if (archive.format !== 'tar' && archive.totalSize >= RATIO_MIN_SIZE) {
+      this._checkRatio(archive.totalSize, archive.compressedSize, null);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _checkRatio(size, compressedSize, entryName) {
+    const ratio = compressedSize > 0 ? size / compressedSize : Infinity;
+    if (ratio > this.maxCompressionRatio) {
+      throw this._error(
+        'ARCHIVE_RATIO_EXCEEDED',
+        `Compression ratio ${ratio === Infinity ? 'unbounded' : ratio.toFixed(1)} exceeds ${this.maxCompressionRatio}` +
+          (entryName ? `: ${entryName}` : ''),
+        entryName
+      );
+    }
+  }
+
+  /**
+   * Reject absolute paths and traversal
+   *
+   * @private
+   */
+  _checkPath(name, entryName) {
+    if (name.includes('\0')) {
+      throw this._error('ARCHIVE_PATH_TRAVERSAL', 'Archive entry name contains null bytes', entryName);
+    }
+
+    const normalized = name.replace(/\\/g, '/');
+
+    if (normalized.startsWith('/') || /^[a-zA-Z]:/.test(normalized)) {
+      throw this._error('ARCHIVE_PATH_TRAVERSAL', `Absolute path in archive: ${entryName}`, entryName);
+    }
+
+    if (normalized.split('/').includes('..')) {
+      throw this._error('ARCHIVE_PATH_TRAVERSAL', `Path traversal in archive: ${entryName}`, entryName);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _error(code, message, entryName = null) {
+    const error = new Error(message);
+    error.code = code;
+    error.statusCode = 422;
+    if (entryName) {
+      error.entry = entryName;
+    }
+    return error;
+  }
+}
+
+/**
+ * InspectStream - Pass-through stream that inspects archive structure
+ *
+ * Emits 'archive' with the archive summary before ending (or erroring).
+ */
+class InspectStream extends Transform {
+  constructor(options) {
+    super();
+
+    this.inspector = options.inspector;
+    this.filename = options.filename || null;
+
+    this.head = [];
+    this.headLength = 0;
+    this.format = null; // null = not detected yet, false = not an archive
+    this.bytesReceived = 0;
+    this.violation = null;
+
+    this.archive = {
+      format: null,
+      entryCount: 0,
+      totalSize: 0,
+      compressedSize: 0,
+      compressionRatio: 0,
+      nestedArchives: 0,
+      entries: []
+    };
+
+    // Format-specific state
+    this.tail = [];
+    this.tailLength = 0;
+    this.tar = null;
+    this.gunzip = null;
+    this.gunzipDone = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    this.push(chunk);
+    this.bytesReceived += chunk.length;
+
+    if (this.format === false) {
+      return callback();
+    }
+
+    try {
+      if (this.format === null) {
+        this.head.push(chunk);
+        this.headLength += chunk.length;
+        if (this.headLength < DETECT_BYTES) {
+          return callback();
+        }
+        this._start(Buffer.concat(this.head, this.headLength));
+        this.head = [];
+      } else {
+        this._feed(chunk);
+      }
+    } catch (err) {
+      return callback(this._reject(err));
+    }
+
+    if (this.violation) {
+      return callback(this._reject(this.violation));
+    }
+
+    callback();
+  }
+
+  async _flush(callback) {
+    try {
+      if (this.format === null) {
+        this._start(Buffer.concat(this.head, this.headLength));
+      }
+
+      if (this.format === false) {
+        return callback();
+      }
+
+      await this._finish();
+      if (this.violation) {
+        throw this.violation;
+      }
+
+      this._summarize();
+      this.emit('archive', this.archive);
+      callback();
+    } catch (err) {
+      callback(this._reject(err));
+    }
+  }
+
+  _destroy(err, callback) {
+    if (this.gunzip) {
+      this.gunzip.destroy();
+    }
+    callback(err);
+  }
+
+  /**
+   * Detect format and feed the buffered head
+   */
+  _start(head) {
+    this.format = detectFormat(head);
+    if (!this.format) {
+      this.format = false;
+      return;
+    }
+
+    this.archive.format = this.format;
+
+    if (this.format === 'tar') {
+      this.tar = new TarParser((entry) => this._addEntry(entry));
+    } else if (this.format === 'gzip') {
+      this._startGunzip(head);
+    }
+
+    if (head.length > 0) {
+      this._feed(head);
+    }
+  }
+
+  _feed(chunk) {
+    this.archive.compressedSize = this.bytesReceived;
+
+    if (this.format === 'zip') {
+      this._keepTail(chunk);
+    } else if (this.format === 'tar') {
+      this.tar.push(chunk);
+      this.inspector.checkTotals(this.archive);
+    } else if (this.gunzip && !this.violation) {
+      this.gunzip.write(chunk);
+    }
+  }
+
+  /**
+   * Keep only the bytes that can hold the ZIP central directory + EOCD
+   */
+  _keepTail(chunk) {
+    const limit = this.inspector.maxCentralDirectorySize + ZIP_EOCD_MIN_SIZE + ZIP_MAX_COMMENT + 20 + 56;
+
+    this.tail.push(chunk);
+    this.tailLength += chunk.length;
+
+    while (this.tail.length > 1 && this.tailLength - this.tail[0].length >= limit) {
+      this.tailLength -= this.tail.shift().length;
+    }
+  }
+
+  /**
+   * Inflate gzip on the fly; parse tar inside, or count a single file
+   */
+  _startGunzip(head) {
+    this.gunzip = zlib.createGunzip();
+    this.gzipInner = null; // 'tar' or 'file', detected from first inflated bytes
+    this.gzipHead = [];
+    this.gzipHeadLength = 0;
+
+    this.gzipName = gzipOriginalName(head);
+
+    this.gunzip.on('data', (data) => {
+      if (this.violation) return;
+
+      try {
+        this.archive.totalSize += data.length;
+
+        if (this.gzipInner === null) {
+          this.gzipHead.push(data);
+          this.gzipHeadLength += data.length;
+          if (this.gzipHeadLength >= DETECT_BYTES) {
+            this._startGzipInner(Buffer.concat(this.gzipHead));
+          }
+        } else if (this.gzipInner === 'tar') {
+          this.tar.push(data);
+        }
+
+        this.inspector.checkTotals(this.archive);
+      } catch (err) {
+        this.violation = err;
+        this.gunzip.destroy();
+      }
+    });
+
+    this.gunzipDone = new Promise((resolve) => {
+      this.gunzip.on('end', resolve);
+      this.gunzip.on('close', resolve);
+      this.gunzip.on('error', (err) => {
+        if (!this.violation) {
+          this.violation = this.inspector._error('ARCHIVE_INVALID', `Invalid gzip data: ${err.message}`);
+        }
+        resolve();
+      });
+    });
+  }
+
+  _startGzipInner(head) {
+    if (detectFormat(head) === 'tar') {
+      this.gzipInner = 'tar';
+      this.archive.format = 'tar+gzip';
+      // Inflated bytes were already counted in totalSize
+      this.tar = new TarParser((entry) => this._addEntry({ ...entry, countSize: false }));
+      this.tar.push(head);
+    } else {
+      this.gzipInner = 'file';
+    }
+  }
+
+  async _finish() {
+    if (this.format === 'zip') {
+      const entries = parseZipCentralDirectory(
+        Buffer.concat(this.tail, this.tailLength),
+        this.bytesReceived,
+        this.inspector
+      );
+      for (const entry of entries) {
+        this._addEntry(entry);
+      }
+    } else if (this.format === 'tar') {
+      this.tar.end();
+    } else if (this.gunzip) {
+      if (!this.violation) {
+        this.gunzip.end();
+      }
+      await this.gunzipDone;
+      if (this.violation) return;
+
+      if (this.gzipInner === null) {
+        this._startGzipInner(Buffer.concat(this.gzipHead));
+      }
+
+      if (this.gzipInner === 'tar') {
+        this.tar.end();
+      } else {
+        // Single compressed file, named by the gzip header or the upload
+        const fallback = this.filename ? this.filename.split(/[\\/]/).pop().replace(/\.gz$/i, '') : 'data';
+        this._addEntry({
+          name: this.gzipName || fallback,
+          type: 'file',
+          size: this.archive.totalSize,
+          compressedSize: this.bytesReceived,
+          encrypted: false,
+          linkName: null,
+          countSize: false
+        });
+      }
+    }
+  }
+
+  _addEntry(entry) {
+    const { countSize, ...info } = entry;
+
+    this.archive.entryCount++;
+    if (countSize !== false) {
+      this.archive.totalSize += info.size;
+    }
+    if (this.archive.entries.length < this.inspector.maxEntries) {
+      this.archive.entries.push(info);
+    }
+
+    this.inspector.checkEntry(info, this.archive);
+  }
+
+  _summarize() {
+    this.archive.compressedSize = this.bytesReceived;
+    this.archive.compressionRatio = this.bytesReceived > 0
+      ? Math.round((this.archive.totalSize / this.bytesReceived) * 100) / 100
+      : 0;
+  }
+
+  _reject(err) {
+    if (!this.violation) {
+      this.violation = err;
+    }
+    if (this.gunzip) {
+      this.gunzip.destroy();
+    }
+    this._summarize();
+    this.emit('archive', this.archive);
+    return this.violation;
+  }
+}
+
+/**
+ * Detect archive format from the first bytes
+ *
+ * @param {Buffer} head
+ * @returns {string|null} - 'zip', 'gzip', 'tar' or null
+ */
+function detectFormat(head) {
+  if (head.length >= 4 && head[0] === 0x50 && head[1] === 0x4b &&
+      ((head[2] === 0x03 && head[3] === 0x04) || (head[2] === 0x05 && head[3] === 0x06) ||
+       (head[2] === 0x07 && head[3] === 0x08))) {
+    return 'zip';
+  }
+
+  if (head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b) {
+    return 'gzip';
+  }
+
+  if (head.length >= 262 && head.toString('latin1', 257, 262) === 'ustar') {
+    return 'tar';
+  }
+
+  return null;
+}
+
+/**
+ * Read the original filename from a gzip header (FNAME flag)
+ *
+ * @param {Buffer} head
+ * @returns {string|null}
+ */
+function gzipOriginalName(head) {
+  if (head.length < 10 || !(head[3] & 0x08)) {
+    return null;
+  }
+
+  let offset = 10;
+  if (head[3] & 0x04) { // FEXTRA
+    if (head.length < 12) return null;
+    offset += 2 + head.readUInt16LE(10);
+  }
+
+  const end = head.indexOf(0, offset);
+  return end === -1 ? null : head.toString('latin1', offset, end);
+}
+
+/**
+ * Parse ZIP central directory from the tail of the file
+ *
+ * @param {Buffer} tail - Last bytes of the file
+ * @param {number} fileSize - Total file size
+ * @param {ArchiveInspector} inspector - For errors and limits
+ * @returns {Array<Object>} - Entries
+ */
+function parseZipCentralDirectory(tail, fileSize, inspector) {
+  const tailStart = fileSize - tail.length;
+
+  // Find End Of Central Directory (scan backwards over the comment)
+  let eocd = -1;
+  for (let i = tail.length - ZIP_EOCD_MIN_SIZE; i >= Math.max(0, tail.length - ZIP_EOCD_MIN_SIZE - ZIP_MAX_COMMENT); i--) {
+    if (tail.readUInt32LE(i) === ZIP_EOCD) {
+      eocd = i;
+      break;
+    }
+  }
+
+  if (eocd === -1) {
+    throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP: end of central directory not found');
+  }
+
+  let entryCount = tail.readUInt16LE(eocd + 10);
+  let cdSize = tail.readUInt32LE(eocd + 12);
+  let cdOffset = tail.readUInt32LE(eocd + 16);
+  let recordEnd = eocd;
+
+  // ZIP64: real values live in the ZIP64 end of central directory record
+  if (entryCount === 0xffff || cdSize === 0xffffffff || cdOffset === 0xffffffff) {
+    const locator = eocd - 20;
+    if (locator < 0 || tail.readUInt32LE(locator) !== ZIP64_EOCD_LOCATOR) {
+      throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP64: locator not found');
+    }
+
+    const record = Number(tail.readBigUInt64LE(locator + 8)) - tailStart;
+    if (record < 0 || record + 56 > tail.length || tail.readUInt32LE(record) !== ZIP64_EOCD) {
+      throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP64: end of central directory record not found');
+    }
+
+    entryCount = Number(tail.readBigUInt64LE(record + 32));
+    cdSize = Number(tail.readBigUInt64LE(record + 40));
+    cdOffset = Number(tail.readBigUInt64LE(record + 48));
+    recordEnd = record;
+  }
+
+  if (entryCount > inspector.maxEntries) {
+    throw inspector._error('ARCHIVE_TOO_MANY_ENTRIES', `Archive has more than ${inspector.maxEntries} entries`);
+  }
+
+  if (cdSize > inspector.maxCentralDirectorySize) {
+    throw inspector._error('ARCHIVE_DIRECTORY_TOO_LARGE', `ZIP central directory exceeds ${inspector.maxCentralDirectorySize} bytes`);
+  }
+
+  // The directory sits right before the EOCD records; this also works for
+  // self-extracting archives with data prepended (where cdOffset is shifted)
+  let position = cdOffset - tailStart;
+  if (position < 0 || position + 4 > tail.length || tail.readUInt32LE(position) !== ZIP_CENTRAL_HEADER) {
+    position = recordEnd - cdSize;
+  }
+
+  if (position < 0 || (entryCount > 0 && tail.readUInt32LE(position) !== ZIP_CENTRAL_HEADER)) {
+    throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP: central directory not found');
+  }
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > recordEnd || tail.readUInt32LE(position) !== ZIP_CENTRAL_HEADER) {
+      throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP: truncated central directory');
+    }
+
+    const flags = tail.readUInt16LE(position + 8);
+    let compressedSize = tail.readUInt32LE(position + 20);
+    let size = tail.readUInt32LE(position + 24);
+    const nameLength = tail.readUInt16LE(position + 28);
+    const extraLength = tail.readUInt16LE(position + 30);
+    const commentLength = tail.readUInt16LE(position + 32);
+    const externalAttributes = tail.readUInt32LE(position + 38);
+
+    const nameStart = position + 46;
+    const extraStart = nameStart + nameLength;
+    if (extraStart + extraLength + commentLength > recordEnd) {
+      throw inspector._error('ARCHIVE_INVALID', 'Invalid ZIP: truncated central directory');
+    }
+
+    // Bit 11: UTF-8 names
+    const name = tail.toString(flags & 0x0800 ? 'utf8' : 'latin1', nameStart, extraStart);
+
+    // ZIP64 extended information extra field
+    if (size === 0xffffffff || compressedSize === 0xffffffff) {
+      let extra = extraStart;
+      while (extra + 4 <= extraStart + extraLength) {
+        const id = tail.readUInt16LE(extra);
+        const length = tail.readUInt16LE(extra + 2);
+        if (id === 0x0001) {
+          let field = extra + 4;
+          if (size === 0xffffffff && field + 8 <= extra + 4 + length) {
+            size = Number(tail.readBigUInt64LE(field));
+            field += 8;
+          }
+          if (compressedSize === 0xffffffff && field + 8 <= extra + 4 + length) {
+            compressedSize = Number(tail.readBigUInt64LE(field));
+          }
+          break;
+        }
+        extra += 4 + length;
+      }
+    }
+
+    // Unix mode lives in the high 16 bits of the external attributes
+    const unixType = (externalAttributes >>> 16) & 0o170000;
+    let type = 'file';
+    if (name.endsWith('/')) {
+      type = 'directory';
+    } else if (unixType === 0o120000) {
+      type = 'symlink';
+    }
+
+    entries.push({
+      name,
+      type,
+      size,
+      compressedSize,
+      encrypted: (flags & 0x0001) !== 0,
+      linkName: null
+    });
+
+    position = extraStart + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * TarParser - Incremental tar header parser
+ *
+ * Skips file data; handles ustar, GNU long names (L/K) and PAX headers (x).
+ */
+class TarParser {
+  constructor(onEntry) {
+    this.onEntry = onEntry;
+    this.buffer = Buffer.alloc(0);
+    this.skip = 0;          // Data bytes (incl. padding) still to skip
+    this.collect = null;    // { type, size, chunks } for long name / PAX data
+    this.pending = {};      // Overrides for the next entry (path, linkpath, size)
+    this.ended = false;
+  }
+
+  push(chunk) {
+    if (this.ended) return;
+
+    let data = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    while (data.length > 0 && !this.ended) {
+      if (this.skip > 0) {
+        const n = Math.min(this.skip, data.length);
+        if (this.collect) {
+          this.collect.chunks.push(data.subarray(0, Math.min(n, this.collect.remaining)));
+          this.collect.remaining -= Math.min(n, this.collect.remaining);
+        }
+        this.skip -= n;
+        data = data.subarray(n);
+
+        if (this.skip === 0 && this.collect) {
+          this._finishCollect();
+        }
+        continue;
+      }
+
+      if (data.length < 512) break;
+
+      this._header(data.subarray(0, 512));
+      data = data.subarray(512);
+    }
+
+    this.buffer = Buffer.from(data);
+  }
+
+  end() {
+    if (!this.ended && (this.skip > 0 || this.buffer.length > 0)) {
+      throw tarError('Invalid tar: truncated archive');
+    }
+    this.ended = true;
+  }
+
+  _header(block) {
+    // Zero block marks the end of the archive
+    if (block.every(byte => byte === 0)) {
+      this.ended = true;
+      return;
+    }
+
+    if (!verifyTarChecksum(block)) {
+      throw tarError('Invalid tar: header checksum mismatch');
+    }
+
+    const typeflag = String.fromCharCode(block[156] || 0x30);
+    const size = parseTarNumber(block.subarray(124, 136));
+    const padded = Math.ceil(size / 512) * 512;
+
+    // Metadata entries describing the next header
+    if (typeflag === 'L' || typeflag === 'K' || typeflag === 'x' || typeflag === 'g') {
+      if (size > 1024 * 1024) {
+        throw tarError('Invalid tar: extended header too large');
+      }
+      this.collect = { type: typeflag, remaining: size, chunks: [] };
+      this.skip = padded;
+      if (this.skip === 0) this._finishCollect();
+      return;
+    }
+
+    let name = readTarString(block, 0, 100);
+    const prefix = readTarString(block, 345, 155);
+    if (prefix && block.toString('latin1', 257, 262) === 'ustar') {
+      name = `${prefix}/${name}`;
+    }
+    let linkName = readTarString(block, 157, 100);
+
+    name = this.pending.path || name;
+    linkName = this.pending.linkpath || linkName;
+    const entrySize = this.pending.size !== undefined ? this.pending.size : size;
+    this.pending = {};
+
+    let type = 'other';
+    if (typeflag === '0' || typeflag === '\0' || typeflag === '7') type = 'file';
+    else if (typeflag === '5') type = 'directory';
+    else if (typeflag === '2') type = 'symlink';
+    else if (typeflag === '1') type = 'hardlink';
+
+    this.onEntry({
+      name,
+      type,
+      size: entrySize,
+      compressedSize: null,
+      encrypted: false,
+      linkName: (type === 'symlink' || type === 'hardlink') ? linkName : null
+    });
+
+    this.skip = type === 'file' || type === 'other' ? Math.ceil(entrySize / 512) * 512 : padded;
+  }
+
+  _finishCollect() {
+    const { type, chunks } = this.collect;
+    const content = Buffer.concat(chunks).toString('utf8');
+    this.collect = null;
+
+    if (type === 'L') {
+      this.pending.path = content.replace(/\0.*$/s, '');
+    } else if (type === 'K') {
+      this.pending.linkpath = content.replace(/\0.*$/s, '');
+    } else if (type === 'x') {
+      // PAX records: "<length> <key>=<value>\n"
+      for (const record of content.split('\n')) {
+        const match = /^\d+ ([^=]+)=(.*)$/s.exec(record);
+        if (!match) continue;
+        if (match[1] === 'path') this.pending.path = match[2];
+        else if (match[1] === 'linkpath') this.pending.linkpath = match[2];
+        else if (match[1] === 'size') this.pending.size = parseInt(match[2], 10);
+      }
+    }
+  }
+}
+
+function readTarString(block, offset, length) {
+  const field = block.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+  return field.toString('utf8', 0, end === -1 ? length : end);
+}
+
+function parseTarNumber(field) {
+  // Base-256 encoding for large values (high bit set)
+  if (field[0] & 0x80) {
+    let value = field[0] & 0x7f;
+    for (let i = 1; i < field.length; i++) {
+      value = value * 256 + field[i];
+    }
+    return value;
+  }
+
+  const text = field.toString('latin1').replace(/[\0 ]+$/, '').trim();
+  return text ? parseInt(text, 8) : 0;
+}
+
+function verifyTarChecksum(block) {
+  const expected = parseTarNumber(block.subarray(148, 156));
+  let sum = 0;
+  for (let i = 0; i < 512; i++) {
+    sum += (i >= 148 && i < 156) ? 0x20 : block[i];
+  }
+  return sum === expected;
+}
+
+function tarError(message) {
+  const error = new Error(message);
+  error.code = 'ARCHIVE_INVALID';
+  error.statusCode = 422;
+  return error;
+}
+
+module.exports = ArchiveInspector;
@@ -10,6 +10,25 @@
  * - Multiple token storage strategies
  * - Automatic token rotation
  * - Double-submit cookie pattern support
+ * - Stateless HMAC-signed tokens for multi-instance deployments
+ *
+ * Stateless mode (enabled by `secret` or `secrets`):
+ * Tokens are signed instead of stored, so any instance sharing the secret
+ * can verify them. A token is bound to its expiry and, optionally, to a
+ * session ID and a form action:
+ *
+ *   <keyId>.<expires>.<nonce>.<scope>.<signature>
+ *
+ * The session ID and action are signed but not included, so the verifier
+ * must supply them again. `secrets` is ordered: the first one signs new
+ * tokens, all of them verify - prepend a new secret to rotate, and drop
+ * the old one once its tokens have expired.
+ *
+ * Shared store (`store`):
+ * Stored tokens are kept in the store instead of process memory, so any
+ * instance can verify them; generateToken(), verifyToken() and
+ * revokeToken() then return Promises. In stateless mode, the store
+ * records used tokens, which makes one-time tokens possible.
  *
  * @module plugins/validators/CsrfProtection
  */
@@ -26,6 +45,10 @@ const DEFAULT_TOKEN_LENGTH = 32; // bytes
 const DEFAULT_TOKEN_LIFETIME = 3600000; // 1 hour in milliseconds
 const DEFAULT_MAX_TOKENS = 10000;
 const CLEANUP_INTERVAL_MS = 60000; // 1 minute
+const SIGNED_TOKEN_VERSION = 'v1';
+const NONCE_LENGTH = 16; // bytes
+const STORE_TOKEN_PREFIX = 'csrf:token:';
+const STORE_USED_PREFIX = 'csrf:used:';
 
 class CsrfProtection extends Plugin {
   /**
@@ -36,17 +59,39 @@ class CsrfProtection extends Plugin {
    * @param {string} [options.headerName='X-CSRF-Token'] - HTTP header name
    * @param {Function} [options.getToken] - Custom token getter from request
    * @param {Function} [options.validateToken] - Custom token validator
-   * @param {boolean} [options.doubleSubmitCookie=true] - Use double-submit cookie pattern
+   * @param {boolean} [options.doubleSubmitCookie] - Use double-submit cookie pattern
+   *   (default: true, except for stateless tokens bound to getSessionId)
    * @param {number} [options.maxTokens=10000] - Maximum number of tokens to store
+   * @param {string|Buffer} [options.secret] - Signing secret; enables stateless tokens
+   * @param {Array<string|Buffer>} [options.secrets] - Signing secrets for key rotation (first one signs)
+   * @param {Function} [options.getSessionId] - (req) => session ID, checked against stateless tokens
+   * @param {boolean} [options.bindAction=false] - Check action-bound stateless tokens against the request path
+   * @param {Store} [options.store] - Shared store for tokens (MemoryStore, FileStore, RedisStore)
+   * @throws {Error} If stateless tokens have neither getSessionId nor the double-submit cookie
    */
   constructor(options = {}) {
-    super('CsrfProtection');
+    super(options);
 
     this.tokenLength = options.tokenLength || DEFAULT_TOKEN_LENGTH;
     this.tokenLifetime = options.tokenLifetime || DEFAULT_TOKEN_LIFETIME;
     this.cookieName = options.cookieName || 'csrf-token';
     this.headerName = options.headerName || 'X-CSRF-Token';
-    this.doubleSubmitCookie = options.doubleSubmitCookie !== false;
+    // Stateless signed tokens
+    const secrets = options.secrets || (options.secret ? [options.secret] : []);
+    this.signingKeys = secrets.map(secret => this._createSigningKey(secret));
+    this.stateless = this.signingKeys.length > 0;
+    this.getSessionIdFn = options.getSessionId || null;
+    this.bindAction = options.bindAction === true;
+    this.store = options.store || null;
+
+    // A session-bound signed token does not need the double-submit cookie;
+    // an unbound one would verify for any request, so it keeps the cookie
+    this.doubleSubmitCookie = options.doubleSubmitCookie !== undefined
+      ? options.doubleSubmitCookie !== false
+      : !(this.stateless && this.getSessionIdFn);
+    if (this.stateless && !this.getSessionIdFn && !this.doubleSubmitCookie && !options.validateToken) {
+      throw new Error('Stateless CSRF tokens require getSessionId or doubleSubmitCookie');
+    }
     this.getTokenFn = options.getToken || this._defaultGetToken.bind(this);
     this.validateTokenFn = options.validateToken || this._defaultValidateToken.bind(this);
 
@@ -64,8 +109,8 @@ class CsrfProtection extends Plugin {
    * Initialize plugin - start cleanup interval
    */
   async initialize() {
-    // Start cleanup interval only when plugin is active
-    if (!this.cleanupInterval) {
+    // Start cleanup interval only when plugin is active (and stores tokens)
+    if (!this.cleanupInterval && !this.stateless && !this.store) {
       this.cleanupInterval = setInterval(() => {
         this._cleanupExpiredTokens();
       }, CLEANUP_INTERVAL_MS);
@@ -117,19 +162,31 @@ class CsrfProtection extends Plugin {
    *
    * @param {Object} options - Token options
    * @param {string} [options.sessionId] - Associate token with session
-   * @returns {string} Generated token
+   * @param {string} [options.action] - Bind token to a form action (stateless mode)
+   * @returns {string|Promise<string>} Generated token (a Promise for stored tokens with a store)
    */
   generateToken(options = {}) {
+    if (this.stateless) {
+      return this._signToken(options);
+    }
+
     const token = crypto.randomBytes(this.tokenLength).toString('hex');
     const expires = Date.now() + this.tokenLifetime;
 
     // Store token with metadata
-    this.tokens.set(token, {
+    const tokenData = {
       created: Date.now(),
       expires,
       sessionId: options.sessionId,
       used: false
-    });
+    };
+
+    if (this.store) {
+      return this.store.set(STORE_TOKEN_PREFIX + token, tokenData, { ttl: this.tokenLifetime })
+        .then(() => token);
+    }
+
+    this.tokens.set(token, tokenData);
 
     return token;
   }
@@ -137,11 +194,32 @@ class CsrfProtection extends Plugin {
   /**
    * Verify a token exists and is valid
    *
+   * In stateless mode, pass the same sessionId and action the token was
+   * generated with.
+   *
    * @param {string} token - Token to verify
    * @param {Object} options - Verification options
-   * @returns {boolean} True if valid
+   * @param {boolean} [options.oneTime] - Reject reused tokens (stateless mode needs a store)
+   * @param {string} [options.sessionId] - Session the token must be bound to
+   * @param {string} [options.action] - Form action the token must be bound to (stateless mode)
+   * @returns {boolean|Promise<boolean>} True if valid (a Promise when a store is used)
+   * @throws {Error} If oneTime is used in stateless mode without a store
    */
   verifyToken(token, options = {}) {
+    if (this.stateless) {
+      if (options.oneTime && !this.store) {
+        throw new Error('One-time tokens require a store in stateless mode');
+      }
+      if (options.oneTime) {
+        return this._consumeSignedToken(token, options);
+      }
+      return this._verifySignedToken(token, options);
+    }
+
+    if (this.store) {
+      return this._verifyStoredToken(token, options);
+    }
+
     const tokenData = this.tokens.get(token);
 
     if (!tokenData) {
@@ -175,14 +253,20 @@ class CsrfProtection extends Plugin {
   /**
    * Revoke a token
    *
+   * Stateless tokens cannot be revoked individually - rotate the secret.
+   *
    * @param {string} token - Token to revoke
+   * @returns {void|Promise<void>} A Promise when a store is configured
    */
   revokeToken(token) {
+    if (this.store && !this.stateless) {
+      return this.store.delete(STORE_TOKEN_PREFIX + token);
+    }
     this.tokens.delete(token);
   }
 
   /**
-   * Clear all tokens
+   * Clear all tokens kept in process memory (a shared store is left alone)
    */
   clearTokens() {
     this.tokens.clear();
@@ -229,11 +313,182 @@ class CsrfProtection extends Plugin {
       if (!cookieToken || !token) {
         return false;
       }
-      return this._timingSafeEqual(cookieToken, token);
-    } else {
-      // Stateful validation
-      return this.verifyToken(token);
+      if (!this._timingSafeEqual(cookieToken, token)) {
+        return false;
+      }
+      if (!this.stateless) {
+        return true;
+      }
+    }
+
+    if (this.stateless) {
+      return this._verifySignedToken(token, {
+        sessionId: this.getSessionIdFn ? this.getSessionIdFn(req) : undefined,
+        action: this.bindAction ? this._getRequestAction(req) : undefined,
+        allowUnboundAction: true
+      });
+    }
+
+    // Stateful validation
+    return this.verifyToken(token);
+  }
+
+  /**
+   * Verify a token kept in the shared store
+   *
+   * One-time tokens are marked used with compareAndSet(), so only one of
+   * several concurrent requests can use them.
+   *
+   * @private
+   */
+  async _verifyStoredToken(token, options) {
+    if (typeof token !== 'string' || !token) {
+      return false;
+    }
+
+    const key = STORE_TOKEN_PREFIX + token;
+    const tokenData = await this.store.get(key);
+
+    if (!tokenData || Date.now() > tokenData.expires) {
+      return false;
+    }
+
+    if (options.sessionId && tokenData.sessionId !== options.sessionId) {
+      return false;
+    }
+
+    if (options.oneTime) {
+      if (tokenData.used) {
+        return false;
+      }
+      return this.store.compareAndSet(key, tokenData, { ...tokenData, used: true }, {
+        ttl: Math.max(1, tokenData.expires - Date.now())
+      });
+    }
+
+    return true;
+  }
+
+  /**
+   * Verify a stateless token and record it as used
+   *
+   * @private
+   */
+  async _consumeSignedToken(token, options) {
+    if (!this._verifySignedToken(token, options)) {
+      return false;
+    }
+
+    const [, expires, , , signature] = token.split('.');
+    return this.store.compareAndSet(STORE_USED_PREFIX + signature, null, true, {
+      ttl: Math.max(1, parseInt(expires, 10) * 1000 - Date.now())
+    });
+  }
+
+  /**
+   * Form action of a request (URL path without query string)
+   *
+   * @private
+   */
+  _getRequestAction(req) {
+    const url = req.url || '/';
+    const queryIndex = url.indexOf('?');
+    return queryIndex === -1 ? url : url.slice(0, queryIndex);
+  }
+
+  /**
+   * Derive a key ID from a secret, so rotation needs no configured IDs
+   *
+   * @private
+   */
+  _createSigningKey(secret) {
+    if (!secret || (typeof secret !== 'string' && !Buffer.isBuffer(secret))) {
+      throw new Error('CSRF secrets must be non-empty strings or Buffers');
+    }
+
+    const id = crypto.createHash('sha256').update(secret).digest('base64url').slice(0, 8);
+    return { id, secret };
+  }
+
+  /**
+   * Create a stateless signed token
+   *
+   * @private
+   */
+  _signToken(options) {
+    const key = this.signingKeys[0];
+    const expires = Math.ceil((Date.now() + this.tokenLifetime) / 1000);
+    const nonce = crypto.randomBytes(NONCE_LENGTH).toString('base64url');
+    const scope = (options.sessionId ? 's' : '') + (options.action ? 'a' : '') || '-';
+
+    const signature = this._sign(key, expires, nonce, scope, options.sessionId, options.action);
+
+    return [key.id, expires, nonce, scope, signature].join('.');
+  }
+
+  /**
+   * Verify a stateless signed token
+   *
+   * Tokens bound to a session or action only verify when the same value
+   * is supplied. When verifying a request, an action is only required for
+   * action-bound tokens, so one token can serve several forms.
+   *
+   * @private
+   */
+  _verifySignedToken(token, options) {
+    if (typeof token !== 'string') {
+      return false;
+    }
+
+    const parts = token.split('.');
+    if (parts.length !== 5) {
+      return false;
     }
+
+    const [keyId, expiresText, nonce, scope, signature] = parts;
+    const key = this.signingKeys.find(k => k.id === keyId);
+    if (!key || !/^\d+$/.test(expiresText) || !/^(s|a|sa|-)$/.test(scope)) {
+      return false;
+    }
+
+    const expires = parseInt(expiresText, 10);
+    if (Date.now() > expires * 1000) {
+      return false;
+    }
+
+    // An unbound token must not pass a check that asks for a binding
+    const sessionBound = scope.includes('s');
+    const actionBound = scope.includes('a');
+    if (!!options.sessionId !== sessionBound) {
+      return false;
+    }
+    if (actionBound ? !options.action : (options.action && !options.allowUnboundAction)) {
+      return false;
+    }
+
+    const expected = this._sign(
+      key,
+      expires,
+      nonce,
+      scope,
+      sessionBound ? options.sessionId : undefined,
+      actionBound ? options.action : undefined
+    );
+
+    return this._timingSafeEqual(signature, expected);
+  }
+
+  /**
+   * HMAC over all token fields, including the unsent session ID and action
+   *
+   * @private
+   */
+  _sign(key, expires, nonce, scope, sessionId, action) {
+    const payload = JSON.stringify([
+      SIGNED_TOKEN_VERSION, key.id, expires, nonce, scope, sessionId || '', action || ''
+    ]);
+
+    return crypto.createHmac('sha256', key.secret).update(payload).digest('base64url');
   }
 
   /**
@@ -333,9 +588,12 @@ class CsrfProtection extends Plugin {
    */
   getStats() {
     return {
-      activeTokens: this.tokens.size,
+      mode: this.stateless ? 'stateless' : 'stored',
+      activeTokens: this.store ? null : this.tokens.size, // Unknown with a shared store
+      store: this.store ? this.store.constructor.name : null,
       tokenLifetime: this.tokenLifetime,
-      doubleSubmitCookie: this.doubleSubmitCookie
+      doubleSubmitCookie: this.doubleSubmitCookie,
+      signingKeys: this.signingKeys.length
     };
   }
 }
@@ -8,6 +8,12 @@
  *
  * This is crucial for DDOS protection - we don't want to receive
  * a 10GB file if our limit is 100MB.
+ *
+ * When the size is known up front (fileInfo.size, e.g. from Content-Length
+ * in raw and tus uploads), oversized files are rejected before any byte
+ * is read. FluxUpload also calls checkRequestSize() with the request's
+ * Content-Length, so requests over maxTotalSize are rejected before the
+ * body (or `100 Continue`) is sent.
  */
 
 const { Transform } = require('stream');
@@ -49,6 +55,9 @@ class QuotaLimiter extends Plugin {
       throw error;
     }
 
+    // Declared size: reject without reading the stream
+    this._checkDeclaredSize(context.fileInfo);
+
     const limiterStream = new ByteCounterStream({
       maxBytes: this.maxFileSize
     });
@@ -79,6 +88,57 @@ class QuotaLimiter extends Plugin {
     return context;
   }
 
+  /**
+   * Reject oversized requests from Content-Length, before the body is read
+   *
+   * A raw upload's body is the file, so its declared size is checked against
+   * both limits. Other bodies may hold several files plus fields, so only
+   * maxTotalSize applies to them.
+   */
+  async checkRequestSize(context) {
+    if (context.fileInfo) {
+      this._checkDeclaredSize(context.fileInfo);
+      return;
+    }
+
+    if (Number.isInteger(context.contentLength)) {
+      this._checkTotalSize(context.contentLength);
+    }
+  }
+
+  /**
+   * Check a file's declared size (fileInfo.size), if known
+   *
+   * @param {Object} fileInfo
+   * @throws {Error} If the file is over maxFileSize or maxTotalSize (413)
+   */
+  _checkDeclaredSize(fileInfo) {
+    const declaredSize = fileInfo && fileInfo.size;
+    if (!Number.isInteger(declaredSize)) return;
+
+    if (declaredSize > this.maxFileSize) {
+      const error = new Error(`File size exceeds limit of ${this.maxFileSize} bytes`);
+      error.code = 'LIMIT_FILE_SIZE';
+      error.statusCode = 413;
+      throw error;
+    }
+
+    this._checkTotalSize(declaredSize);
+  }
+
+  /**
+   * @param {number} size - Bytes about to be uploaded
+   * @throws {Error} If they would exceed maxTotalSize (413)
+   */
+  _checkTotalSize(size) {
+    if (this.maxTotalSize && this.totalBytesProcessed + size > this.maxTotalSize) {
+      const error = new Error(`Total upload size exceeds limit of ${this.maxTotalSize} bytes`);
+      error.code = 'LIMIT_TOTAL_SIZE';
+      error.statusCode = 413;
+      throw error;
+    }
+  }
+
   /**
    * Reset total bytes counter (call between requests)
    */
@@ -10,6 +10,11 @@
  * - Configurable window and max requests
  * - Automatic cleanup of old entries
  * - Supports burst traffic
+ * - Optional shared store, so limits hold across processes and hosts
+ *
+ * With a store, buckets are read and written with compareAndSet(), so
+ * concurrent requests from different processes cannot both take the last
+ * token. Without one, buckets live in this process only.
  *
  * @module plugins/validators/RateLimiter
  */
@@ -22,6 +27,8 @@ const DEFAULT_MAX_REQUESTS = 100;
 const DEFAULT_WINDOW_MS = 60000; // 1 minute
 const DEFAULT_CLEANUP_INTERVAL_MS = 300000; // 5 minutes
 const DEFAULT_MAX_BUCKETS = 10000;
+const MAX_STORE_RETRIES = 20; // compareAndSet attempts under contention
+const STORE_KEY_PREFIX = 'ratelimit:';
 
 /**
  * Token bucket for rate limiting
@@ -65,6 +72,32 @@ class TokenBucket {
     this.lastRefill = now;
   }
 
+  /**
+   * Serializable state for shared stores
+   *
+   * @returns {Object} - { tokens, lastRefill }
+   */
+  toState() {
+    return { tokens: this.tokens, lastRefill: this.lastRefill };
+  }
+
+  /**
+   * Restore a bucket from stored state (or a full bucket if there is none)
+   *
+   * @param {Object|null} state - From toState()
+   * @param {number} capacity
+   * @param {number} refillRate
+   * @returns {TokenBucket}
+   */
+  static fromState(state, capacity, refillRate) {
+    const bucket = new TokenBucket(capacity, refillRate);
+    if (state) {
+      bucket.tokens = Math.min(capacity, state.tokens);
+      bucket.lastRefill = state.lastRefill;
+    }
+    return bucket;
+  }
+
   /**
    * Get current token count
    */
@@ -103,9 +136,10 @@ class RateLimiter extends Plugin {
    * @param {number} [options.cleanupInterval=300000] - Cleanup interval in ms (5 min)
    * @param {number} [options.maxBuckets=10000] - Maximum number of buckets to store
    * @param {boolean} [options.trustProxy=false] - Trust X-Forwarded-For header
+   * @param {Store} [options.store] - Shared store for buckets (MemoryStore, FileStore, RedisStore)
    */
   constructor(options = {}) {
-    super('RateLimiter');
+    super(options);
 
     this.maxRequests = options.maxRequests || DEFAULT_MAX_REQUESTS;
     this.windowMs = options.windowMs || DEFAULT_WINDOW_MS;
@@ -114,6 +148,7 @@ class RateLimiter extends Plugin {
     this.skipFailedRequests = options.skipFailedRequests || false;
     this.handler = options.handler || this._defaultHandler;
     this.trustProxy = options.trustProxy || false;
+    this.store = options.store || null;
 
     // Token buckets per key with LRU eviction (bounded memory)
     this.buckets = new LRUCache({
@@ -133,9 +168,14 @@ class RateLimiter extends Plugin {
    * Process upload
    */
   async process(context) {
+    const key = this.keyGenerator(context);
+
+    if (this.store) {
+      return this._processWithStore(context, key);
+    }
+
     this._cleanupIfNeeded();
 
-    const key = this.keyGenerator(context);
     let bucket = this.buckets.get(key);
 
     if (!bucket) {
@@ -172,13 +212,75 @@ class RateLimiter extends Plugin {
       (!error && this.skipSuccessfulRequests) ||
       (error && this.skipFailedRequests);
 
-    if (shouldRefund) {
+    if (shouldRefund && this.store) {
+      await this._updateStoredBucket(context.rateLimitKey, (bucket) => {
+        bucket.tokens = Math.min(bucket.capacity, bucket.tokens + 1);
+        return true;
+      });
+    } else if (shouldRefund) {
       // Refund the token
       const bucket = context.rateLimitBucket;
       bucket.tokens = Math.min(bucket.capacity, bucket.tokens + 1);
     }
   }
 
+  /**
+   * Consume a token from the shared store
+   *
+   * @private
+   */
+  async _processWithStore(context, key) {
+    let allowed = false;
+    const bucket = await this._updateStoredBucket(key, (current) => {
+      allowed = current.consume(1);
+      return allowed;
+    });
+
+    if (!allowed) {
+      return this.handler(context, {
+        key,
+        limit: this.maxRequests,
+        windowMs: this.windowMs,
+        waitTime: bucket.getWaitTime(1),
+        tokensRemaining: bucket.getTokens()
+      });
+    }
+
+    context.rateLimitBucket = bucket;
+    context.rateLimitKey = key;
+
+    return context;
+  }
+
+  /**
+   * Read-modify-write a stored bucket with compareAndSet()
+   *
+   * A bucket is full again after windowMs, so that is its TTL.
+   *
+   * @private
+   * @param {string} key - Rate limit key
+   * @param {Function} update - (bucket) => boolean, false to skip the write
+   * @returns {Promise<TokenBucket>} - Bucket after the update
+   */
+  async _updateStoredBucket(key, update) {
+    const storeKey = STORE_KEY_PREFIX + key;
+
+    for (let attempt = 0; attempt < MAX_STORE_RETRIES; attempt++) {
+      const state = await this.store.get(storeKey);
+      const bucket = TokenBucket.fromState(state, this.maxRequests, this.refillRate);
+
+      if (!update(bucket)) {
+        return bucket;
+      }
+
+      if (await this.store.compareAndSet(storeKey, state, bucket.toState(), { ttl: this.windowMs })) {
+        return bucket;
+      }
+    }
+
+    throw new Error(`Rate limit bucket for ${key} is under too much contention`);
+  }
+
   /**
    * Default key generator - uses IP address
    *
@@ -253,11 +355,25 @@ class RateLimiter extends Plugin {
   /**
    * Get current rate limit status for a key
    *
+   * With a store, the status is read from it and a Promise is returned.
+   *
    * @param {string} key - Rate limit key
-   * @returns {Object} Status information
+   * @returns {Object|Promise<Object>} Status information
    */
   getStatus(key) {
-    const bucket = this.buckets.get(key);
+    if (this.store) {
+      return this.store.get(STORE_KEY_PREFIX + key).then(state =>
+        this._buildStatus(state ? TokenBucket.fromState(state, this.maxRequests, this.refillRate) : null)
+      );
+    }
+
+    return this._buildStatus(this.buckets.get(key));
+  }
+
+  /**
+   * @private
+   */
+  _buildStatus(bucket) {
     if (!bucket) {
       return {
         requests: 0,
@@ -279,8 +395,12 @@ class RateLimiter extends Plugin {
    * Reset rate limit for a key
    *
    * @param {string} key - Rate limit key
+   * @returns {void|Promise<void>} A Promise when a store is configured
    */
   reset(key) {
+    if (this.store) {
+      return this.store.delete(STORE_KEY_PREFIX + key);
+    }
     this.buckets.delete(key);
   }
 
@@ -289,7 +409,8 @@ class RateLimiter extends Plugin {
    */
   getStats() {
     return {
-      activeBuckets: this.buckets.size,
+      activeBuckets: this.store ? null : this.buckets.size, // Unknown with a shared store
+      store: this.store ? this.store.constructor.name : null,
       maxRequests: this.maxRequests,
       windowMs: this.windowMs,
       refillRate: this.refillRate
@@ -0,0 +1,326 @@
+/**
+ * VirusScanner - Scan uploads with ClamAV (clamd INSTREAM protocol)
+ *
+ * Zero Dependency: Uses native net module to talk to clamd
+ *
+ * How it works:
+ * - The file stream is teed to clamd while it flows to storage
+ * - The end of the stream is held back until clamd returns a verdict
+ * - If a signature is found, the stream errors instead of ending, so the
+ *   storage plugin never commits the file and cleanup() rolls it back
+ *
+ * INSTREAM protocol:
+ *   "zINSTREAM\0" | <uint32 BE length><data> ... | <uint32 0>
+ *   Response: "stream: OK\0" or "stream: <signature> FOUND\0"
+ *
+ * Failure modes (clamd unreachable, timeout, size limit exceeded):
+ * - failOpen: false (default) - reject the upload (503)
+ * - failOpen: true - accept the upload, record the error in metadata
+ *
+ * @module plugins/validators/VirusScanner
+ */
+
+const net = require('net');
+const { Transform } = require('stream');
+const Plugin = require('../../core/Plugin');
+const { getLogger } = require('../../observability/Logger');
+
+const logger = getLogger('VirusScanner');
+
+// clamd defaults
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 3310;
+const DEFAULT_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_CHUNK_SIZE = 64 * 1024; // 64KB per INSTREAM chunk
+
+class VirusScanner extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {string} config.host - clamd host (default: 127.0.0.1)
+   * @param {number} config.port - clamd TCP port (default: 3310)
+   * @param {string} config.socketPath - clamd Unix socket (overrides host/port)
+   * @param {number} config.timeout - Connect and verdict timeout in ms (default: 30000)
+   * @param {number} config.chunkSize - Max bytes per INSTREAM chunk (default: 64KB)
+   * @param {boolean} config.failOpen - Accept uploads when scanning fails (default: false)
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.host = config.host || DEFAULT_HOST;
+    this.port = config.port || DEFAULT_PORT;
+    this.socketPath = config.socketPath || null;
+    this.timeout = config.timeout || DEFAULT_TIMEOUT;
+    this.chunkSize = config.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.failOpen = config.failOpen === true;
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (!this.socketPath && (!Number.isInteger(this.port) || this.port <= 0 || this.port > 65535)) {
+      throw new Error('port must be a valid TCP port');
+    }
+
+    if (typeof this.timeout !== 'number' || this.timeout <= 0) {
+      throw new Error('timeout must be a positive number');
+    }
+
+    if (!Number.isInteger(this.chunkSize) || this.chunkSize <= 0) {
+      throw new Error('chunkSize must be a positive integer');
+    }
+  }
+
+  /**
+   * Tee the stream to clamd
+   */
+  async process(context) {
+    // Validate stream exists
+    if (!context.stream || typeof context.stream.pipe !== 'function') {
+      const error = new Error('VirusScanner requires a valid readable stream in context');
+      error.code = 'INVALID_STREAM';
+      throw error;
+    }
+
+    const scanStream = new ScanStream({
+      socket: this._connect(),
+      chunkSize: this.chunkSize,
+      timeout: this.timeout,
+      failOpen: this.failOpen
+    });
+
+    scanStream.on('result', (result) => {
+      context.metadata.virusScan = result;
+
+      if (result.status === 'infected') {
+        logger.warn('Virus detected in upload', {
+          filename: context.fileInfo && context.fileInfo.filename,
+          signature: result.signature
+        });
+      } else if (result.status === 'error') {
+        logger.error('Virus scan failed', {
+          filename: context.fileInfo && context.fileInfo.filename,
+          error: result.error,
+          failOpen: this.failOpen
+        });
+      }
+    });
+
+    // Propagate scanner errors to original stream for proper error handling
+    scanStream.on('error', (err) => {
+      if (context.stream && typeof context.stream.destroy === 'function') {
+        context.stream.destroy(err);
+      }
+    });
+
+    // Pipe original stream through scanner
+    context.stream = context.stream.pipe(scanStream);
+
+    return context;
+  }
+
+  /**
+   * Check that clamd is reachable (PING → PONG)
+   *
+   * @returns {Promise<boolean>}
+   */
+  ping() {
+    return new Promise((resolve) => {
+      const socket = this._connect();
+      let response = '';
+
+      socket.setTimeout(this.timeout, () => socket.destroy(new Error('timeout')));
+      socket.on('data', (data) => {
+        response += data.toString();
+      });
+      socket.on('error', () => resolve(false));
+      socket.on('close', () => resolve(response.replace(/\0/g, '').trim() === 'PONG'));
+
+      socket.end('zPING\0');
+    });
+  }
+
+  /**
+   * Open a connection to clamd
+   *
+   * @private
+   * @returns {net.Socket}
+   */
+  _connect() {
+    return this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+  }
+}
+
+/**
+ * ScanStream - Pass-through stream that feeds clamd
+ *
+ * Emits 'result' with { status, signature, scanner, durationMs, error }
+ * before ending (or erroring).
+ */
+class ScanStream extends Transform {
+  constructor(options) {
+    super();
+
+    this.socket = options.socket;
+    this.chunkSize = options.chunkSize;
+    this.failOpen = options.failOpen;
+    this.startTime = Date.now();
+
+    this.timeout = options.timeout;
+    this.scanError = null;
+    this.response = '';
+    this.responseComplete = false;
+    this.onVerdict = null;
+
+    // Only the connection and the verdict are timed - a slow client must
+    // not make clamd look unresponsive
+    this.connectTimer = setTimeout(() => {
+      this._fail(new Error(`Could not connect to clamd within ${this.timeout}ms`));
+    }, this.timeout);
+    this.socket.once('connect', () => clearTimeout(this.connectTimer));
+
+    this.socket.on('data', (data) => {
+      this.response += data.toString('utf8');
+      if (this.response.includes('\0')) {
+        this._complete();
+      }
+    });
+
+    this.socket.on('end', () => this._complete());
+    this.socket.on('error', (err) => this._fail(err));
+    this.socket.on('close', () => this._complete());
+
+    this.socket.write('zINSTREAM\0');
+  }
+
+  _transform(chunk, encoding, callback) {
+    if (this.scanError && !this.failOpen) {
+      // Scanning already failed - fail closed without waiting for the end
+      const result = this._buildResult();
+      this.emit('result', result);
+      return callback(this._scanFailedError(result.error));
+    }
+
+    this.push(chunk);
+
+    // clamd answered early (e.g. size limit exceeded) or is gone - stop feeding it
+    if (this.responseComplete || this.scanError) {
+      return callback();
+    }
+
+    let writable = true;
+    for (let offset = 0; offset < chunk.length; offset += this.chunkSize) {
+      const piece = chunk.subarray(offset, offset + this.chunkSize);
+      const header = Buffer.alloc(4);
+      header.writeUInt32BE(piece.length, 0);
+      writable = this.socket.write(Buffer.concat([header, piece]));
+    }
+
+    // Backpressure: wait for clamd to catch up
+    if (!writable) {
+      const onDrain = () => {
+        this.socket.off('close', onDrain);
+        this.socket.off('drain', onDrain);
+        callback();
+      };
+      this.socket.once('drain', onDrain);
+      this.socket.once('close', onDrain);
+      return;
+    }
+
+    callback();
+  }
+
+  _flush(callback) {
+    this.onVerdict = () => {
+      const result = this._buildResult();
+      this.emit('result', result);
+
+      if (result.status === 'infected') {
+        const error = new Error(`Virus detected: ${result.signature}`);
+        error.code = 'VIRUS_DETECTED';
+        error.statusCode = 422;
+        error.signature = result.signature;
+        return callback(error);
+      }
+
+      if (result.status === 'error' && !this.failOpen) {
+        return callback(this._scanFailedError(result.error));
+      }
+
+      callback();
+    };
+
+    if (this.responseComplete) {
+      return this.onVerdict();
+    }
+
+    this.socket.setTimeout(this.timeout, () => {
+      this._fail(new Error(`clamd did not respond within ${this.timeout}ms`));
+    });
+    this.socket.write(Buffer.alloc(4)); // Zero-length chunk ends the stream
+  }
+
+  _destroy(err, callback) {
+    clearTimeout(this.connectTimer);
+    this.socket.destroy();
+    callback(err);
+  }
+
+  _fail(err) {
+    clearTimeout(this.connectTimer);
+
+    if (!this.scanError) {
+      this.scanError = err;
+    }
+    this.socket.destroy();
+    this._complete();
+  }
+
+  _complete() {
+    if (this.responseComplete) return;
+    this.responseComplete = true;
+    clearTimeout(this.connectTimer);
+    this.socket.destroy();
+
+    if (this.onVerdict) {
+      this.onVerdict();
+    }
+  }
+
+  _buildResult() {
+    const result = {
+      status: 'error',
+      signature: null,
+      scanner: 'clamav',
+      durationMs: Date.now() - this.startTime,
+      error: null
+    };
+
+    const response = this.response.split('\0')[0].trim();
+    const found = /^stream: (.+) FOUND$/.exec(response);
+
+    if (this.scanError && !found) {
+      result.error = this.scanError.message;
+    } else if (found) {
+      result.status = 'infected';
+      result.signature = found[1];
+    } else if (response === 'stream: OK') {
+      result.status = 'clean';
+    } else {
+      result.error = response ? `Unexpected clamd response: ${response}` : 'clamd closed the connection without a verdict';
+    }
+
+    return result;
+  }
+
+  _scanFailedError(reason) {
+    const error = new Error(`Virus scan failed: ${reason}`);
+    error.code = 'VIRUS_SCAN_FAILED';
+    error.statusCode = 503;
+    return error;
+  }
+}
+
+module.exports = VirusScanner;
@@ -0,0 +1,715 @@
+/**
+ * AzureBlobStorage - Upload files to Azure Blob Storage
+ *
+ * Zero Dependency: Uses native https module and manual Shared Key signing
+ * No @azure/storage-blob required!
+ *
+ * Features:
+ * - Put Blob for small files
+ * - Put Block / Put Block List for large or unknown-length streams
+ * - Shared Key or SAS token authentication
+ * - Blob metadata from the upload context (x-ms-meta-*)
+ * - Works with Azure Storage and Azurite
+ * - Automatic cleanup on failure
+ *
+ * Upload Strategy:
+ * 1. Buffer the stream up to singleUploadThreshold bytes
+ * 2. If the stream ends first: Put Blob with a known Content-Length
+ * 3. Otherwise: Put Block (parallel, retried) → Put Block List
+ *
+ * Memory is bounded the same way as S3Storage: at most
+ * singleUploadThreshold bytes before the decision, and at most
+ * (queueSize + 1) blocks while staging blocks.
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const Plugin = require('../core/Plugin');
+const AzureSharedKey = require('../utils/AzureSharedKey');
+const FileNaming = require('../utils/FileNaming');
+const { getLogger } = require('../observability/Logger');
+
+const logger = getLogger('AzureBlobStorage');
+
+// Block blob constants (Azure limits: 50,000 blocks of up to 4000 MiB)
+const MAX_BLOCKS = 50000;
+const MAX_BLOCK_SIZE = 4000 * 1024 * 1024;
+const DEFAULT_BLOCK_SIZE = 8 * 1024 * 1024; // 8MB
+const DEFAULT_SINGLE_UPLOAD_THRESHOLD = 16 * 1024 * 1024; // 16MB
+const DEFAULT_QUEUE_SIZE = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 200; // ms, doubled on each retry
+
+// Metadata names must be valid C# identifiers
+const METADATA_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+class AzureBlobStorage extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {string} config.account - Storage account name
+   * @param {string} config.accountKey - Account key for Shared Key authentication
+   * @param {string} config.sasToken - SAS token (instead of accountKey)
+   * @param {string} config.container - Container name
+   * @param {string} config.endpoint - Custom endpoint (optional, e.g.
+   *   'http://127.0.0.1:10000/devstoreaccount1' for Azurite)
+   * @param {string} config.prefix - Blob name prefix (folder path)
+   * @param {string|Object} config.naming - Naming strategy
+   * @param {Object} config.metadata - Custom metadata to add (x-ms-meta-*)
+   * @param {string} config.accessTier - Access tier (Hot, Cool, Cold, Archive; optional)
+   * @param {number} config.singleUploadThreshold - Stage blocks above this size (default: 16MB)
+   * @param {number} config.blockSize - Block size (default: 8MB, max: 4000MiB)
+   * @param {number} config.queueSize - Blocks uploaded in parallel (default: 4)
+   * @param {number} config.maxRetries - Retries per request (default: 3)
+   * @param {number} config.retryDelay - Initial retry delay in ms (default: 200)
+   * @throws {Error} If account or container is not provided
+   * @throws {Error} If neither accountKey nor sasToken is provided
+   * @throws {Error} If prefix contains path traversal sequences
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.account || !config.container) {
+      throw new Error('account and container are required for AzureBlobStorage');
+    }
+    if (!config.accountKey && !config.sasToken) {
+      throw new Error('accountKey or sasToken is required for AzureBlobStorage');
+    }
+
+    this.account = config.account;
+    this.container = config.container;
+    this.endpoint = (config.endpoint || `https://${this.account}.blob.core.windows.net`).replace(/\/$/, '');
+    this.prefix = this._validatePrefix(config.prefix || '');
+    this.accessTier = config.accessTier || null;
+    this.customMetadata = config.metadata || {};
+    this.sasToken = config.sasToken ? config.sasToken.replace(/^\?/, '') : null;
+
+    // Block settings
+    this.singleUploadThreshold = config.singleUploadThreshold || DEFAULT_SINGLE_UPLOAD_THRESHOLD;
+    this.blockSize = config.blockSize || DEFAULT_BLOCK_SIZE;
+    this.queueSize = config.queueSize || DEFAULT_QUEUE_SIZE;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : DEFAULT_RETRY_DELAY;
+
+    // Shared Key signer (SAS requests are authorized by the token itself)
+    this.signer = config.accountKey
+      ? new AzureSharedKey({ accountName: this.account, accountKey: config.accountKey })
+      : null;
+
+    // Setup file naming
+    if (config.naming instanceof FileNaming) {
+      this.naming = config.naming;
+    } else if (typeof config.naming === 'string') {
+      this.naming = new FileNaming({ strategy: config.naming });
+    } else if (typeof config.naming === 'object') {
+      this.naming = new FileNaming(config.naming);
+    } else {
+      this.naming = new FileNaming({ strategy: 'uuid' });
+    }
+
+    // Track uploaded blobs for cleanup
+    this.uploadedBlobs = new Map();
+
+    // Track blobs with staged (uncommitted) blocks for cleanup
+    this.stagedBlobs = new Map();
+
+    // Stored blobs by context, for cleanup
+    this.storedBlobs = new WeakMap();
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (typeof this.blockSize !== 'number' || this.blockSize < 1 || this.blockSize > MAX_BLOCK_SIZE) {
+      throw new Error(`blockSize must be between 1 and ${MAX_BLOCK_SIZE} bytes`);
+    }
+    if (typeof this.queueSize !== 'number' || this.queueSize < 1) {
+      throw new Error('queueSize must be a positive number');
+    }
+  }
+
+  async process(context) {
+    // Generate blob name
+    const filename = this.naming.generate(
+      context.fileInfo.filename,
+      context.metadata
+    );
+
+    const blobName = this.prefix ? `${this.prefix}/${filename}` : filename;
+
+    // Validate blob name to prevent path traversal
+    this._validateBlobName(blobName);
+
+    // Track for cleanup
+    this.uploadedBlobs.set(context, blobName);
+
+    try {
+      const result = await this._uploadToAzure(
+        blobName,
+        context.stream,
+        context.fileInfo.mimeType,
+        context.metadata,
+        context
+      );
+
+      // Remove from cleanup tracking (success)
+      this.uploadedBlobs.delete(context);
+      this.storedBlobs.set(context, blobName);
+
+      return {
+        ...context,
+        storage: {
+          driver: 'azure',
+          account: this.account,
+          container: this.container,
+          blobName,
+          url: result.url,
+          etag: result.etag,
+          ...(result.blocks && { blocks: result.blocks })
+        }
+      };
+
+    } catch (error) {
+      // Cleanup will be called by PipelineManager
+      throw error;
+    }
+  }
+
+  async cleanup(context, error) {
+    // Discard staged blocks of an uncommitted block blob
+    const staged = this.stagedBlobs.get(context);
+    if (staged) {
+      this.stagedBlobs.delete(context);
+      this.uploadedBlobs.delete(context);
+      try {
+        await this._discardUncommittedBlocks(staged);
+      } catch (err) {
+        logger.error('Failed to discard Azure uncommitted blocks', {
+          blobName: staged,
+          container: this.container,
+          error: err.message
+        });
+      }
+      return;
+    }
+
+    // Get uploaded blob (or the blob of a completed copy)
+    const blobName = this.uploadedBlobs.get(context) || this.storedBlobs.get(context);
+    if (!blobName) return;
+
+    try {
+      await this._deleteBlob(blobName);
+    } catch (err) {
+      logger.error('Failed to cleanup Azure blob', { blobName, container: this.container, error: err.message });
+    }
+
+    this.uploadedBlobs.delete(context);
+    this.storedBlobs.delete(context);
+  }
+
+  /**
+   * Upload stream to Azure, choosing Put Blob or staged blocks
+   *
+   * @param {string} blobName - Blob name
+   * @param {stream.Readable} stream - File stream
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Additional metadata
+   * @param {Object} context - Upload context (tracks staged blocks for cleanup)
+   * @returns {Promise<Object>} - { url, etag, blocks? }
+   */
+  async _uploadToAzure(blobName, stream, contentType, metadata, context = null) {
+    const headers = this._buildBlobHeaders(contentType, metadata);
+    const iterator = stream[Symbol.asyncIterator]();
+
+    // Buffer up to the threshold to decide between Put Blob and blocks
+    const buffered = [];
+    let bufferedLength = 0;
+
+    while (bufferedLength <= this.singleUploadThreshold) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        return this._putBlob(blobName, Buffer.concat(buffered, bufferedLength), headers);
+      }
+      buffered.push(value);
+      bufferedLength += value.length;
+    }
+
+    return this._blockUpload(blobName, buffered, iterator, headers, context);
+  }
+
+  /**
+   * Build blob headers (content type, access tier, metadata)
+   *
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Metadata from context
+   * @returns {Object}
+   */
+  _buildBlobHeaders(contentType, metadata) {
+    const headers = {
+      'x-ms-blob-content-type': contentType || 'application/octet-stream'
+    };
+
+    if (this.accessTier) {
+      headers['x-ms-access-tier'] = this.accessTier;
+    }
+
+    const blobMetadata = { ...this.customMetadata };
+
+    // Add metadata from context
+    if (metadata.hash) {
+      blobMetadata.hash = metadata.hash;
+      blobMetadata.hashalgorithm = metadata.hashAlgorithm;
+    }
+    if (metadata.dimensions) {
+      blobMetadata.width = metadata.dimensions.width.toString();
+      blobMetadata.height = metadata.dimensions.height.toString();
+    }
+    if (metadata.detectedMimeType) {
+      blobMetadata.detectedmimetype = metadata.detectedMimeType;
+    }
+
+    for (const [name, value] of Object.entries(blobMetadata)) {
+      if (value === undefined || value === null) continue;
+      if (!METADATA_NAME.test(name)) {
+        throw new Error(`Invalid Azure blob metadata name: ${name}`);
+      }
+      // Header values must be ASCII
+      headers[`x-ms-meta-${name}`] = /^[\x20-\x7E]*$/.test(String(value))
+        ? String(value)
+        : encodeURIComponent(String(value));
+    }
+
+    return headers;
+  }
+
+  /**
+   * Upload a buffered blob with a single Put Blob
+   *
+   * @param {string} blobName - Blob name
+   * @param {Buffer} body - Blob content
+   * @param {Object} headers - Blob headers
+   * @returns {Promise<Object>} - { url, etag }
+   */
+  async _putBlob(blobName, body, headers) {
+    const res = await this._withRetry(() => this._request('PUT', this._buildUrl(blobName), {
+      headers: { ...headers, 'x-ms-blob-type': 'BlockBlob' },
+      body
+    }), `PutBlob ${blobName}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('Azure upload failed', res);
+    }
+
+    return {
+      url: this._buildUrl(blobName),
+      etag: this._parseEtag(res.headers['etag'])
+    };
+  }
+
+  /**
+   * Upload in blocks: Put Block × N → Put Block List
+   *
+   * @param {string} blobName - Blob name
+   * @param {Array<Buffer>} buffered - Chunks already read from the stream
+   * @param {AsyncIterator<Buffer>} iterator - Rest of the stream
+   * @param {Object} headers - Blob headers (applied on commit)
+   * @param {Object} context - Upload context for cleanup tracking
+   * @returns {Promise<Object>} - { url, etag, blocks }
+   */
+  async _blockUpload(blobName, buffered, iterator, headers, context) {
+    if (context) {
+      this.stagedBlobs.set(context, blobName);
+    }
+
+    const blockIds = [];
+    const inFlight = new Set();
+    let failure = null;
+    let pending = [];
+    let pendingLength = 0;
+
+    const startBlock = (body) => {
+      if (blockIds.length >= MAX_BLOCKS) {
+        throw new Error(`Azure block blob exceeds ${MAX_BLOCKS} blocks; increase blockSize`);
+      }
+
+      const blockId = this._blockId(blockIds.length);
+      blockIds.push(blockId);
+
+      const promise = this._putBlock(blobName, blockId, body)
+        .catch((err) => {
+          failure = failure || err;
+        })
+        .finally(() => {
+          inFlight.delete(promise);
+        });
+      inFlight.add(promise);
+    };
+
+    const addChunk = async (chunk) => {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      while (pendingLength >= this.blockSize) {
+        const data = Buffer.concat(pending, pendingLength);
+        startBlock(data.slice(0, this.blockSize));
+        pending = [data.slice(this.blockSize)];
+        pendingLength = pending[0].length;
+
+        // Bounded buffering: stop reading until a slot frees up
+        while (inFlight.size >= this.queueSize && !failure) {
+          await Promise.race(inFlight);
+        }
+        if (failure) throw failure;
+      }
+    };
+
+    try {
+      for (const chunk of buffered) {
+        await addChunk(chunk);
+      }
+
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        await addChunk(value);
+      }
+
+      // Last block may be smaller than blockSize
+      if (pendingLength > 0 || blockIds.length === 0) {
+        startBlock(Buffer.concat(pending, pendingLength));
+      }
+
+      await Promise.all(inFlight);
+      if (failure) throw failure;
+    } catch (error) {
+      // Let in-flight blocks settle before cleanup discards them
+      await Promise.all(inFlight);
+      if (typeof iterator.return === 'function') {
+        await iterator.return().catch(() => {});
+      }
+      throw error;
+    }
+
+    const etag = await this._putBlockList(blobName, blockIds, headers);
+
+    if (context) {
+      this.stagedBlobs.delete(context);
+    }
+
+    return {
+      url: this._buildUrl(blobName),
+      etag,
+      blocks: blockIds.length
+    };
+  }
+
+  /**
+   * Put Block (retried)
+   *
+   * @param {string} blobName
+   * @param {string} blockId - Base64 block ID
+   * @param {Buffer} body - Block content
+   * @returns {Promise<void>}
+   */
+  async _putBlock(blobName, blockId, body) {
+    const url = `${this._buildUrl(blobName)}?comp=block&blockid=${encodeURIComponent(blockId)}`;
+
+    const res = await this._withRetry(() => this._request('PUT', url, { body }), `PutBlock ${blockId} ${blobName}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError(`Azure PutBlock ${blockId} failed`, res);
+    }
+  }
+
+  /**
+   * Put Block List: commit staged blocks in order
+   *
+   * @param {string} blobName
+   * @param {Array<string>} blockIds - Block IDs in order
+   * @param {Object} headers - Blob headers (content type, tier, metadata)
+   * @returns {Promise<string>} - Blob ETag
+   */
+  async _putBlockList(blobName, blockIds, headers) {
+    const body = '<?xml version="1.0" encoding="utf-8"?><BlockList>' +
+      blockIds.map(id => `<Latest>${id}</Latest>`).join('') +
+      '</BlockList>';
+
+    const res = await this._withRetry(() => this._request('PUT', `${this._buildUrl(blobName)}?comp=blocklist`, {
+      headers: { ...headers, 'Content-Type': 'application/xml' },
+      body
+    }), `PutBlockList ${blobName}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('Azure PutBlockList failed', res);
+    }
+
+    return this._parseEtag(res.headers['etag']);
+  }
+
+  /**
+   * Discard uncommitted blocks
+   *
+   * Azure has no call to delete uncommitted blocks: commit an empty block
+   * list (only if no blob exists yet, so an existing blob is never
+   * replaced) and delete the resulting empty blob. Blocks staged against
+   * an existing blob expire after a week.
+   *
+   * @param {string} blobName
+   * @returns {Promise<void>}
+   */
+  async _discardUncommittedBlocks(blobName) {
+    const res = await this._withRetry(() => this._request('PUT', `${this._buildUrl(blobName)}?comp=blocklist`, {
+      headers: { 'Content-Type': 'application/xml', 'If-None-Match': '*' },
+      body: '<?xml version="1.0" encoding="utf-8"?><BlockList></BlockList>'
+    }), `DiscardBlocks ${blobName}`);
+
+    // 409/412: a committed blob already exists under this name
+    if (res.statusCode === 409 || res.statusCode === 412) {
+      logger.debug('Azure blob exists, leaving uncommitted blocks to expire', { blobName, container: this.container });
+      return;
+    }
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('Azure PutBlockList failed', res);
+    }
+
+    await this._deleteBlob(blobName);
+  }
+
+  /**
+   * Delete a blob and its snapshots
+   *
+   * @param {string} blobName
+   * @returns {Promise<void>}
+   */
+  async _deleteBlob(blobName) {
+    const res = await this._request('DELETE', this._buildUrl(blobName), {
+      headers: { 'x-ms-delete-snapshots': 'include' }
+    });
+
+    // 404: blob already gone
+    if ((res.statusCode < 200 || res.statusCode >= 300) && res.statusCode !== 404) {
+      throw new Error(`Azure delete failed: ${res.statusCode}`);
+    }
+  }
+
+  /**
+   * Send an authorized request and collect the response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL (without SAS token)
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers
+   * @param {Buffer|string} options.body - Request body (optional)
+   * @returns {Promise<Object>} - { statusCode, statusMessage, headers, body }
+   */
+  _request(method, url, options = {}) {
+    return new Promise((resolve, reject) => {
+      const body = options.body !== undefined ? options.body : null;
+      const headers = { ...options.headers };
+
+      headers['Content-Length'] = (body !== null ? Buffer.byteLength(body) : 0).toString();
+
+      let requestHeaders;
+      if (this.signer) {
+        requestHeaders = this.signer.sign({ method, url, headers });
+      } else {
+        url += (url.includes('?') ? '&' : '?') + this.sasToken;
+        requestHeaders = {
+          ...headers,
+          'x-ms-date': new Date().toUTCString(),
+          'x-ms-version': AzureSharedKey.API_VERSION
+        };
+      }
+
+      const urlObj = new URL(url);
+      const isHttps = urlObj.protocol === 'https:';
+      const client = isHttps ? https : http;
+
+      const req = client.request({
+        method,
+        hostname: urlObj.hostname,
+        port: urlObj.port || (isHttps ? 443 : 80),
+        path: urlObj.pathname + urlObj.search,
+        headers: requestHeaders
+      }, (res) => {
+        const chunks = [];
+
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+        res.on('error', reject);
+      });
+
+      req.on('error', (err) => {
+        const error = new Error(`Azure request failed: ${err.message}`);
+        error.code = err.code;
+        reject(error);
+      });
+
+      req.end(body !== null ? body : undefined);
+    });
+  }
+
+  /**
+   * Retry transient failures (network errors, 5xx, 429) with exponential backoff
+   *
+   * @param {Function} fn - Returns a promise of a response
+   * @param {string} operation - Description for logging
+   * @returns {Promise<Object>} - Last response
+   */
+  async _withRetry(fn, operation) {
+    let attempt = 0;
+
+    while (true) {
+      let res = null;
+      let error = null;
+
+      try {
+        res = await fn();
+      } catch (err) {
+        error = err;
+      }
+
+      const retryable = error || res.statusCode >= 500 || res.statusCode === 429;
+      if (!retryable || attempt >= this.maxRetries) {
+        if (error) throw error;
+        return res;
+      }
+
+      const delay = this.retryDelay * Math.pow(2, attempt);
+      attempt++;
+      logger.warn('Retrying Azure request', {
+        operation,
+        attempt,
+        delay,
+        reason: error ? error.message : res.statusCode
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Build an error from a failed response
+   *
+   * @private
+   */
+  _responseError(message, res) {
+    const error = new Error(`${message}: ${res.statusCode} ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.azureCode = res.headers['x-ms-error-code'] || null;
+    error.body = res.body;
+    return error;
+  }
+
+  /**
+   * Strip quotes from an ETag
+   *
+   * @private
+   */
+  _parseEtag(etag) {
+    return etag ? etag.replace(/"/g, '') : null;
+  }
+
+  /**
+   * Block ID for a block index (IDs of a blob must have equal length)
+   *
+   * @private
+   */
+  _blockId(index) {
+    return Buffer.from(`block-${String(index).padStart(6, '0')}`).toString('base64');
+  }
+
+  /**
+   * Build blob URL (API requests and public URL)
+   *
+   * @param {string} blobName - Blob name
+   * @returns {string}
+   */
+  _buildUrl(blobName) {
+    // Encode each path segment separately to preserve '/' hierarchy
+    const encodedName = blobName.split('/').map(encodeURIComponent).join('/');
+    return `${this.endpoint}/${this.container}/${encodedName}`;
+  }
+
+  /**
+   * Generate a SAS URL for direct browser upload or download
+   *
+   * @param {string} blobName - Blob name
+   * @param {Object} options
+   * @param {number} options.expiresIn - Expiration in seconds (default: 3600)
+   * @param {string} options.permissions - Permissions in order 'racwd' (default: 'r')
+   * @returns {string} - URL with SAS token
+   * @throws {Error} Without accountKey
+   */
+  generateSasUrl(blobName, options = {}) {
+    if (!this.signer) {
+      throw new Error('generateSasUrl requires accountKey');
+    }
+
+    const sas = this.signer.generateBlobSas({
+      container: this.container,
+      blobName,
+      permissions: options.permissions,
+      expiresIn: options.expiresIn
+    });
+
+    return `${this._buildUrl(blobName)}?${sas}`;
+  }
+
+  /**
+   * Validate prefix to prevent path traversal
+   *
+   * @private
+   * @param {string} prefix
+   * @returns {string} - Validated prefix
+   * @throws {Error} - If prefix contains path traversal
+   */
+  _validatePrefix(prefix) {
+    if (!prefix) return '';
+
+    // Normalize and check for path traversal
+    const normalized = prefix.replace(/\\/g, '/').replace(/\/+/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error('Azure prefix cannot contain path traversal sequences (..)');
+    }
+
+    // Remove leading/trailing slashes
+    return normalized.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Validate blob name to prevent path traversal
+   *
+   * @private
+   * @param {string} blobName
+   * @throws {Error} - If blob name contains path traversal
+   */
+  _validateBlobName(blobName) {
+    if (!blobName) {
+      throw new Error('Azure blob name cannot be empty');
+    }
+
+    const normalized = blobName.replace(/\\/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error(`Invalid Azure blob name: path traversal detected (${blobName})`);
+    }
+
+    if (normalized.startsWith('/')) {
+      throw new Error(`Invalid Azure blob name: absolute paths not allowed (${blobName})`);
+    }
+
+    if (this.prefix && !normalized.startsWith(this.prefix + '/')) {
+      throw new Error(`Invalid Azure blob name: must be within prefix '${this.prefix}' (${blobName})`);
+    }
+  }
+}
+
+module.exports = AzureBlobStorage;
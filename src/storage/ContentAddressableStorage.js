@@ -0,0 +1,408 @@
+/**
+ * ContentAddressableStorage - Deduplicate files by content digest
+ *
+ * Wraps another storage plugin. Each file is written to a local temp file
+ * while its digest is computed in-stream, then committed to the wrapped
+ * storage under `<algorithm>/<ab>/<cd>/<digest>`, or discarded if a file
+ * with the same content is already stored.
+ *
+ * Zero Dependency: Uses only native crypto, fs and stream modules
+ *
+ * Features:
+ * - Works with any storage plugin (takes over its naming: the file name is the content address)
+ * - Reference counts in a durable Store (FileStore, RedisStore); an in-memory
+ *   store is only allowed for MemoryStorage, whose files are lost with it
+ * - delete() only removes the stored file when its last reference goes
+ * - Uploads and deletes of the same content in this process run one at a time;
+ *   a delete marks the record in the Store so uploads elsewhere wait for it
+ *   (the mark expires after deleteTimeout, in case the deleting process died)
+ *
+ * Flow:
+ * 1. Stream to temp file, hashing every chunk
+ * 2. Reference exists → increment it, delete temp file
+ * 3. Otherwise → stream temp file into the wrapped storage, create reference
+ *
+ * @module storage/ContentAddressableStorage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const Plugin = require('../core/Plugin');
+const FileNaming = require('../utils/FileNaming');
+const MemoryStore = require('../stores/MemoryStore');
+const MemoryStorage = require('./MemoryStorage');
+const { getLogger } = require('../observability/Logger');
+
+const logger = getLogger('ContentAddressableStorage');
+
+const DEFAULT_ALGORITHM = 'sha256';
+const STORE_KEY_PREFIX = 'cas:';
+const MAX_STORE_RETRIES = 20; // compareAndSet attempts under contention
+const DELETE_POLL_MS = 50; // Wait between checks for a delete in another process
+const DEFAULT_DELETE_TIMEOUT = 30000; // 30s
+
+/**
+ * Names files by the content address the wrapper puts in metadata
+ *
+ * @private
+ */
+class ContentAddressNaming extends FileNaming {
+  generate(originalFilename, metadata = {}) {
+    if (!metadata.contentAddress) {
+      throw new Error('Content address missing from metadata');
+    }
+    return metadata.contentAddress;
+  }
+}
+
+class ContentAddressableStorage extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {Plugin} config.storage - Storage plugin that holds the files; its naming is
+   *   replaced, so it must not be used directly or wrapped twice
+   * @param {string} config.algorithm - Digest algorithm (default: 'sha256')
+   * @param {Store} config.store - Durable, non-evicting store for reference counts; required
+   *   unless storage is a MemoryStorage (default then: new MemoryStore without eviction)
+   * @param {string} config.tempDir - Directory for temp files (default: os.tmpdir())
+   * @param {number} config.deleteTimeout - Max ms a delete may take before its tombstone
+   *   expires and uploads of the same content stop waiting for it (default: 30000)
+   * @throws {Error} If storage is not a storage plugin
+   * @throws {Error} If store is missing for a persistent storage
+   * @throws {Error} If storage is already wrapped by another ContentAddressableStorage
+   * @throws {Error} If the algorithm is not supported
+   */
+  constructor(config = {}) {
+    super(config);
+
+    if (!config.storage || typeof config.storage.process !== 'function') {
+      throw new Error('storage is required for ContentAddressableStorage');
+    }
+    if (config.storage.naming instanceof ContentAddressNaming) {
+      throw new Error(`${config.storage.name} is already wrapped by a ContentAddressableStorage`);
+    }
+
+    // Lost or evicted counts would let delete() remove files still referenced
+    if (!config.store && !(config.storage instanceof MemoryStorage)) {
+      throw new Error('store is required for ContentAddressableStorage unless storage is a MemoryStorage');
+    }
+
+    this.storage = config.storage;
+    this.algorithm = config.algorithm || DEFAULT_ALGORITHM;
+    this.ownsStore = !config.store;
+    this.store = config.store || new MemoryStore({ maxEntries: Infinity });
+    this.tempDir = config.tempDir || os.tmpdir();
+    this.deleteTimeout = config.deleteTimeout || DEFAULT_DELETE_TIMEOUT;
+
+    // The wrapped storage names files by their content address
+    this.storage.naming = new ContentAddressNaming();
+
+    // Temp files of in-flight uploads, for cleanup
+    this.tempFiles = new Map();
+
+    // Addresses referenced by completed uploads by context, for cleanup
+    this.references = new WeakMap();
+
+    // Uploads and deletes in flight in this process, by address
+    this.commits = new Map();
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (!crypto.getHashes().includes(this.algorithm)) {
+      throw new Error(`Unsupported hash algorithm: ${this.algorithm}`);
+    }
+    if (typeof this.deleteTimeout !== 'number' || this.deleteTimeout <= 0) {
+      throw new Error('deleteTimeout must be a positive number');
+    }
+  }
+
+  async initialize() {
+    await this.store.initialize();
+    await this.storage.initialize();
+  }
+
+  async shutdown() {
+    await this.storage.shutdown();
+    if (this.ownsStore) {
+      await this.store.close();
+    }
+  }
+
+  async process(context) {
+    const tempPath = path.join(this.tempDir, `fluxupload-cas-${crypto.randomUUID()}.tmp`);
+    this.tempFiles.set(context, tempPath);
+
+    // Write to temp file, hashing in-stream
+    const hash = crypto.createHash(this.algorithm);
+    const hasher = new Transform({
+      transform(chunk, encoding, callback) {
+        hash.update(chunk);
+        callback(null, chunk);
+      }
+    });
+    await pipeline(context.stream, hasher, fs.createWriteStream(tempPath));
+
+    const digest = hash.digest('hex');
+    const address = this.getAddress(digest);
+    const metadata = {
+      ...context.metadata,
+      hash: digest,
+      hashAlgorithm: this.algorithm
+    };
+
+    const { record, deduplicated } = await this._exclusive(address, async () => {
+      const existing = await this._updateReference(address, (current) => (
+        current ? { ...current, refs: current.refs + 1 } : null
+      ));
+
+      if (existing) {
+        return { record: existing, deduplicated: true };
+      }
+      return { record: await this._commit(context, tempPath, address, metadata), deduplicated: false };
+    });
+
+    this.references.set(context, address);
+    await this._removeTempFile(context);
+
+    return {
+      ...context,
+      metadata,
+      storage: {
+        ...record.storage,
+        address,
+        digest,
+        algorithm: this.algorithm,
+        deduplicated,
+        refs: record.refs
+      }
+    };
+  }
+
+  async cleanup(context, error) {
+    await this._removeTempFile(context);
+
+    // Roll back a completed copy
+    const address = this.references.get(context);
+    if (address) {
+      this.references.delete(context);
+      try {
+        await this.delete(address);
+      } catch (err) {
+        logger.error('Failed to release content reference', { address, error: err.message });
+      }
+    }
+  }
+
+  /**
+   * Content address of a digest
+   *
+   * @param {string} digest - Hex digest
+   * @returns {string} - `<algorithm>/<ab>/<cd>/<digest>`
+   */
+  getAddress(digest) {
+    return `${this.algorithm}/${digest.slice(0, 2)}/${digest.slice(2, 4)}/${digest}`;
+  }
+
+  /**
+   * Get the reference record of an address
+   *
+   * @param {string} address
+   * @returns {Promise<Object|null>} - { refs, storage } or null
+   */
+  async get(address) {
+    const record = await this.store.get(STORE_KEY_PREFIX + address);
+    return record && !record.deleting ? record : null;
+  }
+
+  /**
+   * Release one reference; remove the stored file when it was the last
+   *
+   * Requires the wrapped storage to implement delete(key), as LocalStorage
+   * and MemoryStorage do.
+   *
+   * @param {string} address - Content address (storage.address of a result)
+   * @returns {Promise<boolean>} - True if the stored file was removed
+   */
+  async delete(address) {
+    if (typeof this.storage.delete !== 'function') {
+      throw new Error(`${this.storage.name} does not support delete()`);
+    }
+
+    return this._exclusive(address, async () => {
+      // The last reference turns the record into a tombstone, so only this
+      // call removes the file and uploads elsewhere wait until it is gone
+      const record = await this._updateReference(address, (current) => {
+        if (!current) return null;
+        return current.refs > 1
+          ? { ...current, refs: current.refs - 1 }
+          : { ...current, refs: 0, deleting: true, deletingAt: Date.now() };
+      });
+
+      if (!record || !record.deleting) {
+        return false;
+      }
+
+      try {
+        await this.storage.delete(address);
+      } finally {
+        await this.store.compareAndSet(STORE_KEY_PREFIX + address, record, null);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Run an upload or delete of an address after those in flight in this process
+   *
+   * @private
+   * @param {string} address
+   * @param {Function} task - async () => result
+   * @returns {Promise<*>} - Result of the task
+   */
+  async _exclusive(address, task) {
+    while (this.commits.has(address)) {
+      await this.commits.get(address).catch(() => {});
+    }
+
+    const promise = task();
+    this.commits.set(address, promise);
+    try {
+      return await promise;
+    } finally {
+      this.commits.delete(address);
+    }
+  }
+
+  /**
+   * Store the temp file in the wrapped storage and create its reference
+   *
+   * @private
+   * @returns {Promise<Object>} - Reference record
+   */
+  async _commit(context, tempPath, address, metadata) {
+    const storageContext = {
+      ...context,
+      stream: fs.createReadStream(tempPath),
+      metadata: { ...metadata, contentAddress: address }
+    };
+
+    let result;
+    try {
+      result = await this.storage.process(storageContext);
+    } catch (error) {
+      await this.storage.cleanup(storageContext, error);
+      throw error;
+    } finally {
+      // The temp file is removed next; close it if storage did not read it to the end
+      const stream = storageContext.stream;
+      if (!stream.destroyed) {
+        const closed = new Promise(resolve => stream.once('close', resolve));
+        stream.destroy();
+        await closed;
+      }
+    }
+
+    // Another process may have stored the same content meanwhile
+    return this._updateReference(address, (current) => (
+      current
+        ? { ...current, refs: current.refs + 1 }
+        : { refs: 1, storage: serializable(result.storage) }
+    ));
+  }
+
+  /**
+   * Read-modify-write a reference record with compareAndSet()
+   *
+   * Waits while another process deletes the file (the record is a tombstone);
+   * tombstones older than deleteTimeout count as absent. Tombstones are
+   * written with deleteTimeout as TTL.
+   *
+   * @private
+   * @param {string} address
+   * @param {Function} update - (record|null) => new record, or null to skip the write
+   * @returns {Promise<Object|null>} - Record after the update
+   * @throws {Error} If a delete elsewhere does not finish in time (503)
+   */
+  async _updateReference(address, update) {
+    const storeKey = STORE_KEY_PREFIX + address;
+    const waitUntil = Date.now() + this.deleteTimeout;
+    let attempts = 0;
+
+    while (attempts < MAX_STORE_RETRIES) {
+      const current = await this.store.get(storeKey);
+
+      if (current && current.deleting && !this._isStale(current)) {
+        if (Date.now() >= waitUntil) {
+          const error = new Error(`Timed out waiting for content ${address} to be deleted`);
+          error.code = 'CONTENT_DELETE_TIMEOUT';
+          error.statusCode = 503;
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, DELETE_POLL_MS));
+        continue;
+      }
+
+      const record = update(current && current.deleting ? null : current);
+
+      if (!record) {
+        return null;
+      }
+
+      const options = record.deleting ? { ttl: this.deleteTimeout } : {};
+      if (await this.store.compareAndSet(storeKey, current, record, options)) {
+        return record;
+      }
+      attempts++;
+    }
+
+    throw new Error(`Content reference for ${address} is under too much contention`);
+  }
+
+  /**
+   * Whether a tombstone outlived deleteTimeout (its process likely died)
+   *
+   * @private
+   */
+  _isStale(record) {
+    return Date.now() - (record.deletingAt || 0) >= this.deleteTimeout;
+  }
+
+  /**
+   * @private
+   */
+  async _removeTempFile(context) {
+    const tempPath = this.tempFiles.get(context);
+    if (!tempPath) return;
+
+    this.tempFiles.delete(context);
+    try {
+      await fs.promises.unlink(tempPath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') {
+        logger.error('Failed to cleanup temp file', { tempPath, error: err.message });
+      }
+    }
+  }
+}
+
+/**
+ * Storage result without Buffers (store values must be JSON-serializable)
+ *
+ * @private
+ */
+function serializable(storage) {
+  const result = {};
+  for (const [key, value] of Object.entries(storage || {})) {
+    if (!Buffer.isBuffer(value)) {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+module.exports = ContentAddressableStorage;
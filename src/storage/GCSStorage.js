@@ -0,0 +1,633 @@
+/**
+ * GCSStorage - Upload files to Google Cloud Storage
+ *
+ * Zero Dependency: Uses native https module and service account JWTs
+ * signed with native crypto. No @google-cloud/storage required!
+ *
+ * Features:
+ * - Resumable upload sessions, streamed in chunks with Content-Range
+ * - Resumes a session after transient failures (network errors, 5xx, 429)
+ * - Object metadata from the upload context
+ * - Automatic cleanup on failure (cancels the session or deletes the object)
+ *
+ * Upload Strategy:
+ * 1. Start a resumable session (POST ...?uploadType=resumable)
+ * 2. PUT chunks of chunkSize bytes with `Content-Range: bytes a-b/*`;
+ *    GCS answers 308 with the persisted Range
+ * 3. PUT the last chunk with the total size; GCS answers with the object
+ *
+ * On a transient failure the session status is queried
+ * (`Content-Range: bytes *\/*`) and the upload continues from the last
+ * persisted byte. Memory is bounded to about two chunks.
+ */
+
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+const Plugin = require('../core/Plugin');
+const GoogleServiceAccount = require('../utils/GoogleServiceAccount');
+const FileNaming = require('../utils/FileNaming');
+const { getLogger } = require('../observability/Logger');
+
+const logger = getLogger('GCSStorage');
+
+// Resumable upload constants (chunks other than the last must be multiples of 256KiB)
+const CHUNK_GRANULARITY = 256 * 1024;
+const DEFAULT_CHUNK_SIZE = 8 * 1024 * 1024; // 8MB
+const DEFAULT_ENDPOINT = 'https://storage.googleapis.com';
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 200; // ms, doubled on each retry
+
+class GCSStorage extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {string} config.bucket - Bucket name
+   * @param {Object} config.credentials - Service account key ({ client_email, private_key, token_uri })
+   * @param {string} config.keyFilename - Path to the service account key JSON (instead of credentials)
+   * @param {string} config.endpoint - Custom endpoint (optional, for emulators)
+   * @param {string} config.prefix - Object name prefix (folder path)
+   * @param {string|Object} config.naming - Naming strategy
+   * @param {Object} config.metadata - Custom object metadata
+   * @param {string} config.predefinedAcl - Predefined ACL (private, publicRead, etc.; optional)
+   * @param {string} config.storageClass - Storage class (STANDARD, NEARLINE, etc.; optional)
+   * @param {number} config.chunkSize - Chunk size (default: 8MB, multiple of 256KiB)
+   * @param {number} config.maxRetries - Retries per request (default: 3)
+   * @param {number} config.retryDelay - Initial retry delay in ms (default: 200)
+   * @throws {Error} If bucket is not provided
+   * @throws {Error} If neither credentials nor keyFilename is provided
+   * @throws {Error} If prefix contains path traversal sequences
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.bucket) {
+      throw new Error('bucket is required for GCSStorage');
+    }
+
+    this.bucket = config.bucket;
+    this.endpoint = (config.endpoint || DEFAULT_ENDPOINT).replace(/\/$/, '');
+    this.prefix = this._validatePrefix(config.prefix || '');
+    this.predefinedAcl = config.predefinedAcl || null;
+    this.storageClass = config.storageClass || null;
+    this.customMetadata = config.metadata || {};
+
+    this.chunkSize = config.chunkSize || DEFAULT_CHUNK_SIZE;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : DEFAULT_RETRY_DELAY;
+
+    // Service account access tokens
+    this.auth = new GoogleServiceAccount({
+      credentials: config.credentials,
+      keyFilename: config.keyFilename
+    });
+
+    // Setup file naming
+    if (config.naming instanceof FileNaming) {
+      this.naming = config.naming;
+    } else if (typeof config.naming === 'string') {
+      this.naming = new FileNaming({ strategy: config.naming });
+    } else if (typeof config.naming === 'object') {
+      this.naming = new FileNaming(config.naming);
+    } else {
+      this.naming = new FileNaming({ strategy: 'uuid' });
+    }
+
+    // Track uploaded keys for cleanup
+    this.uploadedKeys = new Map();
+
+    // Track open resumable sessions for cancel on cleanup
+    this.sessions = new Map();
+
+    // Stored objects by context, for cleanup
+    this.storedObjects = new WeakMap();
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (typeof this.chunkSize !== 'number' || this.chunkSize < CHUNK_GRANULARITY ||
+        this.chunkSize % CHUNK_GRANULARITY !== 0) {
+      throw new Error(`chunkSize must be a multiple of ${CHUNK_GRANULARITY} bytes`);
+    }
+  }
+
+  async process(context) {
+    // Generate object name
+    const filename = this.naming.generate(
+      context.fileInfo.filename,
+      context.metadata
+    );
+
+    const key = this.prefix ? `${this.prefix}/${filename}` : filename;
+
+    // Validate key to prevent path traversal
+    this._validateKey(key);
+
+    // Track for cleanup
+    this.uploadedKeys.set(context, key);
+
+    try {
+      const object = await this._uploadToGCS(
+        key,
+        context.stream,
+        context.fileInfo.mimeType,
+        context.metadata,
+        context
+      );
+
+      // Remove from cleanup tracking (success)
+      this.uploadedKeys.delete(context);
+      this.storedObjects.set(context, { key, generation: object.generation });
+
+      return {
+        ...context,
+        storage: {
+          driver: 'gcs',
+          bucket: this.bucket,
+          key,
+          url: this._buildPublicUrl(key),
+          generation: object.generation,
+          etag: object.etag,
+          size: object.size !== undefined ? Number(object.size) : undefined
+        }
+      };
+
+    } catch (error) {
+      // Cleanup will be called by PipelineManager
+      throw error;
+    }
+  }
+
+  async cleanup(context, error) {
+    // Cancel an open resumable session so GCS drops the uploaded bytes
+    const session = this.sessions.get(context);
+    if (session) {
+      this.sessions.delete(context);
+      this.uploadedKeys.delete(context);
+      try {
+        await this._cancelSession(session.sessionUri);
+      } catch (err) {
+        logger.error('Failed to cancel GCS upload session', {
+          key: session.key,
+          bucket: this.bucket,
+          error: err.message
+        });
+      }
+      return;
+    }
+
+    // Get uploaded key (or the object of a completed copy)
+    const stored = this.storedObjects.get(context);
+    const key = this.uploadedKeys.get(context) || (stored && stored.key);
+    if (!key) return;
+
+    try {
+      await this._deleteObject(key, stored ? stored.generation : null);
+    } catch (err) {
+      logger.error('Failed to cleanup GCS object', { key, bucket: this.bucket, error: err.message });
+    }
+
+    this.uploadedKeys.delete(context);
+    this.storedObjects.delete(context);
+  }
+
+  /**
+   * Upload stream to GCS through a resumable session
+   *
+   * @param {string} key - Object name
+   * @param {stream.Readable} stream - File stream
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Additional metadata
+   * @param {Object} context - Upload context (tracks the session for cleanup)
+   * @returns {Promise<Object>} - GCS object resource
+   */
+  async _uploadToGCS(key, stream, contentType, metadata, context = null) {
+    const sessionUri = await this._createSession(key, contentType, metadata);
+
+    if (context) {
+      this.sessions.set(context, { key, sessionUri });
+    }
+
+    const iterator = stream[Symbol.asyncIterator]();
+    let offset = 0; // Bytes persisted by GCS
+    let pending = [];
+    let pendingLength = 0;
+    let object;
+
+    try {
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+
+        pending.push(value);
+        pendingLength += value.length;
+
+        // Only send a full chunk once more data follows, so the last chunk
+        // (which carries the total size) is never empty
+        while (pendingLength > this.chunkSize) {
+          const data = Buffer.concat(pending, pendingLength);
+          const persisted = await this._putChunk(sessionUri, data.slice(0, this.chunkSize), offset, null);
+
+          // Bytes GCS did not persist are sent again with the next chunk
+          pending = [data.slice(persisted - offset)];
+          pendingLength = pending[0].length;
+          offset = persisted;
+        }
+      }
+
+      const data = Buffer.concat(pending, pendingLength);
+      object = await this._putChunk(sessionUri, data, offset, offset + data.length);
+    } catch (error) {
+      if (typeof iterator.return === 'function') {
+        await iterator.return().catch(() => {});
+      }
+      throw error;
+    }
+
+    if (context) {
+      this.sessions.delete(context);
+    }
+
+    return object;
+  }
+
+  /**
+   * Start a resumable upload session
+   *
+   * @param {string} key - Object name
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Metadata from context
+   * @returns {Promise<string>} - Session URI
+   */
+  async _createSession(key, contentType, metadata) {
+    let url = `${this.endpoint}/upload/storage/v1/b/${encodeURIComponent(this.bucket)}/o` +
+      `?uploadType=resumable&name=${encodeURIComponent(key)}`;
+    if (this.predefinedAcl) {
+      url += `&predefinedAcl=${encodeURIComponent(this.predefinedAcl)}`;
+    }
+
+    const resource = {
+      name: key,
+      contentType: contentType || 'application/octet-stream',
+      metadata: this._buildObjectMetadata(metadata)
+    };
+    if (this.storageClass) {
+      resource.storageClass = this.storageClass;
+    }
+
+    const res = await this._withRetry(() => this._request('POST', url, {
+      headers: {
+        'Content-Type': 'application/json; charset=UTF-8',
+        'X-Upload-Content-Type': resource.contentType
+      },
+      body: JSON.stringify(resource)
+    }), `CreateSession ${key}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('GCS resumable session failed', res);
+    }
+
+    const sessionUri = res.headers['location'];
+    if (!sessionUri) {
+      throw new Error('GCS resumable session response missing Location');
+    }
+
+    return sessionUri;
+  }
+
+  /**
+   * Build custom object metadata (config and upload context)
+   *
+   * @param {Object} metadata - Metadata from context
+   * @returns {Object}
+   */
+  _buildObjectMetadata(metadata) {
+    const objectMetadata = { ...this.customMetadata };
+
+    if (metadata.hash) {
+      objectMetadata['hash'] = metadata.hash;
+      objectMetadata['hash-algorithm'] = metadata.hashAlgorithm;
+    }
+    if (metadata.dimensions) {
+      objectMetadata['width'] = metadata.dimensions.width.toString();
+      objectMetadata['height'] = metadata.dimensions.height.toString();
+    }
+    if (metadata.detectedMimeType) {
+      objectMetadata['detected-mime-type'] = metadata.detectedMimeType;
+    }
+
+    return objectMetadata;
+  }
+
+  /**
+   * Upload bytes [offset, offset + body.length) of a session
+   *
+   * Transient failures are retried from the last byte GCS persisted.
+   *
+   * @param {string} sessionUri
+   * @param {Buffer} body - Chunk content
+   * @param {number} offset - Position of the chunk
+   * @param {number|null} total - Object size for the last chunk, else null
+   * @returns {Promise<number|Object>} - Persisted byte count, or the object
+   *   resource once the upload completed (last chunk)
+   */
+  async _putChunk(sessionUri, body, offset, total) {
+    let attempt = 0;
+    let resume = false;
+
+    while (true) {
+      let res = null;
+      let error = null;
+
+      try {
+        if (resume) {
+          // Ask GCS how much it persisted, then send the rest of the chunk
+          res = await this._request('PUT', sessionUri, {
+            headers: { 'Content-Range': `bytes */${total === null ? '*' : total}` }
+          });
+        } else {
+          res = await this._request('PUT', sessionUri, {
+            headers: { 'Content-Range': contentRange(offset, body.length, total) },
+            body
+          });
+        }
+      } catch (err) {
+        error = err;
+      }
+
+      if (res && (res.statusCode === 200 || res.statusCode === 201)) {
+        return parseJson(res.body);
+      }
+
+      if (res && res.statusCode === 308) {
+        resume = false;
+        const persisted = parsePersisted(res.headers['range']);
+        const skip = Math.max(0, Math.min(persisted - offset, body.length));
+        body = body.slice(skip);
+        offset += skip;
+
+        // The last chunk is complete only once GCS returns the object,
+        // so send whatever it did not persist again
+        if (total === null) return offset;
+        continue;
+      }
+
+      const retryable = error || res.statusCode >= 500 || res.statusCode === 429;
+      if (!retryable || attempt >= this.maxRetries) {
+        if (error) throw error;
+        throw this._responseError('GCS chunk upload failed', res);
+      }
+
+      const delay = this.retryDelay * Math.pow(2, attempt);
+      attempt++;
+      logger.warn('Resuming GCS upload', {
+        attempt,
+        delay,
+        offset,
+        reason: error ? error.message : res.statusCode
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+      resume = true;
+    }
+  }
+
+  /**
+   * Cancel a resumable session
+   *
+   * @param {string} sessionUri
+   * @returns {Promise<void>}
+   */
+  async _cancelSession(sessionUri) {
+    const res = await this._request('DELETE', sessionUri);
+
+    // 499: cancelled; 404/410: session already gone
+    if ((res.statusCode < 200 || res.statusCode >= 300) && ![404, 410, 499].includes(res.statusCode)) {
+      throw this._responseError('GCS session cancel failed', res);
+    }
+  }
+
+  /**
+   * Delete an object
+   *
+   * @param {string} key - Object name
+   * @param {string} generation - Only delete this generation (optional)
+   * @returns {Promise<void>}
+   */
+  async _deleteObject(key, generation = null) {
+    let url = `${this.endpoint}/storage/v1/b/${encodeURIComponent(this.bucket)}/o/${encodeURIComponent(key)}`;
+    if (generation) {
+      url += `?ifGenerationMatch=${encodeURIComponent(generation)}`;
+    }
+
+    const res = await this._withRetry(() => this._request('DELETE', url), `DeleteObject ${key}`);
+
+    // 404: object already gone; 412: replaced by a newer upload
+    if ((res.statusCode < 200 || res.statusCode >= 300) && res.statusCode !== 404 && res.statusCode !== 412) {
+      throw new Error(`GCS delete failed: ${res.statusCode}`);
+    }
+  }
+
+  /**
+   * Send an authorized request and collect the response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers
+   * @param {Buffer|string} options.body - Request body (optional)
+   * @returns {Promise<Object>} - { statusCode, statusMessage, headers, body }
+   */
+  async _request(method, url, options = {}) {
+    const accessToken = await this.auth.getAccessToken();
+
+    return new Promise((resolve, reject) => {
+      const body = options.body !== undefined ? options.body : null;
+      const headers = {
+        ...options.headers,
+        'Authorization': `Bearer ${accessToken}`,
+        'Content-Length': (body !== null ? Buffer.byteLength(body) : 0).toString()
+      };
+
+      const urlObj = new URL(url);
+      const isHttps = urlObj.protocol === 'https:';
+      const client = isHttps ? https : http;
+
+      const req = client.request({
+        method,
+        hostname: urlObj.hostname,
+        port: urlObj.port || (isHttps ? 443 : 80),
+        path: urlObj.pathname + urlObj.search,
+        headers
+      }, (res) => {
+        const chunks = [];
+
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+        res.on('error', reject);
+      });
+
+      req.on('error', (err) => {
+        const error = new Error(`GCS request failed: ${err.message}`);
+        error.code = err.code;
+        reject(error);
+      });
+
+      req.end(body !== null ? body : undefined);
+    });
+  }
+
+  /**
+   * Retry transient failures (network errors, 5xx, 429) with exponential backoff
+   *
+   * @param {Function} fn - Returns a promise of a response
+   * @param {string} operation - Description for logging
+   * @returns {Promise<Object>} - Last response
+   */
+  async _withRetry(fn, operation) {
+    let attempt = 0;
+
+    while (true) {
+      let res = null;
+      let error = null;
+
+      try {
+        res = await fn();
+      } catch (err) {
+        error = err;
+      }
+
+      const retryable = error || res.statusCode >= 500 || res.statusCode === 429;
+      if (!retryable || attempt >= this.maxRetries) {
+        if (error) throw error;
+        return res;
+      }
+
+      const delay = this.retryDelay * Math.pow(2, attempt);
+      attempt++;
+      logger.warn('Retrying GCS request', {
+        operation,
+        attempt,
+        delay,
+        reason: error ? error.message : res.statusCode
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Build an error from a failed response
+   *
+   * @private
+   */
+  _responseError(message, res) {
+    const error = new Error(`${message}: ${res.statusCode} ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.body = res.body;
+    return error;
+  }
+
+  /**
+   * Build public URL for uploaded file
+   *
+   * @param {string} key - Object name
+   * @returns {string}
+   */
+  _buildPublicUrl(key) {
+    // Encode each path segment separately to preserve '/' hierarchy
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.endpoint}/${this.bucket}/${encodedKey}`;
+  }
+
+  /**
+   * Validate prefix to prevent path traversal
+   *
+   * @private
+   * @param {string} prefix
+   * @returns {string} - Validated prefix
+   * @throws {Error} - If prefix contains path traversal
+   */
+  _validatePrefix(prefix) {
+    if (!prefix) return '';
+
+    // Normalize and check for path traversal
+    const normalized = prefix.replace(/\\/g, '/').replace(/\/+/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error('GCS prefix cannot contain path traversal sequences (..)');
+    }
+
+    // Remove leading/trailing slashes
+    return normalized.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Validate object name to prevent path traversal
+   *
+   * @private
+   * @param {string} key
+   * @throws {Error} - If key contains path traversal
+   */
+  _validateKey(key) {
+    if (!key) {
+      throw new Error('GCS key cannot be empty');
+    }
+
+    const normalized = key.replace(/\\/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error(`Invalid GCS key: path traversal detected (${key})`);
+    }
+
+    if (normalized.startsWith('/')) {
+      throw new Error(`Invalid GCS key: absolute paths not allowed (${key})`);
+    }
+
+    if (this.prefix && !normalized.startsWith(this.prefix + '/')) {
+      throw new Error(`Invalid GCS key: must be within prefix '${this.prefix}' (${key})`);
+    }
+  }
+}
+
+/**
+ * Content-Range of a chunk: `bytes a-b/total`, `bytes a-b/*` (size unknown)
+ * or `bytes *\/total` (no bytes left to send)
+ *
+ * @private
+ */
+function contentRange(offset, length, total) {
+  const size = total === null ? '*' : total;
+  if (length === 0) {
+    return `bytes */${size}`;
+  }
+  return `bytes ${offset}-${offset + length - 1}/${size}`;
+}
+
+/**
+ * Persisted byte count from a 308 Range header (`bytes=0-N`)
+ *
+ * @private
+ */
+function parsePersisted(range) {
+  const match = /bytes=0-(\d+)/.exec(range || '');
+  return match ? parseInt(match[1], 10) + 1 : 0;
+}
+
+/**
+ * @private
+ */
+function parseJson(body) {
+  try {
+    return JSON.parse(body);
+  } catch (err) {
+    return {};
+  }
+}
+
+module.exports = GCSStorage;
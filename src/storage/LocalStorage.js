@@ -61,6 +61,9 @@ class LocalStorage extends Plugin {
 
     // Track temp files for cleanup
     this.tempFiles = new Map();
+
+    // Stored files by context, for cleanup
+    this.storedFiles = new WeakMap();
   }
 
   async initialize() {
@@ -109,6 +112,7 @@ class LocalStorage extends Plugin {
 
       // Remove from temp tracking
       this.tempFiles.delete(context);
+      this.storedFiles.set(context, finalPath);
 
       // Get file stats
       const stats = await fs.promises.stat(finalPath);
@@ -132,6 +136,19 @@ class LocalStorage extends Plugin {
   }
 
   async cleanup(context, error) {
+    // Roll back a completed copy
+    const finalPath = this.storedFiles.get(context);
+    if (finalPath) {
+      this.storedFiles.delete(context);
+      try {
+        await fs.promises.unlink(finalPath);
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          logger.error('Failed to remove stored file', { path: finalPath, error: err.message });
+        }
+      }
+    }
+
     // Get temp file path
     const tempPath = this.tempFiles.get(context);
     if (!tempPath) return;
@@ -0,0 +1,216 @@
+/**
+ * MemoryStorage - Keep uploaded files in memory
+ *
+ * Zero Dependency: Buffers chunks in process memory
+ *
+ * Intended for tests and small ephemeral uploads (serverless handlers
+ * that only need the bytes). Not for large files or long-lived storage.
+ *
+ * Features:
+ * - Hard per-file byte cap (maxFileSize)
+ * - Global memory budget shared by concurrent uploads and kept files (maxMemory);
+ *   an upload briefly needs twice its size while its chunks are joined
+ * - get/delete/list helpers to inspect stored content
+ * - Cleanup on failure releases the memory
+ */
+
+const Plugin = require('../core/Plugin');
+const FileNaming = require('../utils/FileNaming');
+
+const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+const DEFAULT_MAX_MEMORY = 100 * 1024 * 1024; // 100MB
+
+class MemoryStorage extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {number} config.maxFileSize - Max bytes per file (default: 10MB)
+   * @param {number} config.maxMemory - Max bytes buffered across all uploads and kept files (default: 100MB)
+   * @param {boolean} config.retain - Keep files for get/list until deleted (default: true)
+   * @param {string|Object} config.naming - Naming strategy or FileNaming instance (default: uuid)
+   * @throws {Error} If maxFileSize or maxMemory is not a positive number
+   */
+  constructor(config = {}) {
+    super(config);
+
+    this.maxFileSize = config.maxFileSize !== undefined ? config.maxFileSize : DEFAULT_MAX_FILE_SIZE;
+    this.maxMemory = config.maxMemory !== undefined ? config.maxMemory : DEFAULT_MAX_MEMORY;
+    this.retain = config.retain !== false;
+
+    // Setup file naming
+    if (config.naming instanceof FileNaming) {
+      this.naming = config.naming;
+    } else if (typeof config.naming === 'string') {
+      this.naming = new FileNaming({ strategy: config.naming });
+    } else if (typeof config.naming === 'object') {
+      this.naming = new FileNaming(config.naming);
+    } else {
+      this.naming = new FileNaming({ strategy: 'uuid' });
+    }
+
+    // Stored files by key (insertion order)
+    this.files = new Map();
+
+    // Bytes held by kept files and in-flight uploads
+    this.usedBytes = 0;
+
+    // Bytes reserved by in-flight uploads, for release on cleanup
+    this.pending = new Map();
+
+    // Stored files by context, for cleanup
+    this.storedKeys = new WeakMap();
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (typeof this.maxFileSize !== 'number' || this.maxFileSize <= 0) {
+      throw new Error('maxFileSize must be a positive number');
+    }
+    if (typeof this.maxMemory !== 'number' || this.maxMemory <= 0) {
+      throw new Error('maxMemory must be a positive number');
+    }
+  }
+
+  async process(context) {
+    // Validate context has required properties
+    if (!context.fileInfo || !context.fileInfo.filename) {
+      throw new Error('MemoryStorage requires context.fileInfo.filename');
+    }
+
+    // Generate key
+    const key = this.naming.generate(
+      context.fileInfo.filename,
+      context.metadata
+    );
+
+    const chunks = [];
+    let size = 0;
+
+    // Track reservation for cleanup
+    this.pending.set(context, 0);
+
+    for await (const chunk of context.stream) {
+      if (size + chunk.length > this.maxFileSize) {
+        const error = new Error(`File size exceeds limit of ${this.maxFileSize} bytes`);
+        error.code = 'LIMIT_FILE_SIZE';
+        error.statusCode = 413;
+        throw error;
+      }
+
+      this._reserve(context, chunk.length);
+      chunks.push(chunk);
+      size += chunk.length;
+    }
+
+    // Concatenating copies the chunks: reserve the copy so the budget
+    // covers the peak, then release the chunks once they are dropped
+    this._reserve(context, size);
+    const buffer = Buffer.concat(chunks, size);
+    chunks.length = 0;
+    this.usedBytes -= size;
+    this.pending.delete(context);
+
+    const file = {
+      key,
+      buffer,
+      size,
+      filename: context.fileInfo.filename,
+      mimeType: context.fileInfo.mimeType,
+      metadata: { ...context.metadata },
+      createdAt: new Date()
+    };
+
+    if (this.retain) {
+      // Same key: the new file replaces the old one
+      this.delete(key);
+      this.files.set(key, file);
+      this.storedKeys.set(context, file);
+    } else {
+      this.usedBytes -= size;
+    }
+
+    return {
+      ...context,
+      storage: {
+        driver: 'memory',
+        key,
+        buffer,
+        size,
+        metadata: file.metadata
+      }
+    };
+  }
+
+  async cleanup(context, error) {
+    // Release the memory of an in-flight upload
+    if (this.pending.has(context)) {
+      this.usedBytes -= this.pending.get(context);
+      this.pending.delete(context);
+    }
+
+    // Roll back a completed copy (unless a newer upload replaced it)
+    const file = this.storedKeys.get(context);
+    if (file) {
+      this.storedKeys.delete(context);
+      if (this.files.get(file.key) === file) {
+        this.delete(file.key);
+      }
+    }
+  }
+
+  /**
+   * Get a stored file
+   *
+   * @param {string} key
+   * @returns {Object|null} - { key, buffer, size, filename, mimeType, metadata, createdAt }
+   */
+  get(key) {
+    return this.files.get(key) || null;
+  }
+
+  /**
+   * Delete a stored file and release its memory
+   *
+   * @param {string} key
+   * @returns {boolean} - Whether the file existed
+   */
+  delete(key) {
+    const file = this.files.get(key);
+    if (!file) return false;
+
+    this.files.delete(key);
+    this.usedBytes -= file.size;
+    return true;
+  }
+
+  /**
+   * List stored files in upload order
+   *
+   * @returns {Array<Object>}
+   */
+  list() {
+    return Array.from(this.files.values());
+  }
+
+  /**
+   * Reserve memory for a chunk of an in-flight upload
+   *
+   * @private
+   * @param {Object} context
+   * @param {number} bytes
+   * @throws {Error} If the memory budget is exhausted (507)
+   */
+  _reserve(context, bytes) {
+    if (this.usedBytes + bytes > this.maxMemory) {
+      const error = new Error(`Memory storage limit of ${this.maxMemory} bytes exceeded`);
+      error.code = 'LIMIT_MEMORY';
+      error.statusCode = 507;
+      throw error;
+    }
+
+    this.usedBytes += bytes;
+    this.pending.set(context, this.pending.get(context) + bytes);
+  }
+}
+
+module.exports = MemoryStorage;
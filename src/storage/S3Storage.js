@@ -5,16 +5,24 @@
  * No aws-sdk required!
  *
  * Features:
- * - Direct PUT upload (for files up to 5GB)
+ * - Single PUT for small files
+ * - Multipart upload for large or unknown-length streams
  * - Manual signature calculation
  * - Works with AWS S3, MinIO, DigitalOcean Spaces, etc.
  * - Automatic cleanup on failure
  *
- * Limitations:
- * - Single PUT (no multipart upload yet)
- * - Max 5GB file size (S3 limit for single PUT)
+ * Upload Strategy:
+ * 1. Buffer the stream up to multipartThreshold bytes
+ * 2. If the stream ends first: single PUT with a known Content-Length
+ * 3. Otherwise: CreateMultipartUpload → UploadPart (parallel, retried)
+ *    → CompleteMultipartUpload
  *
- * For larger files, implement multipart upload (future enhancement).
+ * Memory is bounded per upload: a file below multipartThreshold is held in
+ * memory in full before its PUT, and a multipart upload holds at most
+ * (queueSize + 1) parts. Concurrent uploads each pay this cost, so
+ * multipartThreshold is capped at MAX_MULTIPART_THRESHOLD. Reading from the
+ * source pauses while the part queue is full, so backpressure reaches the
+ * client.
  */
 
 const https = require('https');
@@ -27,6 +35,16 @@ const { getLogger } = require('../observability/Logger');
 
 const logger = getLogger('S3Storage');
 
+// Multipart constants (S3 limits: parts >= 5MB except the last, max 10,000 parts)
+const MIN_PART_SIZE = 5 * 1024 * 1024; // 5MB
+const MAX_PARTS = 10000;
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024; // 8MB
+const DEFAULT_MULTIPART_THRESHOLD = 16 * 1024 * 1024; // 16MB
+const MAX_MULTIPART_THRESHOLD = 100 * 1024 * 1024; // 100MB, buffered in memory per upload
+const DEFAULT_QUEUE_SIZE = 4;
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 200; // ms, doubled on each retry
+
 class S3Storage extends Plugin {
   /**
    * @param {Object} config
@@ -41,6 +59,12 @@ class S3Storage extends Plugin {
    * @param {Object} config.metadata - Custom metadata to add (x-amz-meta-*)
    * @param {string} config.acl - ACL (private, public-read, etc.)
    * @param {string} config.storageClass - Storage class (STANDARD, REDUCED_REDUNDANCY, etc.)
+   * @param {number} config.multipartThreshold - Use multipart above this size; smaller files
+   *   are buffered in memory for a single PUT (default: 16MB, max: 100MB)
+   * @param {number} config.partSize - Multipart part size (default: 8MB, min: 5MB)
+   * @param {number} config.queueSize - Parts uploaded in parallel (default: 4)
+   * @param {number} config.maxRetries - Retries per request (default: 3)
+   * @param {number} config.retryDelay - Initial retry delay in ms (default: 200)
    * @throws {Error} If bucket or region is not provided
    * @throws {Error} If prefix contains path traversal sequences
    */
@@ -59,6 +83,13 @@ class S3Storage extends Plugin {
     this.storageClass = config.storageClass || 'STANDARD';
     this.customMetadata = config.metadata || {};
 
+    // Multipart settings
+    this.multipartThreshold = config.multipartThreshold || DEFAULT_MULTIPART_THRESHOLD;
+    this.partSize = config.partSize || DEFAULT_PART_SIZE;
+    this.queueSize = config.queueSize || DEFAULT_QUEUE_SIZE;
+    this.maxRetries = config.maxRetries !== undefined ? config.maxRetries : DEFAULT_MAX_RETRIES;
+    this.retryDelay = config.retryDelay !== undefined ? config.retryDelay : DEFAULT_RETRY_DELAY;
+
     // Initialize AWS signer
     this.signer = new AwsSignatureV4({
       accessKeyId: config.accessKeyId,
@@ -81,6 +112,27 @@ class S3Storage extends Plugin {
 
     // Track uploaded keys for cleanup
     this.uploadedKeys = new Map();
+
+    // Track in-progress multipart uploads for abort on cleanup
+    this.multipartUploads = new Map();
+
+    // Stored keys by context, for cleanup
+    this.storedKeys = new WeakMap();
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (typeof this.multipartThreshold !== 'number' || this.multipartThreshold <= 0 ||
+        this.multipartThreshold > MAX_MULTIPART_THRESHOLD) {
+      throw new Error(`multipartThreshold must be a positive number no larger than ${MAX_MULTIPART_THRESHOLD} bytes`);
+    }
+    if (typeof this.partSize !== 'number' || this.partSize < MIN_PART_SIZE) {
+      throw new Error(`partSize must be at least ${MIN_PART_SIZE} bytes`);
+    }
+    if (typeof this.queueSize !== 'number' || this.queueSize < 1) {
+      throw new Error('queueSize must be a positive number');
+    }
   }
 
   async process(context) {
@@ -104,11 +156,13 @@ class S3Storage extends Plugin {
         key,
         context.stream,
         context.fileInfo.mimeType,
-        context.metadata
+        context.metadata,
+        context
       );
 
       // Remove from cleanup tracking (success)
       this.uploadedKeys.delete(context);
+      this.storedKeys.set(context, key);
 
       return {
         ...context,
@@ -118,7 +172,8 @@ class S3Storage extends Plugin {
           key: key,
           region: this.region,
           url: result.url,
-          etag: result.etag
+          etag: result.etag,
+          ...(result.parts && { parts: result.parts })
         }
       };
 
@@ -129,8 +184,24 @@ class S3Storage extends Plugin {
   }
 
   async cleanup(context, error) {
-    // Get uploaded key
-    const key = this.uploadedKeys.get(context);
+    // Abort unfinished multipart upload so S3 drops the stored parts
+    const multipart = this.multipartUploads.get(context);
+    if (multipart) {
+      try {
+        await this._abortMultipartUpload(multipart.key, multipart.uploadId);
+      } catch (err) {
+        logger.error('Failed to abort S3 multipart upload', {
+          key: multipart.key,
+          uploadId: multipart.uploadId,
+          bucket: this.bucket,
+          error: err.message
+        });
+      }
+      this.multipartUploads.delete(context);
+    }
+
+    // Get uploaded key (or the key of a completed copy)
+    const key = this.uploadedKeys.get(context) || this.storedKeys.get(context);
     if (!key) return;
 
     // Delete from S3
@@ -141,111 +212,287 @@ class S3Storage extends Plugin {
     }
 
     this.uploadedKeys.delete(context);
+    this.storedKeys.delete(context);
   }
 
   /**
-   * Upload stream to S3 using PUT
+   * Upload stream to S3, choosing single PUT or multipart upload
    *
    * @param {string} key - S3 object key
    * @param {stream.Readable} stream - File stream
    * @param {string} contentType - MIME type
    * @param {Object} metadata - Additional metadata
+   * @param {Object} context - Upload context (tracks multipart uploads for cleanup)
+   * @returns {Promise<Object>} - { url, etag, parts? }
+   */
+  async _uploadToS3(key, stream, contentType, metadata, context = null) {
+    const headers = this._buildObjectHeaders(contentType, metadata);
+    const iterator = stream[Symbol.asyncIterator]();
+
+    // Buffer up to the threshold to decide between PUT and multipart
+    const buffered = [];
+    let bufferedLength = 0;
+
+    while (bufferedLength <= this.multipartThreshold) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        return this._putObject(key, Buffer.concat(buffered, bufferedLength), headers);
+      }
+      buffered.push(value);
+      bufferedLength += value.length;
+    }
+
+    return this._multipartUpload(key, buffered, iterator, headers, context);
+  }
+
+  /**
+   * Build object headers (content type, ACL, metadata)
+   *
+   * @param {string} contentType - MIME type
+   * @param {Object} metadata - Metadata from context
+   * @returns {Object}
+   */
+  _buildObjectHeaders(contentType, metadata) {
+    const headers = {
+      'Content-Type': contentType || 'application/octet-stream',
+      'x-amz-acl': this.acl,
+      'x-amz-storage-class': this.storageClass
+    };
+
+    // Add custom metadata
+    for (const [metaKey, metaValue] of Object.entries(this.customMetadata)) {
+      headers[`x-amz-meta-${metaKey}`] = metaValue;
+    }
+
+    // Add metadata from context
+    if (metadata.hash) {
+      headers['x-amz-meta-hash'] = metadata.hash;
+      headers['x-amz-meta-hash-algorithm'] = metadata.hashAlgorithm;
+    }
+    if (metadata.dimensions) {
+      headers['x-amz-meta-width'] = metadata.dimensions.width.toString();
+      headers['x-amz-meta-height'] = metadata.dimensions.height.toString();
+    }
+
+    return headers;
+  }
+
+  /**
+   * Upload a buffered object with a single PUT
+   *
+   * @param {string} key - S3 object key
+   * @param {Buffer} body - Object content
+   * @param {Object} headers - Object headers
    * @returns {Promise<Object>} - { url, etag }
    */
-  async _uploadToS3(key, stream, contentType, metadata) {
-    return new Promise((resolve, reject) => {
-      // Build URL
-      const url = this._buildUrl(key);
-
-      // Prepare headers
-      const headers = {
-        'Content-Type': contentType || 'application/octet-stream',
-        'x-amz-acl': this.acl,
-        'x-amz-storage-class': this.storageClass
-      };
+  async _putObject(key, body, headers) {
+    const res = await this._withRetry(() => this._request('PUT', this._buildUrl(key), {
+      headers,
+      body
+    }), `PUT ${key}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('S3 upload failed', res);
+    }
+
+    return {
+      url: this._buildPublicUrl(key),
+      etag: this._parseEtag(res.headers['etag'])
+    };
+  }
 
-      // Add custom metadata
-      for (const [metaKey, metaValue] of Object.entries(this.customMetadata)) {
-        headers[`x-amz-meta-${metaKey}`] = metaValue;
+  /**
+   * Upload in parts: CreateMultipartUpload → UploadPart × N → Complete
+   *
+   * @param {string} key - S3 object key
+   * @param {Array<Buffer>} buffered - Chunks already read from the stream
+   * @param {AsyncIterator<Buffer>} iterator - Rest of the stream
+   * @param {Object} headers - Object headers
+   * @param {Object} context - Upload context for cleanup tracking
+   * @returns {Promise<Object>} - { url, etag, parts }
+   */
+  async _multipartUpload(key, buffered, iterator, headers, context) {
+    const uploadId = await this._createMultipartUpload(key, headers);
+
+    if (context) {
+      this.multipartUploads.set(context, { key, uploadId });
+    }
+
+    const parts = [];
+    const inFlight = new Set();
+    let failure = null;
+    let partNumber = 0;
+    let pending = [];
+    let pendingLength = 0;
+
+    const startPart = (body) => {
+      partNumber++;
+      if (partNumber > MAX_PARTS) {
+        throw new Error(`S3 multipart upload exceeds ${MAX_PARTS} parts; increase partSize`);
       }
 
-      // Add metadata from context
-      if (metadata.hash) {
-        headers['x-amz-meta-hash'] = metadata.hash;
-        headers['x-amz-meta-hash-algorithm'] = metadata.hashAlgorithm;
+      const number = partNumber;
+      const promise = this._uploadPart(key, uploadId, number, body)
+        .then((etag) => {
+          parts.push({ partNumber: number, etag });
+        })
+        .catch((err) => {
+          failure = failure || err;
+        })
+        .finally(() => {
+          inFlight.delete(promise);
+        });
+      inFlight.add(promise);
+    };
+
+    const addChunk = async (chunk) => {
+      pending.push(chunk);
+      pendingLength += chunk.length;
+
+      while (pendingLength >= this.partSize) {
+        const data = Buffer.concat(pending, pendingLength);
+        startPart(data.slice(0, this.partSize));
+        pending = [data.slice(this.partSize)];
+        pendingLength = pending[0].length;
+
+        // Bounded buffering: stop reading until a slot frees up
+        while (inFlight.size >= this.queueSize && !failure) {
+          await Promise.race(inFlight);
+        }
+        if (failure) throw failure;
       }
-      if (metadata.dimensions) {
-        headers['x-amz-meta-width'] = metadata.dimensions.width.toString();
-        headers['x-amz-meta-height'] = metadata.dimensions.height.toString();
+    };
+
+    try {
+      for (const chunk of buffered) {
+        await addChunk(chunk);
       }
 
-      // Sign request
-      // Note: For streaming uploads, we use UNSIGNED-PAYLOAD
-      // because we don't know the payload hash upfront
-      const signedHeaders = this.signer.sign({
-        method: 'PUT',
-        url: url,
-        headers: {
-          ...headers,
-          'x-amz-content-sha256': 'UNSIGNED-PAYLOAD'
-        }
-      });
+      while (true) {
+        const { value, done } = await iterator.next();
+        if (done) break;
+        await addChunk(value);
+      }
 
-      // Parse URL
-      const urlObj = new URL(url);
-      const isHttps = urlObj.protocol === 'https:';
-      const client = isHttps ? https : http;
+      // Last part may be smaller than partSize
+      if (pendingLength > 0 || partNumber === 0) {
+        startPart(Buffer.concat(pending, pendingLength));
+      }
 
-      // Prepare request options
-      const requestOptions = {
-        method: 'PUT',
-        hostname: urlObj.hostname,
-        port: urlObj.port || (isHttps ? 443 : 80),
-        path: urlObj.pathname + urlObj.search,
-        headers: signedHeaders
-      };
+      await Promise.all(inFlight);
+      if (failure) throw failure;
+    } catch (error) {
+      // Let in-flight parts settle before cleanup aborts the upload
+      await Promise.all(inFlight);
+      if (typeof iterator.return === 'function') {
+        await iterator.return().catch(() => {});
+      }
+      throw error;
+    }
 
-      // Create request
-      const req = client.request(requestOptions, (res) => {
-        let responseBody = '';
+    parts.sort((a, b) => a.partNumber - b.partNumber);
+    const etag = await this._completeMultipartUpload(key, uploadId, parts);
 
-        res.on('data', (chunk) => {
-          responseBody += chunk;
-        });
+    if (context) {
+      this.multipartUploads.delete(context);
+    }
 
-        res.on('end', () => {
-          if (res.statusCode >= 200 && res.statusCode < 300) {
-            // Success
-            const etag = res.headers['etag'];
-            const publicUrl = this._buildPublicUrl(key);
-
-            resolve({
-              url: publicUrl,
-              etag: etag ? etag.replace(/"/g, '') : null
-            });
-          } else {
-            // Error
-            const error = new Error(`S3 upload failed: ${res.statusCode} ${res.statusMessage}`);
-            error.statusCode = res.statusCode;
-            error.body = responseBody;
-            reject(error);
-          }
-        });
-      });
+    return {
+      url: this._buildPublicUrl(key),
+      etag,
+      parts: parts.length
+    };
+  }
 
-      req.on('error', (err) => {
-        reject(new Error(`S3 request failed: ${err.message}`));
-      });
+  /**
+   * CreateMultipartUpload
+   *
+   * @param {string} key
+   * @param {Object} headers - Object headers (content type, ACL, metadata)
+   * @returns {Promise<string>} - Upload ID
+   */
+  async _createMultipartUpload(key, headers) {
+    const res = await this._withRetry(() => this._request('POST', `${this._buildUrl(key)}?uploads=`, {
+      headers,
+      body: ''
+    }), `CreateMultipartUpload ${key}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError('S3 CreateMultipartUpload failed', res);
+    }
 
-      // Pipe stream to request
-      stream.pipe(req);
+    const uploadId = this._parseXmlTag(res.body, 'UploadId');
+    if (!uploadId) {
+      throw new Error('S3 CreateMultipartUpload response missing UploadId');
+    }
 
-      // Handle stream errors
-      stream.on('error', (err) => {
-        req.destroy();
-        reject(err);
-      });
-    });
+    return uploadId;
+  }
+
+  /**
+   * UploadPart (retried)
+   *
+   * @param {string} key
+   * @param {string} uploadId
+   * @param {number} partNumber - 1-based part number
+   * @param {Buffer} body - Part content
+   * @returns {Promise<string>} - Part ETag
+   */
+  async _uploadPart(key, uploadId, partNumber, body) {
+    const query = `partNumber=${partNumber}&uploadId=${encodeURIComponent(uploadId)}`;
+
+    const res = await this._withRetry(() => this._request('PUT', `${this._buildUrl(key)}?${query}`, {
+      body
+    }), `UploadPart ${partNumber} ${key}`);
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw this._responseError(`S3 UploadPart ${partNumber} failed`, res);
+    }
+
+    return this._parseEtag(res.headers['etag']);
+  }
+
+  /**
+   * CompleteMultipartUpload
+   *
+   * @param {string} key
+   * @param {string} uploadId
+   * @param {Array<Object>} parts - [{ partNumber, etag }] in order
+   * @returns {Promise<string>} - Object ETag
+   */
+  async _completeMultipartUpload(key, uploadId, parts) {
+    const body = '<CompleteMultipartUpload>' +
+      parts.map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>"${p.etag}"</ETag></Part>`).join('') +
+      '</CompleteMultipartUpload>';
+
+    const res = await this._withRetry(() => this._request('POST', `${this._buildUrl(key)}?uploadId=${encodeURIComponent(uploadId)}`, {
+      headers: { 'Content-Type': 'application/xml' },
+      body,
+      signPayload: true
+    }), `CompleteMultipartUpload ${key}`);
+
+    // S3 may report a failure with 200 OK and an <Error> body
+    if (res.statusCode < 200 || res.statusCode >= 300 || res.body.includes('<Error>')) {
+      throw this._responseError('S3 CompleteMultipartUpload failed', res);
+    }
+
+    return this._parseEtag(this._parseXmlTag(res.body, 'ETag'));
+  }
+
+  /**
+   * AbortMultipartUpload
+   *
+   * @param {string} key
+   * @param {string} uploadId
+   * @returns {Promise<void>}
+   */
+  async _abortMultipartUpload(key, uploadId) {
+    const res = await this._withRetry(() => this._request('DELETE', `${this._buildUrl(key)}?uploadId=${encodeURIComponent(uploadId)}`), `AbortMultipartUpload ${key}`);
+
+    // 404: upload already gone
+    if ((res.statusCode < 200 || res.statusCode >= 300) && res.statusCode !== 404) {
+      throw this._responseError('S3 AbortMultipartUpload failed', res);
+    }
   }
 
   /**
@@ -255,41 +502,147 @@ class S3Storage extends Plugin {
    * @returns {Promise<void>}
    */
   async _deleteFromS3(key) {
+    const res = await this._request('DELETE', this._buildUrl(key));
+
+    if (res.statusCode < 200 || res.statusCode >= 300) {
+      throw new Error(`S3 delete failed: ${res.statusCode}`);
+    }
+  }
+
+  /**
+   * Send a signed request and collect the response
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers
+   * @param {Buffer|string} options.body - Request body (optional)
+   * @param {boolean} options.signPayload - Sign body hash instead of UNSIGNED-PAYLOAD
+   * @returns {Promise<Object>} - { statusCode, statusMessage, headers, body }
+   */
+  _request(method, url, options = {}) {
     return new Promise((resolve, reject) => {
-      const url = this._buildUrl(key);
+      const body = options.body !== undefined ? options.body : null;
+      const headers = { ...options.headers };
+
+      if (body !== null) {
+        headers['Content-Length'] = Buffer.byteLength(body).toString();
+      }
+      if (!options.signPayload) {
+        headers['x-amz-content-sha256'] = 'UNSIGNED-PAYLOAD';
+      }
 
-      // Sign request
       const signedHeaders = this.signer.sign({
-        method: 'DELETE',
-        url: url,
-        headers: {}
+        method,
+        url,
+        headers,
+        body: options.signPayload ? body : undefined
       });
 
       const urlObj = new URL(url);
       const isHttps = urlObj.protocol === 'https:';
       const client = isHttps ? https : http;
 
-      const requestOptions = {
-        method: 'DELETE',
+      const req = client.request({
+        method,
         hostname: urlObj.hostname,
         port: urlObj.port || (isHttps ? 443 : 80),
         path: urlObj.pathname + urlObj.search,
         headers: signedHeaders
-      };
+      }, (res) => {
+        const chunks = [];
 
-      const req = client.request(requestOptions, (res) => {
-        if (res.statusCode >= 200 && res.statusCode < 300) {
-          resolve();
-        } else {
-          reject(new Error(`S3 delete failed: ${res.statusCode}`));
-        }
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+        res.on('error', reject);
       });
 
-      req.on('error', reject);
-      req.end();
+      req.on('error', (err) => {
+        const error = new Error(`S3 request failed: ${err.message}`);
+        error.code = err.code;
+        reject(error);
+      });
+
+      req.end(body !== null ? body : undefined);
     });
   }
 
+  /**
+   * Retry transient failures (network errors, 5xx, 429) with exponential backoff
+   *
+   * @param {Function} fn - Returns a promise of a response
+   * @param {string} operation - Description for logging
+   * @returns {Promise<Object>} - Last response
+   */
+  async _withRetry(fn, operation) {
+    let attempt = 0;
+
+    while (true) {
+      let res = null;
+      let error = null;
+
+      try {
+        res = await fn();
+      } catch (err) {
+        error = err;
+      }
+
+      const retryable = error || res.statusCode >= 500 || res.statusCode === 429;
+      if (!retryable || attempt >= this.maxRetries) {
+        if (error) throw error;
+        return res;
+      }
+
+      const delay = this.retryDelay * Math.pow(2, attempt);
+      attempt++;
+      logger.warn('Retrying S3 request', {
+        operation,
+        attempt,
+        delay,
+        reason: error ? error.message : res.statusCode
+      });
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Build an error from a failed response
+   *
+   * @private
+   */
+  _responseError(message, res) {
+    const error = new Error(`${message}: ${res.statusCode} ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.body = res.body;
+    return error;
+  }
+
+  /**
+   * Extract the text content of an XML tag
+   *
+   * @private
+   */
+  _parseXmlTag(xml, tag) {
+    const match = new RegExp(`<${tag}>([^<]*)</${tag}>`).exec(xml || '');
+    return match ? match[1].replace(/&quot;/g, '"').replace(/&amp;/g, '&') : null;
+  }
+
+  /**
+   * Strip quotes from an ETag
+   *
+   * @private
+   */
+  _parseEtag(etag) {
+    return etag ? etag.replace(/"/g, '') : null;
+  }
+
   /**
    * Build S3 URL for API requests
    *
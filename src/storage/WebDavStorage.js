@@ -0,0 +1,525 @@
+/**
+ * WebDavStorage - Store files on a WebDAV server (Nextcloud, ownCloud, Apache mod_dav, ...)
+ *
+ * Zero Dependency: Uses native http/https and crypto modules
+ *
+ * Features:
+ * - Streaming PUT (no buffering of the file)
+ * - Atomic writes (PUT to temp name, then MOVE)
+ * - Automatic collection creation with MKCOL
+ * - Basic or Digest authentication
+ * - Cleanup on failure
+ *
+ * Atomicity (same guarantee as LocalStorage):
+ * 1. PUT to temp resource (filename.tmp)
+ * 2. If successful, MOVE to final name (atomic on the server)
+ * 3. If failed, DELETE temp resource
+ *
+ * Digest authentication needs a current challenge to sign a request, and
+ * a streamed body cannot be sent again after a 401. With Digest, a
+ * PROPFIND on the parent collection picks up a new nonce before each PUT.
+ */
+
+const https = require('https');
+const http = require('http');
+const crypto = require('crypto');
+const { URL } = require('url');
+const { Transform, pipeline } = require('stream');
+const Plugin = require('../core/Plugin');
+const FileNaming = require('../utils/FileNaming');
+const { getLogger } = require('../observability/Logger');
+
+const logger = getLogger('WebDavStorage');
+
+const AUTH_TYPES = ['basic', 'digest'];
+
+// Digest algorithms (RFC 7616) -> node hash names
+const DIGEST_ALGORITHMS = {
+  'MD5': 'md5',
+  'MD5-SESS': 'md5',
+  'SHA-256': 'sha256',
+  'SHA-256-SESS': 'sha256'
+};
+
+class WebDavStorage extends Plugin {
+  /**
+   * @param {Object} config
+   * @param {string} config.url - Base collection URL (e.g. https://cloud.example.com/remote.php/dav/files/alice)
+   * @param {string} config.username - Username (optional)
+   * @param {string} config.password - Password or app password (optional)
+   * @param {string} config.authType - 'basic' or 'digest' (default: 'basic')
+   * @param {string} config.prefix - Path prefix below url (folder path)
+   * @param {string|Object} config.naming - Naming strategy or FileNaming instance
+   * @param {boolean} config.createDirectories - Auto-create collections (default: true)
+   * @param {boolean} config.overwrite - Replace existing files (default: true)
+   * @param {Object} config.headers - Extra headers sent with every request
+   * @throws {Error} If url is not provided
+   * @throws {Error} If authType is not supported
+   * @throws {Error} If prefix contains path traversal sequences
+   */
+  constructor(config) {
+    super(config);
+
+    if (!config.url) {
+      throw new Error('url is required for WebDavStorage');
+    }
+
+    // Collection URLs always end with '/'
+    this.baseUrl = config.url.replace(/\/*$/, '/');
+    this.username = config.username || null;
+    this.password = config.password || '';
+    this.authType = (config.authType || 'basic').toLowerCase();
+    this.prefix = this._validatePrefix(config.prefix || '');
+    this.createDirectories = config.createDirectories !== false;
+    this.overwrite = config.overwrite !== false;
+    this.headers = config.headers || {};
+
+    // Setup file naming
+    if (config.naming instanceof FileNaming) {
+      this.naming = config.naming;
+    } else if (typeof config.naming === 'string') {
+      this.naming = new FileNaming({ strategy: config.naming });
+    } else if (typeof config.naming === 'object') {
+      this.naming = new FileNaming(config.naming);
+    } else {
+      this.naming = new FileNaming({ strategy: 'uuid' });
+    }
+
+    // Track temp resources for cleanup
+    this.tempFiles = new Map();
+
+    // Stored files by context, for cleanup
+    this.storedFiles = new WeakMap();
+
+    // Collections known to exist (saves a MKCOL per upload)
+    this.collections = new Set();
+
+    // Last Digest challenge and its nonce count
+    this.digest = null;
+
+    this.validateConfig();
+  }
+
+  validateConfig() {
+    if (!AUTH_TYPES.includes(this.authType)) {
+      throw new Error(`authType must be one of: ${AUTH_TYPES.join(', ')}`);
+    }
+    if (this.authType === 'digest' && !this.username) {
+      throw new Error('username is required for digest authentication');
+    }
+  }
+
+  async initialize() {
+    // Create base collection if needed
+    if (this.createDirectories) {
+      await this._ensureCollection(this._buildUrl(this.prefix ? `${this.prefix}/` : ''));
+    }
+  }
+
+  async process(context) {
+    // Validate context has required properties
+    if (!context.fileInfo || !context.fileInfo.filename) {
+      throw new Error('WebDavStorage requires context.fileInfo.filename');
+    }
+
+    // Generate filename
+    const filename = this.naming.generate(
+      context.fileInfo.filename,
+      context.metadata
+    );
+
+    const key = this.prefix ? `${this.prefix}/${filename}` : filename;
+    this._validateKey(key);
+
+    // Full URLs
+    const finalUrl = this._buildUrl(key);
+    const tempUrl = `${finalUrl}.tmp`;
+
+    // Track temp resource
+    this.tempFiles.set(context, tempUrl);
+
+    try {
+      // Ensure parent collection exists
+      const parentUrl = new URL('.', finalUrl).href;
+      if (this.createDirectories) {
+        await this._ensureCollection(parentUrl);
+      }
+
+      // The streamed PUT below cannot answer a Digest challenge itself
+      if (this.authType === 'digest') {
+        await this._fetchChallenge(parentUrl);
+      }
+
+      // Stream upload to temp resource
+      let size = 0;
+      const counter = new Transform({
+        transform(chunk, encoding, callback) {
+          size += chunk.length;
+          callback(null, chunk);
+        }
+      });
+      const body = pipeline(context.stream, counter, () => {});
+
+      const putRes = await this._request('PUT', tempUrl, {
+        headers: { 'Content-Type': context.fileInfo.mimeType || 'application/octet-stream' },
+        body
+      });
+      if (putRes.statusCode < 200 || putRes.statusCode >= 300) {
+        throw this._responseError('WebDAV PUT failed', putRes);
+      }
+
+      // Atomic move: temp -> final
+      const moveRes = await this._request('MOVE', tempUrl, {
+        headers: {
+          'Destination': finalUrl,
+          'Overwrite': this.overwrite ? 'T' : 'F'
+        }
+      });
+      if (moveRes.statusCode < 200 || moveRes.statusCode >= 300) {
+        throw this._responseError('WebDAV MOVE failed', moveRes);
+      }
+
+      // Remove from temp tracking
+      this.tempFiles.delete(context);
+      this.storedFiles.set(context, finalUrl);
+
+      return {
+        ...context,
+        storage: {
+          driver: 'webdav',
+          path: key,
+          filename,
+          size,
+          url: finalUrl
+        }
+      };
+
+    } catch (error) {
+      // Cleanup will be called automatically by PipelineManager
+      throw error;
+    }
+  }
+
+  async cleanup(context, error) {
+    // Roll back a completed copy
+    const finalUrl = this.storedFiles.get(context);
+    if (finalUrl) {
+      this.storedFiles.delete(context);
+      try {
+        await this._delete(finalUrl);
+      } catch (err) {
+        logger.error('Failed to remove stored file', { url: finalUrl, error: err.message });
+      }
+    }
+
+    // Get temp resource URL
+    const tempUrl = this.tempFiles.get(context);
+    if (!tempUrl) return;
+
+    // Delete temp resource if it exists
+    try {
+      await this._delete(tempUrl);
+    } catch (err) {
+      logger.error('Failed to cleanup temp file', { url: tempUrl, error: err.message });
+    }
+
+    this.tempFiles.delete(context);
+  }
+
+  /**
+   * Ensure collection exists, create if needed
+   *
+   * MKCOL answers 409 when an intermediate collection is missing, so
+   * parents are created first and the MKCOL is retried.
+   *
+   * @param {string} url - Collection URL (ending with '/')
+   */
+  async _ensureCollection(url) {
+    if (this.collections.has(url)) return;
+
+    const res = await this._request('MKCOL', url);
+
+    // 201: created; 405: already exists
+    if (res.statusCode === 409) {
+      const parentUrl = new URL('..', url).href;
+      if (parentUrl === url) {
+        throw this._responseError('WebDAV MKCOL failed', res);
+      }
+      await this._ensureCollection(parentUrl);
+      return this._ensureCollection(url);
+    }
+
+    if (res.statusCode !== 405 && (res.statusCode < 200 || res.statusCode >= 300)) {
+      throw this._responseError('WebDAV MKCOL failed', res);
+    }
+
+    this.collections.add(url);
+  }
+
+  /**
+   * Delete a resource (404 is not an error)
+   *
+   * @param {string} url
+   * @returns {Promise<void>}
+   */
+  async _delete(url) {
+    const res = await this._request('DELETE', url);
+
+    if ((res.statusCode < 200 || res.statusCode >= 300) && res.statusCode !== 404) {
+      throw this._responseError('WebDAV DELETE failed', res);
+    }
+  }
+
+  /**
+   * Fetch a current Digest challenge before a request that cannot be repeated
+   *
+   * @param {string} url - Collection URL
+   */
+  async _fetchChallenge(url) {
+    await this._request('PROPFIND', url, { headers: { 'Depth': '0' } });
+  }
+
+  /**
+   * Send an authenticated request and collect the response
+   *
+   * A Digest challenge (first request or stale nonce) is answered by
+   * sending the request again, unless its body is a stream.
+   *
+   * @param {string} method - HTTP method
+   * @param {string} url - Full URL
+   * @param {Object} options
+   * @param {Object} options.headers - Extra headers
+   * @param {Buffer|string|stream.Readable} options.body - Request body (optional)
+   * @returns {Promise<Object>} - { statusCode, statusMessage, headers, body }
+   */
+  async _request(method, url, options = {}) {
+    const body = options.body !== undefined ? options.body : null;
+    const replayable = body === null || typeof body.pipe !== 'function';
+
+    const res = await this._send(method, url, options.headers, body);
+    if (res.statusCode !== 401 || this.authType !== 'digest') {
+      return res;
+    }
+
+    // A new nonce means the previous one expired; the same nonce means
+    // the credentials were rejected
+    const challenge = parseDigestChallenge(res.headers['www-authenticate']);
+    if (!challenge || (this.digest && challenge.nonce === this.digest.challenge.nonce)) {
+      return res;
+    }
+
+    this.digest = { challenge, nc: 0 };
+    return replayable ? this._send(method, url, options.headers, body) : res;
+  }
+
+  /**
+   * @private
+   */
+  _send(method, url, extraHeaders, body) {
+    return new Promise((resolve, reject) => {
+      const urlObj = new URL(url);
+      const isHttps = urlObj.protocol === 'https:';
+      const client = isHttps ? https : http;
+      const path = urlObj.pathname + urlObj.search;
+
+      const headers = { ...this.headers, ...extraHeaders };
+      const authorization = this._authorize(method, path);
+      if (authorization) {
+        headers['Authorization'] = authorization;
+      }
+
+      const streaming = body !== null && typeof body.pipe === 'function';
+      if (!streaming) {
+        headers['Content-Length'] = (body !== null ? Buffer.byteLength(body) : 0).toString();
+      }
+
+      const req = client.request({
+        method,
+        hostname: urlObj.hostname,
+        port: urlObj.port || (isHttps ? 443 : 80),
+        path,
+        headers
+      }, (res) => {
+        const chunks = [];
+
+        res.on('data', (chunk) => chunks.push(chunk));
+        res.on('end', () => {
+          resolve({
+            statusCode: res.statusCode,
+            statusMessage: res.statusMessage,
+            headers: res.headers,
+            body: Buffer.concat(chunks).toString('utf8')
+          });
+        });
+        res.on('error', reject);
+      });
+
+      req.on('error', (err) => {
+        const error = new Error(`WebDAV request failed: ${err.message}`);
+        error.code = err.code;
+        reject(error);
+      });
+
+      if (streaming) {
+        body.on('error', (err) => {
+          req.destroy();
+          reject(err);
+        });
+        body.pipe(req);
+      } else {
+        req.end(body !== null ? body : undefined);
+      }
+    });
+  }
+
+  /**
+   * Build the Authorization header for a request
+   *
+   * @private
+   * @param {string} method
+   * @param {string} path - Request target (path and query)
+   * @returns {string|null}
+   */
+  _authorize(method, path) {
+    if (!this.username) return null;
+
+    if (this.authType === 'basic') {
+      return `Basic ${Buffer.from(`${this.username}:${this.password}`).toString('base64')}`;
+    }
+
+    if (!this.digest) return null;
+
+    const { challenge } = this.digest;
+    const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+    const hashName = DIGEST_ALGORITHMS[algorithm];
+    if (!hashName) {
+      throw new Error(`Unsupported Digest algorithm: ${challenge.algorithm}`);
+    }
+    const hash = (value) => crypto.createHash(hashName).update(value).digest('hex');
+
+    const qop = challenge.qop
+      ? (challenge.qop.split(',').map(value => value.trim()).includes('auth') ? 'auth' : null)
+      : null;
+    if (challenge.qop && !qop) {
+      throw new Error(`Unsupported Digest qop: ${challenge.qop}`);
+    }
+
+    const nc = (++this.digest.nc).toString(16).padStart(8, '0');
+    const cnonce = crypto.randomBytes(16).toString('hex');
+
+    let ha1 = hash(`${this.username}:${challenge.realm}:${this.password}`);
+    if (algorithm.endsWith('-SESS')) {
+      ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+    }
+    const ha2 = hash(`${method}:${path}`);
+    const response = qop
+      ? hash(`${ha1}:${challenge.nonce}:${nc}:${cnonce}:${qop}:${ha2}`)
+      : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+    const params = [
+      `username="${this.username}"`,
+      `realm="${challenge.realm}"`,
+      `nonce="${challenge.nonce}"`,
+      `uri="${path}"`,
+      `algorithm=${challenge.algorithm || 'MD5'}`,
+      `response="${response}"`
+    ];
+    if (qop) {
+      params.push(`qop=${qop}`, `nc=${nc}`, `cnonce="${cnonce}"`);
+    }
+    if (challenge.opaque) {
+      params.push(`opaque="${challenge.opaque}"`);
+    }
+
+    return `Digest ${params.join(', ')}`;
+  }
+
+  /**
+   * Build resource URL for a path below the base collection
+   *
+   * @param {string} key - Relative path
+   * @returns {string}
+   */
+  _buildUrl(key) {
+    // Encode each path segment separately to preserve '/' hierarchy
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+    return `${this.baseUrl}${encodedKey}`;
+  }
+
+  /**
+   * Build an error from a failed response
+   *
+   * @private
+   */
+  _responseError(message, res) {
+    const error = new Error(`${message}: ${res.statusCode} ${res.statusMessage}`);
+    error.statusCode = res.statusCode;
+    error.body = res.body;
+    return error;
+  }
+
+  /**
+   * Validate prefix to prevent path traversal
+   *
+   * @private
+   * @param {string} prefix
+   * @returns {string} - Validated prefix
+   * @throws {Error} - If prefix contains path traversal
+   */
+  _validatePrefix(prefix) {
+    if (!prefix) return '';
+
+    // Normalize and check for path traversal
+    const normalized = prefix.replace(/\\/g, '/').replace(/\/+/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error('WebDAV prefix cannot contain path traversal sequences (..)');
+    }
+
+    // Remove leading/trailing slashes
+    return normalized.replace(/^\/+|\/+$/g, '');
+  }
+
+  /**
+   * Validate path to prevent path traversal
+   *
+   * @private
+   * @param {string} key
+   * @throws {Error} - If key contains path traversal
+   */
+  _validateKey(key) {
+    const normalized = key.replace(/\\/g, '/');
+
+    if (normalized.includes('..')) {
+      throw new Error(`Invalid WebDAV path: path traversal detected (${key})`);
+    }
+
+    if (normalized.startsWith('/')) {
+      throw new Error(`Invalid WebDAV path: absolute paths not allowed (${key})`);
+    }
+  }
+}
+
+/**
+ * Parse a `WWW-Authenticate: Digest ...` challenge
+ *
+ * @private
+ * @param {string|Array<string>} header
+ * @returns {Object|null} - { realm, nonce, qop, algorithm, opaque, stale }
+ */
+function parseDigestChallenge(header) {
+  const values = Array.isArray(header) ? header : [header || ''];
+  const value = values.find(v => /^Digest\s/i.test(v));
+  if (!value) return null;
+
+  const challenge = {};
+  const paramRegex = /([a-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^\s,]+))/gi;
+  let match;
+  while ((match = paramRegex.exec(value.slice(7))) !== null) {
+    challenge[match[1].toLowerCase()] = match[2] !== undefined ? match[2].replace(/\\(.)/g, '$1') : match[3];
+  }
+
+  return challenge.nonce ? challenge : null;
+}
+
+module.exports = WebDavStorage;
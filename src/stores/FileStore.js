@@ -0,0 +1,296 @@
+/**
+ * FileStore - Store backed by files in a shared directory
+ *
+ * Zero Dependency: Uses only native fs, path and crypto modules
+ *
+ * Shares state between processes on the same host (e.g. cluster workers)
+ * without running a separate server.
+ *
+ * Layout (one file per key):
+ *   <directory>/<sha256(key)>.json  - { key, value, expiresAt }
+ *   <directory>/<sha256(key)>.lock  - Held while a key is being changed
+ *
+ * Writes go to a temp file that is renamed into place, so readers never
+ * see partial data. Changes (set, delete, incr, compareAndSet) take the
+ * key's lock file, created with O_EXCL, which makes them atomic across
+ * processes. Locks older than staleLockTimeout are assumed to belong to a
+ * crashed process and are broken.
+ *
+ * @module stores/FileStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Store = require('./Store');
+
+const DEFAULT_LOCK_TIMEOUT = 5000; // 5 seconds to acquire a lock
+const DEFAULT_STALE_LOCK_TIMEOUT = 30000; // 30 seconds
+const DEFAULT_SWEEP_INTERVAL = 300000; // 5 minutes
+const LOCK_RETRY_DELAY = 5; // ms
+
+class FileStore extends Store {
+  /**
+   * @param {Object} config
+   * @param {string} config.directory - Directory shared by all processes
+   * @param {number} config.lockTimeout - Max wait for a key lock in ms (default: 5000)
+   * @param {number} config.staleLockTimeout - Age after which a lock is broken in ms (default: 30000)
+   * @param {number} config.sweepInterval - Expired file sweep interval in ms, 0 disables (default: 300000)
+   * @param {number} config.fileMode - File permissions (default: 0o600)
+   * @param {number} config.dirMode - Directory permissions (default: 0o700)
+   * @throws {Error} If directory is not provided
+   */
+  constructor(config = {}) {
+    super();
+
+    if (!config.directory) {
+      throw new Error('directory is required for FileStore');
+    }
+
+    this.directory = path.resolve(config.directory);
+    this.lockTimeout = config.lockTimeout || DEFAULT_LOCK_TIMEOUT;
+    this.staleLockTimeout = config.staleLockTimeout || DEFAULT_STALE_LOCK_TIMEOUT;
+    this.sweepInterval = config.sweepInterval !== undefined ? config.sweepInterval : DEFAULT_SWEEP_INTERVAL;
+    this.fileMode = config.fileMode || 0o600;
+    this.dirMode = config.dirMode || 0o700;
+
+    this.sweepTimer = null;
+  }
+
+  /**
+   * Create the directory and start sweeping expired files
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.directory, {
+      recursive: true,
+      mode: this.dirMode
+    });
+
+    if (this.sweepInterval > 0 && !this.sweepTimer) {
+      this.sweepTimer = setInterval(() => {
+        this.sweep().catch(() => {});
+      }, this.sweepInterval);
+      this.sweepTimer.unref();
+    }
+  }
+
+  async get(key) {
+    const record = await this._read(key);
+    return record ? JSON.parse(record.value) : null;
+  }
+
+  async set(key, value, options = {}) {
+    await this._withLock(key, () => this._write(key, JSON.stringify(value), options.ttl));
+  }
+
+  async delete(key) {
+    await this._withLock(key, () => this._unlink(this._recordPath(key)));
+  }
+
+  async incr(key, amount = 1, options = {}) {
+    return this._withLock(key, async () => {
+      const record = await this._read(key);
+
+      if (!record) {
+        await this._write(key, JSON.stringify(amount), options.ttl);
+        return amount;
+      }
+
+      const current = JSON.parse(record.value);
+      if (typeof current !== 'number') {
+        throw new Error(`Value of ${key} is not a number`);
+      }
+
+      // Keep the original expiry
+      await this._write(key, JSON.stringify(current + amount), null, record.expiresAt);
+      return current + amount;
+    });
+  }
+
+  async compareAndSet(key, expected, value, options = {}) {
+    return this._withLock(key, async () => {
+      const record = await this._read(key);
+      const current = record ? record.value : null;
+
+      if (expected === null ? current !== null : current !== JSON.stringify(expected)) {
+        return false;
+      }
+
+      if (value === null) {
+        await this._unlink(this._recordPath(key));
+      } else {
+        await this._write(key, JSON.stringify(value), options.ttl);
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Remove expired records
+   *
+   * @returns {Promise<number>} - Number of records removed
+   */
+  async sweep() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return 0;
+      throw err;
+    }
+
+    let removed = 0;
+    for (const file of files) {
+      if (!file.endsWith('.json')) continue;
+
+      const record = await this._readFile(path.join(this.directory, file));
+      if (record && this._isExpired(record)) {
+        // Re-check under the lock - the key may have just been renewed
+        const deleted = await this._withLock(record.key, async () => {
+          const current = await this._readFile(path.join(this.directory, file));
+          if (current && this._isExpired(current)) {
+            await this._unlink(path.join(this.directory, file));
+            return true;
+          }
+          return false;
+        });
+        if (deleted) removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  async close() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+  }
+
+  /**
+   * Read a live record
+   *
+   * @private
+   */
+  async _read(key) {
+    const record = await this._readFile(this._recordPath(key));
+    if (!record || this._isExpired(record)) {
+      return null;
+    }
+    return record;
+  }
+
+  /**
+   * @private
+   */
+  async _readFile(filePath) {
+    try {
+      return JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  /**
+   * Write record atomically (temp file, then rename)
+   *
+   * @private
+   */
+  async _write(key, value, ttl, expiresAt = null) {
+    const record = {
+      key,
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : expiresAt
+    };
+
+    const recordPath = this._recordPath(key);
+    const tempPath = `${recordPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    await fs.promises.writeFile(tempPath, JSON.stringify(record), { mode: this.fileMode });
+    await fs.promises.rename(tempPath, recordPath);
+  }
+
+  /**
+   * Run fn while holding the key's lock file
+   *
+   * @private
+   */
+  async _withLock(key, fn) {
+    const lockPath = this._recordPath(key).replace(/\.json$/, '.lock');
+    const deadline = Date.now() + this.lockTimeout;
+
+    while (true) {
+      try {
+        const handle = await fs.promises.open(lockPath, 'wx', this.fileMode);
+        await handle.close();
+        break;
+      } catch (err) {
+        if (err.code === 'ENOENT') {
+          await fs.promises.mkdir(this.directory, { recursive: true, mode: this.dirMode });
+          continue;
+        }
+        if (err.code !== 'EEXIST') throw err;
+      }
+
+      await this._breakStaleLock(lockPath);
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for FileStore lock on ${key}`);
+      }
+      await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_DELAY));
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this._unlink(lockPath);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _breakStaleLock(lockPath) {
+    try {
+      const stats = await fs.promises.stat(lockPath);
+      if (Date.now() - stats.mtimeMs > this.staleLockTimeout) {
+        await this._unlink(lockPath);
+      }
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(record) {
+    return record.expiresAt !== null && record.expiresAt <= Date.now();
+  }
+
+  /**
+   * Keys are hashed so any string maps to a safe file name
+   *
+   * @private
+   */
+  _recordPath(key) {
+    const hash = crypto.createHash('sha256').update(String(key)).digest('hex');
+    return path.join(this.directory, `${hash}.json`);
+  }
+
+  /**
+   * @private
+   */
+  async _unlink(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,149 @@
+/**
+ * MemoryStore - In-process store
+ *
+ * Zero Dependency: Uses a Map
+ *
+ * Values are kept serialized, so callers never share mutable objects and
+ * behave exactly as with FileStore or RedisStore. Only one process can see
+ * the data - use it for single-process deployments and tests.
+ *
+ * Memory is bounded: expired entries are removed when read and swept
+ * periodically, and the oldest entries are evicted beyond maxEntries.
+ *
+ * @module stores/MemoryStore
+ */
+
+const Store = require('./Store');
+
+const DEFAULT_MAX_ENTRIES = 100000;
+const DEFAULT_SWEEP_INTERVAL = 60000; // 1 minute
+
+class MemoryStore extends Store {
+  /**
+   * @param {Object} config
+   * @param {number} config.maxEntries - Max entries before evicting the oldest (default: 100000)
+   * @param {number} config.sweepInterval - Expired entry sweep interval in ms (default: 60000)
+   */
+  constructor(config = {}) {
+    super();
+
+    this.maxEntries = config.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.sweepInterval = config.sweepInterval || DEFAULT_SWEEP_INTERVAL;
+
+    // key -> { value: string (JSON), expiresAt: number|null }
+    this.entries = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), this.sweepInterval);
+    this.sweepTimer.unref();
+  }
+
+  async get(key) {
+    const entry = this._getEntry(key);
+    return entry ? JSON.parse(entry.value) : null;
+  }
+
+  async set(key, value, options = {}) {
+    this._setEntry(key, JSON.stringify(value), options.ttl);
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async incr(key, amount = 1, options = {}) {
+    const entry = this._getEntry(key);
+
+    if (!entry) {
+      this._setEntry(key, JSON.stringify(amount), options.ttl);
+      return amount;
+    }
+
+    const current = JSON.parse(entry.value);
+    if (typeof current !== 'number') {
+      throw new Error(`Value of ${key} is not a number`);
+    }
+
+    entry.value = JSON.stringify(current + amount);
+    return current + amount;
+  }
+
+  async compareAndSet(key, expected, value, options = {}) {
+    const entry = this._getEntry(key);
+    const current = entry ? entry.value : null;
+
+    if (expected === null ? current !== null : current !== JSON.stringify(expected)) {
+      return false;
+    }
+
+    if (value === null) {
+      this.entries.delete(key);
+    } else {
+      this._setEntry(key, JSON.stringify(value), options.ttl);
+    }
+    return true;
+  }
+
+  /**
+   * Remove expired entries
+   *
+   * @returns {number} - Number of entries removed
+   */
+  sweep() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt !== null && entry.expiresAt <= now) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * Number of stored entries (including expired ones not yet swept)
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  async close() {
+    clearInterval(this.sweepTimer);
+    this.entries.clear();
+  }
+
+  /**
+   * @private
+   */
+  _getEntry(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _setEntry(key, value, ttl) {
+    // Re-insert so Map order stays oldest-first for eviction
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      expiresAt: ttl > 0 ? Date.now() + ttl : null
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+}
+
+module.exports = MemoryStore;
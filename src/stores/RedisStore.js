@@ -0,0 +1,415 @@
+/**
+ * RedisStore - Store backed by Redis (or any server speaking its protocol)
+ *
+ * Zero Dependency: Minimal RESP client on the native net module
+ *
+ * Shares state between any number of processes and hosts. Works with
+ * Redis, Valkey, KeyDB, Dragonfly and other RESP-compatible servers.
+ *
+ * Commands used:
+ * - get/set/delete: GET, SET ... PX, DEL
+ * - incr: MULTI / SET ... PX NX / INCRBY / EXEC (TTL only set on create)
+ * - compareAndSet: EVAL (a short Lua script, so the compare and the
+ *   write happen atomically on the server)
+ *
+ * One connection is used per store and commands are pipelined. If the
+ * connection drops, pending commands fail and the next command reconnects.
+ *
+ * @module stores/RedisStore
+ */
+
+const net = require('net');
+const Store = require('./Store');
+
+// Connection defaults
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 6379;
+const DEFAULT_KEY_PREFIX = 'fluxupload:';
+const DEFAULT_CONNECT_TIMEOUT = 5000;
+const DEFAULT_COMMAND_TIMEOUT = 5000;
+
+// KEYS[1] = key; ARGV = hasExpected ('0'|'1'), expected, value, ttl (ms, 0 = none), remove ('0'|'1')
+const COMPARE_AND_SET_SCRIPT = [
+  "local current = redis.call('GET', KEYS[1])",
+  "if ARGV[1] == '0' then",
+  '  if current then return 0 end',
+  "elseif current ~= ARGV[2] then",
+  '  return 0',
+  'end',
+  "if ARGV[5] == '1' then",
+  "  redis.call('DEL', KEYS[1])",
+  "elseif tonumber(ARGV[4]) > 0 then",
+  "  redis.call('SET', KEYS[1], ARGV[3], 'PX', ARGV[4])",
+  'else',
+  "  redis.call('SET', KEYS[1], ARGV[3])",
+  'end',
+  'return 1'
+].join('\n');
+
+class RedisStore extends Store {
+  /**
+   * @param {Object} config
+   * @param {string} config.url - redis://[user:password@]host[:port][/db] (overrides host/port/db)
+   * @param {string} config.host - Server host (default: 127.0.0.1)
+   * @param {number} config.port - Server port (default: 6379)
+   * @param {string} config.socketPath - Unix socket (overrides host/port)
+   * @param {string} config.username - ACL username (Redis 6+)
+   * @param {string} config.password - Password for AUTH
+   * @param {number} config.db - Database number (default: 0)
+   * @param {string} config.keyPrefix - Prefix for all keys (default: 'fluxupload:')
+   * @param {number} config.connectTimeout - Connect timeout in ms (default: 5000)
+   * @param {number} config.commandTimeout - Reply timeout in ms (default: 5000)
+   */
+  constructor(config = {}) {
+    super();
+
+    const fromUrl = config.url ? this._parseUrl(config.url) : {};
+
+    this.host = fromUrl.host || config.host || DEFAULT_HOST;
+    this.port = fromUrl.port || config.port || DEFAULT_PORT;
+    this.socketPath = config.socketPath || null;
+    this.username = fromUrl.username || config.username || null;
+    this.password = fromUrl.password || config.password || null;
+    this.db = fromUrl.db !== undefined ? fromUrl.db : (config.db || 0);
+    this.keyPrefix = config.keyPrefix !== undefined ? config.keyPrefix : DEFAULT_KEY_PREFIX;
+    this.connectTimeout = config.connectTimeout || DEFAULT_CONNECT_TIMEOUT;
+    this.commandTimeout = config.commandTimeout || DEFAULT_COMMAND_TIMEOUT;
+
+    // Current connection: { socket, pending, buffer, ready: Promise }
+    this.connection = null;
+    this.closed = false;
+  }
+
+  /**
+   * Connect eagerly (otherwise the first command connects)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    this.closed = false;
+    await this._getConnection();
+  }
+
+  async get(key) {
+    const value = await this.command('GET', this.keyPrefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, value, options = {}) {
+    const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+    if (options.ttl > 0) {
+      args.push('PX', String(Math.ceil(options.ttl)));
+    }
+    await this.command(...args);
+  }
+
+  async delete(key) {
+    await this.command('DEL', this.keyPrefix + key);
+  }
+
+  async incr(key, amount = 1, options = {}) {
+    const fullKey = this.keyPrefix + key;
+
+    if (!(options.ttl > 0)) {
+      return this.command('INCRBY', fullKey, String(amount));
+    }
+
+    // Create with TTL if missing, then increment - one transaction
+    const replies = await this._send([
+      ['MULTI'],
+      ['SET', fullKey, '0', 'PX', String(Math.ceil(options.ttl)), 'NX'],
+      ['INCRBY', fullKey, String(amount)],
+      ['EXEC']
+    ]);
+
+    const exec = replies[3];
+    if (!Array.isArray(exec)) {
+      throw new Error(`Redis transaction for ${key} was aborted`);
+    }
+    if (exec[1] instanceof Error) {
+      throw exec[1];
+    }
+    return exec[1];
+  }
+
+  async compareAndSet(key, expected, value, options = {}) {
+    const result = await this.command(
+      'EVAL',
+      COMPARE_AND_SET_SCRIPT,
+      '1',
+      this.keyPrefix + key,
+      expected === null ? '0' : '1',
+      expected === null ? '' : JSON.stringify(expected),
+      JSON.stringify(value),
+      String(options.ttl > 0 ? Math.ceil(options.ttl) : 0),
+      value === null ? '1' : '0'
+    );
+
+    return result === 1;
+  }
+
+  /**
+   * Check that the server is reachable
+   *
+   * @returns {Promise<boolean>}
+   */
+  async ping() {
+    try {
+      return (await this.command('PING')) === 'PONG';
+    } catch (err) {
+      return false;
+    }
+  }
+
+  /**
+   * Send a raw command
+   *
+   * @param {...string} args - Command name and arguments
+   * @returns {Promise<*>} - Parsed reply
+   * @throws {Error} If the server replies with an error (code REDIS_ERROR)
+   */
+  async command(...args) {
+    const [reply] = await this._send([args]);
+    if (reply instanceof Error) {
+      throw reply;
+    }
+    return reply;
+  }
+
+  async close() {
+    this.closed = true;
+
+    if (this.connection) {
+      // Replies to commands already sent still arrive before the server closes
+      this.connection.socket.end();
+      this.connection = null;
+    }
+  }
+
+  /**
+   * Send commands in one write, resolve with all replies (errors included)
+   *
+   * @private
+   */
+  async _send(commands) {
+    if (this.closed) {
+      throw new Error('RedisStore is closed');
+    }
+
+    const connection = await this._getConnection();
+    return Promise.all(this._write(connection, commands));
+  }
+
+  /**
+   * @private
+   */
+  _write(connection, commands) {
+    const promises = commands.map(() => new Promise((resolve, reject) => {
+      // A missing reply means the pipeline is out of sync - drop the connection
+      const timer = setTimeout(() => {
+        connection.socket.destroy(new Error(`Redis command timed out after ${this.commandTimeout}ms`));
+      }, this.commandTimeout);
+
+      connection.pending.push({
+        resolve: (value) => { clearTimeout(timer); resolve(value); },
+        reject: (err) => { clearTimeout(timer); reject(err); }
+      });
+    }));
+
+    connection.socket.write(Buffer.concat(commands.map(encodeCommand)));
+    return promises;
+  }
+
+  /**
+   * Connect and authenticate (once; shared by concurrent callers)
+   *
+   * @private
+   * @returns {Promise<Object>} - Connection
+   */
+  _getConnection() {
+    if (this.connection) {
+      return this.connection.ready;
+    }
+
+    const socket = this.socketPath
+      ? net.createConnection({ path: this.socketPath })
+      : net.createConnection({ host: this.host, port: this.port });
+
+    const connection = { socket, pending: [], buffer: Buffer.alloc(0), ready: null };
+    this.connection = connection;
+
+    connection.ready = new Promise((resolve, reject) => {
+      let lastError = null;
+
+      const connectTimer = setTimeout(() => {
+        socket.destroy(new Error(`Could not connect to Redis within ${this.connectTimeout}ms`));
+      }, this.connectTimeout);
+
+      socket.once('connect', async () => {
+        clearTimeout(connectTimer);
+        socket.setNoDelay(true);
+
+        try {
+          const handshake = [];
+          if (this.password) {
+            handshake.push(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.db) {
+            handshake.push(['SELECT', String(this.db)]);
+          }
+
+          if (handshake.length > 0) {
+            const replies = await Promise.all(this._write(connection, handshake));
+            const failed = replies.find(reply => reply instanceof Error);
+            if (failed) throw failed;
+          }
+
+          resolve(connection);
+        } catch (err) {
+          socket.destroy(err);
+        }
+      });
+
+      socket.on('data', (data) => this._onData(connection, data));
+      socket.on('error', (err) => {
+        lastError = err;
+      });
+      socket.on('close', () => {
+        clearTimeout(connectTimer);
+        const error = lastError || new Error('Redis connection closed');
+
+        if (this.connection === connection) {
+          this.connection = null;
+        }
+
+        const pending = connection.pending;
+        connection.pending = [];
+        for (const entry of pending) {
+          entry.reject(error);
+        }
+
+        reject(error);
+      });
+    });
+
+    return connection.ready;
+  }
+
+  /**
+   * @private
+   */
+  _onData(connection, data) {
+    connection.buffer = connection.buffer.length > 0 ? Buffer.concat([connection.buffer, data]) : data;
+
+    while (connection.buffer.length > 0) {
+      let parsed;
+      try {
+        parsed = parseReply(connection.buffer, 0);
+      } catch (err) {
+        connection.socket.destroy(err);
+        return;
+      }
+
+      if (!parsed) break;
+
+      connection.buffer = connection.buffer.subarray(parsed.offset);
+
+      const entry = connection.pending.shift();
+      if (entry) {
+        entry.resolve(parsed.value);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseUrl(url) {
+    const parsed = new URL(url);
+    if (parsed.protocol !== 'redis:') {
+      throw new Error(`Unsupported Redis URL protocol: ${parsed.protocol}`);
+    }
+
+    const db = parsed.pathname.replace(/^\//, '');
+
+    return {
+      host: parsed.hostname || undefined,
+      port: parsed.port ? parseInt(parsed.port, 10) : undefined,
+      username: parsed.username ? decodeURIComponent(parsed.username) : undefined,
+      password: parsed.password ? decodeURIComponent(parsed.password) : undefined,
+      db: db ? parseInt(db, 10) : undefined
+    };
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ *
+ * @private
+ */
+function encodeCommand(args) {
+  const parts = [`*${args.length}\r\n`];
+  for (const arg of args) {
+    const value = String(arg);
+    parts.push(`$${Buffer.byteLength(value)}\r\n${value}\r\n`);
+  }
+  return Buffer.from(parts.join(''));
+}
+
+/**
+ * Parse one RESP reply
+ *
+ * Error replies are returned as Error objects (code REDIS_ERROR), so they
+ * can sit inside arrays (e.g. EXEC results).
+ *
+ * @private
+ * @returns {Object|null} - { value, offset } or null if incomplete
+ */
+function parseReply(buffer, start) {
+  const lineEnd = buffer.indexOf('\r\n', start);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[start]);
+  const line = buffer.toString('utf8', start + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+
+    case '-': {
+      const error = new Error(line);
+      error.code = 'REDIS_ERROR';
+      return { value: error, offset: next };
+    }
+
+    case ':':
+      return { value: parseInt(line, 10), offset: next };
+
+    case '$': {
+      const length = parseInt(line, 10);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+
+    case '*': {
+      const count = parseInt(line, 10);
+      if (count === -1) return { value: null, offset: next };
+
+      const values = [];
+      let offset = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, offset);
+        if (!item) return null;
+        values.push(item.value);
+        offset = item.offset;
+      }
+      return { value: values, offset };
+    }
+
+    default:
+      throw new Error(`Invalid Redis reply type: ${type}`);
+  }
+}
+
+module.exports = RedisStore;
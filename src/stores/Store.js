@@ -0,0 +1,106 @@
+/**
+ * Store - Base class for shared key-value stores
+ *
+ * Stores hold the small pieces of state that must be shared between
+ * processes for limits and replay protection to hold across a cluster:
+ * rate limit buckets, CSRF tokens and used signed URL signatures.
+ *
+ * Contract (all methods async, TTLs in milliseconds, 0 = no expiry):
+ *   get(key) → value or null
+ *   set(key, value, { ttl })
+ *   delete(key)
+ *   incr(key, amount, { ttl }) → new value (TTL is set when the key is created)
+ *   compareAndSet(key, expected, value, { ttl }) → true if swapped
+ *
+ * Values must be JSON-serializable. compareAndSet() compares serialized
+ * values; pass expected = null to set only if the key does not exist, and
+ * value = null to delete the key only if it still holds expected.
+ *
+ * Implementations: MemoryStore (single process), FileStore (processes on
+ * one host), RedisStore (any number of hosts).
+ *
+ * @module stores/Store
+ */
+
+class Store {
+  /**
+   * Prepare the store (create directories, connect)
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    // Base implementation: no-op
+  }
+
+  /**
+   * Get a value
+   *
+   * @param {string} key
+   * @returns {Promise<*>} - Value, or null if missing or expired
+   */
+  async get(key) {
+    throw new Error(`${this.constructor.name} must implement get()`);
+  }
+
+  /**
+   * Set a value
+   *
+   * @param {string} key
+   * @param {*} value - JSON-serializable value
+   * @param {Object} options
+   * @param {number} options.ttl - Time to live in ms (default: no expiry)
+   * @returns {Promise<void>}
+   */
+  async set(key, value, options = {}) {
+    throw new Error(`${this.constructor.name} must implement set()`);
+  }
+
+  /**
+   * Delete a value
+   *
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    throw new Error(`${this.constructor.name} must implement delete()`);
+  }
+
+  /**
+   * Atomically replace a value if it still equals `expected`
+   *
+   * @param {string} key
+   * @param {*} expected - Current value, or null if the key must not exist
+   * @param {*} value - New value, or null to delete the key
+   * @param {Object} options
+   * @param {number} options.ttl - Time to live in ms (default: no expiry)
+   * @returns {Promise<boolean>} - True if the value was replaced
+   */
+  async compareAndSet(key, expected, value, options = {}) {
+    throw new Error(`${this.constructor.name} must implement compareAndSet()`);
+  }
+
+  /**
+   * Atomically add to a counter
+   *
+   * The TTL only applies when the counter is created, so counters work as
+   * fixed windows.
+   *
+   * @param {string} key
+   * @param {number} amount - Amount to add (default: 1)
+   * @param {Object} options
+   * @param {number} options.ttl - Time to live in ms for new counters
+   * @returns {Promise<number>} - Value after incrementing
+   */
+  async incr(key, amount = 1, options = {}) {
+    throw new Error(`${this.constructor.name} must implement incr()`);
+  }
+
+  /**
+   * Close connections and timers
+   * @returns {Promise<void>}
+   */
+  async close() {
+    // Base implementation: no-op
+  }
+}
+
+module.exports = Store;
@@ -0,0 +1,621 @@
+/**
+ * TusHandler - Resumable uploads via the tus 1.0.0 protocol
+ *
+ * Zero Dependency: Implements https://tus.io/protocols/resumable-upload
+ * using only native http primitives.
+ *
+ * Supported extensions:
+ * - creation: POST creates an upload, returns its Location
+ * - creation-with-upload: POST may carry the first chunk
+ * - creation-defer-length: Upload-Length may be sent with a later PATCH
+ * - termination: DELETE removes an unfinished upload
+ * - expiration: Unfinished uploads expire and are cleaned up
+ *
+ * Flow:
+ * POST → PATCH → PATCH (after reconnect, resume at HEAD offset) → ... → complete
+ *
+ * Chunks are appended to a staging file (TusUploadStore). Once the final
+ * byte arrives, the assembled file is run through the regular
+ * PipelineManager, so validators, transformers (StreamHasher, ...) and
+ * storage plugins (LocalStorage, S3Storage, ...) work exactly as they
+ * do for multipart uploads.
+ *
+ * Usage:
+ *   const tus = new TusHandler({ directory: './tus', storage, path: '/files' });
+ *   await tus.initialize();
+ *   http.createServer((req, res) => tus.handle(req, res));
+ *
+ * @module tus/TusHandler
+ */
+
+const { URL } = require('url');
+const { PipelineManager } = require('../core/PipelineManager');
+const TusUploadStore = require('./TusUploadStore');
+const { FluxUploadError } = require('../errors/FluxUploadError');
+const { getLogger } = require('../observability/Logger');
+
+const logger = getLogger('TusHandler');
+
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = [
+  'creation',
+  'creation-with-upload',
+  'creation-defer-length',
+  'termination',
+  'expiration'
+];
+const OFFSET_CONTENT_TYPE = 'application/offset+octet-stream';
+
+// Default limits
+const DEFAULT_EXPIRATION = 24 * 60 * 60 * 1000; // 24 hours
+const DEFAULT_CLEANUP_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+class TusHandler {
+  /**
+   * @param {Object} config
+   * @param {string} config.directory - Directory for upload state and partial data
+   * @param {string} config.path - URL path the handler is mounted on (default: '/files')
+   * @param {number} config.maxSize - Max upload size in bytes (optional)
+   * @param {number} config.expiration - Lifetime of unfinished uploads in ms (default: 24h, 0 = never)
+   * @param {number} config.cleanupInterval - Expired upload sweep interval in ms (default: 1h, 0 = disabled)
+   * @param {Array<Plugin>} config.validators - Validation plugins
+   * @param {Array<Plugin>} config.transformers - Transformation plugins
+   * @param {Plugin} config.storage - Storage plugin for completed uploads
+   * @param {TusUploadStore} config.store - Custom upload store (optional)
+   * @param {Function} config.onUploadCreate - Callback: (upload) => {}
+   * @param {Function} config.onUploadFinish - Callback: (upload, result) => {}
+   * @param {Function} config.onError - Callback: (error, upload) => {}
+   * @throws {Error} If storage or directory is not provided
+   */
+  constructor(config = {}) {
+    if (!config.storage) {
+      throw new Error('Storage plugin is required');
+    }
+
+    this.path = (config.path || '/files').replace(/\/+$/, '');
+    this.maxSize = config.maxSize || null;
+    this.expiration = config.expiration !== undefined ? config.expiration : DEFAULT_EXPIRATION;
+    this.cleanupIntervalMs = config.cleanupInterval !== undefined
+      ? config.cleanupInterval
+      : DEFAULT_CLEANUP_INTERVAL;
+
+    this.store = config.store || new TusUploadStore({ directory: config.directory });
+
+    this.pipelineManager = new PipelineManager({
+      validators: config.validators || [],
+      transformers: config.transformers || [],
+      storage: config.storage
+    });
+
+    // Callbacks
+    this.onUploadCreate = config.onUploadCreate || null;
+    this.onUploadFinish = config.onUploadFinish || null;
+    this.onError = config.onError || null;
+
+    // Uploads with a request in flight (one writer per upload)
+    this.locks = new Set();
+
+    // Cleanup interval will be started in initialize()
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Initialize store and plugins, start the expiration sweep
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await this.store.initialize();
+    await this.pipelineManager.initialize();
+
+    if (this.expiration > 0 && this.cleanupIntervalMs > 0 && !this.cleanupInterval) {
+      this.cleanupInterval = setInterval(() => {
+        this.cleanupExpired().catch((err) => {
+          logger.error('Failed to cleanup expired tus uploads', { error: err.message });
+        });
+      }, this.cleanupIntervalMs);
+      this.cleanupInterval.unref();
+    }
+  }
+
+  /**
+   * Stop the expiration sweep and shutdown plugins
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (this.cleanupInterval) {
+      clearInterval(this.cleanupInterval);
+      this.cleanupInterval = null;
+    }
+    await this.pipelineManager.shutdown();
+  }
+
+  /**
+   * Handle a tus request
+   *
+   * Always writes a response; errors are reported through the HTTP status
+   * and the onError callback, never thrown.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @returns {Promise<void>}
+   */
+  async handle(req, res) {
+    let upload = null;
+
+    try {
+      const method = (req.headers['x-http-method-override'] || req.method || '').toUpperCase();
+
+      if (method === 'OPTIONS') {
+        return this._handleOptions(req, res);
+      }
+
+      if (req.headers['tus-resumable'] !== TUS_VERSION) {
+        return this._send(res, 412, { 'Tus-Version': TUS_VERSION });
+      }
+
+      const id = this._getUploadId(req);
+
+      if (id === null) {
+        if (method === 'POST') {
+          return await this._handlePost(req, res);
+        }
+        throw new FluxUploadError(`Method ${method} not allowed on ${this.path}`, 'TUS_METHOD_NOT_ALLOWED', 405);
+      }
+
+      upload = await this._loadUpload(id);
+
+      switch (method) {
+        case 'HEAD':
+          return this._handleHead(res, upload);
+        case 'PATCH':
+          return await this._handlePatch(req, res, upload);
+        case 'DELETE':
+          return await this._handleDelete(res, upload);
+        default:
+          throw new FluxUploadError(`Method ${method} not allowed on uploads`, 'TUS_METHOD_NOT_ALLOWED', 405);
+      }
+    } catch (error) {
+      if (this.onError) {
+        this.onError(error, upload);
+      }
+      if (!error.statusCode || error.statusCode >= 500) {
+        logger.error('tus request failed', { error: error.message, uploadId: upload && upload.id });
+      }
+      this._sendError(res, error);
+    }
+  }
+
+  /**
+   * OPTIONS - advertise protocol capabilities
+   *
+   * @private
+   */
+  _handleOptions(req, res) {
+    const headers = {
+      'Tus-Version': TUS_VERSION,
+      'Tus-Extension': TUS_EXTENSIONS.join(',')
+    };
+    if (this.maxSize) {
+      headers['Tus-Max-Size'] = String(this.maxSize);
+    }
+    this._send(res, 204, headers);
+  }
+
+  /**
+   * POST - create a new upload (optionally with the first chunk)
+   *
+   * @private
+   */
+  async _handlePost(req, res) {
+    const deferLength = req.headers['upload-defer-length'];
+    const lengthHeader = req.headers['upload-length'];
+
+    if (deferLength !== undefined && deferLength !== '1') {
+      throw new FluxUploadError('Upload-Defer-Length must be 1', 'TUS_INVALID_HEADER', 400);
+    }
+    if (lengthHeader === undefined && deferLength === undefined) {
+      throw new FluxUploadError('Upload-Length or Upload-Defer-Length is required', 'TUS_INVALID_HEADER', 400);
+    }
+
+    const size = lengthHeader !== undefined ? this._parseLength(lengthHeader, 'Upload-Length') : null;
+    this._checkMaxSize(size);
+
+    const now = Date.now();
+    let upload = await this.store.create({
+      id: this.store.generateId(),
+      size,
+      metadata: TusHandler.parseMetadata(req.headers['upload-metadata']),
+      createdAt: new Date(now).toISOString(),
+      expiresAt: this.expiration > 0 ? new Date(now + this.expiration).toISOString() : null,
+      completed: false,
+      result: null
+    });
+
+    if (this.onUploadCreate) {
+      await this.onUploadCreate(upload);
+    }
+
+    const headers = { 'Location': `${this.path}/${upload.id}` };
+
+    // creation-with-upload: body carries the first chunk
+    if (req.headers['content-type'] === OFFSET_CONTENT_TYPE) {
+      upload = await this._withLock(upload.id, () => this._appendChunk(req, upload));
+      headers['Upload-Offset'] = String(upload.offset);
+    } else if (upload.size === 0) {
+      // Empty files are complete as soon as they are created
+      await this._withLock(upload.id, () => this._finishUpload(upload, req));
+    }
+
+    Object.assign(headers, this._expiresHeader(upload));
+    this._send(res, 201, headers);
+  }
+
+  /**
+   * HEAD - report the current offset so the client can resume
+   *
+   * @private
+   */
+  _handleHead(res, upload) {
+    const headers = {
+      'Upload-Offset': String(upload.offset),
+      'Cache-Control': 'no-store',
+      ...this._expiresHeader(upload)
+    };
+
+    if (upload.size === null) {
+      headers['Upload-Defer-Length'] = '1';
+    } else {
+      headers['Upload-Length'] = String(upload.size);
+    }
+
+    const metadata = TusHandler.formatMetadata(upload.metadata);
+    if (metadata) {
+      headers['Upload-Metadata'] = metadata;
+    }
+
+    this._send(res, 200, headers);
+  }
+
+  /**
+   * PATCH - append a chunk at the given offset
+   *
+   * @private
+   */
+  async _handlePatch(req, res, upload) {
+    if (req.headers['content-type'] !== OFFSET_CONTENT_TYPE) {
+      throw new FluxUploadError(`Content-Type must be ${OFFSET_CONTENT_TYPE}`, 'TUS_INVALID_CONTENT_TYPE', 415);
+    }
+
+    const offsetHeader = req.headers['upload-offset'];
+    if (offsetHeader === undefined) {
+      throw new FluxUploadError('Upload-Offset is required', 'TUS_INVALID_HEADER', 400);
+    }
+    const offset = this._parseLength(offsetHeader, 'Upload-Offset');
+
+    upload = await this._withLock(upload.id, async () => {
+      // Re-read inside the lock: a concurrent request may have just finished
+      const current = await this._loadUpload(upload.id);
+
+      if (current.completed) {
+        throw new FluxUploadError('Upload already completed', 'TUS_UPLOAD_COMPLETED', 403);
+      }
+      if (offset !== current.offset) {
+        throw new FluxUploadError(
+          `Upload-Offset mismatch: expected ${current.offset}, received ${offset}`,
+          'TUS_OFFSET_MISMATCH',
+          409
+        );
+      }
+
+      // creation-defer-length: length arrives with a later PATCH
+      if (req.headers['upload-length'] !== undefined) {
+        const size = this._parseLength(req.headers['upload-length'], 'Upload-Length');
+        if (current.size !== null && current.size !== size) {
+          throw new FluxUploadError('Upload-Length cannot be changed', 'TUS_INVALID_HEADER', 400);
+        }
+        if (size < current.offset) {
+          throw new FluxUploadError('Upload-Length is smaller than the current offset', 'TUS_INVALID_HEADER', 400);
+        }
+        this._checkMaxSize(size);
+        current.size = size;
+      }
+
+      return this._appendChunk(req, current);
+    });
+
+    this._send(res, 204, {
+      'Upload-Offset': String(upload.offset),
+      ...this._expiresHeader(upload)
+    });
+  }
+
+  /**
+   * DELETE - terminate an upload
+   *
+   * @private
+   */
+  async _handleDelete(res, upload) {
+    await this._withLock(upload.id, () => this.store.remove(upload.id));
+    this._send(res, 204);
+  }
+
+  /**
+   * Append request body to the upload and finish it if complete
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @param {Object} upload
+   * @returns {Promise<Object>} - Updated upload record
+   */
+  async _appendChunk(req, upload) {
+    const maxBytes = upload.size !== null
+      ? upload.size - upload.offset
+      : (this.maxSize ? this.maxSize - upload.offset : null);
+
+    // Reject early when the declared chunk cannot fit
+    const contentLength = req.headers['content-length'];
+    if (maxBytes !== null && contentLength !== undefined && Number(contentLength) > maxBytes) {
+      throw new FluxUploadError(
+        `Chunk of ${contentLength} bytes exceeds remaining upload length of ${maxBytes}`,
+        'TUS_LENGTH_EXCEEDED',
+        413
+      );
+    }
+
+    let appendError = null;
+    try {
+      await this.store.append(upload.id, req, { maxBytes });
+    } catch (err) {
+      appendError = err;
+    }
+
+    // Persist progress even if the connection dropped mid-chunk
+    upload.offset = await this.store.getOffset(upload.id);
+    if (this.expiration > 0) {
+      upload.expiresAt = new Date(Date.now() + this.expiration).toISOString();
+    }
+    await this.store.update(upload);
+
+    if (appendError) {
+      if (appendError.code === 'LIMIT_UPLOAD_LENGTH') {
+        throw new FluxUploadError(appendError.message, 'TUS_LENGTH_EXCEEDED', 413);
+      }
+      throw appendError;
+    }
+
+    if (upload.size !== null && upload.offset === upload.size) {
+      await this._finishUpload(upload, req);
+    }
+
+    return upload;
+  }
+
+  /**
+   * Run the assembled file through validators, transformers and storage
+   *
+   * On failure the upload is discarded: its bytes failed validation or
+   * could not be stored, so resuming it would not help.
+   *
+   * @private
+   * @param {Object} upload
+   * @param {http.IncomingMessage} req - Request that delivered the last byte
+   */
+  async _finishUpload(upload, req) {
+    const fileInfo = {
+      fieldName: upload.metadata.fieldName || 'file',
+      filename: upload.metadata.filename || upload.metadata.name || upload.id,
+      mimeType: upload.metadata.filetype || upload.metadata.type || 'application/octet-stream',
+      size: upload.size,
+      uploadId: upload.id
+    };
+
+    let result;
+    try {
+      result = await this.pipelineManager.execute(this.store.createReadStream(upload.id), fileInfo, {
+        request: req,
+        requestId: upload.id
+      });
+    } catch (error) {
+      await this.store.remove(upload.id);
+      throw error;
+    }
+
+    upload.completed = true;
+    upload.expiresAt = null;
+    upload.result = {
+      metadata: result.metadata,
+      storage: result.storage
+    };
+    await this.store.update(upload);
+    await this.store.removeData(upload.id);
+
+    if (this.onUploadFinish) {
+      await this.onUploadFinish(upload, result);
+    }
+  }
+
+  /**
+   * Remove unfinished uploads past their expiry
+   *
+   * @returns {Promise<number>} - Number of uploads removed
+   */
+  async cleanupExpired() {
+    const now = Date.now();
+    let removed = 0;
+
+    for (const upload of await this.store.list()) {
+      if (this._isExpired(upload, now) && !this.locks.has(upload.id)) {
+        await this.store.remove(upload.id);
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      logger.debug('Cleaned up expired tus uploads', { count: removed });
+    }
+
+    return removed;
+  }
+
+  /**
+   * Load an upload or fail with 404/410
+   *
+   * @private
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async _loadUpload(id) {
+    const upload = await this.store.get(id);
+
+    if (!upload) {
+      throw new FluxUploadError('Upload not found', 'TUS_NOT_FOUND', 404);
+    }
+
+    if (this._isExpired(upload, Date.now())) {
+      await this.store.remove(id);
+      throw new FluxUploadError('Upload expired', 'TUS_EXPIRED', 410);
+    }
+
+    return upload;
+  }
+
+  /**
+   * Run fn while holding the per-upload lock
+   *
+   * @private
+   */
+  async _withLock(id, fn) {
+    if (this.locks.has(id)) {
+      throw new FluxUploadError('Upload is locked by another request', 'TUS_LOCKED', 423);
+    }
+
+    this.locks.add(id);
+    try {
+      return await fn();
+    } finally {
+      this.locks.delete(id);
+    }
+  }
+
+  /**
+   * Extract upload ID from request URL
+   *
+   * @private
+   * @param {http.IncomingMessage} req
+   * @returns {string|null} - ID, or null for the collection URL
+   */
+  _getUploadId(req) {
+    const pathname = new URL(req.url || '/', 'http://localhost').pathname.replace(/\/+$/, '');
+
+    if (pathname === this.path) {
+      return null;
+    }
+
+    if (!pathname.startsWith(`${this.path}/`)) {
+      throw new FluxUploadError('Upload not found', 'TUS_NOT_FOUND', 404);
+    }
+
+    return pathname.slice(this.path.length + 1);
+  }
+
+  /**
+   * @private
+   */
+  _isExpired(upload, now) {
+    return !upload.completed && !!upload.expiresAt && Date.parse(upload.expiresAt) <= now;
+  }
+
+  /**
+   * @private
+   */
+  _expiresHeader(upload) {
+    if (upload.completed || !upload.expiresAt) {
+      return {};
+    }
+    return { 'Upload-Expires': new Date(upload.expiresAt).toUTCString() };
+  }
+
+  /**
+   * Parse a non-negative integer header
+   *
+   * @private
+   */
+  _parseLength(value, headerName) {
+    if (!/^\d+$/.test(value)) {
+      throw new FluxUploadError(`Invalid ${headerName} header`, 'TUS_INVALID_HEADER', 400);
+    }
+    return Number(value);
+  }
+
+  /**
+   * @private
+   */
+  _checkMaxSize(size) {
+    if (this.maxSize && size !== null && size > this.maxSize) {
+      throw new FluxUploadError(
+        `Upload-Length exceeds maximum of ${this.maxSize} bytes`,
+        'TUS_MAX_SIZE_EXCEEDED',
+        413
+      );
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(res, statusCode, headers = {}, body) {
+    if (res.headersSent) return;
+
+    res.writeHead(statusCode, {
+      'Tus-Resumable': TUS_VERSION,
+      ...headers,
+      ...(body && { 'Content-Type': 'text/plain; charset=utf-8' })
+    });
+    res.end(body);
+  }
+
+  /**
+   * @private
+   */
+  _sendError(res, error) {
+    const statusCode = error.statusCode || 500;
+    const message = statusCode >= 500 ? 'Internal server error' : error.message;
+    const headers = statusCode === 412 ? { 'Tus-Version': TUS_VERSION } : {};
+    this._send(res, statusCode, headers, `${message}\n`);
+  }
+
+  /**
+   * Parse Upload-Metadata header
+   *
+   * Format: key base64value,key2 base64value2,flag
+   *
+   * @param {string} header
+   * @returns {Object} - Decoded key/value pairs
+   */
+  static parseMetadata(header) {
+    const metadata = {};
+    if (!header) return metadata;
+
+    for (const pair of header.split(',')) {
+      const [key, value] = pair.trim().split(' ');
+      if (!key) continue;
+      metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Format metadata for the Upload-Metadata header
+   *
+   * @param {Object} metadata
+   * @returns {string}
+   */
+  static formatMetadata(metadata = {}) {
+    return Object.entries(metadata)
+      .map(([key, value]) => value ? `${key} ${Buffer.from(String(value)).toString('base64')}` : key)
+      .join(',');
+  }
+}
+
+module.exports = TusHandler;
@@ -0,0 +1,330 @@
+/**
+ * TusUploadStore - Persist resumable upload state on local disk
+ *
+ * Zero Dependency: Uses only native fs and path modules
+ *
+ * Layout (one pair of files per upload):
+ *   <directory>/<id>.json  - Upload record (length, metadata, expiry, result)
+ *   <directory>/<id>.bin   - Bytes received so far
+ *
+ * The size of the .bin file is the source of truth for the upload offset.
+ * Bytes that reached the disk before a connection dropped are kept, so a
+ * client can resume from exactly where the server stopped, even after a
+ * process restart.
+ *
+ * @module tus/TusUploadStore
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+
+// Upload IDs are 16 random bytes in hex - anything else is rejected
+// before it can be turned into a filesystem path
+const UPLOAD_ID_PATTERN = /^[a-f0-9]{32}$/;
+
+class TusUploadStore {
+  /**
+   * @param {Object} config
+   * @param {string} config.directory - Directory for upload state and partial data
+   * @param {number} config.fileMode - File permissions (default: 0o600)
+   * @param {number} config.dirMode - Directory permissions (default: 0o700)
+   * @throws {Error} If directory is not provided
+   */
+  constructor(config = {}) {
+    if (!config.directory) {
+      throw new Error('directory is required for TusUploadStore');
+    }
+
+    this.directory = path.resolve(config.directory);
+    this.fileMode = config.fileMode || 0o600;
+    this.dirMode = config.dirMode || 0o700;
+  }
+
+  /**
+   * Create the state directory if needed
+   * @returns {Promise<void>}
+   */
+  async initialize() {
+    await fs.promises.mkdir(this.directory, {
+      recursive: true,
+      mode: this.dirMode
+    });
+  }
+
+  /**
+   * Generate a new upload ID
+   *
+   * @returns {string}
+   */
+  generateId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Create a new upload record with an empty data file
+   *
+   * @param {Object} upload - Upload record (must contain id)
+   * @returns {Promise<Object>} - The stored record
+   */
+  async create(upload) {
+    this._validateId(upload.id);
+
+    await fs.promises.writeFile(this._dataPath(upload.id), Buffer.alloc(0), {
+      mode: this.fileMode,
+      flag: 'wx'
+    });
+
+    const record = { ...upload, offset: 0 };
+    await this._writeRecord(record);
+
+    return record;
+  }
+
+  /**
+   * Load an upload record
+   *
+   * The offset of unfinished uploads is re-read from the data file so it
+   * always reflects what is actually on disk.
+   *
+   * @param {string} id
+   * @returns {Promise<Object|null>} - Record, or null if unknown
+   */
+  async get(id) {
+    if (!UPLOAD_ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    let record;
+    try {
+      record = JSON.parse(await fs.promises.readFile(this._recordPath(id), 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+
+    if (!record.completed) {
+      try {
+        const stats = await fs.promises.stat(this._dataPath(id));
+        record.offset = stats.size;
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+        record.offset = 0;
+      }
+    }
+
+    return record;
+  }
+
+  /**
+   * Persist changes to an upload record
+   *
+   * @param {Object} record
+   * @returns {Promise<Object>}
+   */
+  async update(record) {
+    this._validateId(record.id);
+    await this._writeRecord(record);
+    return record;
+  }
+
+  /**
+   * Append a stream to the upload's data file
+   *
+   * Writes at most maxBytes; the stream is rejected with a
+   * LIMIT_UPLOAD_LENGTH error if it carries more than that.
+   *
+   * @param {string} id
+   * @param {stream.Readable} stream - Incoming bytes
+   * @param {Object} options
+   * @param {number} options.maxBytes - Max bytes to accept (optional)
+   * @returns {Promise<number>} - New offset (size of the data file)
+   */
+  async append(id, stream, options = {}) {
+    this._validateId(id);
+
+    const writeStream = fs.createWriteStream(this._dataPath(id), {
+      flags: 'a',
+      mode: this.fileMode
+    });
+
+    const streams = [stream];
+    if (options.maxBytes !== undefined && options.maxBytes !== null) {
+      streams.push(new LengthLimitStream({ maxBytes: options.maxBytes }));
+    }
+    streams.push(writeStream);
+
+    // Whatever made it to disk counts, even if the connection dropped -
+    // callers re-read the offset with getOffset() after a failure
+    await pipeline(...streams);
+
+    return this.getOffset(id);
+  }
+
+  /**
+   * Current size of the data file
+   *
+   * @param {string} id
+   * @returns {Promise<number>}
+   */
+  async getOffset(id) {
+    this._validateId(id);
+    const stats = await fs.promises.stat(this._dataPath(id));
+    return stats.size;
+  }
+
+  /**
+   * Open the received bytes for reading
+   *
+   * @param {string} id
+   * @returns {stream.Readable}
+   */
+  createReadStream(id) {
+    this._validateId(id);
+    return fs.createReadStream(this._dataPath(id));
+  }
+
+  /**
+   * Delete the data file, keeping the record (used once an upload is stored)
+   *
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async removeData(id) {
+    this._validateId(id);
+    await this._unlink(this._dataPath(id));
+  }
+
+  /**
+   * Delete an upload (record and data)
+   *
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async remove(id) {
+    this._validateId(id);
+    await this._unlink(this._dataPath(id));
+    await this._unlink(this._recordPath(id));
+  }
+
+  /**
+   * List all upload records
+   *
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(this.directory);
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const records = [];
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+
+      const record = await this.get(entry.slice(0, -5));
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    return records;
+  }
+
+  /**
+   * Write record atomically (temp file, then rename)
+   *
+   * @private
+   * @param {Object} record
+   */
+  async _writeRecord(record) {
+    const recordPath = this._recordPath(record.id);
+    const tempPath = `${recordPath}.tmp`;
+
+    await fs.promises.writeFile(tempPath, JSON.stringify(record), {
+      mode: this.fileMode
+    });
+    await fs.promises.rename(tempPath, recordPath);
+  }
+
+  /**
+   * Unlink a file, ignoring missing files
+   *
+   * @private
+   * @param {string} filePath
+   */
+  async _unlink(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _recordPath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * @private
+   */
+  _dataPath(id) {
+    return path.join(this.directory, `${id}.bin`);
+  }
+
+  /**
+   * Reject IDs that could escape the state directory
+   *
+   * @private
+   * @param {string} id
+   * @throws {Error} - If ID is malformed
+   */
+  _validateId(id) {
+    if (typeof id !== 'string' || !UPLOAD_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid upload ID: ${id}`);
+    }
+  }
+}
+
+/**
+ * LengthLimitStream - Pass bytes through up to a fixed limit
+ *
+ * Bytes up to the limit are still written downstream before the error,
+ * so the stored offset stays consistent with what the client sent.
+ */
+class LengthLimitStream extends Transform {
+  constructor(options) {
+    super();
+
+    this.maxBytes = options.maxBytes;
+    this.bytesProcessed = 0;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const remaining = this.maxBytes - this.bytesProcessed;
+
+    if (chunk.length > remaining) {
+      if (remaining > 0) {
+        this.push(chunk.slice(0, remaining));
+        this.bytesProcessed += remaining;
+      }
+
+      const error = new Error(`Upload exceeds declared length by ${chunk.length - remaining} bytes`);
+      error.code = 'LIMIT_UPLOAD_LENGTH';
+      return callback(error);
+    }
+
+    this.bytesProcessed += chunk.length;
+    callback(null, chunk);
+  }
+}
+
+module.exports = TusUploadStore;
@@ -59,7 +59,8 @@ class AwsSignatureV4 {
 
     // Parse URL
     const url = new URL(request.url);
-    const host = url.hostname;
+    // Host includes the port for non-default ports (e.g. local MinIO on :9000)
+    const host = url.host;
     const path = url.pathname || '/';
     const query = url.search.slice(1); // Remove leading '?'
 
@@ -76,7 +77,8 @@ class AwsSignatureV4 {
     }
 
     // Calculate payload hash
-    const payloadHash = this._hash(request.body || '');
+    // Callers streaming a body of unknown content pass 'UNSIGNED-PAYLOAD'
+    const payloadHash = headers['x-amz-content-sha256'] || this._hash(request.body || '');
     headers['x-amz-content-sha256'] = payloadHash;
 
     // Step 1: Create canonical request
@@ -359,7 +361,7 @@ class AwsSignatureV4 {
       options.method,
       url.pathname,
       url.search.slice(1),
-      { 'host': url.hostname },
+      { 'host': url.host },
       'UNSIGNED-PAYLOAD'
     );
 
@@ -0,0 +1,234 @@
+/**
+ * AzureSharedKey - Azure Storage Shared Key signing
+ *
+ * Zero Dependency: Manual implementation of the Shared Key authorization
+ * scheme and service SAS tokens for Blob storage. Uses only native crypto.
+ *
+ * References:
+ * - https://learn.microsoft.com/rest/api/storageservices/authorize-with-shared-key
+ * - https://learn.microsoft.com/rest/api/storageservices/create-service-sas
+ *
+ * Algorithm:
+ * 1. Build the string to sign (verb, standard headers, x-ms-* headers,
+ *    canonicalized resource)
+ * 2. HMAC-SHA256 it with the base64-decoded account key
+ * 3. Add `Authorization: SharedKey <account>:<signature>`
+ */
+
+const crypto = require('crypto');
+
+// REST API version sent with every request and used for SAS tokens
+const API_VERSION = '2021-08-06';
+
+// Standard headers in string-to-sign order
+const SIGNED_HEADERS = [
+  'content-encoding',
+  'content-language',
+  'content-length',
+  'content-md5',
+  'content-type',
+  'date',
+  'if-modified-since',
+  'if-match',
+  'if-none-match',
+  'if-unmodified-since',
+  'range'
+];
+
+class AzureSharedKey {
+  /**
+   * @param {Object} config
+   * @param {string} config.accountName - Storage account name
+   * @param {string} config.accountKey - Base64 account key
+   */
+  constructor(config) {
+    this.accountName = config.accountName;
+    this.accountKey = config.accountKey;
+
+    if (!this.accountName || !this.accountKey) {
+      throw new Error('accountName and accountKey are required');
+    }
+
+    this.key = Buffer.from(this.accountKey, 'base64');
+  }
+
+  /**
+   * Sign an HTTP request
+   *
+   * @param {Object} request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Full URL
+   * @param {Object} request.headers - HTTP headers
+   * @param {Date} request.date - Request date (optional, defaults to now)
+   * @returns {Object} - Headers with x-ms-date, x-ms-version and authorization
+   */
+  sign(request) {
+    const headers = {
+      'x-ms-date': (request.date || new Date()).toUTCString(),
+      'x-ms-version': API_VERSION,
+      ...this._sanitizeHeaders(request.headers || {})
+    };
+
+    const stringToSign = this._createStringToSign(request.method, new URL(request.url), headers);
+    headers['authorization'] = `SharedKey ${this.accountName}:${this._hmac(stringToSign)}`;
+
+    return headers;
+  }
+
+  /**
+   * Create a service SAS token for a blob
+   *
+   * @param {Object} options
+   * @param {string} options.container - Container name
+   * @param {string} options.blobName - Blob name
+   * @param {string} options.permissions - Permissions in order 'racwd' (default: 'r')
+   * @param {number} options.expiresIn - Expiration time in seconds (default: 3600)
+   * @param {Date} options.startsOn - Start time (optional)
+   * @param {string} options.protocol - 'https' or 'https,http' (optional)
+   * @returns {string} - Query string without leading '?'
+   */
+  generateBlobSas(options) {
+    const expiresOn = new Date(Date.now() + (options.expiresIn || 3600) * 1000);
+    const params = {
+      sp: options.permissions || 'r',
+      st: options.startsOn ? formatSasDate(options.startsOn) : '',
+      se: formatSasDate(expiresOn),
+      spr: options.protocol || '',
+      sv: API_VERSION,
+      sr: 'b'
+    };
+
+    const stringToSign = [
+      params.sp,
+      params.st,
+      params.se,
+      `/blob/${this.accountName}/${options.container}/${options.blobName}`,
+      '', // signedIdentifier
+      '', // signedIP
+      params.spr,
+      params.sv,
+      params.sr,
+      '', // signedSnapshotTime
+      '', // signedEncryptionScope
+      '', // rscc
+      '', // rscd
+      '', // rsce
+      '', // rscl
+      '' // rsct
+    ].join('\n');
+
+    params.sig = this._hmac(stringToSign);
+
+    return Object.entries(params)
+      .filter(([, value]) => value)
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join('&');
+  }
+
+  /**
+   * Build the string to sign
+   *
+   * Format:
+   * VERB\n
+   * Content-Encoding\n ... Range\n (empty Content-Length when 0)
+   * CanonicalizedHeaders
+   * CanonicalizedResource
+   */
+  _createStringToSign(method, url, headers) {
+    const standard = SIGNED_HEADERS.map((name) => {
+      const value = headers[name];
+      if (name === 'content-length' && (value === '0' || value === 0)) return '';
+      return value === undefined ? '' : String(value);
+    });
+
+    return [
+      method.toUpperCase(),
+      ...standard,
+      this._canonicalizeHeaders(headers) + this._canonicalizeResource(url)
+    ].join('\n');
+  }
+
+  /**
+   * x-ms-* headers, lowercased and sorted, one `name:value\n` each
+   *
+   * @param {Object} headers - Lowercased headers
+   * @returns {string}
+   */
+  _canonicalizeHeaders(headers) {
+    return Object.keys(headers)
+      .filter(name => name.startsWith('x-ms-'))
+      .sort()
+      .map(name => `${name}:${String(headers[name]).replace(/\s+/g, ' ').trim()}\n`)
+      .join('');
+  }
+
+  /**
+   * `/<account><path>` plus `\nname:value` per query parameter (sorted)
+   *
+   * @param {URL} url
+   * @returns {string}
+   */
+  _canonicalizeResource(url) {
+    let resource = `/${this.accountName}${url.pathname || '/'}`;
+
+    const params = new Map();
+    for (const [name, value] of url.searchParams) {
+      const key = name.toLowerCase();
+      if (!params.has(key)) params.set(key, []);
+      params.get(key).push(value);
+    }
+
+    for (const name of [...params.keys()].sort()) {
+      resource += `\n${name}:${params.get(name).sort().join(',')}`;
+    }
+
+    return resource;
+  }
+
+  /**
+   * HMAC-SHA256 with the account key
+   *
+   * @param {string} data
+   * @returns {string} - Base64 signature
+   */
+  _hmac(data) {
+    return crypto.createHmac('sha256', this.key).update(data, 'utf8').digest('base64');
+  }
+
+  /**
+   * Lowercase header names and strip control characters (header injection)
+   *
+   * @private
+   * @param {Object} headers
+   * @returns {Object}
+   */
+  _sanitizeHeaders(headers) {
+    const sanitized = {};
+
+    for (const [key, value] of Object.entries(headers)) {
+      if (!key || value === undefined || value === null) continue;
+
+      const sanitizedKey = key.toLowerCase().replace(/[\x00-\x1F\x7F]/g, '');
+      const sanitizedValue = value.toString().replace(/[\x00-\x1F\x7F]/g, '').trim();
+
+      if (sanitizedKey) {
+        sanitized[sanitizedKey] = sanitizedValue;
+      }
+    }
+
+    return sanitized;
+  }
+}
+
+/**
+ * ISO 8601 without milliseconds (SAS dates)
+ *
+ * @private
+ */
+function formatSasDate(date) {
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+AzureSharedKey.API_VERSION = API_VERSION;
+
+module.exports = AzureSharedKey;
@@ -17,6 +17,9 @@ class BoundaryScanner {
     this.boundary = Buffer.concat([Buffer.from('--'), boundary]);
     this.boundaryLength = this.boundary.length;
 
+    // A split boundary plus the CRLF before it (part of the delimiter, RFC 2046)
+    this.maxCarryover = this.boundaryLength + 1;
+
     // Rolling buffer to handle boundaries that span chunks
     this.carryover = Buffer.alloc(0);
   }
@@ -27,7 +30,8 @@ class BoundaryScanner {
    * Returns an array of boundary positions and the data before each boundary
    *
    * @param {Buffer} chunk - The chunk to search in
-   * @returns {Object} - { parts: [{data, boundaryIndex}], carryover }
+   * @returns {Object} - { parts: [{data, boundaryIndex}], emitData, carryover }
+   *   emitData: Data after the last boundary that can't be part of a split boundary
    */
   scan(chunk) {
     // Prepend carryover from previous chunk
@@ -54,27 +58,26 @@ class BoundaryScanner {
     }
 
     // Calculate how much to keep for next iteration
-    // We need to keep (boundaryLength - 1) bytes in case boundary is split
+    // We need to keep (boundaryLength - 1) bytes in case boundary is split,
+    // plus the CRLF that may precede it so it can be stripped from the part
     const remainingBytes = Math.max(0, searchBuffer.length - searchStart);
-    const keepSize = Math.min(this.boundaryLength - 1, remainingBytes);
+    const keepSize = Math.min(this.maxCarryover, remainingBytes);
     const newCarryover = keepSize > 0 ? searchBuffer.slice(searchBuffer.length - keepSize) : Buffer.alloc(0);
 
     // Defensive validation: carryover should NEVER exceed boundary length
     // This prevents memory exhaustion attacks via malformed boundaries
-    if (newCarryover.length >= this.boundaryLength) {
+    if (newCarryover.length > this.maxCarryover) {
       throw new Error(
         `Boundary scanner buffer overflow: carryover size ${newCarryover.length} ` +
-        `exceeds maximum ${this.boundaryLength - 1}. Possible attack or malformed data.`
+        `exceeds maximum ${this.maxCarryover}. Possible attack or malformed data.`
       );
     }
 
     // Update internal carryover for next scan
     this.carryover = newCarryover;
 
-    // Data to emit (everything except carryover)
-    const emitData = parts.length > 0
-      ? null // Data already split into parts
-      : searchBuffer.slice(0, searchBuffer.length - keepSize);
+    // Data to emit after the last boundary (everything except carryover)
+    const emitData = searchBuffer.slice(searchStart, searchBuffer.length - keepSize);
 
     return {
       parts,
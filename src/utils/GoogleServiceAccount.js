@@ -0,0 +1,216 @@
+/**
+ * GoogleServiceAccount - OAuth 2.0 access tokens for a service account
+ *
+ * Zero Dependency: Signs the JWT bearer assertion with native crypto (RS256)
+ * and exchanges it at the token endpoint. No google-auth-library required!
+ *
+ * References:
+ * - https://developers.google.com/identity/protocols/oauth2/service-account#httprest
+ *
+ * Flow:
+ * 1. Build a JWT: { iss: client_email, scope, aud: token_uri, iat, exp }
+ * 2. Sign it with the service account's private key (RSA-SHA256)
+ * 3. POST grant_type=jwt-bearer&assertion=<jwt> to the token endpoint
+ * 4. Cache the access token until shortly before it expires
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const https = require('https');
+const http = require('http');
+const { URL } = require('url');
+
+const DEFAULT_TOKEN_URI = 'https://oauth2.googleapis.com/token';
+const DEFAULT_SCOPE = 'https://www.googleapis.com/auth/devstorage.read_write';
+const JWT_LIFETIME = 3600; // seconds (Google's maximum)
+const REFRESH_MARGIN = 60 * 1000; // Refresh tokens 1 minute before expiry
+
+class GoogleServiceAccount {
+  /**
+   * @param {Object} config
+   * @param {Object} config.credentials - Service account key ({ client_email, private_key, token_uri })
+   * @param {string} config.keyFilename - Path to the service account key JSON (instead of credentials)
+   * @param {string|Array<string>} config.scope - OAuth scopes (default: devstorage.read_write)
+   * @throws {Error} If neither credentials nor keyFilename is provided
+   * @throws {Error} If credentials lack client_email or private_key
+   */
+  constructor(config = {}) {
+    if (!config.credentials && !config.keyFilename) {
+      throw new Error('credentials or keyFilename is required');
+    }
+
+    this.keyFilename = config.keyFilename || null;
+    this.credentials = null;
+    this.scope = Array.isArray(config.scope) ? config.scope.join(' ') : (config.scope || DEFAULT_SCOPE);
+
+    if (config.credentials) {
+      this.credentials = this._validateCredentials(config.credentials);
+    }
+
+    this.token = null;
+    this.pendingToken = null;
+  }
+
+  /**
+   * Get a valid access token (cached, refreshed before expiry)
+   *
+   * Concurrent callers share one token request.
+   *
+   * @returns {Promise<string>}
+   */
+  async getAccessToken() {
+    if (this.token && Date.now() < this.token.expiresAt - REFRESH_MARGIN) {
+      return this.token.accessToken;
+    }
+
+    if (!this.pendingToken) {
+      this.pendingToken = this._fetchToken().finally(() => {
+        this.pendingToken = null;
+      });
+    }
+
+    return this.pendingToken;
+  }
+
+  /**
+   * Create a signed JWT bearer assertion
+   *
+   * @param {Date} now - Issue time (optional, defaults to now)
+   * @returns {Promise<string>}
+   */
+  async createAssertion(now = new Date()) {
+    const credentials = await this._loadCredentials();
+    const iat = Math.floor(now.getTime() / 1000);
+
+    const header = { alg: 'RS256', typ: 'JWT' };
+    if (credentials.private_key_id) {
+      header.kid = credentials.private_key_id;
+    }
+
+    const claims = {
+      iss: credentials.client_email,
+      scope: this.scope,
+      aud: credentials.token_uri || DEFAULT_TOKEN_URI,
+      iat,
+      exp: iat + JWT_LIFETIME
+    };
+
+    const unsigned = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(claims))}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(credentials.private_key);
+
+    return `${unsigned}.${base64url(signature)}`;
+  }
+
+  /**
+   * Exchange a new assertion for an access token
+   *
+   * @private
+   * @returns {Promise<string>}
+   */
+  async _fetchToken() {
+    const credentials = await this._loadCredentials();
+    const assertion = await this.createAssertion();
+    const body = `grant_type=${encodeURIComponent('urn:ietf:params:oauth:grant-type:jwt-bearer')}` +
+      `&assertion=${encodeURIComponent(assertion)}`;
+
+    const res = await postForm(credentials.token_uri || DEFAULT_TOKEN_URI, body);
+
+    let payload = null;
+    try {
+      payload = JSON.parse(res.body);
+    } catch (err) {
+      // Reported below
+    }
+
+    if (res.statusCode !== 200 || !payload || !payload.access_token) {
+      const reason = payload && (payload.error_description || payload.error);
+      const error = new Error(`Google token request failed: ${res.statusCode}${reason ? ` ${reason}` : ''}`);
+      error.statusCode = res.statusCode;
+      throw error;
+    }
+
+    this.token = {
+      accessToken: payload.access_token,
+      expiresAt: Date.now() + (payload.expires_in || JWT_LIFETIME) * 1000
+    };
+
+    return this.token.accessToken;
+  }
+
+  /**
+   * Load credentials from keyFilename on first use
+   *
+   * @private
+   * @returns {Promise<Object>}
+   */
+  async _loadCredentials() {
+    if (!this.credentials) {
+      const content = await fs.promises.readFile(this.keyFilename, 'utf8');
+      this.credentials = this._validateCredentials(JSON.parse(content));
+    }
+    return this.credentials;
+  }
+
+  /**
+   * @private
+   */
+  _validateCredentials(credentials) {
+    if (!credentials.client_email || !credentials.private_key) {
+      throw new Error('Service account credentials require client_email and private_key');
+    }
+    return credentials;
+  }
+}
+
+/**
+ * Base64url without padding (JWT encoding)
+ *
+ * @private
+ */
+function base64url(data) {
+  return Buffer.from(data).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+/**
+ * POST a form body and collect the response
+ *
+ * @private
+ */
+function postForm(url, body) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const isHttps = urlObj.protocol === 'https:';
+    const client = isHttps ? https : http;
+
+    const req = client.request({
+      method: 'POST',
+      hostname: urlObj.hostname,
+      port: urlObj.port || (isHttps ? 443 : 80),
+      path: urlObj.pathname + urlObj.search,
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Content-Length': Buffer.byteLength(body).toString()
+      }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => {
+        resolve({ statusCode: res.statusCode, body: Buffer.concat(chunks).toString('utf8') });
+      });
+      res.on('error', reject);
+    });
+
+    req.on('error', (err) => {
+      const error = new Error(`Google token request failed: ${err.message}`);
+      error.code = err.code;
+      reject(error);
+    });
+
+    req.end(body);
+  });
+}
+
+module.exports = GoogleServiceAccount;
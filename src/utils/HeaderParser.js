@@ -0,0 +1,308 @@
+/**
+ * HeaderParser - Parse MIME header values and their parameters
+ *
+ * Zero Dependency: Hand-written tokenizer, charsets via util.TextDecoder
+ *
+ * Handles:
+ * - Parameters: `form-data; name=token; filename="quoted; value"`
+ * - Quoted strings with escapes (\" and \\; other backslashes are kept,
+ *   since browsers send Windows paths unescaped)
+ * - Extended parameters: `filename*=UTF-8'en'%E2%82%AC.txt` (RFC 5987/8187)
+ * - Parameter continuations: `filename*0=...; filename*1*=...` (RFC 2231)
+ *
+ * Header bytes are passed around as latin1 strings (one char per byte), so
+ * nothing is lost before the charset of a value is known.
+ *
+ * @module utils/HeaderParser
+ */
+
+const { TextDecoder } = require('util');
+
+const EXT_VALUE_PATTERN = /^([^']*)'([^']*)'(.*)$/;
+const CONTINUATION_PATTERN = /^(.+)\*(\d+)(\*?)$/;
+
+// windows-1252 bytes 0x80-0x9F (some Node versions decode them as latin1 controls)
+const WINDOWS_1252_HIGH = '\u20ac\u0081\u201a\u0192\u201e\u2026\u2020\u2021\u02c6\u2030\u0160\u2039\u0152\u008d\u017d\u008f' +
+  '\u0090\u2018\u2019\u201c\u201d\u2022\u2013\u2014\u02dc\u2122\u0161\u203a\u0153\u009d\u017e\u0178';
+
+/**
+ * Parse a header value with parameters
+ *
+ * Parameter names are lowercased. Regular parameters keep their bytes as
+ * latin1 strings (see decodeText()); extended parameters are decoded and
+ * stored under their name without the '*'.
+ *
+ * @param {string} header - Header value (latin1 string)
+ * @returns {Object} - { value, params, extended, raw }
+ *   value: Main value, lowercased (e.g. 'form-data')
+ *   params: Regular parameters { name: latin1 string }
+ *   extended: Decoded extended parameters { name: string }
+ *   raw: Parameter text as sent (quotes removed), regular and extended ('filename*')
+ */
+function parseHeaderValue(header) {
+  const result = { value: '', params: {}, extended: {}, raw: {} };
+  const text = String(header || '');
+
+  let i = text.indexOf(';');
+  result.value = (i === -1 ? text : text.slice(0, i)).trim().toLowerCase();
+  if (i === -1) return result;
+
+  // name -> [{ index, extended, value }] for RFC 2231 continuations
+  // (a Map: names come from the client, e.g. '__proto__*0')
+  const sections = new Map();
+
+  i++;
+  while (i < text.length) {
+    // Skip separators
+    while (i < text.length && (text[i] === ';' || text[i] === ' ' || text[i] === '\t')) i++;
+    if (i >= text.length) break;
+
+    // Parameter name
+    const eq = indexOfAny(text, '=;', i);
+    if (eq === -1 || text[eq] === ';') {
+      // Parameter without a value - ignore
+      i = eq === -1 ? text.length : eq;
+      continue;
+    }
+
+    const name = text.slice(i, eq).trim().toLowerCase();
+    i = eq + 1;
+    while (i < text.length && (text[i] === ' ' || text[i] === '\t')) i++;
+
+    // Parameter value: quoted string or token
+    let value;
+    if (text[i] === '"') {
+      const quoted = readQuotedString(text, i);
+      value = quoted.value;
+      i = quoted.end;
+    } else {
+      const end = text.indexOf(';', i);
+      value = text.slice(i, end === -1 ? text.length : end).trim();
+      i = end === -1 ? text.length : end;
+    }
+
+    if (!name) continue;
+
+    const continuation = CONTINUATION_PATTERN.exec(name);
+    if (continuation) {
+      const [, baseName, index, star] = continuation;
+      if (!sections.has(baseName)) {
+        sections.set(baseName, []);
+      }
+      sections.get(baseName).push({
+        index: parseInt(index, 10),
+        extended: star === '*',
+        value
+      });
+    } else if (name.endsWith('*')) {
+      const baseName = name.slice(0, -1);
+      result.raw[name] = value;
+      const decoded = decodeExtValue(value);
+      if (decoded !== null) {
+        result.extended[baseName] = decoded;
+      }
+    } else if (!Object.prototype.hasOwnProperty.call(result.params, name)) {
+      // First occurrence wins
+      result.params[name] = value;
+      result.raw[name] = value;
+    }
+  }
+
+  for (const [name, parts] of sections) {
+    joinContinuations(name, parts, result);
+  }
+
+  return result;
+}
+
+/**
+ * Decode an RFC 5987 ext-value (charset'language'percent-encoded)
+ *
+ * @param {string} value
+ * @returns {string|null} - Decoded value, or null if malformed or the charset is unknown
+ */
+function decodeExtValue(value) {
+  const match = EXT_VALUE_PATTERN.exec(value);
+  if (!match) return null;
+
+  const [, charset, , encoded] = match;
+  return decodeBytes(percentDecode(encoded), charset || 'utf-8');
+}
+
+/**
+ * Decode header bytes (latin1 string) to text
+ *
+ * With a charset, bytes are decoded with it. Without one, UTF-8 is used
+ * if the bytes are valid UTF-8, otherwise windows-1252 (what older
+ * browsers send).
+ *
+ * @param {string} bytes - latin1 string
+ * @param {string} charset - Charset label (optional, e.g. from _charset_)
+ * @returns {string}
+ */
+function decodeText(bytes, charset = null) {
+  const buffer = Buffer.from(bytes, 'latin1');
+
+  if (charset) {
+    const decoded = decodeBytes(buffer, charset);
+    if (decoded !== null) return decoded;
+  }
+
+  if (isUtf8(buffer)) {
+    return buffer.toString('utf8');
+  }
+
+  return decodeWindows1252(buffer);
+}
+
+/**
+ * Decode bytes with a charset label (WHATWG Encoding labels)
+ *
+ * @param {Buffer} buffer
+ * @param {string} charset
+ * @returns {string|null} - null if the charset is not supported
+ */
+function decodeBytes(buffer, charset) {
+  let decoder;
+  try {
+    decoder = new TextDecoder(String(charset).trim().toLowerCase());
+  } catch (err) {
+    return null;
+  }
+  // 'latin1', 'iso-8859-1' and 'ascii' are windows-1252 labels too
+  if (decoder.encoding === 'windows-1252') {
+    return decodeWindows1252(buffer);
+  }
+  return decoder.decode(buffer);
+}
+
+/**
+ * Check whether a charset label is supported
+ *
+ * @param {string} charset
+ * @returns {boolean}
+ */
+function isSupportedCharset(charset) {
+  return decodeBytes(Buffer.alloc(0), charset) !== null;
+}
+
+/**
+ * Percent-decode to bytes (other characters are taken as latin1 bytes)
+ *
+ * @param {string} value
+ * @returns {Buffer}
+ */
+function percentDecode(value) {
+  return Buffer.from(
+    value.replace(/%([0-9a-fA-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16))),
+    'latin1'
+  );
+}
+
+/**
+ * @private
+ */
+function decodeWindows1252(buffer) {
+  let text = '';
+  for (const byte of buffer) {
+    text += byte >= 0x80 && byte <= 0x9f
+      ? WINDOWS_1252_HIGH[byte - 0x80]
+      : String.fromCharCode(byte);
+  }
+  return text;
+}
+
+/**
+ * @private
+ */
+function isUtf8(buffer) {
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function indexOfAny(text, chars, start) {
+  for (let i = start; i < text.length; i++) {
+    if (chars.includes(text[i])) return i;
+  }
+  return -1;
+}
+
+/**
+ * Read a quoted string starting at the opening quote
+ *
+ * @private
+ * @returns {Object} - { value, end } (end is the index after the closing quote)
+ */
+function readQuotedString(text, start) {
+  let value = '';
+  let i = start + 1;
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '\\' && (text[i + 1] === '"' || text[i + 1] === '\\')) {
+      value += text[i + 1];
+      i += 2;
+    } else if (char === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+      i++;
+    }
+  }
+
+  // Unterminated - take the rest
+  return { value, end: i };
+}
+
+/**
+ * Join RFC 2231 continuation sections into one parameter
+ *
+ * @private
+ */
+function joinContinuations(name, parts, result) {
+  parts.sort((a, b) => a.index - b.index);
+
+  // Sections must be numbered 0..n without gaps
+  const sections = [];
+  for (let i = 0; i < parts.length && parts[i].index === i; i++) {
+    sections.push(parts[i]);
+  }
+  if (sections.length === 0) return;
+
+  if (sections[0].extended) {
+    const match = EXT_VALUE_PATTERN.exec(sections[0].value);
+    if (!match) return;
+
+    const [, charset, language, first] = match;
+    const encoded = first + sections.slice(1)
+      .map(section => section.extended ? section.value : encodeURIComponent(section.value))
+      .join('');
+
+    result.raw[`${name}*`] = `${charset}'${language}'${encoded}`;
+    const decoded = decodeBytes(percentDecode(encoded), charset || 'utf-8');
+    if (decoded !== null) {
+      result.extended[name] = decoded;
+    }
+  } else if (!Object.prototype.hasOwnProperty.call(result.params, name)) {
+    const value = sections.map(section => section.value).join('');
+    result.params[name] = value;
+    result.raw[name] = value;
+  }
+}
+
+module.exports = {
+  parseHeaderValue,
+  decodeExtValue,
+  decodeText,
+  decodeBytes,
+  isSupportedCharset,
+  percentDecode
+};
@@ -0,0 +1,125 @@
+/**
+ * LocalKeyProvider - Wrap per-file data keys with local master keys
+ *
+ * Zero Dependency: Uses native crypto module
+ *
+ * Key provider contract (used by StreamEncryptor):
+ *   async generateDataKey() → { keyId, plaintextKey, encryptedKey }
+ *   async decryptDataKey({ keyId, encryptedKey }) → plaintextKey
+ *
+ * Any object implementing these two methods can be used instead, e.g. a
+ * wrapper around a cloud KMS. Data keys are 32 random bytes (AES-256).
+ *
+ * Master keys are identified by ID. New data keys are always wrapped with
+ * currentKeyId; older keys stay configured so files written before a
+ * rotation can still be decrypted.
+ *
+ * Wrapped key layout (AES-256-GCM): iv (12) | tag (16) | ciphertext (32)
+ */
+
+const crypto = require('crypto');
+
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+const TAG_LENGTH = 16;
+
+class LocalKeyProvider {
+  /**
+   * @param {Object} config
+   * @param {Object} config.keys - Master keys by ID (Buffer, or hex/base64 string of 32 bytes)
+   * @param {string} config.currentKeyId - Key ID used for new data keys (default: only key)
+   * @throws {Error} If no keys are configured or a key is not 32 bytes
+   */
+  constructor(config = {}) {
+    const entries = Object.entries(config.keys || {});
+    if (entries.length === 0) {
+      throw new Error('At least one master key is required for LocalKeyProvider');
+    }
+
+    this.keys = new Map();
+    for (const [keyId, key] of entries) {
+      this.keys.set(keyId, this._parseKey(keyId, key));
+    }
+
+    this.currentKeyId = config.currentKeyId || (entries.length === 1 ? entries[0][0] : null);
+    if (!this.currentKeyId || !this.keys.has(this.currentKeyId)) {
+      throw new Error('currentKeyId must name one of the configured keys');
+    }
+  }
+
+  /**
+   * Generate a new data key wrapped with the current master key
+   *
+   * @returns {Promise<Object>} - { keyId, plaintextKey, encryptedKey }
+   */
+  async generateDataKey() {
+    const plaintextKey = crypto.randomBytes(KEY_LENGTH);
+    const masterKey = this.keys.get(this.currentKeyId);
+
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv('aes-256-gcm', masterKey, iv);
+    cipher.setAAD(Buffer.from(this.currentKeyId));
+    const ciphertext = Buffer.concat([cipher.update(plaintextKey), cipher.final()]);
+
+    return {
+      keyId: this.currentKeyId,
+      plaintextKey,
+      encryptedKey: Buffer.concat([iv, cipher.getAuthTag(), ciphertext])
+    };
+  }
+
+  /**
+   * Unwrap a data key
+   *
+   * @param {Object} options
+   * @param {string} options.keyId - Master key ID the data key was wrapped with
+   * @param {Buffer} options.encryptedKey - Wrapped data key
+   * @returns {Promise<Buffer>} - Plaintext data key
+   * @throws {Error} If the key ID is unknown or the wrapped key was tampered with
+   */
+  async decryptDataKey({ keyId, encryptedKey }) {
+    const masterKey = this.keys.get(keyId);
+    if (!masterKey) {
+      throw new Error(`Unknown master key: ${keyId}`);
+    }
+
+    if (!Buffer.isBuffer(encryptedKey) || encryptedKey.length !== IV_LENGTH + TAG_LENGTH + KEY_LENGTH) {
+      throw new Error('Invalid encrypted data key');
+    }
+
+    const iv = encryptedKey.subarray(0, IV_LENGTH);
+    const tag = encryptedKey.subarray(IV_LENGTH, IV_LENGTH + TAG_LENGTH);
+    const ciphertext = encryptedKey.subarray(IV_LENGTH + TAG_LENGTH);
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, iv);
+    decipher.setAAD(Buffer.from(keyId));
+    decipher.setAuthTag(tag);
+
+    try {
+      return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+    } catch (err) {
+      throw new Error('Failed to decrypt data key: authentication failed');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _parseKey(keyId, key) {
+    let buffer = key;
+
+    if (typeof key === 'string') {
+      buffer = /^[0-9a-fA-F]{64}$/.test(key)
+        ? Buffer.from(key, 'hex')
+        : Buffer.from(key, 'base64');
+    }
+
+    if (!Buffer.isBuffer(buffer) || buffer.length !== KEY_LENGTH) {
+      throw new Error(`Master key "${keyId}" must be ${KEY_LENGTH} bytes`);
+    }
+
+    return buffer;
+  }
+}
+
+module.exports = LocalKeyProvider;
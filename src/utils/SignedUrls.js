@@ -10,6 +10,7 @@
  * - Optional constraints (file size, type, count)
  * - URL parameter encoding
  * - Replay attack prevention
+ * - Optional shared store, so a URL can only be used once across a cluster
  *
  * @module utils/SignedUrls
  */
@@ -17,12 +18,15 @@
 const crypto = require('crypto');
 const { URL } = require('url');
 
+const STORE_KEY_PREFIX = 'signedurl:';
+
 class SignedUrls {
   /**
    * @param {Object} options - Configuration
    * @param {string} options.secret - Secret key for signing (keep private!)
    * @param {number} [options.defaultExpiry=3600] - Default expiry in seconds
    * @param {string} [options.algorithm='sha256'] - HMAC algorithm
+   * @param {Store} [options.store] - Shared store for used signatures (MemoryStore, FileStore, RedisStore)
    */
   constructor(options = {}) {
     if (!options.secret) {
@@ -32,10 +36,18 @@ class SignedUrls {
     this.secret = options.secret;
     this.defaultExpiry = options.defaultExpiry || 3600; // 1 hour
     this.algorithm = options.algorithm || 'sha256';
+    this.store = options.store || null;
 
     // Track used signatures with expiry times to prevent replay attacks
     // Map: signature -> expiryTimestamp
     this.usedSignatures = new Map();
+    this.cleanupInterval = null;
+
+    // A shared store expires used signatures itself
+    if (this.store) {
+      return;
+    }
+
     this.cleanupInterval = setInterval(() => {
       this._cleanup();
     }, 300000); // Cleanup every 5 minutes
@@ -103,9 +115,17 @@ class SignedUrls {
    * @param {string} url - URL to validate
    * @param {Object} options - Validation options
    * @param {boolean} [options.preventReplay=true] - Prevent replay attacks
-   * @returns {Object} Validation result
+   * @returns {Object|Promise<Object>} Validation result (a Promise when a store is configured)
    */
   validate(url, options = {}) {
+    const result = this._validate(url, options);
+    return this.store ? Promise.resolve(result) : result;
+  }
+
+  /**
+   * @private
+   */
+  _validate(url, options) {
     const preventReplay = options.preventReplay !== false;
 
     try {
@@ -149,7 +169,17 @@ class SignedUrls {
         };
       }
 
-      // Check for replay attack
+      // Check for replay attack - atomically, when the store is shared
+      if (preventReplay && this.store) {
+        const result = this._buildResult(params, expires, now);
+        return this.store.compareAndSet(STORE_KEY_PREFIX + signature, null, expires, {
+          ttl: (expires - now + 1) * 1000
+        }).then(fresh => fresh ? result : {
+          valid: false,
+          error: 'URL already used (replay attack prevented)'
+        });
+      }
+
       if (preventReplay && this.usedSignatures.has(signature)) {
         return {
           valid: false,
@@ -162,33 +192,7 @@ class SignedUrls {
         this.usedSignatures.set(signature, expires);
       }
 
-      // Extract constraints
-      const maxFileSize = params.max_size ? parseInt(params.max_size, 10) : undefined;
-      const maxFiles = params.max_files ? parseInt(params.max_files, 10) : undefined;
-
-      const constraints = {
-        maxFileSize: maxFileSize && !isNaN(maxFileSize) ? maxFileSize : undefined,
-        maxFiles: maxFiles && !isNaN(maxFiles) ? maxFiles : undefined,
-        allowedTypes: params.allowed_types ? params.allowed_types.split(',') : undefined,
-        userId: params.user_id,
-        expires: new Date(expires * 1000)
-      };
-
-      // Extract metadata
-      const metadata = {};
-      for (const [key, value] of Object.entries(params)) {
-        if (key.startsWith('meta_')) {
-          metadata[key.substring(5)] = value;
-        }
-      }
-
-      return {
-        valid: true,
-        constraints,
-        metadata,
-        expiresAt: new Date(expires * 1000),
-        timeRemaining: expires - now
-      };
+      return this._buildResult(params, expires, now);
     } catch (error) {
       return {
         valid: false,
@@ -197,6 +201,41 @@ class SignedUrls {
     }
   }
 
+  /**
+   * Build the result for a valid URL
+   *
+   * @private
+   */
+  _buildResult(params, expires, now) {
+    // Extract constraints
+    const maxFileSize = params.max_size ? parseInt(params.max_size, 10) : undefined;
+    const maxFiles = params.max_files ? parseInt(params.max_files, 10) : undefined;
+
+    const constraints = {
+      maxFileSize: maxFileSize && !isNaN(maxFileSize) ? maxFileSize : undefined,
+      maxFiles: maxFiles && !isNaN(maxFiles) ? maxFiles : undefined,
+      allowedTypes: params.allowed_types ? params.allowed_types.split(',') : undefined,
+      userId: params.user_id,
+      expires: new Date(expires * 1000)
+    };
+
+    // Extract metadata
+    const metadata = {};
+    for (const [key, value] of Object.entries(params)) {
+      if (key.startsWith('meta_')) {
+        metadata[key.substring(5)] = value;
+      }
+    }
+
+    return {
+      valid: true,
+      constraints,
+      metadata,
+      expiresAt: new Date(expires * 1000),
+      timeRemaining: expires - now
+    };
+  }
+
   /**
    * Create a validator plugin for FluxUpload
    *
@@ -227,7 +266,7 @@ class SignedUrls {
         const url = `${req.headers['x-forwarded-proto'] || 'http'}://${req.headers.host || 'localhost'}${req.url || '/'}`;
 
         // Validate
-        const result = self.validate(url, options);
+        const result = await self.validate(url, options);
 
         if (!result.valid) {
           const error = new Error(`Signed URL validation failed: ${result.error}`);
@@ -297,7 +336,8 @@ class SignedUrls {
    */
   getStats() {
     return {
-      usedSignatures: this.usedSignatures.size,
+      usedSignatures: this.store ? null : this.usedSignatures.size, // Unknown with a shared store
+      store: this.store ? this.store.constructor.name : null,
       defaultExpiry: this.defaultExpiry,
       algorithm: this.algorithm
     };
@@ -0,0 +1,238 @@
+/**
+ * TransferDecoder - Content-Transfer-Encoding decoding (RFC 2045)
+ *
+ * Zero Dependency: Streaming base64 and quoted-printable decoders
+ *
+ * Multipart parts from mail gateways and other legacy senders may carry
+ * `Content-Transfer-Encoding: base64` or `quoted-printable`. The decoders
+ * turn such bodies back into the original bytes as they stream through.
+ *
+ * Supported encodings:
+ * - 7bit, 8bit, binary: Passed through unchanged
+ * - base64: Whitespace and line breaks are ignored
+ * - quoted-printable: =XX escapes, soft line breaks and transport padding
+ *
+ * @module utils/TransferDecoder
+ */
+
+const { Transform, PassThrough } = require('stream');
+
+const IDENTITY_ENCODINGS = ['7bit', '8bit', 'binary'];
+
+// Quoted-printable lines are at most 76 chars; longer tails are malformed
+const MAX_QP_CARRY = 1024;
+
+/**
+ * Streaming base64 decoder
+ */
+class Base64Decoder extends Transform {
+  constructor(options) {
+    super(options);
+    this.remainder = '';
+  }
+
+  _transform(chunk, encoding, callback) {
+    const text = this.remainder + stripBase64(chunk);
+    const usable = text.length - (text.length % 4);
+
+    this.remainder = text.slice(usable);
+    if (usable > 0) {
+      this.push(Buffer.from(text.slice(0, usable), 'base64'));
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.remainder.length > 0) {
+      this.push(Buffer.from(this.remainder, 'base64'));
+      this.remainder = '';
+    }
+    callback();
+  }
+}
+
+/**
+ * Streaming quoted-printable decoder
+ *
+ * Decodes complete lines; the tail after the last line break is kept
+ * until the next chunk, so escapes and soft line breaks can span chunks.
+ */
+class QuotedPrintableDecoder extends Transform {
+  constructor(options) {
+    super(options);
+    this.carry = Buffer.alloc(0);
+  }
+
+  _transform(chunk, encoding, callback) {
+    const data = this.carry.length > 0 ? Buffer.concat([this.carry, chunk]) : chunk;
+
+    let end = data.lastIndexOf(0x0A) + 1;
+    if (end === 0 && data.length > MAX_QP_CARRY) {
+      // No line break - keep only what could be an incomplete escape
+      end = data.length - 2;
+    }
+
+    this.carry = data.slice(end);
+    if (end > 0) {
+      this.push(decodeQuotedPrintable(data.slice(0, end)));
+    }
+    callback();
+  }
+
+  _flush(callback) {
+    if (this.carry.length > 0) {
+      this.push(decodeQuotedPrintable(this.carry));
+      this.carry = Buffer.alloc(0);
+    }
+    callback();
+  }
+}
+
+/**
+ * Normalize an encoding name
+ *
+ * @param {string} encoding - Content-Transfer-Encoding value
+ * @returns {string} - Lowercased encoding, '7bit' if empty
+ */
+function normalizeEncoding(encoding) {
+  return String(encoding || '7bit').trim().toLowerCase();
+}
+
+/**
+ * Check whether an encoding can be decoded
+ *
+ * @param {string} encoding
+ * @returns {boolean}
+ */
+function isSupportedEncoding(encoding) {
+  const normalized = normalizeEncoding(encoding);
+  return IDENTITY_ENCODINGS.includes(normalized) ||
+    normalized === 'base64' ||
+    normalized === 'quoted-printable';
+}
+
+/**
+ * Create a decoding stream for an encoding
+ *
+ * @param {string} encoding - Content-Transfer-Encoding value
+ * @returns {stream.Transform}
+ * @throws {Error} If the encoding is not supported
+ */
+function createDecoder(encoding) {
+  switch (normalizeEncoding(encoding)) {
+    case 'base64':
+      return new Base64Decoder();
+    case 'quoted-printable':
+      return new QuotedPrintableDecoder();
+    case '7bit':
+    case '8bit':
+    case 'binary':
+      return new PassThrough();
+    default:
+      throw new Error(`Unsupported Content-Transfer-Encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Decode a complete buffer
+ *
+ * @param {Buffer} buffer
+ * @param {string} encoding - Content-Transfer-Encoding value
+ * @returns {Buffer}
+ * @throws {Error} If the encoding is not supported
+ */
+function decode(buffer, encoding) {
+  switch (normalizeEncoding(encoding)) {
+    case 'base64':
+      return Buffer.from(stripBase64(buffer), 'base64');
+    case 'quoted-printable':
+      return decodeQuotedPrintable(buffer);
+    case '7bit':
+    case '8bit':
+    case 'binary':
+      return buffer;
+    default:
+      throw new Error(`Unsupported Content-Transfer-Encoding: ${encoding}`);
+  }
+}
+
+/**
+ * Remove everything that isn't base64 data (line breaks, whitespace, padding)
+ *
+ * @private
+ */
+function stripBase64(buffer) {
+  return buffer.toString('latin1').replace(/[^A-Za-z0-9+/]/g, '');
+}
+
+/**
+ * @private
+ */
+function hexValue(byte) {
+  if (byte >= 0x30 && byte <= 0x39) return byte - 0x30;      // 0-9
+  if (byte >= 0x41 && byte <= 0x46) return byte - 0x41 + 10; // A-F
+  if (byte >= 0x61 && byte <= 0x66) return byte - 0x61 + 10; // a-f
+  return -1;
+}
+
+/**
+ * Decode quoted-printable bytes
+ *
+ * Malformed escapes are kept as they are (RFC 2045 6.7 note 1).
+ *
+ * @private
+ * @param {Buffer} input
+ * @returns {Buffer}
+ */
+function decodeQuotedPrintable(input) {
+  const output = Buffer.alloc(input.length);
+  let length = 0;
+
+  for (let i = 0; i < input.length; i++) {
+    const byte = input[i];
+
+    if (byte === 0x3D) { // '='
+      // Soft line break
+      if (input[i + 1] === 0x0D && input[i + 2] === 0x0A) {
+        i += 2;
+        continue;
+      }
+      if (input[i + 1] === 0x0A) {
+        i += 1;
+        continue;
+      }
+
+      const high = hexValue(input[i + 1]);
+      const low = hexValue(input[i + 2]);
+      if (high !== -1 && low !== -1) {
+        output[length++] = (high << 4) | low;
+        i += 2;
+        continue;
+      }
+    } else if (byte === 0x20 || byte === 0x09) {
+      // Trailing whitespace before a line break is transport padding
+      let end = i;
+      while (input[end] === 0x20 || input[end] === 0x09) end++;
+
+      const atLineEnd = input[end] === 0x0A || (input[end] === 0x0D && input[end + 1] === 0x0A);
+      if (!atLineEnd) {
+        input.copy(output, length, i, end);
+        length += end - i;
+      }
+      i = end - 1;
+      continue;
+    }
+
+    output[length++] = byte;
+  }
+
+  return output.slice(0, length);
+}
+
+module.exports = {
+  Base64Decoder,
+  QuotedPrintableDecoder,
+  createDecoder,
+  decode,
+  isSupportedEncoding
+};
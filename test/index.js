@@ -19,14 +19,24 @@ async function runAllTests() {
     // Unit tests - Core
     { name: 'Plugin', path: './unit/Plugin.test.js' },
     { name: 'MultipartParser', path: './unit/MultipartParser.test.js' },
+    { name: 'UrlencodedParser', path: './unit/UrlencodedParser.test.js' },
+    { name: 'JsonParser', path: './unit/JsonParser.test.js' },
+    { name: 'RawBodyStream', path: './unit/RawBodyStream.test.js' },
     { name: 'PipelineManager', path: './unit/PipelineManager.test.js' },
+    { name: 'PluginCondition', path: './unit/PluginCondition.test.js' },
+    { name: 'UploadSession', path: './unit/UploadSession.test.js' },
 
     // Unit tests - Utils
     { name: 'MimeDetector', path: './unit/MimeDetector.test.js' },
     { name: 'FileNaming', path: './unit/FileNaming.test.js' },
     { name: 'BoundaryScanner', path: './unit/BoundaryScanner.test.js' },
+    { name: 'HeaderParser', path: './unit/HeaderParser.test.js' },
+    { name: 'TransferDecoder', path: './unit/TransferDecoder.test.js' },
     { name: 'AwsSignatureV4', path: './unit/AwsSignatureV4.test.js' },
+    { name: 'AzureSharedKey', path: './unit/AzureSharedKey.test.js' },
+    { name: 'GoogleServiceAccount', path: './unit/GoogleServiceAccount.test.js' },
     { name: 'SignedUrls', path: './unit/SignedUrls.test.js' },
+    { name: 'LocalKeyProvider', path: './unit/LocalKeyProvider.test.js' },
 
     // Unit tests - Validators
     { name: 'RateLimiter', path: './unit/RateLimiter.test.js' },
@@ -34,18 +44,34 @@ async function runAllTests() {
     { name: 'CsrfProtection', path: './unit/CsrfProtection.test.js' },
     { name: 'MagicByteDetector', path: './unit/MagicByteDetector.test.js' },
     { name: 'ImageDimensionProbe', path: './unit/ImageDimensionProbe.test.js' },
+    { name: 'VirusScanner', path: './unit/VirusScanner.test.js' },
+    { name: 'ArchiveInspector', path: './unit/ArchiveInspector.test.js' },
 
     // Unit tests - Transformers
     { name: 'StreamCompressor', path: './unit/StreamCompressor.test.js' },
     { name: 'StreamHasher', path: './unit/StreamHasher.test.js' },
+    { name: 'StreamEncryptor', path: './unit/StreamEncryptor.test.js' },
 
     // Unit tests - Storage
     { name: 'LocalStorage', path: './unit/LocalStorage.test.js' },
     { name: 'S3Storage', path: './unit/S3Storage.test.js' },
+    { name: 'AzureBlobStorage', path: './unit/AzureBlobStorage.test.js' },
+    { name: 'GCSStorage', path: './unit/GCSStorage.test.js' },
+    { name: 'WebDavStorage', path: './unit/WebDavStorage.test.js' },
+    { name: 'MemoryStorage', path: './unit/MemoryStorage.test.js' },
+    { name: 'ContentAddressableStorage', path: './unit/ContentAddressableStorage.test.js' },
+
+    // Unit tests - Stores
+    { name: 'Stores', path: './unit/Stores.test.js' },
+
+    // Unit tests - Protocols
+    { name: 'TusHandler', path: './unit/TusHandler.test.js' },
 
     // Unit tests - Observability
     { name: 'Logger', path: './unit/Logger.test.js' },
     { name: 'MetricsCollector', path: './unit/MetricsCollector.test.js' },
+    { name: 'UploadMetrics', path: './unit/UploadMetrics.test.js' },
+    { name: 'Tracer', path: './unit/Tracer.test.js' },
     { name: 'ProgressTracker', path: './unit/ProgressTracker.test.js' },
     { name: 'HealthCheck', path: './unit/HealthCheck.test.js' },
 
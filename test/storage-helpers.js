@@ -0,0 +1,49 @@
+/**
+ * Shared fixtures for storage adapter tests
+ */
+
+const { Readable } = require('stream');
+
+const CHUNK_SIZE = 16 * 1024;
+
+/**
+ * Upload context whose stream emits the data in 16KB chunks like a network stream
+ *
+ * @param {Buffer} data
+ * @param {string} filename
+ * @param {Object} metadata
+ * @param {string} mimeType
+ * @returns {Object} - { stream, fileInfo, metadata }
+ */
+function createContext(data, filename = 'file.bin', metadata = {}, mimeType = 'application/octet-stream') {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += CHUNK_SIZE) {
+    chunks.push(data.slice(i, i + CHUNK_SIZE));
+  }
+
+  return {
+    stream: Readable.from(chunks),
+    fileInfo: { filename, mimeType },
+    metadata
+  };
+}
+
+/**
+ * Buffer of the given size with its offset written every 1KB, so
+ * misplaced or reordered parts don't compare equal
+ *
+ * @param {number} size
+ * @returns {Buffer}
+ */
+function createData(size) {
+  const data = Buffer.alloc(size);
+  for (let i = 0; i + 4 <= size; i += 1024) {
+    data.writeUInt32BE(i, i);
+  }
+  return data;
+}
+
+module.exports = {
+  createContext,
+  createData
+};
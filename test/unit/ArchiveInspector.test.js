@@ -0,0 +1,461 @@
+/**
+ * ArchiveInspector Tests
+ *
+ * ZIP, tar and gzip fixtures are built in memory.
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const ArchiveInspector = require('../../src/plugins/validators/ArchiveInspector');
+const LocalStorage = require('../../src/storage/LocalStorage');
+const { PipelineManager } = require('../../src/core/PipelineManager');
+const { Readable } = require('stream');
+const zlib = require('zlib');
+const fs = require('fs');
+const path = require('path');
+
+const runner = new TestRunner();
+
+const TEST_DIR = path.join(__dirname, '../tmp/archive-inspector-test');
+
+/**
+ * Build a ZIP archive
+ *
+ * entries: [{ name, data, deflate, encrypted }]
+ */
+function buildZip(entries, options = {}) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.name);
+    const data = Buffer.from(entry.data || '');
+    const body = entry.deflate ? zlib.deflateRawSync(data) : data;
+    const flags = (entry.encrypted ? 0x0001 : 0) | 0x0800;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(flags, 6);
+    local.writeUInt16LE(entry.deflate ? 8 : 0, 8);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, body);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(flags, 8);
+    central.writeUInt16LE(entry.deflate ? 8 : 0, 10);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += 30 + name.length + body.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const comment = Buffer.from(options.comment || '');
+
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  eocd.writeUInt16LE(comment.length, 20);
+
+  return Buffer.concat([...locals, centralDirectory, eocd, comment]);
+}
+
+function tarHeader(name, size, typeflag = '0', linkName = '') {
+  const header = Buffer.alloc(512);
+  header.write(name, 0, 100);
+  header.write('0000644\0', 100);
+  header.write('0000000\0', 108);
+  header.write('0000000\0', 116);
+  header.write(size.toString(8).padStart(11, '0') + '\0', 124);
+  header.write('00000000000\0', 136);
+  header.write(typeflag, 156);
+  header.write(linkName, 157, 100);
+  header.write('ustar\0', 257);
+  header.write('00', 263);
+
+  header.fill(0x20, 148, 156);
+  let sum = 0;
+  for (const byte of header) sum += byte;
+  header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+
+  return header;
+}
+
+/**
+ * Build a tar archive
+ *
+ * entries: [{ name, data, type, linkName, pax }]
+ */
+function buildTar(entries) {
+  const blocks = [];
+
+  for (const entry of entries) {
+    if (entry.pax) {
+      const records = Object.entries(entry.pax).map(([key, value]) => {
+        const line = ` ${key}=${value}\n`;
+        let length = line.length + 1;
+        length += String(length).length - 1;
+        return `${length}${line}`;
+      }).join('');
+      const data = Buffer.from(records);
+      blocks.push(tarHeader('PaxHeader', data.length, 'x'), data, Buffer.alloc((512 - data.length % 512) % 512));
+    }
+
+    const data = Buffer.from(entry.data || '');
+    blocks.push(tarHeader(entry.name, data.length, entry.type || '0', entry.linkName || ''));
+    blocks.push(data, Buffer.alloc((512 - data.length % 512) % 512));
+  }
+
+  blocks.push(Buffer.alloc(1024));
+  return Buffer.concat(blocks);
+}
+
+function createContext(data, filename = 'upload.bin', chunkSize = 0) {
+  const chunks = [];
+  if (chunkSize > 0) {
+    for (let i = 0; i < data.length; i += chunkSize) {
+      chunks.push(data.subarray(i, i + chunkSize));
+    }
+  } else {
+    chunks.push(data);
+  }
+
+  return {
+    stream: Readable.from(chunks),
+    fileInfo: { filename, mimeType: 'application/octet-stream' },
+    metadata: {}
+  };
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+async function inspect(inspector, data, filename, chunkSize) {
+  const context = createContext(data, filename, chunkSize);
+  await inspector.process(context);
+
+  let error = null;
+  let output = null;
+  try {
+    output = await streamToBuffer(context.stream);
+  } catch (err) {
+    error = err;
+  }
+
+  return { context, output, error, archive: context.metadata.archive };
+}
+
+runner.describe('ArchiveInspector', () => {
+  runner.it('should reject invalid config', () => {
+    assert.throws(() => {
+      new ArchiveInspector({ maxEntries: -1 });
+    }, 'maxEntries');
+
+    assert.throws(() => {
+      new ArchiveInspector({ forbiddenNames: 'evil.exe' });
+    }, 'forbiddenNames');
+  });
+
+  runner.it('should pass non-archives through without metadata', async () => {
+    const inspector = new ArchiveInspector();
+    const { output, error, archive } = await inspect(inspector, Buffer.from('just some text'));
+
+    assert.equal(error, null);
+    assert.equal(output.toString(), 'just some text');
+    assert.equal(archive, undefined);
+  });
+
+  runner.it('should list ZIP entries from the central directory', async () => {
+    const inspector = new ArchiveInspector();
+    const zip = buildZip([
+      { name: 'docs/' },
+      { name: 'docs/readme.txt', data: 'hello '.repeat(100), deflate: true },
+      { name: 'data.bin', data: 'raw' }
+    ], { comment: 'archive comment' });
+
+    const { output, error, archive } = await inspect(inspector, zip, 'upload.zip', 100);
+
+    assert.equal(error, null);
+    assert.ok(output.equals(zip));
+    assert.equal(archive.format, 'zip');
+    assert.equal(archive.entryCount, 3);
+    assert.equal(archive.totalSize, 603);
+    assert.equal(archive.compressedSize, zip.length);
+    assert.equal(archive.nestedArchives, 0);
+    assert.deepEqual(archive.entries.map(e => e.name), ['docs/', 'docs/readme.txt', 'data.bin']);
+    assert.equal(archive.entries[0].type, 'directory');
+    assert.equal(archive.entries[1].size, 600);
+    assert.ok(archive.entries[1].compressedSize < 600);
+  });
+
+  runner.it('should find the central directory in archives with prepended data', async () => {
+    // Offsets inside the ZIP are not adjusted for the stub, as in self-extracting archives
+    const zip = buildZip([{ name: 'a.txt', data: 'a' }]);
+    const prefixed = Buffer.concat([Buffer.from('PK\x03\x04stub'), zip]);
+
+    const { error, archive } = await inspect(new ArchiveInspector(), prefixed);
+
+    assert.equal(error, null);
+    assert.equal(archive.entryCount, 1);
+    assert.equal(archive.entries[0].name, 'a.txt');
+  });
+
+  runner.it('should reject ZIP path traversal and absolute paths', async () => {
+    const inspector = new ArchiveInspector();
+
+    for (const name of ['../../etc/passwd', 'a/../../b', '/etc/passwd', 'C:\\Windows\\evil.dll', '..\\evil.txt']) {
+      const { error } = await inspect(inspector, buildZip([{ name, data: 'x' }]));
+      assert.ok(error, `expected rejection for ${name}`);
+      assert.equal(error.code, 'ARCHIVE_PATH_TRAVERSAL');
+      assert.equal(error.statusCode, 422);
+      assert.equal(error.entry, name);
+    }
+  });
+
+  runner.it('should reject too many entries', async () => {
+    const inspector = new ArchiveInspector({ maxEntries: 2 });
+    const zip = buildZip([{ name: 'a' }, { name: 'b' }, { name: 'c' }]);
+
+    const { error, archive } = await inspect(inspector, zip);
+
+    assert.equal(error.code, 'ARCHIVE_TOO_MANY_ENTRIES');
+    assert.equal(archive.format, 'zip');
+  });
+
+  runner.it('should report an oversized central directory separately', async () => {
+    const inspector = new ArchiveInspector({ maxCentralDirectorySize: 100 });
+    const zip = buildZip([{ name: 'a'.repeat(40) }, { name: 'b'.repeat(40) }]);
+
+    const { error } = await inspect(inspector, zip);
+
+    assert.equal(error.code, 'ARCHIVE_DIRECTORY_TOO_LARGE');
+  });
+
+  runner.it('should reject archives that are too large uncompressed', async () => {
+    const inspector = new ArchiveInspector({ maxTotalSize: 1000 });
+    const zip = buildZip([
+      { name: 'a.txt', data: 'a'.repeat(600), deflate: true },
+      { name: 'b.txt', data: 'b'.repeat(600), deflate: true }
+    ]);
+
+    const { error } = await inspect(inspector, zip);
+    assert.equal(error.code, 'ARCHIVE_TOO_LARGE');
+  });
+
+  runner.it('should reject zip bombs by compression ratio', async () => {
+    const inspector = new ArchiveInspector();
+    const zip = buildZip([{ name: 'zeros.bin', data: Buffer.alloc(2 * 1024 * 1024), deflate: true }]);
+
+    const { error } = await inspect(inspector, zip);
+    assert.equal(error.code, 'ARCHIVE_RATIO_EXCEEDED');
+    assert.equal(error.entry, 'zeros.bin');
+
+    // Allowed with a higher ratio
+    const relaxed = new ArchiveInspector({ maxCompressionRatio: 10000 });
+    const result = await inspect(relaxed, zip);
+    assert.equal(result.error, null);
+    assert.ok(result.archive.compressionRatio > 100);
+  });
+
+  runner.it('should reject forbidden names and extensions', async () => {
+    const inspector = new ArchiveInspector({
+      forbiddenNames: ['.htaccess', /^autorun\./i],
+      forbiddenExtensions: ['exe', '.BAT']
+    });
+
+    for (const name of ['bin/setup.exe', 'run.bat', 'web/.htaccess', 'AUTORUN.INF']) {
+      const { error } = await inspect(inspector, buildZip([{ name, data: 'x' }]));
+      assert.ok(error, `expected rejection for ${name}`);
+      assert.equal(error.code, 'ARCHIVE_FORBIDDEN_ENTRY');
+    }
+
+    const { error } = await inspect(inspector, buildZip([{ name: 'exe-notes.txt', data: 'x' }]));
+    assert.equal(error, null);
+  });
+
+  runner.it('should reject nested archives unless allowNested', async () => {
+    const zip = buildZip([{ name: 'inner.zip', data: 'PK' }, { name: 'lib/app.JAR', data: 'PK' }]);
+
+    const { error } = await inspect(new ArchiveInspector(), zip);
+    assert.equal(error.code, 'ARCHIVE_NESTED');
+    assert.equal(error.entry, 'inner.zip');
+
+    const result = await inspect(new ArchiveInspector({ allowNested: true }), zip);
+    assert.equal(result.error, null);
+    assert.equal(result.archive.nestedArchives, 2);
+  });
+
+  runner.it('should reject encrypted entries when not allowed', async () => {
+    const zip = buildZip([{ name: 'secret.txt', data: 'x', encrypted: true }]);
+
+    const allowed = await inspect(new ArchiveInspector(), zip);
+    assert.equal(allowed.error, null);
+    assert.equal(allowed.archive.entries[0].encrypted, true);
+
+    const { error } = await inspect(new ArchiveInspector({ allowEncrypted: false }), zip);
+    assert.equal(error.code, 'ARCHIVE_FORBIDDEN_ENTRY');
+  });
+
+  runner.it('should reject truncated ZIP files', async () => {
+    const zip = buildZip([{ name: 'a.txt', data: 'a' }]);
+    const { error } = await inspect(new ArchiveInspector(), zip.subarray(0, zip.length - 10));
+
+    assert.equal(error.code, 'ARCHIVE_INVALID');
+  });
+
+  runner.it('should list tar entries while streaming', async () => {
+    const tar = buildTar([
+      { name: 'dir/', type: '5' },
+      { name: 'dir/file.txt', data: 'x'.repeat(700) },
+      { name: 'link', type: '2', linkName: 'dir/file.txt' },
+      { name: 'ignored', pax: { path: 'very/long/'.repeat(12) + 'name.txt' }, data: 'pax' }
+    ]);
+
+    const { output, error, archive } = await inspect(new ArchiveInspector(), tar, 'upload.tar', 100);
+
+    assert.equal(error, null);
+    assert.ok(output.equals(tar));
+    assert.equal(archive.format, 'tar');
+    assert.equal(archive.entryCount, 4);
+    assert.equal(archive.totalSize, 703);
+    assert.deepEqual(archive.entries.map(e => e.type), ['directory', 'file', 'symlink', 'file']);
+    assert.equal(archive.entries[2].linkName, 'dir/file.txt');
+    assert.equal(archive.entries[3].name, 'very/long/'.repeat(12) + 'name.txt');
+  });
+
+  runner.it('should reject tar traversal in names and link targets', async () => {
+    const inspector = new ArchiveInspector();
+
+    let result = await inspect(inspector, buildTar([{ name: '../escape.txt', data: 'x' }]));
+    assert.equal(result.error.code, 'ARCHIVE_PATH_TRAVERSAL');
+
+    result = await inspect(inspector, buildTar([{ name: 'link', type: '2', linkName: '../../etc/passwd' }]));
+    assert.equal(result.error.code, 'ARCHIVE_PATH_TRAVERSAL');
+
+    result = await inspect(inspector, buildTar([{ name: 'ok', pax: { path: '/etc/cron.d/evil' }, data: 'x' }]));
+    assert.equal(result.error.code, 'ARCHIVE_PATH_TRAVERSAL');
+
+    result = await inspect(new ArchiveInspector({ allowLinks: false }), buildTar([
+      { name: 'link', type: '2', linkName: 'target' }
+    ]));
+    assert.equal(result.error.code, 'ARCHIVE_FORBIDDEN_ENTRY');
+  });
+
+  runner.it('should reject tar files early without reading the whole stream', async () => {
+    const tar = buildTar([
+      { name: '../evil.txt', data: 'x' },
+      { name: 'big.bin', data: Buffer.alloc(64 * 1024) }
+    ]);
+
+    const { error, context } = await inspect(new ArchiveInspector(), tar, 'upload.tar', 1024);
+
+    assert.equal(error.code, 'ARCHIVE_PATH_TRAVERSAL');
+    assert.ok(context.metadata.archive.compressedSize < tar.length);
+  });
+
+  runner.it('should reject tar files with bad checksums', async () => {
+    const tar = buildTar([{ name: 'a.txt', data: 'a' }]);
+    tar[0] = 0x62; // Change the name without updating the checksum
+
+    const { error } = await inspect(new ArchiveInspector(), tar);
+    assert.equal(error.code, 'ARCHIVE_INVALID');
+  });
+
+  runner.it('should inspect tar archives inside gzip', async () => {
+    const tgz = zlib.gzipSync(buildTar([
+      { name: 'a.txt', data: 'aaa' },
+      { name: 'b/c.txt', data: 'ccc' }
+    ]));
+
+    const { output, error, archive } = await inspect(new ArchiveInspector(), tgz, 'upload.tgz', 50);
+
+    assert.equal(error, null);
+    assert.ok(output.equals(tgz));
+    assert.equal(archive.format, 'tar+gzip');
+    assert.deepEqual(archive.entries.map(e => e.name), ['a.txt', 'b/c.txt']);
+    assert.equal(archive.compressedSize, tgz.length);
+
+    const evil = zlib.gzipSync(buildTar([{ name: '../../x', data: 'x' }]));
+    const rejected = await inspect(new ArchiveInspector(), evil);
+    assert.equal(rejected.error.code, 'ARCHIVE_PATH_TRAVERSAL');
+  });
+
+  runner.it('should report single gzip files as one entry', async () => {
+    const gz = zlib.gzipSync(Buffer.from('hello gzip'));
+    const { error, archive } = await inspect(new ArchiveInspector(), gz, 'notes.txt.gz');
+
+    assert.equal(error, null);
+    assert.equal(archive.format, 'gzip');
+    assert.equal(archive.entryCount, 1);
+    assert.equal(archive.entries[0].name, 'notes.txt');
+    assert.equal(archive.totalSize, 10);
+  });
+
+  runner.it('should stop inflating gzip bombs early', async () => {
+    const bomb = zlib.gzipSync(Buffer.alloc(20 * 1024 * 1024));
+    const { error } = await inspect(new ArchiveInspector(), bomb, 'bomb.gz', 1024);
+
+    assert.equal(error.code, 'ARCHIVE_RATIO_EXCEEDED');
+  });
+
+  runner.it('should reject corrupt gzip data', async () => {
+    const gz = zlib.gzipSync(Buffer.from('some data to compress'));
+    gz[gz.length - 12] ^= 0xff;
+
+    const { error } = await inspect(new ArchiveInspector(), gz);
+    assert.equal(error.code, 'ARCHIVE_INVALID');
+  });
+
+  runner.it('should roll back LocalStorage when an archive is rejected', async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    try {
+      const storage = new LocalStorage({ destination: TEST_DIR, naming: 'original' });
+      await storage.initialize();
+
+      const pipeline = new PipelineManager({
+        validators: [new ArchiveInspector()],
+        storage
+      });
+
+      const evil = buildZip([{ name: '../../evil.sh', data: 'rm -rf /' }]);
+      await assert.rejects(
+        pipeline.execute(Readable.from([evil]), { filename: 'evil.zip' }),
+        'Path traversal'
+      );
+      assert.deepEqual(fs.readdirSync(TEST_DIR), []);
+
+      const good = buildZip([{ name: 'ok.txt', data: 'fine' }]);
+      const result = await pipeline.execute(Readable.from([good]), { filename: 'good.zip' });
+      assert.equal(result.metadata.archive.entryCount, 1);
+      assert.ok(fs.readFileSync(path.join(TEST_DIR, 'good.zip')).equals(good));
+    } finally {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,449 @@
+/**
+ * AzureBlobStorage Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const http = require('http');
+const crypto = require('crypto');
+const AzureBlobStorage = require('../../src/storage/AzureBlobStorage');
+const { createContext, createData } = require('../storage-helpers');
+
+const runner = new TestRunner();
+
+const KB = 1024;
+
+// Azurite's well-known development account
+const ACCOUNT = 'devstoreaccount1';
+const KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+const SAS_TOKEN = 'sv=2021-08-06&sr=c&sp=rcwd&sig=test-signature';
+
+/**
+ * Check a Shared Key Authorization header the way Azure does
+ *
+ * @private
+ */
+function verifySharedKey(req, url) {
+  const header = (name) => req.headers[name] || '';
+  const contentLength = header('content-length') === '0' ? '' : header('content-length');
+
+  const canonicalHeaders = Object.keys(req.headers)
+    .filter(name => name.startsWith('x-ms-'))
+    .sort()
+    .map(name => `${name}:${req.headers[name].trim()}\n`)
+    .join('');
+
+  let resource = `/${ACCOUNT}${url.pathname}`;
+  for (const name of [...url.searchParams.keys()].sort()) {
+    resource += `\n${name}:${url.searchParams.get(name)}`;
+  }
+
+  const stringToSign = [
+    req.method,
+    header('content-encoding'),
+    header('content-language'),
+    contentLength,
+    header('content-md5'),
+    header('content-type'),
+    header('date'),
+    header('if-modified-since'),
+    header('if-match'),
+    header('if-none-match'),
+    header('if-unmodified-since'),
+    header('range'),
+    canonicalHeaders + resource
+  ].join('\n');
+
+  const signature = crypto.createHmac('sha256', Buffer.from(KEY, 'base64'))
+    .update(stringToSign, 'utf8')
+    .digest('base64');
+
+  return req.headers['authorization'] === `SharedKey ${ACCOUNT}:${signature}`;
+}
+
+/**
+ * Minimal in-memory Azurite stand-in: Put Blob, Put Block, Put Block List, Delete Blob
+ *
+ * options.failBlock(index, attempt) -> status code to return instead of 201
+ */
+function startFakeAzurite(options = {}) {
+  const state = {
+    blobs: new Map(),
+    blocks: new Map(),
+    requests: [],
+    blockAttempts: new Map(),
+    activeBlocks: 0,
+    maxActiveBlocks: 0
+  };
+  let nextEtag = 1;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    // Path style: /<account>/<container>/<blob>
+    const name = decodeURIComponent(url.pathname.split('/').slice(3).join('/'));
+    const comp = url.searchParams.get('comp');
+    const chunks = [];
+
+    state.requests.push({ method: req.method, path: req.url, headers: req.headers });
+
+    const authorized = url.searchParams.has('sig')
+      ? url.search.includes(SAS_TOKEN)
+      : verifySharedKey(req, url);
+    if (!authorized) {
+      res.statusCode = 403;
+      res.setHeader('x-ms-error-code', 'AuthenticationFailed');
+      return res.end();
+    }
+
+    if (comp === 'block') {
+      state.activeBlocks++;
+      state.maxActiveBlocks = Math.max(state.maxActiveBlocks, state.activeBlocks);
+    }
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+
+      // Delay block responses so parallel blocks overlap
+      const delay = comp === 'block' ? 20 : 0;
+      setTimeout(() => {
+        if (comp === 'block') state.activeBlocks--;
+
+        if (req.method === 'PUT' && comp === 'block') {
+          const blockId = url.searchParams.get('blockid');
+          const index = parseInt(Buffer.from(blockId, 'base64').toString().split('-')[1], 10);
+          const attempt = (state.blockAttempts.get(index) || 0) + 1;
+          state.blockAttempts.set(index, attempt);
+
+          const failStatus = options.failBlock && options.failBlock(index, attempt);
+          if (failStatus) {
+            res.statusCode = failStatus;
+            return res.end();
+          }
+
+          if (!state.blocks.has(name)) state.blocks.set(name, new Map());
+          state.blocks.get(name).set(blockId, body);
+          res.statusCode = 201;
+          res.end();
+        } else if (req.method === 'PUT' && comp === 'blocklist') {
+          if (req.headers['if-none-match'] === '*' && state.blobs.has(name)) {
+            res.statusCode = 409;
+            res.setHeader('x-ms-error-code', 'BlobAlreadyExists');
+            return res.end();
+          }
+
+          const staged = state.blocks.get(name) || new Map();
+          const ids = [...body.toString().matchAll(/<Latest>([^<]+)<\/Latest>/g)].map(m => m[1]);
+          state.blobs.set(name, { data: Buffer.concat(ids.map(id => staged.get(id))), headers: req.headers });
+          state.blocks.delete(name);
+          res.statusCode = 201;
+          res.setHeader('ETag', `"etag-${nextEtag++}"`);
+          res.end();
+        } else if (req.method === 'PUT' && req.headers['x-ms-blob-type'] === 'BlockBlob') {
+          state.blobs.set(name, { data: body, headers: req.headers });
+          res.statusCode = 201;
+          res.setHeader('ETag', `"etag-${nextEtag++}"`);
+          res.end();
+        } else if (req.method === 'DELETE') {
+          res.statusCode = state.blobs.delete(name) ? 202 : 404;
+          res.end();
+        } else {
+          res.statusCode = 400;
+          res.end();
+        }
+      }, delay);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        state,
+        endpoint: `http://127.0.0.1:${server.address().port}/${ACCOUNT}`,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function createStorage(endpoint, config = {}) {
+  return new AzureBlobStorage({
+    account: ACCOUNT,
+    accountKey: KEY,
+    container: 'uploads',
+    endpoint,
+    naming: 'original',
+    retryDelay: 1,
+    ...config
+  });
+}
+
+runner.describe('AzureBlobStorage', () => {
+  runner.it('should require account and container config', () => {
+    assert.throws(() => {
+      new AzureBlobStorage({ accountKey: KEY });
+    }, 'account and container are required');
+  });
+
+  runner.it('should require credentials', () => {
+    assert.throws(() => {
+      new AzureBlobStorage({ account: ACCOUNT, container: 'uploads' });
+    }, 'accountKey or sasToken is required');
+  });
+
+  runner.it('should be Plugin subclass', () => {
+    const Plugin = require('../../src/core/Plugin');
+    assert.ok(AzureBlobStorage.prototype instanceof Plugin);
+  });
+
+  runner.it('should default to the account endpoint', () => {
+    const storage = new AzureBlobStorage({ account: 'myaccount', accountKey: KEY, container: 'uploads' });
+    assert.equal(storage._buildUrl('dir/a b.txt'), 'https://myaccount.blob.core.windows.net/uploads/dir/a%20b.txt');
+  });
+
+  runner.it('should reject invalid block settings', () => {
+    assert.throws(() => createStorage('http://127.0.0.1', { blockSize: 5000 * 1024 * 1024 }), 'blockSize must be between');
+    assert.throws(() => createStorage('http://127.0.0.1', { queueSize: -1 }), 'queueSize must be a positive number');
+  });
+
+  runner.it('should reject path traversal in prefix', () => {
+    assert.throws(() => createStorage('http://127.0.0.1', { prefix: '../etc' }), 'path traversal');
+  });
+
+  runner.it('should upload small files with Put Blob', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = createStorage(azurite.endpoint, { prefix: 'docs', metadata: { tenant: 'acme' } });
+      const data = createData(10 * KB);
+
+      const result = await storage.process(createContext(data, 'small.bin', {
+        hash: 'abc123',
+        hashAlgorithm: 'sha256',
+        dimensions: { width: 640, height: 480 }
+      }));
+
+      assert.equal(result.storage.driver, 'azure');
+      assert.equal(result.storage.container, 'uploads');
+      assert.equal(result.storage.blobName, 'docs/small.bin');
+      assert.equal(result.storage.etag, 'etag-1');
+      assert.equal(result.storage.url, `${azurite.endpoint}/uploads/docs/small.bin`);
+
+      const blob = azurite.state.blobs.get('docs/small.bin');
+      assert.ok(blob.data.equals(data));
+      assert.equal(blob.headers['x-ms-blob-content-type'], 'application/octet-stream');
+      assert.equal(blob.headers['x-ms-meta-tenant'], 'acme');
+      assert.equal(blob.headers['x-ms-meta-hash'], 'abc123');
+      assert.equal(blob.headers['x-ms-meta-hashalgorithm'], 'sha256');
+      assert.equal(blob.headers['x-ms-meta-width'], '640');
+      assert.equal(blob.headers['x-ms-meta-height'], '480');
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should reject invalid metadata names', async () => {
+    const storage = createStorage('http://127.0.0.1', { metadata: { 'bad-name': 'x' } });
+
+    await assert.rejects(
+      storage.process(createContext(createData(KB), 'a.bin')),
+      'Invalid Azure blob metadata name'
+    );
+  });
+
+  runner.it('should stage large streams in blocks', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = createStorage(azurite.endpoint, {
+        singleUploadThreshold: 64 * KB,
+        blockSize: 64 * KB
+      });
+      const data = createData(200 * KB + 123);
+
+      const result = await storage.process(createContext(data, 'large.bin', { hash: 'abc123' }));
+
+      assert.equal(result.storage.blocks, 4);
+      const blob = azurite.state.blobs.get('large.bin');
+      assert.ok(blob.data.equals(data));
+      assert.equal(blob.headers['x-ms-meta-hash'], 'abc123');
+      assert.equal(azurite.state.blocks.size, 0);
+      assert.equal(storage.stagedBlobs.size, 0);
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should bound parallel block uploads by queueSize', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = createStorage(azurite.endpoint, {
+        singleUploadThreshold: 16 * KB,
+        blockSize: 16 * KB,
+        queueSize: 2
+      });
+      const data = createData(160 * KB);
+
+      await storage.process(createContext(data, 'parallel.bin'));
+
+      assert.ok(azurite.state.maxActiveBlocks > 1, 'blocks should overlap');
+      assert.ok(azurite.state.maxActiveBlocks <= 2, `at most 2 blocks in flight, saw ${azurite.state.maxActiveBlocks}`);
+      assert.ok(azurite.state.blobs.get('parallel.bin').data.equals(data));
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should retry failed blocks', async () => {
+    const azurite = await startFakeAzurite({
+      failBlock: (index, attempt) => (index === 1 && attempt < 3 ? 503 : 0)
+    });
+    try {
+      const storage = createStorage(azurite.endpoint, {
+        singleUploadThreshold: 16 * KB,
+        blockSize: 16 * KB
+      });
+      const data = createData(48 * KB);
+
+      await storage.process(createContext(data, 'retry.bin'));
+
+      assert.equal(azurite.state.blockAttempts.get(1), 3);
+      assert.ok(azurite.state.blobs.get('retry.bin').data.equals(data));
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should discard uncommitted blocks in cleanup after block failure', async () => {
+    const azurite = await startFakeAzurite({
+      failBlock: (index) => (index === 1 ? 500 : 0)
+    });
+    try {
+      const storage = createStorage(azurite.endpoint, {
+        singleUploadThreshold: 16 * KB,
+        blockSize: 16 * KB,
+        maxRetries: 1
+      });
+      const context = createContext(createData(48 * KB), 'fail.bin');
+
+      let error = null;
+      try {
+        await storage.process(context);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error, 'upload should fail');
+      assert.equal(error.statusCode, 500);
+      assert.equal(azurite.state.blockAttempts.get(1), 2);
+      assert.equal(azurite.state.blocks.has('fail.bin'), true);
+
+      await storage.cleanup(context, error);
+
+      assert.equal(azurite.state.blocks.has('fail.bin'), false);
+      assert.equal(azurite.state.blobs.has('fail.bin'), false);
+      assert.equal(storage.stagedBlobs.size, 0);
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should not replace an existing blob when discarding blocks', async () => {
+    const azurite = await startFakeAzurite({
+      failBlock: (index) => (index === 1 ? 400 : 0)
+    });
+    try {
+      const existing = { data: Buffer.from('existing'), headers: {} };
+      azurite.state.blobs.set('keep.bin', existing);
+      const storage = createStorage(azurite.endpoint, {
+        singleUploadThreshold: 16 * KB,
+        blockSize: 16 * KB
+      });
+      const context = createContext(createData(48 * KB), 'keep.bin');
+
+      await assert.rejects(storage.process(context), 'PutBlock');
+      await storage.cleanup(context, new Error('failed'));
+
+      assert.equal(azurite.state.blobs.get('keep.bin'), existing);
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should delete a stored blob in cleanup', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = createStorage(azurite.endpoint);
+      const context = createContext(createData(KB), 'mirrored.bin');
+
+      await storage.process(context);
+      assert.ok(azurite.state.blobs.has('mirrored.bin'));
+
+      // A required mirror failed after this copy completed
+      await storage.cleanup(context, new Error('Mirror failed'));
+      assert.equal(azurite.state.blobs.has('mirrored.bin'), false);
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should authenticate with a SAS token', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = new AzureBlobStorage({
+        account: ACCOUNT,
+        container: 'uploads',
+        sasToken: `?${SAS_TOKEN}`,
+        endpoint: azurite.endpoint,
+        naming: 'original'
+      });
+      const data = createData(KB);
+
+      await storage.process(createContext(data, 'sas.bin'));
+
+      assert.ok(azurite.state.blobs.get('sas.bin').data.equals(data));
+      const request = azurite.state.requests[0];
+      assert.ok(request.path.endsWith(`?${SAS_TOKEN}`));
+      assert.equal(request.headers['authorization'], undefined);
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should fail with the Azure error code', async () => {
+    const azurite = await startFakeAzurite();
+    try {
+      const storage = createStorage(azurite.endpoint, { accountKey: Buffer.from('wrong key').toString('base64') });
+
+      let error = null;
+      try {
+        await storage.process(createContext(createData(KB), 'denied.bin'));
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error);
+      assert.equal(error.statusCode, 403);
+      assert.equal(error.azureCode, 'AuthenticationFailed');
+    } finally {
+      await azurite.close();
+    }
+  });
+
+  runner.it('should generate SAS URLs', () => {
+    const storage = createStorage('http://127.0.0.1:10000/devstoreaccount1');
+    const url = new URL(storage.generateSasUrl('a.txt', { permissions: 'cw', expiresIn: 60 }));
+
+    assert.equal(url.pathname, '/devstoreaccount1/uploads/a.txt');
+    assert.equal(url.searchParams.get('sp'), 'cw');
+    assert.ok(url.searchParams.get('sig'));
+
+    const sasStorage = new AzureBlobStorage({ account: ACCOUNT, container: 'uploads', sasToken: SAS_TOKEN });
+    assert.throws(() => sasStorage.generateSasUrl('a.txt'), 'requires accountKey');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,128 @@
+/**
+ * AzureSharedKey Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const crypto = require('crypto');
+const AzureSharedKey = require('../../src/utils/AzureSharedKey');
+
+const runner = new TestRunner();
+
+// Azurite's well-known development account
+const ACCOUNT = 'devstoreaccount1';
+const KEY = 'Eby8vdM02xNOcqFlqUwJPLlmEtlCDXJ1OUzFT50uSRZ6IFsuFq2UVErCz4I6tq/K1SZFPTOtr/KBHBeksoGMGw==';
+
+function hmac(data) {
+  return crypto.createHmac('sha256', Buffer.from(KEY, 'base64')).update(data, 'utf8').digest('base64');
+}
+
+runner.describe('AzureSharedKey', () => {
+  const signer = new AzureSharedKey({ accountName: ACCOUNT, accountKey: KEY });
+  const date = new Date('2024-01-01T00:00:00Z');
+
+  runner.it('should throw error without required config', () => {
+    assert.throws(() => {
+      new AzureSharedKey({ accountName: ACCOUNT });
+    }, 'accountName and accountKey are required');
+  });
+
+  runner.it('should sign HTTP request', () => {
+    const headers = signer.sign({
+      method: 'PUT',
+      url: 'https://devstoreaccount1.blob.core.windows.net/uploads/a.txt',
+      headers: { 'Content-Length': '5', 'x-ms-blob-type': 'BlockBlob' },
+      date
+    });
+
+    assert.equal(headers['x-ms-date'], 'Mon, 01 Jan 2024 00:00:00 GMT');
+    assert.equal(headers['x-ms-version'], AzureSharedKey.API_VERSION);
+    assert.equal(headers['content-length'], '5');
+    assert.ok(headers['authorization'].startsWith(`SharedKey ${ACCOUNT}:`));
+  });
+
+  runner.it('should build the string to sign', () => {
+    const stringToSign = signer._createStringToSign(
+      'PUT',
+      new URL('http://127.0.0.1:10000/devstoreaccount1/uploads/a%20b.txt?comp=block&blockid=YQ%3D%3D'),
+      {
+        'content-length': '5',
+        'content-type': 'application/xml',
+        'if-none-match': '*',
+        'x-ms-version': '2021-08-06',
+        'x-ms-date': 'Mon, 01 Jan 2024 00:00:00 GMT',
+        'x-ms-meta-hash': '  abc  '
+      }
+    );
+
+    assert.equal(stringToSign, [
+      'PUT', '', '', '5', '', 'application/xml', '', '', '', '*', '', '',
+      'x-ms-date:Mon, 01 Jan 2024 00:00:00 GMT\n' +
+      'x-ms-meta-hash:abc\n' +
+      'x-ms-version:2021-08-06\n' +
+      '/devstoreaccount1/devstoreaccount1/uploads/a%20b.txt\nblockid:YQ==\ncomp:block'
+    ].join('\n'));
+  });
+
+  runner.it('should leave a zero Content-Length empty', () => {
+    const stringToSign = signer._createStringToSign(
+      'DELETE',
+      new URL('https://devstoreaccount1.blob.core.windows.net/uploads/a.txt'),
+      { 'content-length': '0' }
+    );
+
+    assert.equal(stringToSign.split('\n')[3], '');
+  });
+
+  runner.it('should sign with the account key', () => {
+    const headers = signer.sign({
+      method: 'GET',
+      url: 'https://devstoreaccount1.blob.core.windows.net/uploads/a.txt',
+      date
+    });
+
+    const stringToSign = signer._createStringToSign(
+      'GET',
+      new URL('https://devstoreaccount1.blob.core.windows.net/uploads/a.txt'),
+      headers
+    );
+    assert.equal(headers['authorization'], `SharedKey ${ACCOUNT}:${hmac(stringToSign)}`);
+  });
+
+  runner.it('should strip control characters from headers', () => {
+    const headers = signer.sign({
+      method: 'PUT',
+      url: 'https://devstoreaccount1.blob.core.windows.net/uploads/a.txt',
+      headers: { 'x-ms-meta-note': 'a\r\nInjected: 1' }
+    });
+
+    assert.equal(headers['x-ms-meta-note'], 'aInjected: 1');
+  });
+
+  runner.it('should generate a blob SAS token', () => {
+    const sas = new URLSearchParams(signer.generateBlobSas({
+      container: 'uploads',
+      blobName: 'dir/a.txt',
+      permissions: 'cw',
+      expiresIn: 600
+    }));
+
+    assert.equal(sas.get('sp'), 'cw');
+    assert.equal(sas.get('sr'), 'b');
+    assert.equal(sas.get('sv'), AzureSharedKey.API_VERSION);
+    assert.ok(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}Z$/.test(sas.get('se')));
+
+    const expected = hmac([
+      'cw', '', sas.get('se'), '/blob/devstoreaccount1/uploads/dir/a.txt',
+      '', '', '', AzureSharedKey.API_VERSION, 'b', '', '', '', '', '', '', ''
+    ].join('\n'));
+    assert.equal(sas.get('sig'), expected);
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
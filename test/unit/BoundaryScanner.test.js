@@ -75,6 +75,31 @@ runner.describe('BoundaryScanner', () => {
     assert.equal(result2.parts.length, 1);
   });
 
+  runner.it('should emit data after the last boundary', () => {
+    const scanner = new BoundaryScanner(Buffer.from('B'));
+
+    const result = scanner.scan(Buffer.from('one--Bheaders and body data'));
+
+    assert.equal(result.parts.length, 1);
+    assert.equal(
+      Buffer.concat([result.emitData, result.carryover]).toString(),
+      'headers and body data'
+    );
+  });
+
+  runner.it('should carry the CRLF before a split boundary', () => {
+    const scanner = new BoundaryScanner(Buffer.from('BOUNDARY'));
+
+    const first = scanner.scan(Buffer.from('file data\r\n--BOUND'));
+    const second = scanner.scan(Buffer.from('ARY'));
+
+    assert.ok(!first.emitData.includes('\r'), 'CRLF should be carried over');
+    assert.equal(
+      Buffer.concat([first.emitData, second.parts[0].data]).toString(),
+      'file data\r\n'
+    );
+  });
+
   runner.it('should reset scanner state', () => {
     const scanner = new BoundaryScanner(Buffer.from('BOUNDARY'));
 
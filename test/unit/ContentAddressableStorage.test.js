@@ -0,0 +1,370 @@
+/**
+ * ContentAddressableStorage Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const ContentAddressableStorage = require('../../src/storage/ContentAddressableStorage');
+const MemoryStorage = require('../../src/storage/MemoryStorage');
+const LocalStorage = require('../../src/storage/LocalStorage');
+const MemoryStore = require('../../src/stores/MemoryStore');
+const Plugin = require('../../src/core/Plugin');
+const { createContext } = require('../storage-helpers');
+
+const runner = new TestRunner();
+
+const TEST_DIR = path.join(__dirname, '../tmp/cas-test');
+const TEMP_DIR = path.join(TEST_DIR, 'temp');
+
+// Clean test directory
+if (fs.existsSync(TEST_DIR)) {
+  fs.rmSync(TEST_DIR, { recursive: true });
+}
+fs.mkdirSync(TEMP_DIR, { recursive: true });
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function createStorage(config = {}) {
+  const backend = new MemoryStorage();
+  const storage = new ContentAddressableStorage({ storage: backend, tempDir: TEMP_DIR, ...config });
+  return { storage, backend };
+}
+
+class FailingStorage extends Plugin {
+  constructor() {
+    super({});
+    this.cleanedUp = 0;
+  }
+
+  async process(context) {
+    context.stream.resume();
+    throw new Error('Backend unavailable');
+  }
+
+  async cleanup() {
+    this.cleanedUp++;
+  }
+}
+
+// Storage over a shared file map whose delete() is slow, like a remote backend
+class SlowDeleteStorage extends Plugin {
+  constructor(files, delay) {
+    super({});
+    this.files = files;
+    this.delay = delay;
+  }
+
+  async process(context) {
+    const key = this.naming.generate(context.fileInfo.filename, context.metadata);
+    const chunks = [];
+    for await (const chunk of context.stream) {
+      chunks.push(chunk);
+    }
+    this.files.set(key, Buffer.concat(chunks));
+    return { ...context, storage: { driver: 'slow', key } };
+  }
+
+  async delete(key) {
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+    this.files.delete(key);
+  }
+}
+
+runner.describe('ContentAddressableStorage', () => {
+  runner.it('should require a storage plugin', () => {
+    assert.throws(() => new ContentAddressableStorage({}), 'storage is required');
+  });
+
+  runner.it('should require a store for persistent storage', () => {
+    const backend = new LocalStorage({ destination: path.join(TEST_DIR, 'blobs') });
+
+    assert.throws(
+      () => new ContentAddressableStorage({ storage: backend, tempDir: TEMP_DIR }),
+      'store is required for ContentAddressableStorage unless storage is a MemoryStorage'
+    );
+    assert.throws(() => createStorage({ deleteTimeout: -1 }), 'deleteTimeout must be a positive number');
+  });
+
+  runner.it('should not wrap a storage twice', () => {
+    const { backend } = createStorage();
+
+    assert.throws(
+      () => new ContentAddressableStorage({ storage: backend, tempDir: TEMP_DIR }),
+      'MemoryStorage is already wrapped by a ContentAddressableStorage'
+    );
+  });
+
+  runner.it('should reject unsupported algorithms', () => {
+    assert.throws(() => createStorage({ algorithm: 'nope' }), 'Unsupported hash algorithm');
+  });
+
+  runner.it('should store files under their content address', async () => {
+    const { storage, backend } = createStorage();
+    const digest = sha256('pdf content');
+
+    const result = await storage.process(createContext(Buffer.from('pdf content')));
+
+    const address = `sha256/${digest.slice(0, 2)}/${digest.slice(2, 4)}/${digest}`;
+    assert.equal(result.storage.address, address);
+    assert.equal(result.storage.digest, digest);
+    assert.equal(result.storage.algorithm, 'sha256');
+    assert.equal(result.storage.deduplicated, false);
+    assert.equal(result.storage.refs, 1);
+    assert.equal(result.storage.driver, 'memory');
+    assert.equal(result.metadata.hash, digest);
+    assert.equal(result.metadata.hashAlgorithm, 'sha256');
+    assert.equal(backend.get(address).buffer.toString(), 'pdf content');
+    assert.deepEqual(fs.readdirSync(TEMP_DIR), []);
+  });
+
+  runner.it('should discard duplicate content', async () => {
+    const { storage, backend } = createStorage();
+
+    await storage.process(createContext(Buffer.from('same'), 'a.pdf'));
+    const result = await storage.process(createContext(Buffer.from('same'), 'b.pdf'));
+
+    assert.equal(result.storage.deduplicated, true);
+    assert.equal(result.storage.refs, 2);
+    assert.equal(result.storage.driver, 'memory');
+    assert.equal(backend.list().length, 1);
+    assert.deepEqual(fs.readdirSync(TEMP_DIR), []);
+  });
+
+  runner.it('should store concurrent uploads of the same content once', async () => {
+    const { storage, backend } = createStorage();
+
+    const results = await Promise.all([
+      storage.process(createContext(Buffer.from('parallel'))),
+      storage.process(createContext(Buffer.from('parallel'))),
+      storage.process(createContext(Buffer.from('parallel')))
+    ]);
+
+    assert.deepEqual(results.map(r => r.storage.deduplicated).sort(), [false, true, true]);
+    assert.equal(backend.list().length, 1);
+    assert.equal((await storage.get(results[0].storage.address)).refs, 3);
+  });
+
+  runner.it('should only delete the file with its last reference', async () => {
+    const { storage, backend } = createStorage();
+
+    const first = await storage.process(createContext(Buffer.from('shared')));
+    await storage.process(createContext(Buffer.from('shared')));
+    const address = first.storage.address;
+
+    assert.equal(await storage.delete(address), false);
+    assert.ok(backend.get(address), 'file should remain while referenced');
+    assert.equal((await storage.get(address)).refs, 1);
+
+    assert.equal(await storage.delete(address), true);
+    assert.equal(backend.get(address), null);
+    assert.equal(await storage.get(address), null);
+    assert.equal(await storage.delete(address), false);
+  });
+
+  runner.it('should store content again after it was deleted', async () => {
+    const { storage, backend } = createStorage();
+
+    const first = await storage.process(createContext(Buffer.from('again')));
+    await storage.delete(first.storage.address);
+    const second = await storage.process(createContext(Buffer.from('again')));
+
+    assert.equal(second.storage.deduplicated, false);
+    assert.equal(second.storage.refs, 1);
+    assert.ok(backend.get(second.storage.address));
+  });
+
+  runner.it('should not lose a re-upload racing the last delete', async () => {
+    const files = new Map();
+    const storage = new ContentAddressableStorage({ storage: new SlowDeleteStorage(files, 30), store: new MemoryStore(), tempDir: TEMP_DIR });
+
+    const first = await storage.process(createContext(Buffer.from('raced')));
+    const address = first.storage.address;
+
+    const [deleted, second] = await Promise.all([
+      storage.delete(address),
+      storage.process(createContext(Buffer.from('raced')))
+    ]);
+
+    assert.equal(deleted, true);
+    assert.equal(second.storage.deduplicated, false);
+    assert.equal(files.get(address).toString(), 'raced');
+    assert.equal((await storage.get(address)).refs, 1);
+  });
+
+  runner.it('should wait for a delete in another process', async () => {
+    const files = new Map();
+    const store = new MemoryStore();
+    const deleter = new ContentAddressableStorage({ storage: new SlowDeleteStorage(files, 30), store, tempDir: TEMP_DIR });
+    const uploader = new ContentAddressableStorage({ storage: new SlowDeleteStorage(files, 30), store, tempDir: TEMP_DIR });
+
+    const first = await deleter.process(createContext(Buffer.from('shared store')));
+    const address = first.storage.address;
+
+    const deletion = deleter.delete(address);
+    await new Promise(resolve => setImmediate(resolve));
+    const tombstone = await store.get(`cas:${address}`);
+    assert.equal(tombstone.refs, 0);
+    assert.equal(tombstone.deleting, true);
+    assert.equal(await deleter.get(address), null);
+
+    const second = await uploader.process(createContext(Buffer.from('shared store')));
+    assert.equal(await deletion, true);
+
+    assert.equal(second.storage.deduplicated, false);
+    assert.equal(files.get(address).toString(), 'shared store');
+    assert.equal((await store.get(`cas:${address}`)).refs, 1);
+  });
+
+  runner.it('should treat a tombstone left by a crashed delete as absent', async () => {
+    const files = new Map();
+    const store = new MemoryStore();
+    const storage = new ContentAddressableStorage({
+      storage: new SlowDeleteStorage(files, 0),
+      store,
+      tempDir: TEMP_DIR,
+      deleteTimeout: 1000
+    });
+    const address = storage.getAddress(sha256('orphaned'));
+
+    // A process died between marking the delete and removing the record
+    await store.set(`cas:${address}`, { refs: 0, storage: {}, deleting: true, deletingAt: Date.now() - 5000 });
+
+    const result = await storage.process(createContext(Buffer.from('orphaned')));
+
+    assert.equal(result.storage.deduplicated, false);
+    assert.equal(result.storage.refs, 1);
+    assert.equal(files.get(address).toString(), 'orphaned');
+  });
+
+  runner.it('should give tombstones a TTL', async () => {
+    const files = new Map();
+    const store = new MemoryStore();
+    const storage = new ContentAddressableStorage({
+      storage: new SlowDeleteStorage(files, 40),
+      store,
+      tempDir: TEMP_DIR,
+      deleteTimeout: 20
+    });
+    const result = await storage.process(createContext(Buffer.from('expiring')));
+    const storeKey = `cas:${result.storage.address}`;
+
+    const deletion = storage.delete(result.storage.address);
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal((await store.get(storeKey)).deleting, true);
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.equal(await store.get(storeKey), null);
+    assert.equal(await deletion, true);
+  });
+
+  runner.it('should report a delete elsewhere that does not finish in time', async () => {
+    const store = new MemoryStore();
+    const storage = new ContentAddressableStorage({
+      storage: new SlowDeleteStorage(new Map(), 0),
+      store,
+      tempDir: TEMP_DIR,
+      deleteTimeout: 100
+    });
+    const address = storage.getAddress(sha256('stuck'));
+
+    // Marked by a host whose clock runs ahead, so it never looks stale here
+    await store.set(`cas:${address}`, { refs: 0, storage: {}, deleting: true, deletingAt: Date.now() + 60000 });
+
+    const context = createContext(Buffer.from('stuck'));
+    const error = await storage.process(context).then(() => null, err => err);
+    await storage.cleanup(context, error);
+
+    assert.ok(error, 'upload should fail');
+    assert.equal(error.code, 'CONTENT_DELETE_TIMEOUT');
+    assert.equal(error.statusCode, 503);
+  });
+
+  runner.it('should release the reference in cleanup', async () => {
+    const { storage, backend } = createStorage();
+
+    const context = createContext(Buffer.from('mirrored'));
+    const result = await storage.process(context);
+    await storage.cleanup(context, new Error('mirror failed'));
+
+    assert.equal(backend.get(result.storage.address), null);
+    assert.equal(await storage.get(result.storage.address), null);
+  });
+
+  runner.it('should remove the temp file when the source stream fails', async () => {
+    const { storage, backend } = createStorage();
+    const stream = new PassThrough();
+    const context = { stream, fileInfo: { filename: 'broken.pdf' }, metadata: {} };
+
+    const promise = storage.process(context);
+    stream.write('partial');
+    setImmediate(() => stream.destroy(new Error('Client aborted')));
+
+    await assert.rejects(promise, 'Client aborted');
+    await storage.cleanup(context, new Error('Client aborted'));
+
+    assert.deepEqual(fs.readdirSync(TEMP_DIR), []);
+    assert.equal(backend.list().length, 0);
+  });
+
+  runner.it('should clean up the wrapped storage when it fails', async () => {
+    const backend = new FailingStorage();
+    const storage = new ContentAddressableStorage({ storage: backend, store: new MemoryStore(), tempDir: TEMP_DIR });
+    const context = createContext(Buffer.from('data'));
+
+    await assert.rejects(storage.process(context), 'Backend unavailable');
+    await storage.cleanup(context, new Error('Backend unavailable'));
+
+    assert.equal(backend.cleanedUp, 1);
+    assert.deepEqual(fs.readdirSync(TEMP_DIR), []);
+    assert.equal(await storage.get(storage.getAddress(sha256('data'))), null);
+  });
+
+  runner.it('should report storage without delete()', async () => {
+    class NoDeleteStorage extends Plugin {
+      async process(context) {
+        context.stream.resume();
+        return { ...context, storage: { driver: 'none' } };
+      }
+    }
+    const storage = new ContentAddressableStorage({ storage: new NoDeleteStorage(), store: new MemoryStore(), tempDir: TEMP_DIR });
+
+    const result = await storage.process(createContext(Buffer.from('x')));
+
+    await assert.rejects(storage.delete(result.storage.address), 'NoDeleteStorage does not support delete()');
+  });
+
+  runner.it('should write nested paths with LocalStorage', async () => {
+    const backend = new LocalStorage({ destination: path.join(TEST_DIR, 'blobs') });
+    const storage = new ContentAddressableStorage({ storage: backend, store: new MemoryStore(), tempDir: TEMP_DIR, algorithm: 'sha1' });
+    await storage.initialize();
+
+    const first = await storage.process(createContext(Buffer.from('local content')));
+    const second = await storage.process(createContext(Buffer.from('local content')));
+
+    const digest = crypto.createHash('sha1').update('local content').digest('hex');
+    const filePath = path.join(TEST_DIR, 'blobs', 'sha1', digest.slice(0, 2), digest.slice(2, 4), digest);
+    assert.equal(first.storage.path, filePath);
+    assert.equal(second.storage.path, filePath);
+    assert.equal(fs.readFileSync(filePath, 'utf8'), 'local content');
+
+    await storage.delete(first.storage.address);
+    assert.ok(fs.existsSync(filePath));
+    await storage.delete(first.storage.address);
+    assert.equal(fs.existsSync(filePath), false);
+
+    await storage.shutdown();
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
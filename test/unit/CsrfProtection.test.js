@@ -4,6 +4,7 @@
 
 const { TestRunner, assert } = require('../test-runner');
 const CsrfProtection = require('../../src/plugins/validators/CsrfProtection');
+const MemoryStore = require('../../src/stores/MemoryStore');
 
 const runner = new TestRunner();
 
@@ -439,6 +440,248 @@ runner.describe('CsrfProtection', () => {
   });
 });
 
+runner.describe('CsrfProtection - Stateless Tokens', () => {
+  const SECRET = 'test-secret-0123456789abcdef';
+
+  function withClock(ms, fn) {
+    const realNow = Date.now;
+    Date.now = () => realNow() + ms;
+    try {
+      return fn();
+    } finally {
+      Date.now = realNow;
+    }
+  }
+
+  runner.it('should enable stateless mode with a secret', () => {
+    const csrf = new CsrfProtection({ secret: SECRET, getSessionId: req => req.headers['x-session'] });
+
+    assert.equal(csrf.stateless, true);
+    assert.equal(csrf.doubleSubmitCookie, false);
+    assert.equal(csrf.getStats().mode, 'stateless');
+    assert.equal(new CsrfProtection().getStats().mode, 'stored');
+  });
+
+  runner.it('should keep the double-submit cookie without session binding', () => {
+    assert.equal(new CsrfProtection({ secret: SECRET }).doubleSubmitCookie, true);
+
+    assert.throws(() => {
+      new CsrfProtection({ secret: SECRET, doubleSubmitCookie: false });
+    }, 'require getSessionId or doubleSubmitCookie');
+  });
+
+  runner.it('should reject an unbound token replayed cross-site', async () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+
+    // Issued to the attacker's own browser, valid signature, no session
+    const token = csrf.generateToken();
+    assert.equal(csrf.verifyToken(token), true);
+
+    // The victim's browser sends its own cookie (or none), not the attacker's
+    await assert.rejects(csrf.process({
+      request: { headers: { 'x-csrf-token': token } }
+    }), 'Invalid CSRF token');
+    await assert.rejects(csrf.process({
+      request: { headers: { 'x-csrf-token': token, cookie: `csrf-token=${csrf.generateToken()}` } }
+    }), 'Invalid CSRF token');
+  });
+
+  runner.it('should reject invalid secrets', () => {
+    assert.throws(() => {
+      new CsrfProtection({ secrets: [''] });
+    }, 'non-empty');
+  });
+
+  runner.it('should verify tokens on another instance without storing them', () => {
+    const issuer = new CsrfProtection({ secret: SECRET });
+    const verifier = new CsrfProtection({ secret: SECRET });
+
+    const token = issuer.generateToken();
+
+    assert.equal(issuer.tokens.size, 0);
+    assert.equal(token.split('.').length, 5);
+    assert.equal(verifier.verifyToken(token), true);
+    assert.equal(new CsrfProtection({ secret: 'other-secret' }).verifyToken(token), false);
+  });
+
+  runner.it('should reject tampered tokens', () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+    const [keyId, expires, nonce, scope, signature] = csrf.generateToken().split('.');
+
+    assert.equal(csrf.verifyToken([keyId, Number(expires) + 3600, nonce, scope, signature].join('.')), false);
+    assert.equal(csrf.verifyToken([keyId, expires, nonce + 'x', scope, signature].join('.')), false);
+    assert.equal(csrf.verifyToken([keyId, expires, nonce, scope, signature.slice(0, -2) + 'AA'].join('.')), false);
+    assert.equal(csrf.verifyToken('not-a-token'), false);
+    assert.equal(csrf.verifyToken(null), false);
+  });
+
+  runner.it('should reject expired tokens', () => {
+    const csrf = new CsrfProtection({ secret: SECRET, tokenLifetime: 60000 });
+    const token = csrf.generateToken();
+
+    assert.equal(withClock(30000, () => csrf.verifyToken(token)), true);
+    assert.equal(withClock(62000, () => csrf.verifyToken(token)), false);
+  });
+
+  runner.it('should bind tokens to a session', () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+    const token = csrf.generateToken({ sessionId: 'session-a' });
+
+    assert.equal(csrf.verifyToken(token, { sessionId: 'session-a' }), true);
+    assert.equal(csrf.verifyToken(token, { sessionId: 'session-b' }), false);
+    assert.equal(csrf.verifyToken(token), false);
+
+    // Unbound tokens do not satisfy a session check
+    assert.equal(csrf.verifyToken(csrf.generateToken(), { sessionId: 'session-a' }), false);
+  });
+
+  runner.it('should bind tokens to a form action', () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+    const token = csrf.generateToken({ sessionId: 's1', action: '/upload/avatar' });
+
+    assert.equal(csrf.verifyToken(token, { sessionId: 's1', action: '/upload/avatar' }), true);
+    assert.equal(csrf.verifyToken(token, { sessionId: 's1', action: '/upload/documents' }), false);
+    assert.equal(csrf.verifyToken(token, { sessionId: 's1' }), false);
+  });
+
+  runner.it('should rotate secrets', () => {
+    const oldCsrf = new CsrfProtection({ secret: 'old-secret' });
+    const oldToken = oldCsrf.generateToken();
+
+    const rotated = new CsrfProtection({ secrets: ['new-secret', 'old-secret'] });
+    const newToken = rotated.generateToken();
+
+    assert.equal(rotated.verifyToken(oldToken), true);
+    assert.equal(rotated.verifyToken(newToken), true);
+    assert.equal(oldCsrf.verifyToken(newToken), false);
+
+    // Old secret retired
+    assert.equal(new CsrfProtection({ secrets: ['new-secret'] }).verifyToken(oldToken), false);
+  });
+
+  runner.it('should not support one-time tokens', () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+
+    assert.throws(() => {
+      csrf.verifyToken(csrf.generateToken(), { oneTime: true });
+    }, 'stateless');
+  });
+
+  runner.it('should validate requests with session and action binding', async () => {
+    const csrf = new CsrfProtection({
+      secret: SECRET,
+      getSessionId: req => req.headers['x-session'],
+      bindAction: true
+    });
+
+    const bound = csrf.generateToken({ sessionId: 'abc', action: '/upload' });
+    const anyForm = csrf.generateToken({ sessionId: 'abc' });
+
+    const request = (token, url, session = 'abc') => ({
+      request: { url, headers: { 'x-csrf-token': token, 'x-session': session } }
+    });
+
+    assert.ok(await csrf.process(request(bound, '/upload?draft=1')));
+    assert.ok(await csrf.process(request(anyForm, '/other')));
+
+    await assert.rejects(csrf.process(request(bound, '/other')), 'Invalid CSRF token');
+    await assert.rejects(csrf.process(request(bound, '/upload', 'xyz')), 'Invalid CSRF token');
+  });
+
+  runner.it('should require a matching cookie when double-submit is enabled', async () => {
+    const csrf = new CsrfProtection({ secret: SECRET, doubleSubmitCookie: true });
+    const token = csrf.generateToken();
+
+    assert.ok(await csrf.process({
+      request: { headers: { 'x-csrf-token': token, cookie: `csrf-token=${token}` } }
+    }));
+
+    await assert.rejects(csrf.process({
+      request: { headers: { 'x-csrf-token': token, cookie: 'csrf-token=other' } }
+    }), 'Invalid CSRF token');
+
+    // A forged cookie/header pair still needs a valid signature
+    await assert.rejects(csrf.process({
+      request: { headers: { 'x-csrf-token': 'forged', cookie: 'csrf-token=forged' } }
+    }), 'Invalid CSRF token');
+  });
+
+  runner.it('should not start the cleanup interval', async () => {
+    const csrf = new CsrfProtection({ secret: SECRET });
+    await csrf.initialize();
+
+    assert.equal(csrf.cleanupInterval, null);
+
+    await csrf.shutdown();
+  });
+});
+
+runner.describe('CsrfProtection - Shared Store', () => {
+  runner.it('should verify stored tokens on another instance', async () => {
+    const store = new MemoryStore();
+    const issuer = new CsrfProtection({ store, doubleSubmitCookie: false });
+    const verifier = new CsrfProtection({ store, doubleSubmitCookie: false });
+
+    const token = await issuer.generateToken({ sessionId: 'session-a' });
+
+    assert.equal(issuer.tokens.size, 0);
+    assert.equal(await verifier.verifyToken(token, { sessionId: 'session-a' }), true);
+    assert.equal(await verifier.verifyToken(token, { sessionId: 'session-b' }), false);
+    assert.ok(await verifier.process({ request: { headers: { 'x-csrf-token': token } } }));
+
+    await verifier.revokeToken(token);
+    assert.equal(await issuer.verifyToken(token), false);
+
+    await store.close();
+  });
+
+  runner.it('should let a one-time token be used only once across instances', async () => {
+    const store = new MemoryStore();
+    const a = new CsrfProtection({ store });
+    const b = new CsrfProtection({ store });
+
+    const token = await a.generateToken();
+    const results = await Promise.all([
+      a.verifyToken(token, { oneTime: true }),
+      b.verifyToken(token, { oneTime: true }),
+      b.verifyToken(token, { oneTime: true })
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+
+    await store.close();
+  });
+
+  runner.it('should support one-time stateless tokens with a store', async () => {
+    const store = new MemoryStore();
+    const a = new CsrfProtection({ secret: 'shared-secret', store });
+    const b = new CsrfProtection({ secret: 'shared-secret', store });
+
+    const token = a.generateToken({ sessionId: 's1' });
+
+    assert.equal(await a.verifyToken(token, { sessionId: 's1', oneTime: true }), true);
+    assert.equal(await b.verifyToken(token, { sessionId: 's1', oneTime: true }), false);
+
+    // Invalid tokens are not recorded
+    assert.equal(await b.verifyToken('bogus', { oneTime: true }), false);
+    assert.equal(store.size, 1);
+
+    await store.close();
+  });
+
+  runner.it('should not start the cleanup interval', async () => {
+    const store = new MemoryStore();
+    const csrf = new CsrfProtection({ store });
+    await csrf.initialize();
+
+    assert.equal(csrf.cleanupInterval, null);
+    assert.equal(csrf.getStats().store, 'MemoryStore');
+
+    await csrf.shutdown();
+    await store.close();
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
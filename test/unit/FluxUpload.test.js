@@ -5,7 +5,10 @@
 const { TestRunner, assert } = require('../test-runner');
 const FluxUpload = require('../../src/FluxUpload');
 const Plugin = require('../../src/core/Plugin');
+const { MetricsCollector } = require('../../src/observability/MetricsCollector');
+const { Tracer, SpanKind, SpanStatusCode } = require('../../src/observability/Tracer');
 const { Readable, Transform, PassThrough } = require('stream');
+const crypto = require('crypto');
 
 const runner = new TestRunner();
 
@@ -236,6 +239,44 @@ runner.describe('FluxUpload', () => {
     assert.equal(uploader.additionalStorage[0].name, 'storage2');
   });
 
+  runner.it('should mirror files through the pipeline to every storage target', async () => {
+    const validator = new MockValidator();
+    let validated = 0;
+    const process = validator.process.bind(validator);
+    validator.process = (context) => { validated++; return process(context); };
+    const primary = new MockStorage({ name: 'primary' });
+    const mirror = new MockStorage({ name: 'mirror' });
+    const backup = new MockStorage({ name: 'backup', shouldFail: true });
+    const uploader = new FluxUpload({
+      validators: [validator],
+      storage: [primary, mirror, { storage: backup, required: false }]
+    });
+
+    const result = await uploader.handle(createMockRequest('TestBoundary123', [
+      { type: 'file', name: 'document', filename: 'test.txt', data: Buffer.from('test') }
+    ]));
+
+    assert.equal(validated, 1);
+    assert.equal(result.files.length, 1);
+    assert.equal(result.files[0].validated, true);
+    assert.equal(result.files[0].path, '/uploads/test.txt');
+    assert.deepEqual(result.files[0].additionalStorage.map(target => target.status), ['stored', 'failed']);
+    assert.equal(result.files[0].additionalStorage[1].error, 'Storage failed');
+  });
+
+  runner.it('should fail the file when a required mirror fails', async () => {
+    const uploader = new FluxUpload({
+      storage: [new MockStorage(), new MockStorage({ name: 'mirror', shouldFail: true })]
+    });
+
+    await assert.rejects(
+      uploader.handle(createMockRequest('TestBoundary123', [
+        { type: 'file', name: 'document', filename: 'test.txt', data: Buffer.from('test') }
+      ])),
+      'Storage failed'
+    );
+  });
+
   runner.it('should initialize plugins', async () => {
     const storage = new MockStorage();
     const uploader = new FluxUpload({ storage });
@@ -655,6 +696,1082 @@ runner.describe('FluxUpload', () => {
     assert.equal(result2.fields.field1, undefined);
     assert.equal(result2.fields.field2, 'value2');
   });
+  runner.it('should pass the session to callbacks', async () => {
+    const storage = new MockStorage();
+    const sessions = { field: null, file: null, finish: null };
+
+    const uploader = new FluxUpload({
+      storage,
+      onField: (name, value, session) => { sessions.field = session; },
+      onFile: (file, session) => { sessions.file = session; },
+      onFinish: (result, session) => { sessions.finish = session; }
+    });
+
+    const boundary = 'TestBoundary123';
+    const req = createMockRequest(boundary, [
+      { type: 'field', name: 'username', value: 'john' },
+      { type: 'file', name: 'doc', filename: 'a.txt', data: Buffer.from('a') }
+    ]);
+
+    await uploader.handle(req);
+
+    assert.ok(sessions.finish);
+    assert.equal(sessions.field, sessions.finish);
+    assert.equal(sessions.file, sessions.finish);
+    assert.equal(sessions.finish.request, req);
+    assert.equal(sessions.finish.fields.username, 'john');
+    assert.equal(sessions.finish.files.length, 1);
+    assert.equal(sessions.finish.finished, true);
+  });
+
+  runner.it('should isolate concurrent requests', async () => {
+    // Storage that finishes the first request's file last
+    class SlowStorage extends MockStorage {
+      async process(context) {
+        const result = await super.process(context);
+        const delay = context.fileInfo.filename === 'slow.txt' ? 30 : 0;
+        await new Promise(resolve => setTimeout(resolve, delay));
+        return result;
+      }
+    }
+
+    const uploader = new FluxUpload({ storage: new SlowStorage() });
+    const boundary = 'TestBoundary123';
+
+    const req1 = createMockRequest(boundary, [
+      { type: 'field', name: 'user', value: 'first' },
+      { type: 'file', name: 'doc', filename: 'slow.txt', data: Buffer.from('1') }
+    ]);
+    const req2 = createMockRequest(boundary, [
+      { type: 'field', name: 'user', value: 'second' },
+      { type: 'file', name: 'doc', filename: 'fast.txt', data: Buffer.from('2') }
+    ]);
+
+    const [result1, result2] = await Promise.all([
+      uploader.handle(req1),
+      uploader.handle(req2)
+    ]);
+
+    assert.equal(result1.fields.user, 'first');
+    assert.equal(result1.files.length, 1);
+    assert.equal(result1.files[0].filename, 'slow.txt');
+    assert.equal(result2.fields.user, 'second');
+    assert.equal(result2.files.length, 1);
+    assert.equal(result2.files[0].filename, 'fast.txt');
+  });
+
+  runner.it('should not fail a concurrent request when another fails', async () => {
+    class SelectiveStorage extends MockStorage {
+      async process(context) {
+        if (context.fileInfo.filename === 'bad.txt') {
+          throw new Error('Storage failed');
+        }
+        return super.process(context);
+      }
+    }
+
+    const uploader = new FluxUpload({ storage: new SelectiveStorage() });
+    const boundary = 'TestBoundary123';
+
+    const bad = createMockRequest(boundary, [
+      { type: 'file', name: 'doc', filename: 'bad.txt', data: Buffer.from('x') }
+    ]);
+    const good = createMockRequest(boundary, [
+      { type: 'file', name: 'doc', filename: 'good.txt', data: Buffer.from('y') }
+    ]);
+
+    const [badResult, goodResult] = await Promise.allSettled([
+      uploader.handle(bad),
+      uploader.handle(good)
+    ]);
+
+    assert.equal(badResult.status, 'rejected');
+    assert.equal(badResult.reason.message, 'Storage failed');
+    assert.equal(goodResult.status, 'fulfilled');
+    assert.equal(goodResult.value.files[0].filename, 'good.txt');
+  });
+  runner.it('should pass request context to every plugin', async () => {
+    const seen = [];
+
+    class ContextValidator extends Plugin {
+      async process(context) {
+        seen.push({
+          request: context.request,
+          requestId: context.requestId,
+          state: context.state,
+          fields: context.fields,
+          filename: context.fileInfo.filename
+        });
+        return context;
+      }
+    }
+
+    const uploader = new FluxUpload({
+      validators: [new ContextValidator()],
+      storage: new MockStorage()
+    });
+
+    const boundary = 'TestBoundary123';
+    const req = createMockRequest(boundary, [
+      { type: 'field', name: 'album', value: 'holiday' },
+      { type: 'file', name: 'photo', filename: 'a.jpg', data: Buffer.from('a') },
+      { type: 'field', name: 'caption', value: 'beach' },
+      { type: 'file', name: 'photo', filename: 'b.jpg', data: Buffer.from('b') }
+    ]);
+
+    const user = { id: 42 };
+    await uploader.handle(req, { state: { user }, requestId: 'req-123' });
+
+    assert.equal(seen.length, 2);
+    assert.equal(seen[0].request, req);
+    assert.equal(seen[0].requestId, 'req-123');
+    assert.equal(seen[0].state.user, user);
+
+    // Each file sees the fields parsed before it
+    assert.deepEqual(seen[0].fields, { album: 'holiday' });
+    assert.deepEqual(seen[1].fields, { album: 'holiday', caption: 'beach' });
+  });
+
+  runner.it('should run request validators once before parsing', async () => {
+    const storage = new MockStorage();
+    const calls = [];
+
+    class RequestValidator extends Plugin {
+      async process(context) {
+        calls.push({ fileInfo: context.fileInfo, requestId: context.requestId, request: context.request });
+        return context;
+      }
+    }
+
+    const uploader = new FluxUpload({
+      requestValidators: [new RequestValidator()],
+      storage
+    });
+
+    const boundary = 'TestBoundary123';
+    const req = createMockRequest(boundary, [
+      { type: 'file', name: 'a', filename: 'a.txt', data: Buffer.from('a') },
+      { type: 'file', name: 'b', filename: 'b.txt', data: Buffer.from('b') }
+    ]);
+
+    await uploader.handle(req, { requestId: 'req-1' });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].fileInfo, null);
+    assert.equal(calls[0].requestId, 'req-1');
+    assert.equal(calls[0].request, req);
+    assert.equal(storage.processedCount, 2);
+  });
+
+  runner.it('should reject request before any file is stored', async () => {
+    const storage = new MockStorage();
+
+    class Deny extends Plugin {
+      async process() {
+        const error = new Error('Forbidden');
+        error.statusCode = 403;
+        throw error;
+      }
+    }
+
+    const uploader = new FluxUpload({
+      requestValidators: [new Deny()],
+      storage
+    });
+
+    const boundary = 'TestBoundary123';
+    const req = createMockRequest(boundary, [
+      { type: 'file', name: 'a', filename: 'a.txt', data: Buffer.from('a') }
+    ]);
+
+    await assert.rejects(uploader.handle(req), 'Forbidden');
+    assert.equal(storage.processedCount, 0);
+  });
+
+  runner.it('should cleanup request validators when upload fails', async () => {
+    const cleanups = [];
+
+    class Tracking extends Plugin {
+      async process(context) {
+        context.metadata.tracked = true;
+        return context;
+      }
+
+      async cleanup(context, error) {
+        cleanups.push({ tracked: context.metadata.tracked, error: error.message });
+      }
+    }
+
+    const uploader = new FluxUpload({
+      requestValidators: [new Tracking()],
+      storage: new MockStorage({ shouldFail: true })
+    });
+
+    const boundary = 'TestBoundary123';
+    const req = createMockRequest(boundary, [
+      { type: 'file', name: 'a', filename: 'a.txt', data: Buffer.from('a') }
+    ]);
+
+    await assert.rejects(uploader.handle(req), 'Storage failed');
+    assert.deepEqual(cleanups, [{ tracked: true, error: 'Storage failed' }]);
+  });
+
+  runner.it('should support CsrfProtection as a request validator', async () => {
+    const CsrfProtection = require('../../src/plugins/validators/CsrfProtection');
+    const storage = new MockStorage();
+
+    const uploader = new FluxUpload({
+      requestValidators: [new CsrfProtection()],
+      storage
+    });
+
+    const boundary = 'TestBoundary123';
+    const parts = [{ type: 'file', name: 'a', filename: 'a.txt', data: Buffer.from('a') }];
+
+    const rejected = createMockRequest(boundary, parts);
+    await assert.rejects(uploader.handle(rejected), 'CSRF token missing');
+    assert.equal(storage.processedCount, 0);
+
+    const accepted = createMockRequest(boundary, parts);
+    accepted.headers['x-csrf-token'] = 'token123';
+    accepted.headers.cookie = 'csrf-token=token123';
+
+    const result = await uploader.handle(accepted);
+    assert.equal(result.files.length, 1);
+  });
+
+  runner.it('should initialize and shutdown request validators', async () => {
+    const validator = new MockStorage();
+
+    const uploader = new FluxUpload({
+      requestValidators: [validator],
+      storage: new MockStorage()
+    });
+
+    await uploader.initialize();
+    assert.equal(validator.initializeCalled, true);
+
+    await uploader.shutdown();
+    assert.equal(validator.shutdownCalled, true);
+  });
+});
+
+runner.describe('FluxUpload - Urlencoded and JSON bodies', () => {
+  function createBodyRequest(contentType, body) {
+    const req = createStream(Buffer.from(body));
+    req.headers = { 'content-type': contentType };
+    return req;
+  }
+
+  runner.it('should parse urlencoded bodies into fields', async () => {
+    const fields = [];
+    const uploader = new FluxUpload({
+      storage: new MockStorage(),
+      onField: (name, value) => fields.push(name)
+    });
+
+    const result = await uploader.handle(createBodyRequest(
+      'application/x-www-form-urlencoded',
+      'title=Hello+World&tag=a&tag=b%20c&note=caf%C3%A9'
+    ));
+
+    assert.deepEqual(result, {
+      fields: { title: 'Hello World', tag: ['a', 'b c'], note: 'café' },
+      files: []
+    });
+    assert.deepEqual(fields, ['title', 'tag', 'tag', 'note']);
+  });
+
+  runner.it('should parse JSON bodies into fields', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    const result = await uploader.handle(createBodyRequest(
+      'application/json; charset=utf-8',
+      JSON.stringify({ title: 'Report', pages: 3, tags: ['q1', 'draft'] })
+    ));
+
+    assert.deepEqual(result, {
+      fields: { title: 'Report', pages: 3, tags: ['q1', 'draft'] },
+      files: []
+    });
+  });
+
+  runner.it('should apply field limits to urlencoded and JSON bodies', async () => {
+    const uploader = new FluxUpload({
+      storage: new MockStorage(),
+      limits: { fields: 2, fieldSize: 10 }
+    });
+
+    await assert.rejects(
+      uploader.handle(createBodyRequest('application/x-www-form-urlencoded', 'a=1&b=2&c=3')),
+      'Too many fields'
+    );
+    await assert.rejects(
+      uploader.handle(createBodyRequest('application/json', '{"a":"01234567890"}')),
+      'Field size limit exceeded'
+    );
+  });
+
+  runner.it('should reject invalid JSON', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    await assert.rejects(
+      uploader.handle(createBodyRequest('application/json', '{"a":')),
+      'Invalid JSON body'
+    );
+  });
+
+  runner.it('should run request validators for JSON bodies', async () => {
+    const seen = [];
+
+    class RequestValidator extends Plugin {
+      async process(context) {
+        seen.push(context.request.headers['content-type']);
+        return context;
+      }
+    }
+
+    const uploader = new FluxUpload({
+      storage: new MockStorage(),
+      requestValidators: [new RequestValidator()]
+    });
+
+    await uploader.handle(createBodyRequest('application/json', '{}'));
+
+    assert.deepEqual(seen, ['application/json']);
+  });
+
+  runner.it('should reject other content types with 415', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    const error = await uploader.handle(createBodyRequest('text/csv', 'a,b'))
+      .then(() => null, err => err);
+
+    assert.ok(error, 'Should reject');
+    assert.equal(error.code, 'UNSUPPORTED_CONTENT_TYPE');
+    assert.equal(error.statusCode, 415);
+  });
+});
+
+// Exporter that keeps spans in memory
+class MemoryExporter {
+  constructor() {
+    this.spans = [];
+  }
+
+  async export(spans) {
+    this.spans.push(...spans);
+  }
+}
+
+runner.describe('FluxUpload - Raw uploads', () => {
+  const data = Buffer.from('%PDF-1.7 raw report body');
+
+  function createRawRequest(body, headers = {}) {
+    const req = createStream(body);
+    req.headers = {
+      'content-type': 'application/pdf',
+      'content-length': String(body.length),
+      ...headers
+    };
+    return req;
+  }
+
+  class RecordingStorage extends MockStorage {
+    constructor() {
+      super();
+      this.contexts = [];
+      this.cleanups = [];
+    }
+
+    async process(context) {
+      this.contexts.push(context);
+      return super.process(context);
+    }
+
+    async cleanup(context, error) {
+      this.cleanups.push(error);
+    }
+  }
+
+  runner.it('should run the body through validators and storage', async () => {
+    const storage = new RecordingStorage();
+    const uploader = new FluxUpload({ validators: [new MockValidator()], storage });
+
+    const result = await uploader.handleRaw(createRawRequest(data), { filename: 'report.pdf' });
+
+    assert.equal(result.files.length, 1);
+    assert.equal(result.files[0].fieldName, 'file');
+    assert.equal(result.files[0].filename, 'report.pdf');
+    assert.equal(result.files[0].mimeType, 'application/pdf');
+    assert.equal(result.files[0].size, data.length);
+    assert.equal(result.files[0].validated, true);
+    assert.equal(storage.contexts[0].fileInfo.size, data.length);
+  });
+
+  runner.it('should take the filename from Content-Disposition', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    const result = await uploader.handleRaw(createRawRequest(data, {
+      'content-disposition': "attachment; filename=\"report.pdf\"; filename*=UTF-8''r%C3%A9sum%C3%A9.pdf"
+    }));
+
+    assert.equal(result.files[0].filename, 'résumé.pdf');
+  });
+
+  runner.it('should reject a Content-Length over limits.fileSize before reading', async () => {
+    const storage = new RecordingStorage();
+    const uploader = new FluxUpload({ storage, limits: { fileSize: 10 } });
+
+    const error = await uploader.handleRaw(createRawRequest(data), { filename: 'a.pdf' })
+      .then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(error.statusCode, 413);
+    assert.equal(storage.contexts.length, 0);
+  });
+
+  runner.it('should let QuotaLimiter reject from Content-Length', async () => {
+    const QuotaLimiter = require('../../src/plugins/validators/QuotaLimiter');
+    const storage = new RecordingStorage();
+    const uploader = new FluxUpload({
+      validators: [new QuotaLimiter({ maxFileSize: 10 })],
+      storage
+    });
+
+    const error = await uploader.handleRaw(createRawRequest(data), { filename: 'a.pdf' })
+      .then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(storage.contexts.length, 0);
+  });
+
+  runner.it('should verify Content-MD5 and Digest headers', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    const result = await uploader.handleRaw(createRawRequest(data, {
+      'content-md5': crypto.createHash('md5').update(data).digest('base64'),
+      'digest': `sha-256=${crypto.createHash('sha256').update(data).digest('base64')}`
+    }), { filename: 'a.pdf' });
+
+    assert.equal(result.files.length, 1);
+  });
+
+  runner.it('should fail and roll back storage on digest mismatch', async () => {
+    const storage = new RecordingStorage();
+    const uploader = new FluxUpload({ storage });
+
+    const error = await uploader.handleRaw(createRawRequest(data, {
+      'content-md5': crypto.createHash('md5').update('tampered').digest('base64')
+    }), { filename: 'a.pdf' }).then(() => null, err => err);
+
+    assert.equal(error.code, 'DIGEST_MISMATCH');
+    assert.equal(error.statusCode, 400);
+    assert.equal(storage.cleanups.length, 1);
+  });
+
+  runner.it('should reject malformed checksum headers before storing', async () => {
+    const storage = new RecordingStorage();
+    const uploader = new FluxUpload({ storage });
+
+    await assert.rejects(
+      uploader.handleRaw(createRawRequest(data, { 'content-md5': 'bogus' }), { filename: 'a.pdf' }),
+      'Invalid Content-MD5 header'
+    );
+    assert.equal(storage.contexts.length, 0);
+  });
+
+  runner.it('should run request validators and record a request span', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const calls = [];
+
+    class RequestValidator extends Plugin {
+      async process(context) {
+        calls.push(context.fileInfo);
+        return context;
+      }
+    }
+
+    const uploader = new FluxUpload({
+      requestValidators: [new RequestValidator()],
+      storage: new MockStorage(),
+      tracer
+    });
+
+    await uploader.handleRaw(createRawRequest(data), { filename: 'a.pdf' });
+    await tracer.flush();
+
+    assert.deepEqual(calls, [null]);
+    const names = exporter.spans.map(span => span.name);
+    assert.ok(names.includes('fluxupload.request'));
+    assert.ok(names.includes('fluxupload.file'));
+  });
+});
+
+runner.describe('FluxUpload - Early rejection', () => {
+  const QuotaLimiter = require('../../src/plugins/validators/QuotaLimiter');
+  const boundary = '----EarlyBoundary';
+  const parts = [
+    { type: 'field', name: 'title', value: 'Report' },
+    { type: 'file', name: 'file', filename: 'a.bin', data: Buffer.alloc(64, 1) }
+  ];
+
+  // Request that records whether its body was read
+  function createTrackedRequest(headers = {}) {
+    const req = createMockRequest(boundary, parts);
+    Object.assign(req.headers, headers);
+    req.bodyRead = false;
+    req.once('data', () => {
+      req.bodyRead = true;
+    });
+    req.pause();
+    return req;
+  }
+
+  function createResponse() {
+    return {
+      continues: 0,
+      writeContinue() {
+        this.continues++;
+      }
+    };
+  }
+
+  class CountingValidator extends Plugin {
+    constructor(error = null) {
+      super();
+      this.calls = 0;
+      this.error = error;
+    }
+
+    async process(context) {
+      this.calls++;
+      if (this.error) throw this.error;
+      return context;
+    }
+  }
+
+  runner.it('should reject a Content-Length over limits.totalSize before reading', async () => {
+    const requestValidator = new CountingValidator();
+    const uploader = new FluxUpload({
+      requestValidators: [requestValidator],
+      storage: new MockStorage(),
+      limits: { totalSize: 100 }
+    });
+    const req = createTrackedRequest();
+
+    const error = await uploader.handle(req).then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_TOTAL_SIZE');
+    assert.equal(error.statusCode, 413);
+    assert.equal(requestValidator.calls, 0);
+    assert.equal(req.bodyRead, false);
+  });
+
+  runner.it('should enforce limits.totalSize on bodies without Content-Length', async () => {
+    const storage = new MockStorage();
+    const uploader = new FluxUpload({ storage, limits: { totalSize: 100 } });
+    const req = createMockRequest(boundary, parts);
+    delete req.headers['content-length'];
+
+    await assert.rejects(uploader.handle(req), 'Request body size limit exceeded');
+  });
+
+  runner.it('should accept bodies within limits.totalSize', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage(), limits: { totalSize: 10000 } });
+
+    const result = await uploader.handle(createMockRequest(boundary, parts));
+
+    assert.equal(result.files.length, 1);
+  });
+
+  runner.it('should let validators reject from Content-Length', async () => {
+    const storage = new MockStorage();
+    const uploader = new FluxUpload({
+      validators: [new QuotaLimiter({ maxFileSize: 1000, maxTotalSize: 100 })],
+      storage
+    });
+    const req = createTrackedRequest();
+
+    const error = await uploader.handle(req).then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_TOTAL_SIZE');
+    assert.equal(error.statusCode, 413);
+    assert.equal(storage.processedCount, 0);
+    assert.equal(req.bodyRead, false);
+  });
+
+  runner.it('should pass the request context to checkRequestSize()', async () => {
+    const contexts = [];
+
+    class SizeValidator extends Plugin {
+      async checkRequestSize(context) {
+        contexts.push(context);
+      }
+    }
+
+    const uploader = new FluxUpload({ validators: [new SizeValidator()], storage: new MockStorage() });
+    const req = createMockRequest(boundary, parts);
+
+    await uploader.handle(req, { requestId: 'req-1' });
+
+    assert.equal(contexts.length, 1);
+    assert.equal(contexts[0].requestId, 'req-1');
+    assert.equal(contexts[0].contentLength, parseInt(req.headers['content-length'], 10));
+    assert.equal(contexts[0].fileInfo, null);
+  });
+
+  runner.it('should send 100 Continue once the request is accepted', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+    const response = createResponse();
+
+    const result = await uploader.handle(
+      createTrackedRequest({ expect: '100-continue' }),
+      { response, checkContinue: true }
+    );
+
+    assert.equal(result.files.length, 1);
+    assert.equal(response.continues, 1);
+  });
+
+  runner.it('should not send 100 Continue for rejected requests', async () => {
+    const unauthorized = new Error('Unauthorized');
+    unauthorized.statusCode = 401;
+
+    const cases = [
+      { config: { limits: { totalSize: 100 } }, statusCode: 413 },
+      { config: { requestValidators: [new CountingValidator(unauthorized)] }, statusCode: 401 }
+    ];
+
+    for (const { config, statusCode } of cases) {
+      const uploader = new FluxUpload({ storage: new MockStorage(), ...config });
+      const req = createTrackedRequest({ expect: '100-continue' });
+      const response = createResponse();
+
+      const error = await uploader.handle(req, { response, checkContinue: true }).then(() => null, err => err);
+
+      assert.equal(error.statusCode, statusCode);
+      assert.equal(response.continues, 0);
+      assert.equal(req.bodyRead, false);
+    }
+  });
+
+  runner.it('should not send 100 Continue outside checkContinue or without Expect', async () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    // Node already sent it: the server has no 'checkContinue' listener
+    const sent = createResponse();
+    await uploader.handle(createTrackedRequest({ expect: '100-continue' }), { response: sent });
+
+    const plain = createResponse();
+    await uploader.handle(createTrackedRequest(), { response: plain, checkContinue: true });
+
+    assert.equal(sent.continues, 0);
+    assert.equal(plain.continues, 0);
+  });
+
+  runner.it('should send 100 Continue from a real checkContinue handler', async () => {
+    const http = require('http');
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+    const server = http.createServer();
+    server.on('checkContinue', async (req, res) => {
+      try {
+        const result = await uploader.handle(req, { response: res, checkContinue: true });
+        res.end(String(result.files.length));
+      } catch (error) {
+        res.writeHead(error.statusCode || 500, { Connection: 'close' });
+        res.end(error.message);
+      }
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const payload = await consumeStream(createMockRequest(boundary, parts));
+      const { continued, text } = await new Promise((resolve, reject) => {
+        let continued = false;
+        const req = http.request({
+          port: server.address().port,
+          host: '127.0.0.1',
+          method: 'POST',
+          headers: {
+            'content-type': `multipart/form-data; boundary=${boundary}`,
+            'content-length': payload.length,
+            'expect': '100-continue'
+          }
+        }, (res) => {
+          res.setEncoding('utf8');
+          let text = '';
+          res.on('data', chunk => { text += chunk; });
+          res.on('end', () => resolve({ continued, text }));
+        });
+        req.on('continue', () => {
+          continued = true;
+          req.end(payload);
+        });
+        req.on('error', reject);
+      });
+
+      assert.equal(continued, true);
+      assert.equal(text, '1');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  runner.it('should check raw uploads before sending 100 Continue', async () => {
+    const uploader = new FluxUpload({
+      validators: [new QuotaLimiter({ maxFileSize: 10 })],
+      storage: new MockStorage()
+    });
+    const req = createStream(Buffer.alloc(64));
+    req.headers = {
+      'content-type': 'application/octet-stream',
+      'content-length': '64',
+      'expect': '100-continue'
+    };
+    const response = createResponse();
+
+    const error = await uploader.handleRaw(req, {}, { response, checkContinue: true }).then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(response.continues, 0);
+  });
+});
+
+runner.describe('FluxUpload - Field pipelines', () => {
+  const boundary = '----FieldBoundary';
+
+  function file(name, filename, size = 16) {
+    return { type: 'file', name, filename, data: Buffer.alloc(size, 1) };
+  }
+
+  class CountingPlugin extends Plugin {
+    constructor() {
+      super();
+      this.processed = [];
+      this.initializeCount = 0;
+    }
+
+    async initialize() {
+      this.initializeCount++;
+    }
+
+    async process(context) {
+      this.processed.push(context.fileInfo.fieldName);
+      return context;
+    }
+  }
+
+  runner.it('should run each field through its own pipeline', async () => {
+    const avatarValidator = new CountingPlugin();
+    const publicStorage = new MockStorage({ name: 'public' });
+    const privateStorage = new MockStorage({ name: 'private' });
+    const defaultStorage = new MockStorage();
+
+    const uploader = new FluxUpload({
+      storage: defaultStorage,
+      fields: {
+        avatar: { validators: [avatarValidator], storage: publicStorage },
+        attachments: { storage: privateStorage }
+      }
+    });
+
+    const result = await uploader.handle(createMockRequest(boundary, [
+      { type: 'field', name: 'title', value: 'Profile' },
+      file('avatar', 'me.png'),
+      file('attachments', 'a.pdf'),
+      file('attachments', 'b.pdf')
+    ]));
+
+    assert.equal(result.files.length, 3);
+    assert.equal(result.fields.title, 'Profile');
+    assert.deepEqual(avatarValidator.processed, ['avatar']);
+    assert.equal(publicStorage.processedCount, 1);
+    assert.equal(privateStorage.processedCount, 2);
+    assert.equal(defaultStorage.processedCount, 0);
+  });
+
+  runner.it('should inherit omitted plugins from the top level', async () => {
+    const validator = new CountingPlugin();
+    const storage = new MockStorage();
+    const uploader = new FluxUpload({
+      validators: [validator],
+      storage,
+      fields: { avatar: { limits: { files: 1 } } }
+    });
+
+    await uploader.handle(createMockRequest(boundary, [file('avatar', 'me.png')]));
+
+    assert.deepEqual(validator.processed, ['avatar']);
+    assert.equal(storage.processedCount, 1);
+  });
+
+  runner.it('should match patterns after exact names', async () => {
+    const exact = new MockStorage();
+    const glob = new MockStorage();
+    const regexp = new MockStorage();
+
+    const uploader = new FluxUpload({
+      fields: {
+        'photo_*': { storage: glob },
+        photo_main: { storage: exact },
+        documents: { pattern: /^doc\d+$/, storage: regexp }
+      }
+    });
+
+    await uploader.handle(createMockRequest(boundary, [
+      file('photo_main', 'main.jpg'),
+      file('photo_1', '1.jpg'),
+      file('photo_2', '2.jpg'),
+      file('doc1', 'a.pdf')
+    ]));
+
+    assert.equal(exact.processedCount, 1);
+    assert.equal(glob.processedCount, 2);
+    assert.equal(regexp.processedCount, 1);
+  });
+
+  runner.it('should reject unknown file fields by default', async () => {
+    const uploader = new FluxUpload({ fields: { avatar: { storage: new MockStorage() } } });
+
+    const error = await uploader.handle(createMockRequest(boundary, [
+      file('avatar', 'me.png'),
+      file('other', 'x.bin')
+    ])).then(() => null, err => err);
+
+    assert.equal(error.code, 'UNEXPECTED_FILE_FIELD');
+    assert.equal(error.statusCode, 400);
+    assert.ok(error.message.includes('other'));
+  });
+
+  runner.it('should ignore unknown file fields', async () => {
+    const storage = new MockStorage();
+    const uploader = new FluxUpload({
+      fields: { avatar: { storage } },
+      unknownFields: 'ignore'
+    });
+
+    const result = await uploader.handle(createMockRequest(boundary, [
+      file('other', 'x.bin', 64 * 1024),
+      file('avatar', 'me.png'),
+      { type: 'field', name: 'title', value: 'Profile' }
+    ]));
+
+    assert.equal(result.files.length, 1);
+    assert.equal(result.files[0].fieldName, 'avatar');
+    assert.equal(result.fields.title, 'Profile');
+    assert.equal(storage.processedCount, 1);
+  });
+
+  runner.it('should send unknown file fields to the top-level pipeline', async () => {
+    const defaultStorage = new MockStorage();
+    const uploader = new FluxUpload({
+      storage: defaultStorage,
+      fields: { avatar: { storage: new MockStorage() } },
+      unknownFields: 'default'
+    });
+
+    const result = await uploader.handle(createMockRequest(boundary, [file('other', 'x.bin')]));
+
+    assert.equal(result.files.length, 1);
+    assert.equal(defaultStorage.processedCount, 1);
+  });
+
+  runner.it('should enforce per-field file count', async () => {
+    const uploader = new FluxUpload({
+      fields: { avatar: { storage: new MockStorage(), limits: { files: 1 } } }
+    });
+
+    const error = await uploader.handle(createMockRequest(boundary, [
+      file('avatar', 'a.png'),
+      file('avatar', 'b.png')
+    ])).then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_FILE_COUNT');
+    assert.equal(error.statusCode, 413);
+  });
+
+  runner.it('should enforce per-field file size', async () => {
+    const attachments = new MockStorage();
+    const uploader = new FluxUpload({
+      fields: {
+        avatar: { storage: new MockStorage(), limits: { fileSize: 100 } },
+        attachments: { storage: attachments }
+      }
+    });
+
+    const result = await uploader.handle(createMockRequest(boundary, [file('attachments', 'a.pdf', 500)]));
+    assert.equal(result.files[0].size, 500);
+
+    const error = await uploader.handle(createMockRequest(boundary, [file('avatar', 'a.png', 500)]))
+      .then(() => null, err => err);
+
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(error.statusCode, 413);
+  });
+
+  runner.it('should route raw uploads by field name', async () => {
+    const avatars = new MockStorage();
+    const uploader = new FluxUpload({
+      fields: { avatar: { storage: avatars, limits: { fileSize: 10 } } }
+    });
+
+    const req = createStream(Buffer.alloc(8));
+    req.headers = { 'content-type': 'image/png', 'content-length': '8' };
+    await uploader.handleRaw(req, { fieldName: 'avatar', filename: 'me.png' });
+    assert.equal(avatars.processedCount, 1);
+
+    const big = createStream(Buffer.alloc(64));
+    big.headers = { 'content-type': 'image/png', 'content-length': '64' };
+    await assert.rejects(
+      uploader.handleRaw(big, { fieldName: 'avatar', filename: 'me.png' }),
+      'File size limit exceeded: 10 bytes'
+    );
+
+    const unknown = createStream(Buffer.alloc(8));
+    unknown.headers = { 'content-type': 'image/png', 'content-length': '8' };
+    await assert.rejects(uploader.handleRaw(unknown), 'Unexpected file field: file');
+    assert.equal(avatars.processedCount, 1);
+  });
+
+  runner.it('should validate the fields configuration', () => {
+    assert.throws(
+      () => new FluxUpload({ fields: { avatar: {} } }),
+      'Storage plugin is required for field "avatar"'
+    );
+    assert.throws(
+      () => new FluxUpload({ fields: { avatar: { storage: new MockStorage() } }, unknownFields: 'default' }),
+      'Storage plugin is required'
+    );
+    assert.throws(
+      () => new FluxUpload({ storage: new MockStorage(), unknownFields: 'drop' }),
+      'unknownFields must be one of'
+    );
+  });
+
+  runner.it('should initialize shared plugins once', async () => {
+    const validator = new CountingPlugin();
+    const storage = new MockStorage();
+    const uploader = new FluxUpload({
+      validators: [validator],
+      storage,
+      fields: { avatar: {}, attachments: {} }
+    });
+
+    await uploader.initialize();
+
+    assert.equal(validator.initializeCount, 1);
+    assert.equal(storage.initializeCalled, true);
+  });
+});
+
+runner.describe('FluxUpload - Metrics', () => {
+  runner.it('should record parser and upload metrics when enabled', async () => {
+    const collector = new MetricsCollector();
+    const uploader = new FluxUpload({
+      storage: new MockStorage({ name: 'MockStorage' }),
+      metrics: collector
+    });
+
+    const req = createMockRequest('metrics', [
+      { type: 'field', name: 'title', value: 'Hello' },
+      { type: 'file', name: 'document', filename: 'a.txt', data: Buffer.from('12345') }
+    ]);
+
+    await uploader.handle(req);
+
+    assert.equal(collector.getMetric('fluxupload_parser_fields_total').get({ field: 'title' }), 1);
+    assert.equal(collector.getMetric('fluxupload_parser_files_total').get({ field: 'document' }), 1);
+
+    const labels = { storage: 'MockStorage', field: 'document' };
+    assert.equal(collector.getMetric('fluxupload_uploads_total').get(labels), 1);
+    assert.equal(collector.getMetric('fluxupload_uploads_bytes_total').get(labels), 5);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get(labels), 0);
+  });
+
+  runner.it('should share field label limits with the pipeline', () => {
+    const uploader = new FluxUpload({
+      storage: new MockStorage(),
+      metrics: { collector: new MetricsCollector(), maxFieldLabels: 3 }
+    });
+
+    assert.equal(uploader.pipelineManager.metrics, uploader.metrics);
+    assert.equal(uploader.metrics.maxFieldLabels, 3);
+  });
+
+  runner.it('should be disabled by default', () => {
+    const uploader = new FluxUpload({ storage: new MockStorage() });
+
+    assert.equal(uploader.metrics, null);
+    assert.equal(uploader.pipelineManager.metrics, null);
+  });
+});
+
+runner.describe('FluxUpload - Tracing', () => {
+
+  runner.it('should trace request, parser, file and plugins', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const uploader = new FluxUpload({
+      requestValidators: [new MockValidator({ name: 'RequestCheck' })],
+      validators: [new MockValidator()],
+      storage: new MockStorage(),
+      tracer
+    });
+
+    const req = createMockRequest('tracing', [
+      { type: 'field', name: 'title', value: 'Hello' },
+      { type: 'file', name: 'document', filename: 'a.txt', data: Buffer.from('12345') }
+    ]);
+    req.method = 'POST';
+    req.url = '/upload?x=1';
+    req.headers.traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+    await uploader.handle(req, { requestId: 'req-42' });
+    await tracer.flush();
+
+    const byName = name => exporter.spans.find(span => span.name === name);
+    const request = byName('fluxupload.request');
+
+    assert.equal(request.kind, SpanKind.SERVER);
+    assert.equal(request.traceId, '0af7651916cd43dd8448eb211c80319c');
+    assert.equal(request.parentSpanId, 'b7ad6b7169203331');
+    assert.equal(request.attributes['http.request.method'], 'POST');
+    assert.equal(request.attributes['url.path'], '/upload');
+    assert.equal(request.attributes['fluxupload.request_id'], 'req-42');
+    assert.equal(request.attributes['fluxupload.files'], 1);
+
+    assert.equal(byName('request RequestCheck').parentSpanId, request.spanId);
+
+    const parse = byName('fluxupload.parse');
+    assert.equal(parse.parentSpanId, request.spanId);
+    assert.equal(parse.attributes['fluxupload.fields'], 1);
+    assert.equal(parse.attributes['fluxupload.files'], 1);
+
+    const file = byName('fluxupload.file');
+    assert.equal(file.parentSpanId, request.spanId);
+    assert.equal(byName('validator MockValidator').parentSpanId, file.spanId);
+    assert.equal(byName('storage MockStorage').parentSpanId, file.spanId);
+    assert.ok(exporter.spans.every(span => span.traceId === request.traceId));
+  });
+
+  runner.it('should mark the request span failed on rejection', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const uploader = new FluxUpload({ storage: new MockStorage(), tracer });
+
+    const req = createStream(Buffer.from(''));
+    req.headers = { 'content-type': 'text/plain' };
+
+    await assert.rejects(uploader.handle(req), 'multipart/form-data');
+    await tracer.flush();
+
+    const [request] = exporter.spans;
+    assert.equal(request.name, 'fluxupload.request');
+    assert.equal(request.status.code, SpanStatusCode.ERROR);
+    assert.equal(request.parentSpanId, null);
+  });
 });
 
 if (require.main === module) {
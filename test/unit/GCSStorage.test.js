@@ -0,0 +1,480 @@
+/**
+ * GCSStorage Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const http = require('http');
+const crypto = require('crypto');
+const GCSStorage = require('../../src/storage/GCSStorage');
+const { createContext, createData } = require('../storage-helpers');
+
+const runner = new TestRunner();
+
+const KB = 1024;
+const CHUNK = 256 * KB;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+/**
+ * Check a JWT bearer assertion signed with the service account key
+ *
+ * @private
+ */
+function verifyAssertion(jwt) {
+  const [header, claims, signature] = (jwt || '').split('.');
+  if (!signature) return false;
+  return crypto.createVerify('RSA-SHA256')
+    .update(`${header}.${claims}`)
+    .verify(publicKey, Buffer.from(signature, 'base64url'));
+}
+
+/**
+ * Minimal in-memory GCS stand-in: token endpoint, resumable uploads,
+ * session cancel and object delete
+ *
+ * options.failChunk(index, attempt) -> status code to return after persisting
+ * only half of the chunk (simulates a dropped transfer)
+ */
+function startFakeGCS(options = {}) {
+  const state = {
+    objects: new Map(),
+    sessions: new Map(),
+    requests: [],
+    tokenRequests: 0,
+    chunkAttempts: new Map()
+  };
+  let nextSession = 1;
+  let nextGeneration = 1;
+  let base = null;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      state.requests.push({ method: req.method, path: req.url, headers: req.headers });
+
+      if (url.pathname === '/token') {
+        const form = new URLSearchParams(body.toString());
+        if (!verifyAssertion(form.get('assertion'))) {
+          res.statusCode = 400;
+          return res.end(JSON.stringify({ error: 'invalid_grant' }));
+        }
+        state.tokenRequests++;
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify({ access_token: `token-${state.tokenRequests}`, expires_in: 3600 }));
+      }
+
+      if (!/^Bearer token-\d+$/.test(req.headers['authorization'] || '')) {
+        res.statusCode = 401;
+        return res.end();
+      }
+
+      const uploadId = url.searchParams.get('upload_id');
+
+      if (req.method === 'POST' && url.searchParams.get('uploadType') === 'resumable') {
+        const id = String(nextSession++);
+        state.sessions.set(id, {
+          resource: JSON.parse(body.toString()),
+          query: url.searchParams,
+          data: Buffer.alloc(0),
+          chunkIndex: 0
+        });
+        res.setHeader('Location', `${base}/upload/storage/v1/b/test-bucket/o?uploadType=resumable&upload_id=${id}`);
+        return res.end();
+      }
+
+      if (uploadId && req.method === 'DELETE') {
+        state.sessions.delete(uploadId);
+        res.statusCode = 499;
+        return res.end();
+      }
+
+      if (uploadId && req.method === 'PUT') {
+        const session = state.sessions.get(uploadId);
+        if (!session) {
+          res.statusCode = 404;
+          return res.end();
+        }
+
+        const match = /^bytes (\*|(\d+)-(\d+))\/(\*|\d+)$/.exec(req.headers['content-range'] || '');
+        if (!match) {
+          res.statusCode = 400;
+          return res.end();
+        }
+
+        const total = match[4] === '*' ? null : parseInt(match[4], 10);
+
+        if (match[1] !== '*') {
+          const start = parseInt(match[2], 10);
+          if (start !== session.data.length || parseInt(match[3], 10) - start + 1 !== body.length) {
+            res.statusCode = 400;
+            return res.end();
+          }
+
+          const index = session.chunkIndex;
+          const attempt = (state.chunkAttempts.get(index) || 0) + 1;
+          state.chunkAttempts.set(index, attempt);
+
+          const failStatus = options.failChunk && options.failChunk(index, attempt);
+          if (failStatus) {
+            session.data = Buffer.concat([session.data, body.slice(0, Math.floor(body.length / 2))]);
+            res.statusCode = failStatus;
+            return res.end();
+          }
+
+          session.data = Buffer.concat([session.data, body]);
+          session.chunkIndex++;
+        }
+
+        if (total !== null && session.data.length === total) {
+          const name = session.resource.name;
+          const object = {
+            bucket: 'test-bucket',
+            name,
+            generation: String(nextGeneration++),
+            etag: `etag-${nextGeneration}`,
+            size: String(total)
+          };
+          state.objects.set(name, { ...object, data: session.data, resource: session.resource, query: session.query });
+          state.sessions.delete(uploadId);
+          res.setHeader('Content-Type', 'application/json');
+          return res.end(JSON.stringify(object));
+        }
+
+        res.statusCode = 308;
+        if (session.data.length > 0) {
+          res.setHeader('Range', `bytes=0-${session.data.length - 1}`);
+        }
+        return res.end();
+      }
+
+      const objectMatch = /^\/storage\/v1\/b\/test-bucket\/o\/(.+)$/.exec(url.pathname);
+      if (objectMatch && req.method === 'DELETE') {
+        const name = decodeURIComponent(objectMatch[1]);
+        const object = state.objects.get(name);
+        if (!object) {
+          res.statusCode = 404;
+          return res.end();
+        }
+        const generation = url.searchParams.get('ifGenerationMatch');
+        if (generation && generation !== object.generation) {
+          res.statusCode = 412;
+          return res.end();
+        }
+        state.objects.delete(name);
+        res.statusCode = 204;
+        return res.end();
+      }
+
+      res.statusCode = 400;
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      base = `http://127.0.0.1:${server.address().port}`;
+      resolve({
+        state,
+        endpoint: base,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function createStorage(endpoint, config = {}) {
+  return new GCSStorage({
+    bucket: 'test-bucket',
+    credentials: {
+      client_email: 'uploader@project.iam.gserviceaccount.com',
+      private_key: privateKey,
+      token_uri: `${endpoint}/token`
+    },
+    endpoint,
+    naming: 'original',
+    chunkSize: CHUNK,
+    retryDelay: 1,
+    ...config
+  });
+}
+
+runner.describe('GCSStorage', () => {
+  runner.it('should require bucket', () => {
+    assert.throws(() => {
+      new GCSStorage({ credentials: { client_email: 'a@b.c', private_key: privateKey } });
+    }, 'bucket is required');
+  });
+
+  runner.it('should require credentials', () => {
+    assert.throws(() => {
+      new GCSStorage({ bucket: 'test-bucket' });
+    }, 'credentials or keyFilename is required');
+  });
+
+  runner.it('should be Plugin subclass', () => {
+    const Plugin = require('../../src/core/Plugin');
+    assert.ok(GCSStorage.prototype instanceof Plugin);
+  });
+
+  runner.it('should reject chunk sizes that are not multiples of 256KiB', () => {
+    assert.throws(() => createStorage('http://127.0.0.1', { chunkSize: 300 * KB }), 'chunkSize must be a multiple');
+  });
+
+  runner.it('should reject path traversal in prefix', () => {
+    assert.throws(() => createStorage('http://127.0.0.1', { prefix: '../etc' }), 'path traversal');
+  });
+
+  runner.it('should default to the public endpoint', () => {
+    const storage = new GCSStorage({
+      bucket: 'test-bucket',
+      credentials: { client_email: 'a@b.c', private_key: privateKey }
+    });
+    assert.equal(storage._buildPublicUrl('dir/a b.txt'), 'https://storage.googleapis.com/test-bucket/dir/a%20b.txt');
+  });
+
+  runner.it('should upload small files in a single request', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint, {
+        prefix: 'docs',
+        metadata: { tenant: 'acme' },
+        predefinedAcl: 'publicRead',
+        storageClass: 'NEARLINE'
+      });
+      const data = createData(10 * KB);
+
+      const result = await storage.process(createContext(data, 'small.bin', {
+        hash: 'abc123',
+        hashAlgorithm: 'sha256',
+        dimensions: { width: 640, height: 480 }
+      }));
+
+      assert.equal(result.storage.driver, 'gcs');
+      assert.equal(result.storage.bucket, 'test-bucket');
+      assert.equal(result.storage.key, 'docs/small.bin');
+      assert.equal(result.storage.url, `${gcs.endpoint}/test-bucket/docs/small.bin`);
+      assert.equal(result.storage.generation, '1');
+      assert.equal(result.storage.size, 10 * KB);
+
+      const object = gcs.state.objects.get('docs/small.bin');
+      assert.ok(object.data.equals(data));
+      assert.equal(object.resource.contentType, 'application/octet-stream');
+      assert.equal(object.resource.storageClass, 'NEARLINE');
+      assert.equal(object.query.get('predefinedAcl'), 'publicRead');
+      assert.deepEqual(object.resource.metadata, {
+        tenant: 'acme',
+        'hash': 'abc123',
+        'hash-algorithm': 'sha256',
+        'width': '640',
+        'height': '480'
+      });
+
+      const puts = gcs.state.requests.filter(r => r.method === 'PUT');
+      assert.equal(puts.length, 1);
+      assert.equal(puts[0].headers['content-range'], `bytes 0-${10 * KB - 1}/${10 * KB}`);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should stream large files in chunks', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint);
+      const data = createData(2 * CHUNK + 123);
+
+      const result = await storage.process(createContext(data, 'large.bin'));
+
+      assert.ok(gcs.state.objects.get('large.bin').data.equals(data));
+      assert.equal(result.storage.size, data.length);
+
+      const ranges = gcs.state.requests
+        .filter(r => r.method === 'PUT')
+        .map(r => r.headers['content-range']);
+      assert.deepEqual(ranges, [
+        `bytes 0-${CHUNK - 1}/*`,
+        `bytes ${CHUNK}-${2 * CHUNK - 1}/*`,
+        `bytes ${2 * CHUNK}-${data.length - 1}/${data.length}`
+      ]);
+      assert.equal(storage.sessions.size, 0);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should finish an exact multiple of the chunk size with the last chunk', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint);
+      const data = createData(2 * CHUNK);
+
+      await storage.process(createContext(data, 'exact.bin'));
+
+      assert.ok(gcs.state.objects.get('exact.bin').data.equals(data));
+      const ranges = gcs.state.requests
+        .filter(r => r.method === 'PUT')
+        .map(r => r.headers['content-range']);
+      assert.deepEqual(ranges, [`bytes 0-${CHUNK - 1}/*`, `bytes ${CHUNK}-${2 * CHUNK - 1}/${2 * CHUNK}`]);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should upload empty files', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint);
+
+      const result = await storage.process(createContext(Buffer.alloc(0), 'empty.bin'));
+
+      assert.equal(result.storage.size, 0);
+      assert.equal(gcs.state.objects.get('empty.bin').data.length, 0);
+      assert.equal(gcs.state.requests.find(r => r.method === 'PUT').headers['content-range'], 'bytes */0');
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should resume from the persisted offset after a transient failure', async () => {
+    const gcs = await startFakeGCS({
+      failChunk: (index, attempt) => (index === 1 && attempt === 1 ? 503 : 0)
+    });
+    try {
+      const storage = createStorage(gcs.endpoint);
+      const data = createData(3 * CHUNK + 10);
+
+      await storage.process(createContext(data, 'resume.bin'));
+
+      assert.ok(gcs.state.objects.get('resume.bin').data.equals(data));
+
+      const ranges = gcs.state.requests
+        .filter(r => r.method === 'PUT')
+        .map(r => r.headers['content-range']);
+      const persisted = CHUNK + CHUNK / 2;
+      assert.deepEqual(ranges.slice(1, 4), [
+        `bytes ${CHUNK}-${2 * CHUNK - 1}/*`,
+        'bytes */*',
+        `bytes ${persisted}-${persisted + CHUNK - 1}/*`
+      ]);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should resume the last chunk with the total size', async () => {
+    const gcs = await startFakeGCS({
+      failChunk: (index, attempt) => (index === 0 && attempt === 1 ? 500 : 0)
+    });
+    try {
+      const storage = createStorage(gcs.endpoint);
+      const data = createData(100 * KB);
+
+      await storage.process(createContext(data, 'last.bin'));
+
+      assert.ok(gcs.state.objects.get('last.bin').data.equals(data));
+      const ranges = gcs.state.requests
+        .filter(r => r.method === 'PUT')
+        .map(r => r.headers['content-range']);
+      assert.deepEqual(ranges, [
+        `bytes 0-${data.length - 1}/${data.length}`,
+        `bytes */${data.length}`,
+        `bytes ${50 * KB}-${data.length - 1}/${data.length}`
+      ]);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should cancel the session in cleanup after a failure', async () => {
+    const gcs = await startFakeGCS({
+      failChunk: (index) => (index === 1 ? 503 : 0)
+    });
+    try {
+      const storage = createStorage(gcs.endpoint, { maxRetries: 1 });
+      const context = createContext(createData(3 * CHUNK), 'fail.bin');
+
+      let error = null;
+      try {
+        await storage.process(context);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error, 'upload should fail');
+      assert.equal(error.statusCode, 503);
+      assert.equal(gcs.state.sessions.size, 1);
+
+      await storage.cleanup(context, error);
+
+      assert.equal(gcs.state.sessions.size, 0);
+      assert.equal(gcs.state.objects.has('fail.bin'), false);
+      assert.equal(storage.sessions.size, 0);
+      assert.equal(storage.uploadedKeys.size, 0);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should not retry client errors', async () => {
+    const gcs = await startFakeGCS({
+      failChunk: () => 400
+    });
+    try {
+      const storage = createStorage(gcs.endpoint);
+
+      await assert.rejects(storage.process(createContext(createData(KB), 'bad.bin')), 'GCS chunk upload failed: 400');
+      assert.equal(gcs.state.chunkAttempts.get(0), 1);
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should delete a stored object in cleanup', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint);
+      const context = createContext(createData(KB), 'mirrored.bin');
+
+      await storage.process(context);
+      assert.ok(gcs.state.objects.has('mirrored.bin'));
+
+      await storage.cleanup(context, new Error('mirror failed'));
+
+      assert.equal(gcs.state.objects.has('mirrored.bin'), false);
+      const deleteRequest = gcs.state.requests.find(r => r.method === 'DELETE');
+      assert.ok(deleteRequest.path.includes('ifGenerationMatch=1'));
+    } finally {
+      await gcs.close();
+    }
+  });
+
+  runner.it('should reuse the access token across requests', async () => {
+    const gcs = await startFakeGCS();
+    try {
+      const storage = createStorage(gcs.endpoint);
+
+      await storage.process(createContext(createData(2 * CHUNK + 1), 'a.bin'));
+      await storage.process(createContext(createData(KB), 'b.bin'));
+
+      assert.equal(gcs.state.tokenRequests, 1);
+    } finally {
+      await gcs.close();
+    }
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
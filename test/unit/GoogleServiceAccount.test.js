@@ -0,0 +1,178 @@
+/**
+ * GoogleServiceAccount Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GoogleServiceAccount = require('../../src/utils/GoogleServiceAccount');
+
+const runner = new TestRunner();
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', {
+  modulusLength: 2048,
+  publicKeyEncoding: { type: 'spki', format: 'pem' },
+  privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+});
+
+function decodeSegment(segment) {
+  return JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+}
+
+function verifyJwt(jwt) {
+  const [header, claims, signature] = jwt.split('.');
+  const valid = crypto.createVerify('RSA-SHA256')
+    .update(`${header}.${claims}`)
+    .verify(publicKey, Buffer.from(signature, 'base64url'));
+  return valid ? { header: decodeSegment(header), claims: decodeSegment(claims) } : null;
+}
+
+/**
+ * Token endpoint stand-in
+ *
+ * options.status -> status code to return instead of 200
+ */
+function startTokenServer(options = {}) {
+  const state = { requests: [] };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const form = new URLSearchParams(Buffer.concat(chunks).toString());
+      const jwt = verifyJwt(form.get('assertion'));
+      state.requests.push({ form, jwt });
+
+      res.setHeader('Content-Type', 'application/json');
+      if (options.status || !jwt || form.get('grant_type') !== 'urn:ietf:params:oauth:grant-type:jwt-bearer') {
+        res.statusCode = options.status || 400;
+        return res.end(JSON.stringify({ error: 'invalid_grant', error_description: 'Invalid JWT Signature.' }));
+      }
+
+      res.end(JSON.stringify({ access_token: `token-${state.requests.length}`, expires_in: 3600, token_type: 'Bearer' }));
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        state,
+        tokenUri: `http://127.0.0.1:${server.address().port}/token`,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function createCredentials(tokenUri) {
+  return {
+    type: 'service_account',
+    client_email: 'uploader@project.iam.gserviceaccount.com',
+    private_key_id: 'key-1',
+    private_key: privateKey,
+    token_uri: tokenUri
+  };
+}
+
+runner.describe('GoogleServiceAccount', () => {
+  runner.it('should require credentials or keyFilename', () => {
+    assert.throws(() => new GoogleServiceAccount(), 'credentials or keyFilename is required');
+  });
+
+  runner.it('should validate credentials', () => {
+    assert.throws(() => {
+      new GoogleServiceAccount({ credentials: { client_email: 'a@b.c' } });
+    }, 'require client_email and private_key');
+  });
+
+  runner.it('should create a signed JWT assertion', async () => {
+    const account = new GoogleServiceAccount({ credentials: createCredentials('https://oauth2.googleapis.com/token') });
+    const now = new Date('2024-01-01T00:00:00Z');
+
+    const jwt = verifyJwt(await account.createAssertion(now));
+
+    assert.ok(jwt, 'signature should verify with the public key');
+    assert.deepEqual(jwt.header, { alg: 'RS256', typ: 'JWT', kid: 'key-1' });
+    assert.equal(jwt.claims.iss, 'uploader@project.iam.gserviceaccount.com');
+    assert.equal(jwt.claims.scope, 'https://www.googleapis.com/auth/devstorage.read_write');
+    assert.equal(jwt.claims.aud, 'https://oauth2.googleapis.com/token');
+    assert.equal(jwt.claims.iat, 1704067200);
+    assert.equal(jwt.claims.exp, 1704067200 + 3600);
+  });
+
+  runner.it('should join scope arrays', async () => {
+    const account = new GoogleServiceAccount({
+      credentials: createCredentials('https://oauth2.googleapis.com/token'),
+      scope: ['scope-a', 'scope-b']
+    });
+
+    const jwt = verifyJwt(await account.createAssertion());
+    assert.equal(jwt.claims.scope, 'scope-a scope-b');
+  });
+
+  runner.it('should exchange the assertion and cache the token', async () => {
+    const server = await startTokenServer();
+    try {
+      const account = new GoogleServiceAccount({ credentials: createCredentials(server.tokenUri) });
+
+      const tokens = await Promise.all([account.getAccessToken(), account.getAccessToken()]);
+      const cached = await account.getAccessToken();
+
+      assert.deepEqual(tokens, ['token-1', 'token-1']);
+      assert.equal(cached, 'token-1');
+      assert.equal(server.state.requests.length, 1);
+    } finally {
+      await server.close();
+    }
+  });
+
+  runner.it('should refresh tokens close to expiry', async () => {
+    const server = await startTokenServer();
+    try {
+      const account = new GoogleServiceAccount({ credentials: createCredentials(server.tokenUri) });
+
+      await account.getAccessToken();
+      account.token.expiresAt = Date.now() + 30 * 1000;
+
+      assert.equal(await account.getAccessToken(), 'token-2');
+    } finally {
+      await server.close();
+    }
+  });
+
+  runner.it('should load credentials from keyFilename', async () => {
+    const server = await startTokenServer();
+    const keyFilename = path.join(os.tmpdir(), `fluxupload-sa-${process.pid}.json`);
+    fs.writeFileSync(keyFilename, JSON.stringify(createCredentials(server.tokenUri)));
+    try {
+      const account = new GoogleServiceAccount({ keyFilename });
+
+      assert.equal(await account.getAccessToken(), 'token-1');
+    } finally {
+      fs.unlinkSync(keyFilename);
+      await server.close();
+    }
+  });
+
+  runner.it('should report token endpoint errors', async () => {
+    const server = await startTokenServer({ status: 400 });
+    try {
+      const account = new GoogleServiceAccount({ credentials: createCredentials(server.tokenUri) });
+
+      await assert.rejects(account.getAccessToken(), 'Google token request failed: 400 Invalid JWT Signature.');
+    } finally {
+      await server.close();
+    }
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,132 @@
+/**
+ * HeaderParser Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const {
+  parseHeaderValue,
+  decodeExtValue,
+  decodeText,
+  isSupportedCharset
+} = require('../../src/utils/HeaderParser');
+
+const runner = new TestRunner();
+
+// Header text as the parser sees it: one char per byte
+function latin1(str) {
+  return Buffer.from(str, 'utf8').toString('latin1');
+}
+
+runner.describe('HeaderParser', () => {
+  runner.it('should parse value and parameters', () => {
+    const result = parseHeaderValue('form-data; name="file"; filename=test.jpg');
+
+    assert.equal(result.value, 'form-data');
+    assert.equal(result.params.name, 'file');
+    assert.equal(result.params.filename, 'test.jpg');
+  });
+
+  runner.it('should lowercase value and parameter names', () => {
+    const result = parseHeaderValue('Form-Data; NAME="Field"');
+
+    assert.equal(result.value, 'form-data');
+    assert.equal(result.params.name, 'Field');
+  });
+
+  runner.it('should allow semicolons and escapes in quoted strings', () => {
+    const result = parseHeaderValue('form-data; name="a;b"; filename="say \\"hi\\".txt"');
+
+    assert.equal(result.params.name, 'a;b');
+    assert.equal(result.params.filename, 'say "hi".txt');
+  });
+
+  runner.it('should keep unescaped backslashes in Windows paths', () => {
+    const result = parseHeaderValue('form-data; filename="C:\\Users\\me\\photo.jpg"');
+
+    assert.equal(result.params.filename, 'C:\\Users\\me\\photo.jpg');
+  });
+
+  runner.it('should ignore parameters without a value', () => {
+    const result = parseHeaderValue('attachment; inline; name=x');
+
+    assert.equal(result.params.name, 'x');
+    assert.equal(Object.keys(result.params).length, 1);
+  });
+
+  runner.it('should decode extended parameters', () => {
+    const result = parseHeaderValue("form-data; filename*=UTF-8''%E2%82%AC%20rates.txt");
+
+    assert.equal(result.extended.filename, '€ rates.txt');
+    assert.equal(result.raw['filename*'], "UTF-8''%E2%82%AC%20rates.txt");
+  });
+
+  runner.it('should decode extended parameters with language and latin1 charset', () => {
+    const result = parseHeaderValue("form-data; filename*=iso-8859-1'en'%A3%20rates.txt");
+
+    assert.equal(result.extended.filename, '£ rates.txt');
+  });
+
+  runner.it('should skip extended parameters with unknown charsets', () => {
+    const result = parseHeaderValue("form-data; filename*=x-unknown''abc; filename=abc");
+
+    assert.equal(result.extended.filename, undefined);
+    assert.equal(result.params.filename, 'abc');
+  });
+
+  runner.it('should join RFC 2231 continuations', () => {
+    const result = parseHeaderValue(
+      "form-data; filename*1*=%82%AC.txt; filename*0*=UTF-8''%E2; title*0=Hello; title*1=\" World\""
+    );
+
+    assert.equal(result.extended.filename, '€.txt');
+    assert.equal(result.params.title, 'Hello World');
+  });
+
+  runner.it('should accept continuations named like Object.prototype members', () => {
+    const result = parseHeaderValue('form-data; name="f"; constructor*0=x; constructor*1=z; __proto__*0=y');
+
+    assert.equal(result.params.name, 'f');
+    assert.equal(Object.prototype.hasOwnProperty.call(result.params, 'constructor'), true);
+    assert.equal(result.params.constructor, 'xz');
+    assert.equal(Object.getPrototypeOf(result.params), Object.prototype);
+
+    const extended = parseHeaderValue("attachment; __proto__*0*=UTF-8''a; constructor*0*=UTF-8''b; constructor*1*=%C3%A9");
+    assert.equal(extended.extended.constructor, 'bé');
+    assert.equal(Object.getPrototypeOf(extended.extended), Object.prototype);
+  });
+
+  runner.it('should decode ext-values', () => {
+    assert.equal(decodeExtValue("utf-8''%C3%A9t%C3%A9.pdf"), 'été.pdf');
+    assert.equal(decodeExtValue('no-quotes'), null);
+  });
+
+  runner.it('should decode UTF-8 header bytes', () => {
+    assert.equal(decodeText(latin1('résumé.pdf')), 'résumé.pdf');
+  });
+
+  runner.it('should fall back to windows-1252 for invalid UTF-8', () => {
+    const bytes = Buffer.from([0x72, 0xe9, 0x73, 0x80]).toString('latin1');
+
+    assert.equal(decodeText(bytes), 'rés€');
+  });
+
+  runner.it('should decode with an explicit charset', () => {
+    const bytes = Buffer.from([0x82, 0xa0]).toString('latin1'); // Shift_JIS "あ"
+
+    assert.equal(decodeText(bytes, 'shift_jis'), 'あ');
+  });
+
+  runner.it('should check charset support', () => {
+    assert.ok(isSupportedCharset('UTF-8'));
+    assert.ok(isSupportedCharset('iso-8859-1'));
+    assert.equal(isSupportedCharset('x-unknown'), false);
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
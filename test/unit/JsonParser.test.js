@@ -0,0 +1,98 @@
+/**
+ * JsonParser Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const JsonParser = require('../../src/core/JsonParser');
+
+const runner = new TestRunner();
+
+function parse(body, options = {}) {
+  const parser = new JsonParser(options);
+
+  return new Promise((resolve, reject) => {
+    const fields = [];
+    const limits = [];
+
+    parser.on('field', (name, value) => fields.push([name, value]));
+    parser.on('limit', (type) => limits.push(type));
+    parser.on('finish', () => resolve(fields));
+    parser.on('error', (error) => {
+      error.limits = limits;
+      reject(error);
+    });
+
+    parser.end(Buffer.from(body));
+  });
+}
+
+runner.describe('JsonParser', () => {
+  runner.it('should emit top-level properties as fields', async () => {
+    const fields = await parse('{"title":"Report","pages":3,"draft":false,"meta":{"a":1},"tags":["x"]}');
+
+    assert.deepEqual(fields, [
+      ['title', 'Report'],
+      ['pages', 3],
+      ['draft', false],
+      ['meta', { a: 1 }],
+      ['tags', ['x']]
+    ]);
+  });
+
+  runner.it('should treat an empty body as no fields', async () => {
+    assert.deepEqual(await parse(''), []);
+  });
+
+  runner.it('should strip a UTF-8 byte order mark', async () => {
+    assert.deepEqual(await parse('\uFEFF{"a":"b"}'), [['a', 'b']]);
+  });
+
+  runner.it('should reject invalid JSON', async () => {
+    await assert.rejects(parse('{"a":'), 'Invalid JSON body');
+  });
+
+  runner.it('should reject bodies that are not objects', async () => {
+    await assert.rejects(parse('[1,2]'), 'JSON body must be an object');
+    await assert.rejects(parse('"text"'), 'JSON body must be an object');
+    await assert.rejects(parse('null'), 'JSON body must be an object');
+  });
+
+  runner.it('should skip __proto__ properties', async () => {
+    assert.deepEqual(await parse('{"__proto__":{"admin":true},"a":1}'), [['a', 1]]);
+  });
+
+  runner.it('should enforce field limits', async () => {
+    const tooMany = await parse('{"a":1,"b":2,"c":3}', { limits: { fields: 2 } }).then(() => null, err => err);
+    assert.ok(tooMany.message.includes('Too many fields'));
+    assert.deepEqual(tooMany.limits, ['fields']);
+
+    await assert.rejects(parse('{"abcdef":1}', { limits: { fieldNameSize: 5 } }), 'Field name too long');
+    await assert.rejects(parse('{"a":"12345"}', { limits: { fieldSize: 4 } }), 'Field size limit exceeded');
+    await assert.rejects(parse('{"a":[1,2,3]}', { limits: { fieldSize: 4 } }), 'Field size limit exceeded');
+  });
+
+  runner.it('should reject bodies over jsonSize', async () => {
+    const options = { limits: { jsonSize: 30 } };
+    const error = await parse(JSON.stringify({ a: 'x'.repeat(100) }), options).then(() => null, err => err);
+
+    assert.ok(error.message.includes('JSON body too large: 30 bytes max'));
+    assert.deepEqual(error.limits, ['jsonSize']);
+  });
+
+  runner.it('should limit bodies to 1MB by default', async () => {
+    const parser = new JsonParser();
+    assert.equal(parser.limits.jsonSize, 1024 * 1024);
+
+    // Within the field limits (100 fields of up to 1MB), but not the body limit
+    const body = JSON.stringify({ a: 'x'.repeat(600 * 1024), b: 'y'.repeat(600 * 1024) });
+    await assert.rejects(parse(body), 'JSON body too large: 1048576 bytes max');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
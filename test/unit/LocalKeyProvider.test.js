@@ -0,0 +1,105 @@
+/**
+ * LocalKeyProvider Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const LocalKeyProvider = require('../../src/utils/LocalKeyProvider');
+const crypto = require('crypto');
+
+const runner = new TestRunner();
+
+runner.describe('LocalKeyProvider', () => {
+  runner.it('should require at least one key', () => {
+    assert.throws(() => {
+      new LocalKeyProvider();
+    }, 'At least one master key');
+  });
+
+  runner.it('should reject keys of the wrong length', () => {
+    assert.throws(() => {
+      new LocalKeyProvider({ keys: { k1: crypto.randomBytes(16) } });
+    }, 'must be 32 bytes');
+  });
+
+  runner.it('should require currentKeyId with multiple keys', () => {
+    assert.throws(() => {
+      new LocalKeyProvider({
+        keys: { a: crypto.randomBytes(32), b: crypto.randomBytes(32) }
+      });
+    }, 'currentKeyId');
+  });
+
+  runner.it('should accept hex and base64 keys', () => {
+    const key = crypto.randomBytes(32);
+
+    const hex = new LocalKeyProvider({ keys: { k: key.toString('hex') } });
+    const b64 = new LocalKeyProvider({ keys: { k: key.toString('base64') } });
+
+    assert.ok(hex.keys.get('k').equals(key));
+    assert.ok(b64.keys.get('k').equals(key));
+  });
+
+  runner.it('should generate and unwrap data keys', async () => {
+    const provider = new LocalKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+
+    const dataKey = await provider.generateDataKey();
+
+    assert.equal(dataKey.keyId, 'k1');
+    assert.equal(dataKey.plaintextKey.length, 32);
+    assert.equal(dataKey.encryptedKey.includes(dataKey.plaintextKey), false);
+
+    const unwrapped = await provider.decryptDataKey({
+      keyId: dataKey.keyId,
+      encryptedKey: dataKey.encryptedKey
+    });
+    assert.ok(unwrapped.equals(dataKey.plaintextKey));
+  });
+
+  runner.it('should wrap new keys with the current key after rotation', async () => {
+    const provider = new LocalKeyProvider({
+      keys: { old: crypto.randomBytes(32), new: crypto.randomBytes(32) },
+      currentKeyId: 'new'
+    });
+
+    const dataKey = await provider.generateDataKey();
+    assert.equal(dataKey.keyId, 'new');
+  });
+
+  runner.it('should reject unknown key IDs', async () => {
+    const provider = new LocalKeyProvider({ keys: { k1: crypto.randomBytes(32) } });
+    const dataKey = await provider.generateDataKey();
+
+    await assert.rejects(
+      provider.decryptDataKey({ keyId: 'k9', encryptedKey: dataKey.encryptedKey }),
+      'Unknown master key'
+    );
+  });
+
+  runner.it('should reject tampered or mislabeled wrapped keys', async () => {
+    const provider = new LocalKeyProvider({
+      keys: { a: crypto.randomBytes(32), b: crypto.randomBytes(32) },
+      currentKeyId: 'a'
+    });
+    const dataKey = await provider.generateDataKey();
+
+    const tampered = Buffer.from(dataKey.encryptedKey);
+    tampered[tampered.length - 1] ^= 0x01;
+
+    await assert.rejects(
+      provider.decryptDataKey({ keyId: 'a', encryptedKey: tampered }),
+      'authentication failed'
+    );
+    await assert.rejects(
+      provider.decryptDataKey({ keyId: 'b', encryptedKey: dataKey.encryptedKey }),
+      'authentication failed'
+    );
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -744,6 +744,31 @@ runner.describe('LocalStorage', () => {
     fs.rmSync(TEST_DIR, { recursive: true });
   });
 
+  runner.it('should roll back a stored file in cleanup', async () => {
+    const storage = new LocalStorage({
+      destination: TEST_DIR,
+      naming: 'original'
+    });
+
+    await storage.initialize();
+
+    const context = {
+      stream: createStream('mirrored'),
+      fileInfo: { filename: 'mirrored.txt' },
+      metadata: {}
+    };
+
+    const result = await storage.process(context);
+    assert.ok(fs.existsSync(result.storage.path));
+
+    // A required mirror failed after this copy completed
+    await storage.cleanup(context, new Error('Mirror failed'));
+    assert.ok(!fs.existsSync(result.storage.path));
+
+    // Cleanup
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
   runner.it('should generate URL with special characters', async () => {
     const storage = new LocalStorage({
       destination: TEST_DIR,
@@ -5,6 +5,7 @@
 const { TestRunner, assert } = require('../test-runner');
 const { Logger, getLogger, configure, LOG_LEVELS } = require('../../src/observability/Logger');
 const { Writable } = require('stream');
+const { Tracer } = require('../../src/observability/Tracer');
 
 const runner = new TestRunner();
 
@@ -451,6 +452,36 @@ runner.describe('Logger', () => {
   });
 });
 
+runner.describe('Logger - Trace Correlation', () => {
+  runner.it('should add traceId and spanId inside an active span', async () => {
+    const stream = new MockStream();
+    const logger = new Logger({ destination: stream }).child({ component: 'S3Storage' });
+    const tracer = new Tracer();
+    const span = tracer.startSpan('storage S3Storage');
+
+    await tracer.withSpan(span, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      logger.info('Uploading part');
+    });
+
+    const entry = JSON.parse(stream.getLastLine());
+    assert.equal(entry.traceId, span.traceId);
+    assert.equal(entry.spanId, span.spanId);
+    assert.equal(entry.component, 'S3Storage');
+  });
+
+  runner.it('should not add trace fields outside a span', () => {
+    const stream = new MockStream();
+    const logger = new Logger({ destination: stream });
+
+    logger.info('No span');
+
+    const entry = JSON.parse(stream.getLastLine());
+    assert.equal(entry.traceId, undefined);
+    assert.equal(entry.spanId, undefined);
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
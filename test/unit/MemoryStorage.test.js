@@ -0,0 +1,210 @@
+/**
+ * MemoryStorage Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const { Readable, PassThrough } = require('stream');
+const MemoryStorage = require('../../src/storage/MemoryStorage');
+const { createContext, createData } = require('../storage-helpers');
+const FluxUpload = require('../../src/FluxUpload');
+
+const runner = new TestRunner();
+
+function createMultipartRequest(boundary, filename, data) {
+  const body = Buffer.concat([
+    Buffer.from(
+      `--${boundary}\r\n` +
+      `Content-Disposition: form-data; name="file"; filename="${filename}"\r\n` +
+      'Content-Type: text/plain\r\n\r\n'
+    ),
+    data,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+
+  const stream = Readable.from([body]);
+  stream.headers = {
+    'content-type': `multipart/form-data; boundary=${boundary}`,
+    'content-length': body.length.toString()
+  };
+  return stream;
+}
+
+runner.describe('MemoryStorage', () => {
+  runner.it('should be Plugin subclass', () => {
+    const Plugin = require('../../src/core/Plugin');
+    assert.ok(MemoryStorage.prototype instanceof Plugin);
+  });
+
+  runner.it('should reject invalid limits', () => {
+    assert.throws(() => new MemoryStorage({ maxFileSize: 0 }), 'maxFileSize must be a positive number');
+    assert.throws(() => new MemoryStorage({ maxMemory: -1 }), 'maxMemory must be a positive number');
+  });
+
+  runner.it('should return the buffer, size and metadata', async () => {
+    const storage = new MemoryStorage({ naming: 'original' });
+
+    const result = await storage.process(createContext(Buffer.from('hello world'), 'hello.txt', { hash: 'abc' }));
+
+    assert.equal(result.storage.driver, 'memory');
+    assert.equal(result.storage.key, 'hello.txt');
+    assert.equal(result.storage.buffer.toString(), 'hello world');
+    assert.equal(result.storage.size, 11);
+    assert.deepEqual(result.storage.metadata, { hash: 'abc' });
+    assert.equal(storage.usedBytes, 11);
+  });
+
+  runner.it('should get, list and delete stored files', async () => {
+    const storage = new MemoryStorage({ naming: 'original' });
+
+    await storage.process(createContext(Buffer.from('one'), 'a.txt', {}, 'text/plain'));
+    await storage.process(createContext(Buffer.from('two!'), 'b.txt'));
+
+    const file = storage.get('a.txt');
+    assert.equal(file.buffer.toString(), 'one');
+    assert.equal(file.filename, 'a.txt');
+    assert.equal(file.mimeType, 'text/plain');
+    assert.ok(file.createdAt instanceof Date);
+    assert.deepEqual(storage.list().map(f => f.key), ['a.txt', 'b.txt']);
+
+    assert.equal(storage.delete('a.txt'), true);
+    assert.equal(storage.delete('a.txt'), false);
+    assert.equal(storage.get('a.txt'), null);
+    assert.equal(storage.usedBytes, 4);
+  });
+
+  runner.it('should replace a file stored under the same key', async () => {
+    const storage = new MemoryStorage({ naming: 'original' });
+
+    await storage.process(createContext(Buffer.from('first'), 'same.txt'));
+    await storage.process(createContext(Buffer.from('second'), 'same.txt'));
+
+    assert.equal(storage.list().length, 1);
+    assert.equal(storage.get('same.txt').buffer.toString(), 'second');
+    assert.equal(storage.usedBytes, 6);
+  });
+
+  runner.it('should reject files over maxFileSize', async () => {
+    const storage = new MemoryStorage({ maxFileSize: 8 });
+    const context = createContext(Buffer.from('0123456789'));
+
+    let error = null;
+    try {
+      await storage.process(context);
+    } catch (err) {
+      error = err;
+    }
+
+    assert.ok(error, 'upload should fail');
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(error.statusCode, 413);
+
+    await storage.cleanup(context, error);
+    assert.equal(storage.usedBytes, 0);
+    assert.equal(storage.list().length, 0);
+  });
+
+  runner.it('should share the memory budget across concurrent uploads', async () => {
+    const storage = new MemoryStorage({ maxMemory: 10 });
+    const first = new PassThrough();
+    const second = new PassThrough();
+    const firstContext = { stream: first, fileInfo: { filename: 'a.txt' }, metadata: {} };
+    const secondContext = { stream: second, fileInfo: { filename: 'b.txt' }, metadata: {} };
+
+    const firstUpload = storage.process(firstContext);
+    const secondUpload = storage.process(secondContext);
+
+    first.write(Buffer.alloc(4));
+    await new Promise(resolve => setImmediate(resolve));
+    second.write(Buffer.alloc(8));
+    second.end();
+    first.end();
+
+    let error = null;
+    try {
+      await secondUpload;
+    } catch (err) {
+      error = err;
+    }
+    assert.ok(error, 'second upload should fail');
+    assert.equal(error.code, 'LIMIT_MEMORY');
+    assert.equal(error.statusCode, 507);
+
+    await storage.cleanup(secondContext, error);
+    const result = await firstUpload;
+    assert.equal(result.storage.size, 4);
+    assert.equal(storage.usedBytes, 4);
+  });
+
+  runner.it('should count kept files against the budget until deleted', async () => {
+    const storage = new MemoryStorage({ maxMemory: 16, naming: 'original' });
+
+    await storage.process(createContext(createData(8), 'big.bin'));
+    const context = createContext(createData(6), 'more.bin');
+    await assert.rejects(storage.process(context), 'Memory storage limit');
+    await storage.cleanup(context);
+    assert.equal(storage.usedBytes, 8);
+
+    storage.delete('big.bin');
+    await storage.process(createContext(createData(6), 'more.bin'));
+    assert.equal(storage.usedBytes, 6);
+  });
+
+  runner.it('should reserve the copy made when joining chunks', async () => {
+    const storage = new MemoryStorage({ maxMemory: 12 });
+
+    // 8 bytes stream within the budget, but joining them needs 16
+    const context = createContext(createData(8));
+    await assert.rejects(storage.process(context), 'Memory storage limit');
+    await storage.cleanup(context);
+    assert.equal(storage.usedBytes, 0);
+
+    const result = await storage.process(createContext(createData(6)));
+    assert.equal(result.storage.size, 6);
+    assert.equal(storage.usedBytes, 6);
+  });
+
+  runner.it('should release memory after returning when retain is false', async () => {
+    const storage = new MemoryStorage({ maxMemory: 16, retain: false });
+
+    const result = await storage.process(createContext(createData(8)));
+    await storage.process(createContext(createData(8)));
+
+    assert.equal(result.storage.size, 8);
+    assert.equal(storage.usedBytes, 0);
+    assert.equal(storage.list().length, 0);
+  });
+
+  runner.it('should remove a stored file in cleanup', async () => {
+    const storage = new MemoryStorage({ naming: 'original' });
+    const context = createContext(Buffer.from('data'), 'mirrored.txt');
+
+    await storage.process(context);
+    await storage.cleanup(context, new Error('mirror failed'));
+
+    assert.equal(storage.get('mirrored.txt'), null);
+    assert.equal(storage.usedBytes, 0);
+  });
+
+  runner.it('should work as FluxUpload storage', async () => {
+    const storage = new MemoryStorage({ naming: 'original' });
+    const uploader = new FluxUpload({ storage });
+    await uploader.initialize();
+
+    const result = await uploader.handle(createMultipartRequest('MemoryBoundary', 'note.txt', Buffer.from('in memory')));
+
+    assert.equal(result.files.length, 1);
+    assert.equal(result.files[0].buffer.toString(), 'in memory');
+    assert.equal(result.files[0].size, 9);
+    assert.equal(storage.get('note.txt').buffer.toString(), 'in memory');
+
+    await uploader.shutdown();
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
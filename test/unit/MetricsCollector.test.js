@@ -281,6 +281,32 @@ runner.describe('MetricsCollector', () => {
   });
 });
 
+runner.describe('MetricsCollector - Errors', () => {
+  runner.it('should label upload failures by error code', () => {
+    const collector = new MetricsCollector();
+    const error = new Error('Infected');
+    error.code = 'VIRUS_DETECTED';
+
+    const startTime = collector.recordUploadStart({ storage: 'local' });
+    collector.recordUploadFailure(startTime, { storage: 'local' }, error);
+
+    const failed = collector.getMetric('fluxupload_uploads_failed_total');
+    assert.equal(failed.get({ storage: 'local', code: 'VIRUS_DETECTED' }), 1);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get({ storage: 'local' }), 0);
+  });
+
+  runner.it('should record plugin errors', () => {
+    const collector = new MetricsCollector();
+
+    collector.recordPluginError('QuotaLimiter', Object.assign(new Error('x'), { code: 'LIMIT_FILE_SIZE' }));
+    collector.recordPluginError('QuotaLimiter', new Error('no code'));
+
+    const errors = collector.getMetric('fluxupload_plugin_errors_total');
+    assert.equal(errors.get({ plugin: 'QuotaLimiter', code: 'LIMIT_FILE_SIZE' }), 1);
+    assert.equal(errors.get({ plugin: 'QuotaLimiter', code: 'UNKNOWN' }), 1);
+  });
+});
+
 runner.describe('Counter - Extended', () => {
   runner.it('should handle multiple label combinations', () => {
     const counter = new Counter('test', 'Test');
@@ -1439,6 +1439,530 @@ runner.describe('MultipartParser', () => {
   });
 });
 
+runner.describe('MultipartParser - Filenames and charsets', () => {
+  const boundary = 'CharsetBoundary';
+
+  // Parse a body given as an array of lines (strings or Buffers)
+  function parse(lines) {
+    const parser = new MultipartParser({ boundary });
+    const body = Buffer.concat(lines.map(line => Buffer.concat([
+      Buffer.isBuffer(line) ? line : Buffer.from(line, 'utf8'),
+      Buffer.from('\r\n')
+    ])));
+
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const files = [];
+
+      parser.on('field', (name, value) => fields.push({ name, value }));
+      parser.on('file', (fileInfo, stream) => {
+        files.push(fileInfo);
+        stream.resume();
+      });
+      parser.on('finish', () => resolve({ fields, files }));
+      parser.on('error', reject);
+
+      createStream(body).pipe(parser);
+    });
+  }
+
+  function filePart(disposition) {
+    return [
+      `--${boundary}`,
+      disposition,
+      'Content-Type: text/plain',
+      '',
+      'content'
+    ];
+  }
+
+  runner.it('should decode raw UTF-8 filenames', async () => {
+    const { files } = await parse([
+      ...filePart('Content-Disposition: form-data; name="file"; filename="résumé 履歴書.pdf"'),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].filename, 'résumé 履歴書.pdf');
+    assert.equal(files[0].rawFilename, 'résumé 履歴書.pdf');
+  });
+
+  runner.it('should prefer filename* over filename', async () => {
+    const { files } = await parse([
+      ...filePart("Content-Disposition: form-data; name=\"file\"; filename=\"EUR rates.txt\"; filename*=UTF-8''%E2%82%AC%20rates.txt"),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].filename, '€ rates.txt');
+    assert.equal(files[0].rawFilename, "UTF-8''%E2%82%AC%20rates.txt");
+  });
+
+  runner.it('should treat a part with only filename* as a file', async () => {
+    const { files, fields } = await parse([
+      ...filePart("Content-Disposition: form-data; name=\"file\"; filename*=utf-8'en'%C3%A9t%C3%A9.txt"),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(fields.length, 0);
+    assert.equal(files[0].filename, 'été.txt');
+  });
+
+  runner.it('should decode percent-encoded UTF-8 filenames', async () => {
+    const { files } = await parse([
+      ...filePart('Content-Disposition: form-data; name="file"; filename="%E4%BD%A0%E5%A5%BD.txt"'),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].filename, '你好.txt');
+    assert.equal(files[0].rawFilename, '%E4%BD%A0%E5%A5%BD.txt');
+  });
+
+  runner.it('should keep ASCII percent sequences in filenames', async () => {
+    const { files } = await parse([
+      ...filePart('Content-Disposition: form-data; name="file"; filename="100%25 done.txt"'),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].filename, '100%25 done.txt');
+  });
+
+  runner.it('should decode windows-1252 filenames that are not UTF-8', async () => {
+    const { files } = await parse([
+      `--${boundary}`,
+      Buffer.concat([
+        Buffer.from('Content-Disposition: form-data; name="file"; filename="caf'),
+        Buffer.from([0xe9, 0x80]),
+        Buffer.from('.txt"')
+      ]),
+      '',
+      'content',
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].filename, 'café€.txt');
+  });
+
+  runner.it('should unescape quoted filenames', async () => {
+    const { files } = await parse([
+      ...filePart('Content-Disposition: form-data; name="file"; filename="a \\"quoted\\"; name.txt"'),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files[0].fieldName, 'file');
+    assert.equal(files[0].filename, 'a "quoted"; name.txt');
+  });
+
+  runner.it('should apply _charset_ to following names, filenames and values', async () => {
+    const { fields, files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="_charset_"',
+      '',
+      'Shift_JIS',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="comment"',
+      '',
+      Buffer.from([0x82, 0xa0]),
+      `--${boundary}`,
+      Buffer.concat([
+        Buffer.from('Content-Disposition: form-data; name="file"; filename="'),
+        Buffer.from([0x82, 0xa2]),
+        Buffer.from('.txt"')
+      ]),
+      '',
+      'content',
+      `--${boundary}--`
+    ]);
+
+    assert.deepEqual(fields, [
+      { name: '_charset_', value: 'Shift_JIS' },
+      { name: 'comment', value: 'あ' }
+    ]);
+    assert.equal(files[0].filename, 'い.txt');
+  });
+
+  runner.it('should decode field values with the part charset', async () => {
+    const { fields } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="note"',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      '',
+      Buffer.from([0x63, 0x61, 0x66, 0xe9]),
+      `--${boundary}--`
+    ]);
+
+    assert.equal(fields[0].value, 'café');
+  });
+
+  runner.it('should ignore unsupported _charset_ values', async () => {
+    const { fields } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="_charset_"',
+      '',
+      'x-unknown',
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="note"',
+      '',
+      'naïve',
+      `--${boundary}--`
+    ]);
+
+    assert.equal(fields[1].value, 'naïve');
+  });
+
+  runner.it('should treat an empty filename as a field', async () => {
+    const { fields, files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="file"; filename=""',
+      '',
+      '',
+      `--${boundary}--`
+    ]);
+
+    assert.equal(files.length, 0);
+    assert.equal(fields[0].name, 'file');
+  });
+});
+
+runner.describe('MultipartParser - Part headers and transfer encodings', () => {
+  const boundary = 'EncodingBoundary';
+
+  // Parse a body given as lines, written in chunks of chunkSize bytes
+  function parse(lines, chunkSize = Infinity) {
+    const parser = new MultipartParser({ boundary });
+    const body = Buffer.from(lines.join('\r\n'), 'latin1');
+
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const files = [];
+
+      parser.on('field', (name, value) => fields.push({ name, value }));
+      parser.on('file', (fileInfo, stream) => {
+        const chunks = [];
+        const file = { fileInfo };
+        files.push(file);
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          file.content = Buffer.concat(chunks);
+        });
+      });
+      parser.on('finish', () => setImmediate(() => resolve({ fields, files })));
+      parser.on('error', reject);
+
+      for (let i = 0; i < body.length; i += chunkSize) {
+        parser.write(body.slice(i, i + chunkSize));
+      }
+      parser.end();
+    });
+  }
+
+  const base64Lines = Buffer.from('Hello, base64 world! '.repeat(8))
+    .toString('base64')
+    .match(/.{1,76}/g);
+
+  const base64Body = [
+    `--${boundary}`,
+    'Content-Disposition: form-data; name="doc"; filename="hello.txt"',
+    'Content-Type: text/plain',
+    'Content-Transfer-Encoding: base64',
+    'X-Gateway-Id: mx-01',
+    '',
+    ...base64Lines,
+    `--${boundary}--`,
+    ''
+  ];
+
+  runner.it('should expose all part headers on fileInfo', async () => {
+    const { files } = await parse(base64Body);
+
+    assert.deepEqual(files[0].fileInfo.headers, {
+      'content-disposition': 'form-data; name="doc"; filename="hello.txt"',
+      'content-type': 'text/plain',
+      'content-transfer-encoding': 'base64',
+      'x-gateway-id': 'mx-01'
+    });
+  });
+
+  runner.it('should decode base64 file bodies', async () => {
+    const { files } = await parse(base64Body);
+
+    assert.equal(files[0].fileInfo.encoding, 'base64');
+    assert.equal(files[0].content.toString(), 'Hello, base64 world! '.repeat(8));
+  });
+
+  runner.it('should decode base64 file bodies split across chunks', async () => {
+    for (const chunkSize of [1, 7, 64]) {
+      const { files } = await parse(base64Body, chunkSize);
+      assert.equal(files[0].content.toString(), 'Hello, base64 world! '.repeat(8));
+    }
+  });
+
+  runner.it('should decode quoted-printable file bodies', async () => {
+    const lines = [
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc"; filename="note.txt"',
+      'Content-Transfer-Encoding: Quoted-Printable',
+      '',
+      'caf=C3=A9 au lait, a very long line that was wrapped by the =',
+      'gateway   ',
+      'x=3Dy',
+      `--${boundary}--`,
+      ''
+    ];
+
+    for (const chunkSize of [Infinity, 1, 5]) {
+      const { files } = await parse(lines, chunkSize);
+      assert.equal(files[0].fileInfo.encoding, 'quoted-printable');
+      assert.equal(
+        files[0].content.toString('utf8'),
+        'café au lait, a very long line that was wrapped by the gateway\r\nx=y'
+      );
+    }
+  });
+
+  runner.it('should decode transfer-encoded field values', async () => {
+    const { fields } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="subject"',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('Grüße').toString('base64'),
+      `--${boundary}--`,
+      ''
+    ]);
+
+    assert.deepEqual(fields, [{ name: 'subject', value: 'Grüße' }]);
+  });
+
+  runner.it('should default encoding to 7bit', async () => {
+    const { files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc"; filename="a.txt"',
+      '',
+      'plain',
+      `--${boundary}--`,
+      ''
+    ]);
+
+    assert.equal(files[0].fileInfo.encoding, '7bit');
+    assert.equal(files[0].content.toString(), 'plain');
+  });
+
+  runner.it('should unfold and join repeated headers', async () => {
+    const { files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc";',
+      '\tfilename="folded.txt"',
+      'X-Tag: one',
+      'X-Tag: two',
+      '',
+      'data',
+      `--${boundary}--`,
+      ''
+    ]);
+
+    assert.equal(files[0].fileInfo.filename, 'folded.txt');
+    assert.equal(files[0].fileInfo.headers['x-tag'], 'one, two');
+  });
+
+  runner.it('should reject unsupported transfer encodings', async () => {
+    await assert.rejects(parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc"; filename="a.txt"',
+      'Content-Transfer-Encoding: x-uuencode',
+      '',
+      'data',
+      `--${boundary}--`,
+      ''
+    ]), 'Unsupported Content-Transfer-Encoding');
+  });
+
+  runner.it('should stream parts larger than the header size limit', async () => {
+    const { files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc"; filename="big.txt"',
+      '',
+      'x'.repeat(20000),
+      `--${boundary}--`,
+      ''
+    ]);
+
+    assert.equal(files[0].content.length, 20000);
+  });
+
+  runner.it('should keep CRLF at chunk ends inside binary files', async () => {
+    const { files } = await parse([
+      `--${boundary}`,
+      'Content-Disposition: form-data; name="doc"; filename="crlf.bin"',
+      '',
+      'line1',
+      'line2',
+      'line3',
+      `--${boundary}--`,
+      ''
+    ], 8);
+
+    assert.equal(files[0].content.toString(), 'line1\r\nline2\r\nline3');
+  });
+});
+
+runner.describe('MultipartParser - Nested multipart/mixed', () => {
+  // RFC 2388 example: two files under one field
+  function nestedBody(innerParts, innerHeaders = ['Content-Type: multipart/mixed; boundary=BbC04y']) {
+    return [
+      '--AaB03x',
+      'Content-Disposition: form-data; name="submit-name"',
+      '',
+      'Larry',
+      '--AaB03x',
+      'Content-Disposition: form-data; name="files"',
+      ...innerHeaders,
+      '',
+      ...innerParts,
+      '--AaB03x--',
+      ''
+    ].join('\r\n');
+  }
+
+  const twoFiles = [
+    '--BbC04y',
+    'Content-Disposition: file; filename="file1.txt"',
+    'Content-Type: text/plain',
+    '',
+    '... contents of file1.txt ...',
+    '--BbC04y',
+    'Content-Disposition: file; filename="file2.gif"',
+    'Content-Type: image/gif',
+    'Content-Transfer-Encoding: binary',
+    '',
+    '...contents of file2.gif...',
+    '--BbC04y--'
+  ];
+
+  function parse(body, options = {}, chunkSize = Infinity) {
+    const parser = new MultipartParser({ boundary: 'AaB03x', ...options });
+    const buffer = Buffer.from(body);
+
+    return new Promise((resolve, reject) => {
+      const fields = [];
+      const files = [];
+      const limits = [];
+
+      parser.on('field', (name, value) => fields.push({ name, value }));
+      parser.on('limit', (type) => limits.push(type));
+      parser.on('file', (fileInfo, stream) => {
+        const chunks = [];
+        const file = { fileInfo };
+        files.push(file);
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('end', () => {
+          file.content = Buffer.concat(chunks).toString();
+        });
+      });
+      parser.on('finish', () => setImmediate(() => resolve({ fields, files, limits })));
+      parser.on('error', (error) => {
+        error.limits = limits;
+        reject(error);
+      });
+
+      for (let i = 0; i < buffer.length; i += chunkSize) {
+        parser.write(buffer.slice(i, i + chunkSize));
+      }
+      parser.end();
+    });
+  }
+
+  runner.it('should emit each nested file under the outer field name', async () => {
+    const { fields, files } = await parse(nestedBody(twoFiles));
+
+    assert.deepEqual(fields, [{ name: 'submit-name', value: 'Larry' }]);
+    assert.equal(files.length, 2);
+
+    assert.equal(files[0].fileInfo.fieldName, 'files');
+    assert.equal(files[0].fileInfo.filename, 'file1.txt');
+    assert.equal(files[0].fileInfo.mimeType, 'text/plain');
+    assert.equal(files[0].content, '... contents of file1.txt ...');
+
+    assert.equal(files[1].fileInfo.fieldName, 'files');
+    assert.equal(files[1].fileInfo.filename, 'file2.gif');
+    assert.equal(files[1].fileInfo.mimeType, 'image/gif');
+    assert.equal(files[1].content, '...contents of file2.gif...');
+  });
+
+  runner.it('should parse nested parts split across chunks', async () => {
+    for (const chunkSize of [1, 5, 17]) {
+      const { files } = await parse(nestedBody(twoFiles), {}, chunkSize);
+      assert.deepEqual(files.map(file => file.content), [
+        '... contents of file1.txt ...',
+        '...contents of file2.gif...'
+      ]);
+    }
+  });
+
+  runner.it('should accept nested parts without Content-Disposition', async () => {
+    const { files } = await parse(nestedBody([
+      '--BbC04y',
+      'Content-Type: text/plain',
+      '',
+      'anonymous',
+      '--BbC04y--'
+    ]));
+
+    assert.equal(files[0].fileInfo.fieldName, 'files');
+    assert.equal(files[0].fileInfo.filename, '');
+    assert.equal(files[0].content, 'anonymous');
+  });
+
+  runner.it('should count nested files against the files limit', async () => {
+    const error = await parse(nestedBody(twoFiles), { limits: { files: 1 } })
+      .then(() => null, err => err);
+
+    assert.ok(error, 'Should fail');
+    assert.ok(error.message.includes('Too many files'));
+    assert.deepEqual(error.limits, ['files']);
+  });
+
+  runner.it('should limit nesting depth', async () => {
+    const error = await parse(nestedBody([
+      '--BbC04y',
+      'Content-Type: multipart/mixed; boundary=CcD05z',
+      '',
+      '--CcD05z',
+      'Content-Disposition: file; filename="deep.txt"',
+      '',
+      'deep',
+      '--CcD05z--',
+      '--BbC04y--'
+    ]), { limits: { nestingDepth: 1 } }).then(() => null, err => err);
+
+    assert.ok(error, 'Should fail');
+    assert.ok(error.message.includes('Multipart nesting too deep'));
+    assert.deepEqual(error.limits, ['nestingDepth']);
+  });
+
+  runner.it('should parse nesting within the depth limit', async () => {
+    const { files } = await parse(nestedBody([
+      '--BbC04y',
+      'Content-Type: multipart/mixed; boundary=CcD05z',
+      '',
+      '--CcD05z',
+      'Content-Disposition: file; filename="deep.txt"',
+      '',
+      'deep',
+      '--CcD05z--',
+      '--BbC04y--'
+    ]));
+
+    assert.equal(files[0].fileInfo.fieldName, 'files');
+    assert.equal(files[0].content, 'deep');
+  });
+
+  runner.it('should reject nested parts without a boundary', async () => {
+    await assert.rejects(
+      parse(nestedBody(twoFiles, ['Content-Type: multipart/mixed'])),
+      'Missing boundary'
+    );
+  });
+});
+
 function createStream(data) {
   const stream = new Readable();
   stream.push(data);
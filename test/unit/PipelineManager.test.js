@@ -3,8 +3,10 @@
  */
 
 const { TestRunner, assert } = require('../test-runner');
-const { PipelineManager } = require('../../src/core/PipelineManager');
+const { PipelineManager, StreamMultiplexer } = require('../../src/core/PipelineManager');
 const Plugin = require('../../src/core/Plugin');
+const { MetricsCollector } = require('../../src/observability/MetricsCollector');
+const { Tracer, SpanStatusCode } = require('../../src/observability/Tracer');
 const { Readable, Transform } = require('stream');
 
 const runner = new TestRunner();
@@ -175,6 +177,44 @@ runner.describe('PipelineManager', () => {
     assert.equal(result.storage.size, data.length);
   });
 
+  runner.it('should expose request context to plugins', async () => {
+    const storage = new MockStorage({ name: 'storage' });
+    const manager = new PipelineManager({ storage });
+
+    const request = { headers: {} };
+    const stream = createStream(Buffer.from('test'));
+    const fileInfo = { filename: 'test.txt' };
+
+    const result = await manager.execute(stream, fileInfo, {
+      request,
+      requestId: 'req-1',
+      state: { user: 'alice' },
+      fields: { title: 'x' }
+    });
+
+    assert.equal(result.request, request);
+    assert.equal(result.requestId, 'req-1');
+    assert.equal(result.state.user, 'alice');
+    assert.deepEqual(result.fields, { title: 'x' });
+    assert.equal(result.fileInfo, fileInfo);
+  });
+
+  runner.it('should clean up only the failing execution under concurrency', async () => {
+    const validator = new MockValidator({ name: 'validator' });
+    const failing = new MockStorage({ name: 'failing', shouldFail: true });
+    const cleanedContexts = [];
+    validator.cleanup = async (context) => { cleanedContexts.push(context.fileInfo.filename); };
+
+    const manager = new PipelineManager({ validators: [validator], storage: failing });
+
+    await Promise.allSettled([
+      manager.execute(createStream(Buffer.from('a')), { filename: 'a.txt' }),
+      manager.execute(createStream(Buffer.from('b')), { filename: 'b.txt' })
+    ]);
+
+    assert.deepEqual(cleanedContexts.sort(), ['a.txt', 'b.txt']);
+  });
+
   runner.it('should execute validators before storage', async () => {
     const validator = new MockValidator({ name: 'validator', shouldMutateMetadata: true });
     const storage = new MockStorage({ name: 'storage' });
@@ -338,11 +378,10 @@ runner.describe('PipelineManager', () => {
       assert.equal(validator.cleanupCalled, true);
       assert.equal(transformer.cleanupCalled, true);
 
-      // Storage process() is called but fails when consuming the stream
-      // Since it fails before completion, it's not added to executedPlugins
-      // and thus its cleanup() is not called
-      assert.equal(storage.processedCount, 1); // Storage was attempted
-      assert.equal(storage.cleanupCalled, false); // But not cleaned up
+      // Storage process() is called but fails when consuming the stream,
+      // so it is cleaned up to roll back the partial write
+      assert.equal(storage.processedCount, 1);
+      assert.equal(storage.cleanupCalled, true);
     }
   });
 
@@ -369,9 +408,8 @@ runner.describe('PipelineManager', () => {
       assert.equal(validator.cleanupCalled, true);
       assert.equal(transformer.cleanupCalled, true);
 
-      // Note: Storage is not added to executedPlugins if it throws immediately,
-      // so it won't be cleaned up. This is current PipelineManager behavior.
-      // In a real scenario, storage cleanup should happen even on immediate failure.
+      // Storage is cleaned up even though process() failed
+      assert.equal(storage.cleanupCalled, true);
     }
   });
 
@@ -398,9 +436,8 @@ runner.describe('PipelineManager', () => {
     try {
       await manager.execute(stream, { filename: 'test.txt' });
     } catch (error) {
-      // Cleanup order should be reverse: transformer → validator
-      // Note: Storage is not cleaned up because it fails before being added to executedPlugins
-      assert.deepEqual(cleanupOrder, ['transformer', 'validator']);
+      // Cleanup order should be reverse: storage → transformer → validator
+      assert.deepEqual(cleanupOrder, ['storage', 'transformer', 'validator']);
     }
   });
 
@@ -498,6 +535,55 @@ runner.describe('PipelineManager', () => {
     assert.equal(result.storage.size, 1024 * 1024);
   });
 
+  runner.it('should pass a source failure on to storage behind a transformer', async () => {
+    const { PassThrough } = require('stream');
+    const transformer = new MockTransformer({ name: 'transformer' });
+    const storage = new MockStorage({ name: 'storage' });
+    const manager = new PipelineManager({ transformers: [transformer], storage });
+
+    const source = new PassThrough();
+    const promise = manager.execute(source, { filename: 'aborted.bin' });
+    source.write(Buffer.alloc(1024));
+    setImmediate(() => source.destroy(new Error('Client aborted')));
+
+    await assert.rejects(promise, 'Client aborted');
+    assert.equal(storage.cleanupCalled, true);
+  });
+
+  runner.it('should not wait forever for storage that ignores stream errors', async () => {
+    const { PassThrough } = require('stream');
+
+    // Resolves on 'end' only, like a naive consumer
+    class EndOnlyStorage extends Plugin {
+      async process(context) {
+        await new Promise(resolve => {
+          context.stream.on('data', () => {});
+          context.stream.on('end', resolve);
+        });
+        return { ...context, storage: {} };
+      }
+
+      async cleanup() {
+        this.cleanedUp = true;
+      }
+    }
+
+    const storage = new EndOnlyStorage();
+    const manager = new PipelineManager({
+      transformers: [new MockTransformer()],
+      storage,
+      storageSettleTimeout: 50
+    });
+
+    const source = new PassThrough();
+    const promise = manager.execute(source, { filename: 'aborted.bin' });
+    source.write(Buffer.alloc(1024));
+    setImmediate(() => source.destroy(new Error('Client aborted')));
+
+    await assert.rejects(promise, 'Client aborted');
+    assert.equal(storage.cleanedUp, true);
+  });
+
   runner.it('should handle empty stream', async () => {
     const storage = new MockStorage({ name: 'storage' });
     const manager = new PipelineManager({ storage });
@@ -510,6 +596,426 @@ runner.describe('PipelineManager', () => {
   });
 });
 
+runner.describe('PipelineManager - Conditions', () => {
+  const MagicByteDetector = require('../../src/plugins/validators/MagicByteDetector');
+  const PNG = Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+    Buffer.alloc(120, 7)
+  ]);
+
+  // Small chunks, so detection needs several of them
+  function createChunkedStream(data, size = 8) {
+    const chunks = [];
+    for (let i = 0; i < data.length; i += size) {
+      chunks.push(data.slice(i, i + size));
+    }
+    return Readable.from(chunks);
+  }
+
+  runner.it('should skip plugins whose condition does not match', async () => {
+    const imageValidator = new MockValidator({ name: 'image', when: { mimeType: 'image/*' } });
+    const pdfTransformer = new MockTransformer({
+      name: 'pdf',
+      when: { mimeType: 'application/pdf' },
+      transformFn: () => Buffer.from('changed')
+    });
+    const storage = new MockStorage();
+    const manager = new PipelineManager({
+      validators: [imageValidator],
+      transformers: [pdfTransformer],
+      storage
+    });
+
+    await manager.execute(createStream(Buffer.from('data')), { filename: 'a.png', mimeType: 'image/png' });
+
+    assert.equal(imageValidator.processedCount, 1);
+    assert.equal(pdfTransformer.processedCount, 0);
+    assert.equal(storage.storedData.toString(), 'data');
+  });
+
+  runner.it('should evaluate conditions against metadata from earlier plugins', async () => {
+    const transformer = new MockTransformer({ when: { mimeType: 'image/png' } });
+    const storage = new MockStorage();
+    const manager = new PipelineManager({
+      validators: [new MagicByteDetector({})],
+      transformers: [transformer],
+      storage
+    });
+
+    const result = await manager.execute(
+      createChunkedStream(PNG),
+      { filename: 'upload.bin', mimeType: 'application/octet-stream' }
+    );
+
+    assert.equal(result.metadata.detectedMimeType, 'image/png');
+    assert.equal(transformer.processedCount, 1);
+    assert.deepEqual(storage.storedData, PNG);
+  });
+
+  runner.it('should support function conditions', async () => {
+    const seen = [];
+    const validator = new MockValidator({
+      when: async (context) => {
+        seen.push(context.fileInfo.fieldName);
+        return context.fileInfo.fieldName === 'avatar';
+      }
+    });
+    const manager = new PipelineManager({ validators: [validator], storage: new MockStorage() });
+
+    await manager.execute(createStream(Buffer.from('a')), { fieldName: 'avatar' });
+    await manager.execute(createStream(Buffer.from('b')), { fieldName: 'document' });
+
+    assert.deepEqual(seen, ['avatar', 'document']);
+    assert.equal(validator.processedCount, 1);
+  });
+
+  runner.it('should not clean up skipped plugins', async () => {
+    const skipped = new MockValidator({ name: 'skipped', when: { fieldName: 'other' } });
+    const ran = new MockValidator({ name: 'ran' });
+    const manager = new PipelineManager({
+      validators: [skipped, ran],
+      storage: new MockStorage({ shouldFail: true })
+    });
+
+    await assert.rejects(manager.execute(createStream(Buffer.from('x')), { fieldName: 'file' }), 'Storage failed');
+
+    assert.equal(skipped.cleanupCalled, false);
+    assert.equal(ran.cleanupCalled, true);
+  });
+
+  runner.it('should fail the upload when a condition throws', async () => {
+    const validator = new MockValidator({
+      when: () => {
+        throw new Error('Condition failed');
+      }
+    });
+    const storage = new MockStorage();
+    const manager = new PipelineManager({ validators: [validator], storage });
+
+    await assert.rejects(manager.execute(createStream(Buffer.from('x')), {}), 'Condition failed');
+    assert.equal(storage.processedCount, 0);
+  });
+
+  runner.it('should evaluate conditions for empty streams', async () => {
+    const validator = new MockValidator({ when: { mimeType: 'text/plain' } });
+    const storage = new MockStorage();
+    const manager = new PipelineManager({ validators: [validator], storage });
+
+    const result = await manager.execute(createStream(Buffer.alloc(0)), { mimeType: 'text/plain' });
+
+    assert.equal(validator.processedCount, 1);
+    assert.equal(result.storage.size, 0);
+  });
+
+  runner.it('should use the stream returned by a validator', async () => {
+    const manager = new PipelineManager({
+      validators: [new MagicByteDetector({ allowed: ['application/pdf'] })],
+      storage: new MockStorage()
+    });
+
+    await assert.rejects(
+      manager.execute(createStream(PNG), { filename: 'a.pdf', mimeType: 'application/pdf' }),
+      'File type mismatch'
+    );
+  });
+});
+
+runner.describe('PipelineManager - Mirrors', () => {
+  // Stores the whole file, then fails
+  class LateFailingStorage extends MockStorage {
+    async process(context) {
+      await super.process(context);
+      throw new Error('Mirror failed');
+    }
+  }
+
+  runner.it('should run validators and transformers once for all targets', async () => {
+    const validator = new MockValidator();
+    const transformer = new MockTransformer({ transformFn: chunk => Buffer.from(chunk.toString().toUpperCase()) });
+    const primary = new MockStorage({ name: 'primary' });
+    const mirror = new MockStorage({ name: 'mirror' });
+    const manager = new PipelineManager({
+      validators: [validator],
+      transformers: [transformer],
+      storage: [primary, mirror]
+    });
+
+    const result = await manager.execute(createStream(Buffer.from('data')), { filename: 'a.txt' });
+
+    assert.equal(validator.processedCount, 1);
+    assert.equal(transformer.processedCount, 1);
+    assert.equal(primary.storedData.toString(), 'DATA');
+    assert.equal(mirror.storedData.toString(), 'DATA');
+    assert.equal(result.storage.path, '/uploads/test.txt');
+    assert.deepEqual(result.additionalStorage, [{
+      name: 'mirror',
+      required: true,
+      status: 'stored',
+      storage: { path: '/uploads/test.txt', size: 4, stored: true }
+    }]);
+  });
+
+  runner.it('should keep the upload when a best-effort mirror fails', async () => {
+    const primary = new MockStorage({ name: 'primary' });
+    const mirror = new MockStorage({ name: 'mirror', shouldFail: true });
+    const manager = new PipelineManager({
+      storage: [primary, { storage: mirror, required: false }]
+    });
+
+    const result = await manager.execute(createStream(Buffer.from('data')), { filename: 'a.txt' });
+
+    assert.equal(primary.storedData.toString(), 'data');
+    assert.equal(primary.cleanupCalled, false);
+    assert.equal(mirror.cleanupCalled, true);
+    assert.deepEqual(result.additionalStorage, [{
+      name: 'mirror',
+      required: false,
+      status: 'failed',
+      error: 'Storage failed'
+    }]);
+  });
+
+  runner.it('should roll back completed copies when a required mirror fails', async () => {
+    const primary = new MockStorage({ name: 'primary' });
+    const bestEffort = new MockStorage({ name: 'backup' });
+    const mirror = new LateFailingStorage({ name: 'mirror' });
+    const manager = new PipelineManager({
+      storage: [primary, { storage: bestEffort, required: false }, mirror]
+    });
+
+    await assert.rejects(
+      manager.execute(createStream(Buffer.from('data')), { filename: 'a.txt' }),
+      'Mirror failed'
+    );
+
+    assert.equal(primary.processedCount, 1);
+    assert.equal(primary.cleanupCalled, true);
+    assert.equal(primary.cleanupError.message, 'Mirror failed');
+    assert.equal(bestEffort.cleanupCalled, true);
+    assert.equal(mirror.cleanupCalled, true);
+  });
+
+  runner.it('should clean up every target with its own context', async () => {
+    const contexts = [];
+    class TrackingStorage extends MockStorage {
+      async cleanup(context, error) {
+        contexts.push(context);
+        await super.cleanup(context, error);
+      }
+    }
+    const primary = new TrackingStorage();
+    const mirror = new TrackingStorage({ shouldFail: true });
+    const manager = new PipelineManager({ storage: [primary, mirror] });
+
+    await assert.rejects(
+      manager.execute(createStream(Buffer.from('data')), { filename: 'a.txt' }),
+      'Storage failed'
+    );
+
+    assert.equal(contexts.length, 2);
+    assert.ok(contexts[0].stream !== contexts[1].stream);
+  });
+
+  runner.it('should require the primary storage target', () => {
+    assert.throws(
+      () => new PipelineManager({ storage: [{ storage: new MockStorage(), required: false }] }),
+      'primary storage target must be required'
+    );
+    assert.throws(
+      () => new PipelineManager({ storage: [new MockStorage(), { required: false }] }),
+      'Storage target must be'
+    );
+  });
+
+  runner.it('should initialize mirrors', async () => {
+    const mirror = new MockStorage();
+    let initialized = false;
+    mirror.initialize = async () => { initialized = true; };
+    const manager = new PipelineManager({ storage: [new MockStorage(), mirror] });
+
+    assert.equal(manager.getPlugins().length, 2);
+    await manager.initialize();
+    assert.ok(initialized);
+  });
+
+  runner.it('should split streams with independent outputs', async () => {
+    const [failed, kept] = StreamMultiplexer.split(createStream(Buffer.from('data')), 2, { independent: true });
+    failed.on('error', () => {});
+    failed.destroy(new Error('target failed'));
+
+    const data = await consumeStream(kept);
+    assert.equal(data.toString(), 'data');
+  });
+});
+
+runner.describe('PipelineManager - Metrics', () => {
+  runner.it('should not record metrics by default', async () => {
+    const manager = new PipelineManager({ storage: new MockStorage() });
+    assert.equal(manager.metrics, null);
+
+    await manager.execute(createStream(Buffer.from('test')), { filename: 'test.txt' });
+  });
+
+  runner.it('should record a successful upload', async () => {
+    const collector = new MetricsCollector();
+    const manager = new PipelineManager({
+      validators: [new MockValidator({ name: 'validator' })],
+      transformers: [new MockTransformer({ name: 'transformer' })],
+      storage: new MockStorage({ name: 'storage' }),
+      metrics: collector
+    });
+
+    await manager.execute(createStream(Buffer.from('Hello, World!')), {
+      fieldName: 'avatar',
+      filename: 'test.txt'
+    });
+
+    const labels = { storage: 'storage', field: 'avatar' };
+    assert.equal(collector.getMetric('fluxupload_uploads_total').get(labels), 1);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get(labels), 0);
+    assert.equal(collector.getMetric('fluxupload_uploads_bytes_total').get(labels), 13);
+
+    const prom = collector.toPrometheus();
+    assert.ok(prom.includes('fluxupload_plugin_duration_seconds_count{phase="validator",plugin="validator"} 1'));
+    assert.ok(prom.includes('fluxupload_plugin_duration_seconds_count{phase="transformer",plugin="transformer"} 1'));
+    assert.ok(prom.includes('fluxupload_plugin_duration_seconds_count{phase="storage",plugin="storage"} 1'));
+    assert.ok(prom.includes('fluxupload_storage_write_duration_seconds_count{storage="storage",field="avatar"} 1'));
+  });
+
+  runner.it('should attribute a thrown error to the plugin', async () => {
+    const collector = new MetricsCollector();
+    const manager = new PipelineManager({
+      validators: [new MockValidator({ name: 'validator', shouldFail: true })],
+      storage: new MockStorage({ name: 'storage' }),
+      metrics: collector
+    });
+
+    await assert.rejects(
+      manager.execute(createStream(Buffer.from('test')), { fieldName: 'file' }),
+      'Validator failed'
+    );
+
+    const errors = collector.getMetric('fluxupload_plugin_errors_total');
+    assert.equal(errors.get({ phase: 'validator', plugin: 'validator', code: 'UNKNOWN' }), 1);
+
+    const failed = collector.getMetric('fluxupload_uploads_failed_total');
+    assert.equal(failed.get({ storage: 'storage', field: 'file', code: 'UNKNOWN' }), 1);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get({ storage: 'storage', field: 'file' }), 0);
+  });
+
+  runner.it('should attribute a stream error to the plugin that wrapped the stream', async () => {
+    const collector = new MetricsCollector();
+
+    class FailingStreamValidator extends Plugin {
+      async process(context) {
+        const failing = new Transform({
+          transform(chunk, encoding, callback) {
+            const error = new Error('Too large');
+            error.code = 'LIMIT_FILE_SIZE';
+            callback(error);
+          }
+        });
+        context.stream = context.stream.pipe(failing);
+        return context;
+      }
+    }
+
+    const manager = new PipelineManager({
+      validators: [new FailingStreamValidator()],
+      storage: new MockStorage({ name: 'storage' }),
+      metrics: collector
+    });
+
+    await assert.rejects(
+      manager.execute(createStream(Buffer.from('test')), { fieldName: 'file' }),
+      'Too large'
+    );
+
+    const errors = collector.getMetric('fluxupload_plugin_errors_total');
+    assert.equal(errors.get({ phase: 'validator', plugin: 'FailingStreamValidator', code: 'LIMIT_FILE_SIZE' }), 1);
+    assert.equal(errors.get({ phase: 'storage', plugin: 'storage', code: 'LIMIT_FILE_SIZE' }), 0);
+  });
+});
+
+runner.describe('PipelineManager - Tracing', () => {
+  class MemoryExporter {
+    constructor() {
+      this.spans = [];
+    }
+
+    async export(spans) {
+      this.spans.push(...spans);
+    }
+  }
+
+  runner.it('should record a file span with a child span per plugin', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const storage = new MockStorage({ name: 'storage' });
+    let pluginSpan = null;
+
+    class SpanReader extends Plugin {
+      async process(context) {
+        pluginSpan = context.span;
+        return context;
+      }
+    }
+
+    const manager = new PipelineManager({
+      validators: [new SpanReader()],
+      transformers: [new MockTransformer({ name: 'transformer' })],
+      storage,
+      tracer
+    });
+
+    await manager.execute(createStream(Buffer.from('Hello')), {
+      fieldName: 'avatar',
+      mimeType: 'text/plain'
+    }, { requestId: 'req-1' });
+    await tracer.flush();
+
+    const file = exporter.spans.find(span => span.name === 'fluxupload.file');
+    assert.ok(file);
+    assert.equal(file.attributes['fluxupload.request_id'], 'req-1');
+    assert.equal(file.attributes['fluxupload.file.field'], 'avatar');
+    assert.equal(file.attributes['fluxupload.file.size'], 5);
+    assert.equal(pluginSpan, file);
+
+    const names = exporter.spans.filter(span => span.parentSpanId === file.spanId).map(span => span.name);
+    assert.deepEqual(names, ['validator SpanReader', 'transformer transformer', 'storage storage']);
+  });
+
+  runner.it('should mark the file span failed and trace cleanup', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+    const parent = tracer.startSpan('fluxupload.request');
+
+    const manager = new PipelineManager({
+      validators: [new MockValidator({ name: 'validator' })],
+      storage: new MockStorage({ name: 'storage', shouldFail: true }),
+      tracer
+    });
+
+    await assert.rejects(
+      manager.execute(createStream(Buffer.from('test')), { fieldName: 'file' }, { span: parent }),
+      'Storage failed'
+    );
+    await tracer.flush();
+
+    const file = exporter.spans.find(span => span.name === 'fluxupload.file');
+    assert.equal(file.parentSpanId, parent.spanId);
+    assert.equal(file.status.code, SpanStatusCode.ERROR);
+    assert.equal(file.attributes['fluxupload.error.plugin'], 'storage');
+
+    const storageSpan = exporter.spans.find(span => span.name === 'storage storage');
+    assert.equal(storageSpan.status.code, SpanStatusCode.ERROR);
+
+    const cleanup = exporter.spans.filter(span => span.name.startsWith('cleanup '));
+    assert.deepEqual(cleanup.map(span => span.name), ['cleanup storage', 'cleanup validator']);
+    assert.ok(cleanup.every(span => span.parentSpanId === file.spanId));
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
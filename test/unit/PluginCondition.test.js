@@ -0,0 +1,135 @@
+/**
+ * PluginCondition Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const Plugin = require('../../src/core/Plugin');
+const { matchesCondition, assertCondition, globToRegExp } = require('../../src/core/PluginCondition');
+
+const runner = new TestRunner();
+
+function createContext(fileInfo = {}, metadata = {}, extra = {}) {
+  return {
+    fileInfo: { fieldName: 'file', filename: 'report.pdf', mimeType: 'application/pdf', ...fileInfo },
+    metadata,
+    ...extra
+  };
+}
+
+runner.describe('PluginCondition', () => {
+  runner.it('should match mimeType with wildcards', async () => {
+    const context = createContext({ mimeType: 'image/PNG' });
+
+    assert.equal(await matchesCondition({ mimeType: 'image/*' }, context), true);
+    assert.equal(await matchesCondition({ mimeType: 'image/png' }, context), true);
+    assert.equal(await matchesCondition({ mimeType: 'video/*' }, context), false);
+  });
+
+  runner.it('should match mimeType patterns case-insensitively', async () => {
+    const context = createContext({ mimeType: 'image/png' });
+
+    assert.equal(await matchesCondition({ mimeType: 'Image/*' }, context), true);
+    assert.equal(await matchesCondition({ mimeType: ['VIDEO/*', 'image/PNG'] }, context), true);
+    assert.equal(await matchesCondition({ filename: 'REPORT.pdf' }, context), false);
+  });
+
+  runner.it('should prefer the detected MIME type', async () => {
+    const context = createContext({ mimeType: 'image/png' }, { detectedMimeType: 'application/pdf' });
+
+    assert.equal(await matchesCondition({ mimeType: 'application/pdf' }, context), true);
+    assert.equal(await matchesCondition({ mimeType: 'image/*' }, context), false);
+  });
+
+  runner.it('should require every key of an object to match', async () => {
+    const context = createContext({ fieldName: 'avatar' });
+
+    assert.equal(await matchesCondition({ fieldName: 'avatar', filename: '*.pdf' }, context), true);
+    assert.equal(await matchesCondition({ fieldName: 'avatar', filename: '*.png' }, context), false);
+  });
+
+  runner.it('should match any condition of an array', async () => {
+    const context = createContext();
+
+    assert.equal(await matchesCondition([{ mimeType: 'image/*' }, { filename: /\.pdf$/ }], context), true);
+    assert.equal(await matchesCondition([{ mimeType: 'image/*' }, { fieldName: 'avatar' }], context), false);
+    assert.equal(await matchesCondition([], context), false);
+  });
+
+  runner.it('should match any value of an array', async () => {
+    const context = createContext();
+
+    assert.equal(await matchesCondition({ mimeType: ['image/*', 'application/pdf'] }, context), true);
+    assert.equal(await matchesCondition({ mimeType: ['image/*', 'video/*'] }, context), false);
+  });
+
+  runner.it('should resolve dotted paths into the context', async () => {
+    const context = createContext({}, { dimensions: { width: 2000, height: 1000 } }, { state: { plan: 'pro' } });
+
+    assert.equal(await matchesCondition({ 'metadata.dimensions.width': width => width > 1024 }, context), true);
+    assert.equal(await matchesCondition({ 'state.plan': 'pro' }, context), true);
+    assert.equal(await matchesCondition({ 'metadata.hash.value': 'abc' }, context), false);
+  });
+
+  runner.it('should compare other values strictly', async () => {
+    const context = createContext({}, { compressed: false, size: 0 });
+
+    assert.equal(await matchesCondition({ 'metadata.compressed': false }, context), true);
+    assert.equal(await matchesCondition({ 'metadata.size': 0 }, context), true);
+    assert.equal(await matchesCondition({ 'metadata.compressed': null }, context), false);
+  });
+
+  runner.it('should negate with not', async () => {
+    const context = createContext({ mimeType: 'image/png' });
+
+    assert.equal(await matchesCondition({ not: { mimeType: 'image/*' } }, context), false);
+    assert.equal(await matchesCondition({ not: { mimeType: 'video/*' } }, context), true);
+  });
+
+  runner.it('should call function conditions with the context', async () => {
+    const context = createContext();
+
+    assert.equal(await matchesCondition(ctx => ctx.fileInfo.filename === 'report.pdf', context), true);
+    assert.equal(await matchesCondition(async () => false, context), false);
+  });
+
+  runner.it('should reject invalid conditions', () => {
+    assert.throws(() => assertCondition('image/*'), 'must be a function, an object or an array');
+    assert.throws(() => assertCondition([{ not: 42 }]), 'must be a function, an object or an array');
+    assert.throws(() => new Plugin({ when: /image/ }), 'must be a function, an object or an array');
+  });
+
+  runner.it('should expose the condition on plugins', () => {
+    const when = { mimeType: 'image/*' };
+
+    assert.equal(new Plugin({ when }).when, when);
+    assert.equal(new Plugin().when, null);
+  });
+
+  runner.it('should accept conditions on validators with their own options', () => {
+    const RateLimiter = require('../../src/plugins/validators/RateLimiter');
+    const CsrfProtection = require('../../src/plugins/validators/CsrfProtection');
+    const when = { fieldName: 'avatar' };
+
+    const limiter = new RateLimiter({ maxRequests: 5, when });
+    assert.equal(limiter.when, when);
+    assert.equal(limiter.maxRequests, 5);
+    assert.equal(new CsrfProtection({ when }).when, when);
+
+    assert.throws(() => new RateLimiter({ when: 'avatar' }), 'must be a function, an object or an array');
+    assert.throws(() => new CsrfProtection({ when: 'avatar' }), 'must be a function, an object or an array');
+  });
+
+  runner.it('should compile glob patterns', () => {
+    assert.ok(globToRegExp('photo_*').test('photo_1'));
+    assert.ok(globToRegExp('files[*]').test('files[0]'));
+    assert.ok(!globToRegExp('a.b').test('axb'));
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -420,6 +420,67 @@ runner.describe('QuotaLimiter', () => {
     // Should track total but not reject
     assert.equal(limiter.totalBytesProcessed, 2500);
   });
+
+  runner.it('should reject a declared size over the limit without reading', async () => {
+    const limiter = new QuotaLimiter({ maxFileSize: 100 });
+    let read = false;
+    const stream = new Readable({
+      read() {
+        read = true;
+        this.push(null);
+      }
+    });
+
+    const context = { stream, fileInfo: { filename: 'big.bin', size: 101 }, metadata: {} };
+    const error = await limiter.process(context).then(() => null, err => err);
+
+    assert.ok(error, 'Should reject');
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(error.statusCode, 413);
+    assert.equal(read, false);
+  });
+
+  runner.it('should reject a declared size over the total limit', async () => {
+    const limiter = new QuotaLimiter({ maxFileSize: 1000, maxTotalSize: 1500 });
+    limiter.totalBytesProcessed = 1000;
+
+    const context = { stream: createStream(Buffer.alloc(0)), fileInfo: { size: 600 }, metadata: {} };
+
+    await assert.rejects(limiter.process(context), 'Total upload size exceeds limit');
+  });
+
+  runner.it('should still count bytes when the declared size is within the limit', async () => {
+    const limiter = new QuotaLimiter({ maxFileSize: 100 });
+
+    // Declared size is a hint - the stream is still limited
+    const context = { stream: createStream(Buffer.alloc(150)), fileInfo: { size: 10 }, metadata: {} };
+    await limiter.process(context);
+
+    await assert.rejects(streamToBuffer(context.stream), 'File size exceeds limit');
+  });
+
+  runner.it('should check Content-Length against maxTotalSize in checkRequestSize()', async () => {
+    const limiter = new QuotaLimiter({ maxFileSize: 100, maxTotalSize: 1000 });
+
+    // Request bodies may hold several files - maxFileSize does not apply
+    await limiter.checkRequestSize({ contentLength: 900, fileInfo: null });
+    await limiter.checkRequestSize({ contentLength: null, fileInfo: null });
+
+    const error = await limiter.checkRequestSize({ contentLength: 1001, fileInfo: null })
+      .then(() => null, err => err);
+    assert.equal(error.code, 'LIMIT_TOTAL_SIZE');
+    assert.equal(error.statusCode, 413);
+  });
+
+  runner.it('should check a raw upload\'s declared size in checkRequestSize()', async () => {
+    const limiter = new QuotaLimiter({ maxFileSize: 100 });
+
+    await limiter.checkRequestSize({ contentLength: 50, fileInfo: { size: 50 } });
+    await assert.rejects(
+      limiter.checkRequestSize({ contentLength: 101, fileInfo: { size: 101 } }),
+      'File size exceeds limit'
+    );
+  });
 });
 
 if (require.main === module) {
@@ -4,6 +4,7 @@
 
 const { TestRunner, assert } = require('../test-runner');
 const RateLimiter = require('../../src/plugins/validators/RateLimiter');
+const MemoryStore = require('../../src/stores/MemoryStore');
 
 const runner = new TestRunner();
 
@@ -682,6 +683,65 @@ runner.describe('RateLimiter', () => {
   });
 });
 
+runner.describe('RateLimiter - Shared Store', () => {
+  const request = ip => ({
+    request: { socket: { remoteAddress: ip }, headers: {} }
+  });
+
+  runner.it('should share limits between instances', async () => {
+    const store = new MemoryStore();
+    const workerA = new RateLimiter({ maxRequests: 3, windowMs: 60000, store });
+    const workerB = new RateLimiter({ maxRequests: 3, windowMs: 60000, store });
+
+    await workerA.process(request('10.0.0.1'));
+    await workerB.process(request('10.0.0.1'));
+    await workerA.process(request('10.0.0.1'));
+
+    await assert.rejects(workerB.process(request('10.0.0.1')), 'Rate limit exceeded');
+
+    // Other keys are unaffected
+    assert.ok(await workerB.process(request('10.0.0.2')));
+
+    const status = await workerA.getStatus('10.0.0.1');
+    assert.equal(status.remaining, 0);
+    assert.equal(workerA.getStats().store, 'MemoryStore');
+    assert.equal(workerA.buckets.size, 0);
+
+    await store.close();
+  });
+
+  runner.it('should not hand out more tokens than the limit under concurrency', async () => {
+    const store = new MemoryStore();
+    const limiters = [1, 2, 3].map(() => new RateLimiter({ maxRequests: 5, windowMs: 60000, store }));
+
+    const results = await Promise.allSettled(
+      Array.from({ length: 15 }, (_, i) => limiters[i % 3].process(request('10.0.0.1')))
+    );
+
+    assert.equal(results.filter(r => r.status === 'fulfilled').length, 5);
+    assert.equal(results.find(r => r.status === 'rejected').reason.code, 'RATE_LIMIT_EXCEEDED');
+
+    await store.close();
+  });
+
+  runner.it('should refund and reset through the store', async () => {
+    const store = new MemoryStore();
+    const limiter = new RateLimiter({ maxRequests: 1, windowMs: 60000, store, skipFailedRequests: true });
+
+    const context = await limiter.process(request('10.0.0.1'));
+    await limiter.cleanup(context, new Error('upload failed'));
+
+    // Refunded, so the next request passes
+    assert.ok(await limiter.process(request('10.0.0.1')));
+    await assert.rejects(limiter.process(request('10.0.0.1')), 'Rate limit exceeded');
+
+    await limiter.reset('10.0.0.1');
+    assert.ok(await limiter.process(request('10.0.0.1')));
+
+    await store.close();
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
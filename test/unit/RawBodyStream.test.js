@@ -0,0 +1,107 @@
+/**
+ * RawBodyStream Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const RawBodyStream = require('../../src/core/RawBodyStream');
+const crypto = require('crypto');
+
+const runner = new TestRunner();
+
+function digest(algorithm, data) {
+  return crypto.createHash(algorithm).update(data).digest('base64');
+}
+
+// Write chunks through a body stream and collect the output
+function run(body, chunks) {
+  return new Promise((resolve, reject) => {
+    const output = [];
+    body.on('data', chunk => output.push(chunk));
+    body.on('end', () => resolve(Buffer.concat(output)));
+    body.on('error', reject);
+
+    for (const chunk of chunks) {
+      body.write(Buffer.from(chunk));
+    }
+    body.end();
+  });
+}
+
+runner.describe('RawBodyStream', () => {
+  const data = 'raw upload body';
+
+  runner.it('should pass the body through unchanged', async () => {
+    const output = await run(new RawBodyStream(), ['raw ', 'upload ', 'body']);
+
+    assert.equal(output.toString(), data);
+  });
+
+  runner.it('should read Content-Length', () => {
+    assert.equal(RawBodyStream.getContentLength({ 'content-length': '42' }), 42);
+    assert.equal(RawBodyStream.getContentLength({ 'content-length': '-1' }), null);
+    assert.equal(RawBodyStream.getContentLength({}), null);
+  });
+
+  runner.it('should parse Content-MD5, Digest and Content-Digest headers', () => {
+    const digests = RawBodyStream.parseDigests({
+      'content-md5': digest('md5', data),
+      'digest': `SHA-256=${digest('sha256', data)}, unixsum=30637, sha=${digest('sha1', data)}`,
+      'content-digest': `sha-512=:${digest('sha512', data)}:`
+    });
+
+    assert.deepEqual(
+      digests.map(d => [d.header, d.algorithm]),
+      [['Content-MD5', 'md5'], ['Digest', 'sha256'], ['Digest', 'sha1'], ['Content-Digest', 'sha512']]
+    );
+  });
+
+  runner.it('should reject malformed checksum headers', () => {
+    assert.throws(() => RawBodyStream.parseDigests({ 'content-md5': 'not-a-digest' }), 'Invalid Content-MD5 header');
+    assert.throws(() => RawBodyStream.parseDigests({ 'digest': 'sha-256=AAAA' }), 'Invalid Digest header');
+  });
+
+  runner.it('should verify matching checksums', async () => {
+    const body = RawBodyStream.fromRequest({
+      headers: {
+        'content-md5': digest('md5', data),
+        'digest': `sha-256=${digest('sha256', data)}`
+      }
+    });
+
+    const output = await run(body, ['raw upload', ' body']);
+    assert.equal(output.toString(), data);
+  });
+
+  runner.it('should fail on checksum mismatch', async () => {
+    const body = RawBodyStream.fromRequest({
+      headers: { 'digest': `sha-256=${digest('sha256', 'something else')}` }
+    });
+
+    const error = await run(body, [data]).then(() => null, err => err);
+    assert.ok(error, 'Should fail');
+    assert.equal(error.code, 'DIGEST_MISMATCH');
+    assert.equal(error.statusCode, 400);
+  });
+
+  runner.it('should fail when the body is shorter than Content-Length', async () => {
+    const body = new RawBodyStream({ expectedLength: 100 });
+
+    await assert.rejects(run(body, [data]), 'Request body ended after 15 of 100 bytes');
+  });
+
+  runner.it('should enforce the size limit', async () => {
+    const body = new RawBodyStream({ maxBytes: 10 });
+
+    const error = await run(body, ['12345', '678901']).then(() => null, err => err);
+    assert.equal(error.code, 'LIMIT_FILE_SIZE');
+    assert.equal(error.statusCode, 413);
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -3,10 +3,124 @@
  */
 
 const { TestRunner, assert } = require('../test-runner');
+const http = require('http');
+const { Readable } = require('stream');
 const S3Storage = require('../../src/storage/S3Storage');
+const { createContext, createData } = require('../storage-helpers');
 
 const runner = new TestRunner();
 
+const MB = 1024 * 1024;
+
+/**
+ * Minimal in-memory S3 stand-in: PUT object, multipart create/part/complete/abort, DELETE
+ *
+ * options.failPart(partNumber, attempt) -> status code to return instead of 200
+ */
+function startFakeS3(options = {}) {
+  const state = {
+    objects: new Map(),
+    uploads: new Map(),
+    aborted: [],
+    requests: [],
+    partAttempts: new Map(),
+    activeParts: 0,
+    maxActiveParts: 0
+  };
+  let nextUploadId = 1;
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const key = decodeURIComponent(url.pathname.split('/').slice(2).join('/'));
+    const isPart = url.searchParams.has('partNumber');
+    const chunks = [];
+
+    state.requests.push({ method: req.method, path: req.url, headers: req.headers });
+
+    if (isPart) {
+      state.activeParts++;
+      state.maxActiveParts = Math.max(state.maxActiveParts, state.activeParts);
+    }
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      const uploadId = url.searchParams.get('uploadId');
+
+      // Delay part responses so parallel parts overlap
+      const delay = isPart ? 20 : 0;
+      setTimeout(() => {
+        if (isPart) state.activeParts--;
+
+        if (req.method === 'POST' && url.searchParams.has('uploads')) {
+          const id = `upload-${nextUploadId++}`;
+          state.uploads.set(id, { key, parts: new Map() });
+          res.end(`<InitiateMultipartUploadResult><UploadId>${id}</UploadId></InitiateMultipartUploadResult>`);
+        } else if (req.method === 'PUT' && isPart) {
+          const partNumber = parseInt(url.searchParams.get('partNumber'), 10);
+          const attempt = (state.partAttempts.get(partNumber) || 0) + 1;
+          state.partAttempts.set(partNumber, attempt);
+
+          const failStatus = options.failPart && options.failPart(partNumber, attempt);
+          if (failStatus) {
+            res.statusCode = failStatus;
+            return res.end('<Error><Code>InternalError</Code></Error>');
+          }
+
+          state.uploads.get(uploadId).parts.set(partNumber, body);
+          res.setHeader('ETag', `"etag-${partNumber}"`);
+          res.end();
+        } else if (req.method === 'POST' && uploadId) {
+          const upload = state.uploads.get(uploadId);
+          const numbers = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(m => parseInt(m[1], 10));
+          state.objects.set(key, Buffer.concat(numbers.map(n => upload.parts.get(n))));
+          state.uploads.delete(uploadId);
+          res.end('<CompleteMultipartUploadResult><ETag>&quot;final-etag&quot;</ETag></CompleteMultipartUploadResult>');
+        } else if (req.method === 'DELETE' && uploadId) {
+          state.uploads.delete(uploadId);
+          state.aborted.push(uploadId);
+          res.statusCode = 204;
+          res.end();
+        } else if (req.method === 'PUT') {
+          state.objects.set(key, body);
+          res.setHeader('ETag', '"single-etag"');
+          res.end();
+        } else if (req.method === 'DELETE') {
+          state.objects.delete(key);
+          res.statusCode = 204;
+          res.end();
+        } else {
+          res.statusCode = 400;
+          res.end();
+        }
+      }, delay);
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        state,
+        endpoint: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function createStorage(endpoint, config = {}) {
+  return new S3Storage({
+    bucket: 'test-bucket',
+    region: 'us-east-1',
+    accessKeyId: 'test',
+    secretAccessKey: 'test',
+    endpoint,
+    naming: 'original',
+    retryDelay: 1,
+    ...config
+  });
+}
+
 runner.describe('S3Storage', () => {
   runner.it('should require bucket config', () => {
     assert.throws(() => {
@@ -441,6 +555,183 @@ runner.describe('S3Storage', () => {
   });
 });
 
+runner.describe('S3Storage - Multipart Upload', () => {
+  runner.it('should reject partSize below the S3 minimum', () => {
+    assert.throws(() => {
+      createStorage('http://127.0.0.1:1', { partSize: 1024 });
+    }, 'partSize');
+  });
+
+  runner.it('should reject multipartThreshold above the in-memory maximum', () => {
+    assert.throws(() => {
+      createStorage('http://127.0.0.1:1', { multipartThreshold: 101 * 1024 * 1024 });
+    }, 'multipartThreshold');
+    assert.throws(() => {
+      createStorage('http://127.0.0.1:1', { multipartThreshold: '16MB' });
+    }, 'multipartThreshold');
+  });
+
+  runner.it('should use a single PUT below the threshold', async () => {
+    const s3 = await startFakeS3();
+    try {
+      const storage = createStorage(s3.endpoint);
+      const data = createData(256 * 1024);
+
+      const result = await storage.process(createContext(data, 'small.bin'));
+
+      assert.equal(result.storage.etag, 'single-etag');
+      assert.equal(result.storage.parts, undefined);
+      assert.ok(s3.state.objects.get('small.bin').equals(data));
+      assert.equal(s3.state.requests.length, 1);
+      assert.equal(s3.state.requests[0].headers['content-length'], String(data.length));
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should upload large streams in parts', async () => {
+    const s3 = await startFakeS3();
+    try {
+      const storage = createStorage(s3.endpoint, {
+        multipartThreshold: 5 * MB,
+        partSize: 5 * MB
+      });
+      const data = createData(12 * MB + 123);
+
+      const result = await storage.process(createContext(data, 'large.bin'));
+
+      assert.equal(result.storage.etag, 'final-etag');
+      assert.equal(result.storage.parts, 3);
+      assert.ok(s3.state.objects.get('large.bin').equals(data));
+      assert.equal(s3.state.uploads.size, 0);
+      assert.equal(storage.multipartUploads.size, 0);
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should bound parallel part uploads by queueSize', async () => {
+    const s3 = await startFakeS3();
+    try {
+      const storage = createStorage(s3.endpoint, {
+        multipartThreshold: 5 * MB,
+        partSize: 5 * MB,
+        queueSize: 2
+      });
+      const data = createData(26 * MB);
+
+      await storage.process(createContext(data, 'parallel.bin'));
+
+      assert.ok(s3.state.maxActiveParts > 1, 'parts should overlap');
+      assert.ok(s3.state.maxActiveParts <= 2, `at most 2 parts in flight, saw ${s3.state.maxActiveParts}`);
+      assert.ok(s3.state.objects.get('parallel.bin').equals(data));
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should retry failed parts', async () => {
+    const s3 = await startFakeS3({
+      failPart: (partNumber, attempt) => (partNumber === 2 && attempt < 3 ? 500 : 0)
+    });
+    try {
+      const storage = createStorage(s3.endpoint, {
+        multipartThreshold: 5 * MB,
+        partSize: 5 * MB
+      });
+      const data = createData(11 * MB);
+
+      await storage.process(createContext(data, 'retry.bin'));
+
+      assert.equal(s3.state.partAttempts.get(2), 3);
+      assert.ok(s3.state.objects.get('retry.bin').equals(data));
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should delete a stored object in cleanup', async () => {
+    const s3 = await startFakeS3();
+    try {
+      const storage = createStorage(s3.endpoint);
+      const context = createContext(createData(1024), 'mirrored.bin');
+
+      await storage.process(context);
+      assert.ok(s3.state.objects.has('mirrored.bin'));
+
+      // A required mirror failed after this copy completed
+      await storage.cleanup(context, new Error('Mirror failed'));
+      assert.equal(s3.state.objects.has('mirrored.bin'), false);
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should abort the multipart upload in cleanup after part failure', async () => {
+    const s3 = await startFakeS3({
+      failPart: (partNumber) => (partNumber === 2 ? 500 : 0)
+    });
+    try {
+      const storage = createStorage(s3.endpoint, {
+        multipartThreshold: 5 * MB,
+        partSize: 5 * MB,
+        maxRetries: 1
+      });
+      const context = createContext(createData(11 * MB), 'fail.bin');
+
+      let error = null;
+      try {
+        await storage.process(context);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error, 'upload should fail');
+      assert.equal(error.statusCode, 500);
+      assert.equal(s3.state.partAttempts.get(2), 2);
+
+      await storage.cleanup(context, error);
+
+      assert.deepEqual(s3.state.aborted, ['upload-1']);
+      assert.equal(s3.state.uploads.size, 0);
+      assert.equal(storage.multipartUploads.size, 0);
+      assert.equal(s3.state.objects.has('fail.bin'), false);
+    } finally {
+      await s3.close();
+    }
+  });
+
+  runner.it('should abort the multipart upload when the source stream fails', async () => {
+    const s3 = await startFakeS3();
+    try {
+      const storage = createStorage(s3.endpoint, {
+        multipartThreshold: 5 * MB,
+        partSize: 5 * MB
+      });
+
+      async function* source() {
+        const chunk = Buffer.alloc(1 * MB);
+        for (let i = 0; i < 7; i++) yield chunk;
+        throw new Error('client disconnected');
+      }
+
+      const context = {
+        stream: Readable.from(source()),
+        fileInfo: { filename: 'broken.bin', mimeType: 'application/octet-stream' },
+        metadata: {}
+      };
+
+      await assert.rejects(storage.process(context), 'client disconnected');
+      await storage.cleanup(context, new Error('client disconnected'));
+
+      assert.equal(s3.state.aborted.length, 1);
+      assert.equal(s3.state.uploads.size, 0);
+    } finally {
+      await s3.close();
+    }
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
@@ -4,6 +4,10 @@
 
 const { TestRunner, assert } = require('../test-runner');
 const SignedUrls = require('../../src/utils/SignedUrls');
+const MemoryStore = require('../../src/stores/MemoryStore');
+const FileStore = require('../../src/stores/FileStore');
+const fs = require('fs');
+const path = require('path');
 
 const runner = new TestRunner();
 
@@ -412,6 +416,66 @@ runner.describe('SignedUrls', () => {
   });
 });
 
+runner.describe('SignedUrls - Shared Store', () => {
+  const TEST_DIR = path.join(__dirname, '../tmp/signed-urls-store-test');
+
+  runner.it('should prevent replays across instances', async () => {
+    fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    const store = new FileStore({ directory: TEST_DIR });
+    await store.initialize();
+
+    const workerA = new SignedUrls({ secret: 'test-secret', store });
+    const workerB = new SignedUrls({ secret: 'test-secret', store });
+    try {
+      const url = workerA.sign('https://example.com/upload', { maxFiles: 1 });
+
+      const first = await workerB.validate(url);
+      assert.ok(first.valid);
+      assert.equal(first.constraints.maxFiles, 1);
+
+      const replay = await workerA.validate(url);
+      assert.equal(replay.valid, false);
+      assert.ok(replay.error.includes('replay attack'));
+
+      // Without replay protection the store is not consulted
+      assert.ok((await workerA.validate(url, { preventReplay: false })).valid);
+      assert.equal(workerA.cleanupInterval, null);
+    } finally {
+      workerA.shutdown();
+      workerB.shutdown();
+      await store.close();
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+  });
+
+  runner.it('should return invalid results as promises', async () => {
+    const store = new MemoryStore();
+    const signer = new SignedUrls({ secret: 'test-secret', store });
+
+    const result = signer.validate('https://example.com/upload?signature=abc');
+    assert.ok(result instanceof Promise);
+    assert.equal((await result).valid, false);
+
+    await store.close();
+  });
+
+  runner.it('should validate through the plugin with a store', async () => {
+    const store = new MemoryStore();
+    const signer = new SignedUrls({ secret: 'test-secret', store });
+    const validator = signer.createValidator();
+
+    const signed = new URL(signer.sign('http://localhost/upload'));
+    const context = {
+      request: { headers: { host: 'localhost' }, url: signed.pathname + signed.search }
+    };
+
+    assert.ok(await validator.process(context));
+    await assert.rejects(validator.process(context), 'replay attack');
+
+    await store.close();
+  });
+});
+
 if (require.main === module) {
   runner.run().then(success => {
     process.exit(success ? 0 : 1);
@@ -0,0 +1,216 @@
+/**
+ * StreamEncryptor Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const StreamEncryptor = require('../../src/plugins/transformers/StreamEncryptor');
+const LocalKeyProvider = require('../../src/utils/LocalKeyProvider');
+const { Readable } = require('stream');
+const crypto = require('crypto');
+
+const runner = new TestRunner();
+
+const MASTER_KEY = crypto.randomBytes(32);
+
+function createProvider() {
+  return new LocalKeyProvider({ keys: { k1: MASTER_KEY } });
+}
+
+function createReadableStream(data, chunkSize = 1000) {
+  const chunks = [];
+  for (let i = 0; i < data.length; i += chunkSize) {
+    chunks.push(data.subarray(i, i + chunkSize));
+  }
+  return Readable.from(chunks);
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+async function encrypt(encryptor, data) {
+  const context = {
+    stream: createReadableStream(data),
+    fileInfo: { filename: 'doc.pdf', mimeType: 'application/pdf' },
+    metadata: {}
+  };
+
+  const result = await encryptor.process(context);
+  const ciphertext = await streamToBuffer(result.stream);
+
+  return { ciphertext, encryption: result.metadata.encryption, metadata: result.metadata };
+}
+
+async function decrypt(encryptor, ciphertext, encryption) {
+  const decryptStream = await encryptor.createDecryptStream(encryption);
+  return streamToBuffer(createReadableStream(ciphertext, 777).pipe(decryptStream));
+}
+
+runner.describe('StreamEncryptor', () => {
+  runner.it('should require a key provider', () => {
+    assert.throws(() => {
+      new StreamEncryptor();
+    }, 'keyProvider');
+  });
+
+  runner.it('should reject invalid chunk size', () => {
+    assert.throws(() => {
+      new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 10 });
+    }, 'chunkSize');
+  });
+
+  runner.it('should write encryption metadata', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 1024 });
+    const { encryption, metadata } = await encrypt(encryptor, Buffer.from('secret'));
+
+    assert.equal(metadata.encrypted, true);
+    assert.equal(encryption.algorithm, 'aes-256-gcm');
+    assert.equal(encryption.keyId, 'k1');
+    assert.equal(Buffer.from(encryption.iv, 'base64').length, 12);
+    assert.equal(Buffer.from(encryption.encryptedKey, 'base64').length, 60);
+    assert.equal(encryption.chunkSize, 1024);
+    assert.equal(encryption.tagLength, 16);
+    assert.equal(encryption.plaintextSize, 6);
+
+    // Metadata must be JSON-serializable for persistence
+    assert.deepEqual(JSON.parse(JSON.stringify(encryption)), encryption);
+  });
+
+  runner.it('should round-trip data of various sizes', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 1024 });
+
+    for (const size of [0, 1, 1023, 1024, 1025, 4096, 10000]) {
+      const data = crypto.randomBytes(size);
+      const { ciphertext, encryption } = await encrypt(encryptor, data);
+
+      const frames = Math.max(1, Math.ceil(size / 1024));
+      assert.equal(ciphertext.length, size + frames * 16, `ciphertext length for ${size} bytes`);
+
+      const plaintext = await decrypt(encryptor, ciphertext, encryption);
+      assert.ok(plaintext.equals(data), `round trip for ${size} bytes`);
+    }
+  });
+
+  runner.it('should not leak plaintext', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider() });
+    const data = Buffer.from('confidential customer document '.repeat(100));
+    const { ciphertext } = await encrypt(encryptor, data);
+
+    assert.equal(ciphertext.includes(Buffer.from('confidential')), false);
+  });
+
+  runner.it('should use a fresh data key and IV per file', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider() });
+    const data = Buffer.from('same content');
+
+    const a = await encrypt(encryptor, data);
+    const b = await encrypt(encryptor, data);
+
+    assert.notEqual(a.encryption.encryptedKey, b.encryption.encryptedKey);
+    assert.notEqual(a.encryption.iv, b.encryption.iv);
+    assert.equal(a.ciphertext.equals(b.ciphertext), false);
+  });
+
+  runner.it('should detect modified ciphertext', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 1024 });
+    const { ciphertext, encryption } = await encrypt(encryptor, crypto.randomBytes(3000));
+
+    ciphertext[1500] ^= 0x01;
+
+    await assert.rejects(decrypt(encryptor, ciphertext, encryption), 'authentication');
+  });
+
+  runner.it('should detect truncation at a frame boundary', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 1024 });
+    const { ciphertext, encryption } = await encrypt(encryptor, crypto.randomBytes(3000));
+
+    // Drop the final frame - remaining frames are intact but not final
+    const truncated = ciphertext.subarray(0, 2 * (1024 + 16));
+
+    await assert.rejects(decrypt(encryptor, truncated, encryption), 'authentication');
+  });
+
+  runner.it('should detect reordered frames', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider(), chunkSize: 1024 });
+    const { ciphertext, encryption } = await encrypt(encryptor, crypto.randomBytes(3000));
+
+    const frameSize = 1024 + 16;
+    const reordered = Buffer.concat([
+      ciphertext.subarray(frameSize, 2 * frameSize),
+      ciphertext.subarray(0, frameSize),
+      ciphertext.subarray(2 * frameSize)
+    ]);
+
+    await assert.rejects(decrypt(encryptor, reordered, encryption), 'authentication');
+  });
+
+  runner.it('should bind additional authenticated data', async () => {
+    const encryptor = new StreamEncryptor({
+      keyProvider: createProvider(),
+      aad: (context) => context.fileInfo.filename
+    });
+    const data = Buffer.from('bound to filename');
+    const { ciphertext, encryption } = await encrypt(encryptor, data);
+
+    assert.equal(Buffer.from(encryption.aad, 'base64').toString(), 'doc.pdf');
+    assert.ok((await decrypt(encryptor, ciphertext, encryption)).equals(data));
+
+    const swapped = { ...encryption, aad: Buffer.from('other.pdf').toString('base64') };
+    await assert.rejects(decrypt(encryptor, ciphertext, swapped), 'authentication');
+  });
+
+  runner.it('should decrypt with the static helper and a rotated provider', async () => {
+    const oldProvider = createProvider();
+    const encryptor = new StreamEncryptor({ keyProvider: oldProvider });
+    const data = Buffer.from('written before rotation');
+    const { ciphertext, encryption } = await encrypt(encryptor, data);
+
+    const rotated = new LocalKeyProvider({
+      keys: { k1: MASTER_KEY, k2: crypto.randomBytes(32) },
+      currentKeyId: 'k2'
+    });
+
+    const decryptStream = await StreamEncryptor.createDecryptStream(encryption, rotated);
+    const plaintext = await streamToBuffer(createReadableStream(ciphertext).pipe(decryptStream));
+
+    assert.ok(plaintext.equals(data));
+  });
+
+  runner.it('should reject unsupported algorithm on decrypt', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider() });
+
+    await assert.rejects(
+      encryptor.createDecryptStream({ algorithm: 'aes-128-cbc' }),
+      'Unsupported encryption algorithm'
+    );
+  });
+
+  runner.it('should propagate source stream errors', async () => {
+    const encryptor = new StreamEncryptor({ keyProvider: createProvider() });
+    const source = new Readable({ read() {} });
+
+    const result = await encryptor.process({
+      stream: source,
+      fileInfo: { filename: 'a' },
+      metadata: {}
+    });
+
+    const done = streamToBuffer(result.stream);
+    source.destroy(new Error('client aborted'));
+
+    await assert.rejects(done, 'client aborted');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,312 @@
+/**
+ * Tracer Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const {
+  Tracer,
+  Span,
+  SpanKind,
+  SpanStatusCode,
+  parseTraceparent,
+  formatTraceparent
+} = require('../../src/observability/Tracer');
+const OtlpHttpExporter = require('../../src/observability/OtlpHttpExporter');
+const { getActiveSpan } = require('../../src/observability/TraceContext');
+const http = require('http');
+
+const runner = new TestRunner();
+
+// Exporter that keeps spans in memory
+class MemoryExporter {
+  constructor() {
+    this.batches = [];
+  }
+
+  async export(spans, info) {
+    this.batches.push({ spans, info });
+  }
+
+  get spans() {
+    return this.batches.flatMap(batch => batch.spans);
+  }
+}
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const SPAN_ID = 'b7ad6b7169203331';
+
+runner.describe('Tracer - traceparent', () => {
+  runner.it('should parse a valid traceparent', () => {
+    const context = parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01`);
+
+    assert.equal(context.traceId, TRACE_ID);
+    assert.equal(context.spanId, SPAN_ID);
+    assert.equal(context.traceFlags, 1);
+  });
+
+  runner.it('should reject invalid traceparent headers', () => {
+    assert.equal(parseTraceparent(undefined), null);
+    assert.equal(parseTraceparent('garbage'), null);
+    assert.equal(parseTraceparent(`ff-${TRACE_ID}-${SPAN_ID}-01`), null);
+    assert.equal(parseTraceparent(`00-${'0'.repeat(32)}-${SPAN_ID}-01`), null);
+    assert.equal(parseTraceparent(`00-${TRACE_ID}-${'0'.repeat(16)}-01`), null);
+    assert.equal(parseTraceparent(`00-${TRACE_ID}-${SPAN_ID}-01-extra`), null);
+  });
+
+  runner.it('should accept trailing data from future versions', () => {
+    const context = parseTraceparent(`01-${TRACE_ID}-${SPAN_ID}-00-extra`);
+    assert.equal(context.traceId, TRACE_ID);
+    assert.equal(context.traceFlags, 0);
+  });
+
+  runner.it('should format a traceparent', () => {
+    assert.equal(
+      formatTraceparent({ traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: 1 }),
+      `00-${TRACE_ID}-${SPAN_ID}-01`
+    );
+  });
+});
+
+runner.describe('Tracer', () => {
+  runner.it('should start a new trace without a parent', () => {
+    const tracer = new Tracer();
+    const span = tracer.startSpan('root');
+
+    assert.ok(span instanceof Span);
+    assert.ok(/^[0-9a-f]{32}$/.test(span.traceId));
+    assert.ok(/^[0-9a-f]{16}$/.test(span.spanId));
+    assert.equal(span.parentSpanId, null);
+    assert.equal(span.sampled, true);
+    assert.equal(span.kind, SpanKind.INTERNAL);
+  });
+
+  runner.it('should continue an extracted trace', () => {
+    const tracer = new Tracer();
+    const parent = tracer.extract({
+      traceparent: `00-${TRACE_ID}-${SPAN_ID}-01`,
+      tracestate: 'vendor=value'
+    });
+
+    const span = tracer.startSpan('request', { parent, kind: SpanKind.SERVER });
+
+    assert.equal(span.traceId, TRACE_ID);
+    assert.equal(span.parentSpanId, SPAN_ID);
+    assert.equal(span.traceState, 'vendor=value');
+  });
+
+  runner.it('should follow the parent sampling decision', () => {
+    const tracer = new Tracer({ sampleRate: 1 });
+    const parent = tracer.extract({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-00` });
+
+    assert.equal(tracer.startSpan('child', { parent }).sampled, false);
+  });
+
+  runner.it('should not sample new traces with sampleRate 0', () => {
+    const tracer = new Tracer({ sampleRate: 0 });
+    assert.equal(tracer.startSpan('root').sampled, false);
+  });
+
+  runner.it('should reject invalid sample rates', () => {
+    assert.throws(() => new Tracer({ sampleRate: 2 }), 'sampleRate');
+  });
+
+  runner.it('should inject the span context', () => {
+    const tracer = new Tracer();
+    const span = tracer.startSpan('client');
+
+    const headers = tracer.inject(span, {});
+    assert.equal(headers.traceparent, `00-${span.traceId}-${span.spanId}-01`);
+  });
+
+  runner.it('should make spans active in withSpan() and trace()', async () => {
+    const tracer = new Tracer();
+    const parent = tracer.startSpan('parent');
+
+    await tracer.withSpan(parent, async () => {
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(getActiveSpan(), parent);
+
+      await tracer.trace('child', {}, async (child) => {
+        assert.equal(tracer.getActiveSpan(), child);
+        assert.equal(child.parentSpanId, parent.spanId);
+      });
+
+      assert.equal(getActiveSpan(), parent);
+    });
+
+    assert.equal(getActiveSpan(), null);
+  });
+
+  runner.it('should mark a span failed when trace() throws', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter });
+
+    const error = new Error('boom');
+    error.code = 'E_BOOM';
+
+    await assert.rejects(tracer.trace('failing', {}, async () => { throw error; }), 'boom');
+    await tracer.flush();
+
+    const [span] = exporter.spans;
+    assert.equal(span.status.code, SpanStatusCode.ERROR);
+    assert.equal(span.status.message, 'boom');
+    assert.equal(span.events[0].name, 'exception');
+    assert.equal(span.events[0].attributes['exception.code'], 'E_BOOM');
+    assert.ok(span.ended);
+  });
+
+  runner.it('should export sampled spans in batches', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter, maxBatchSize: 2, serviceName: 'uploads' });
+
+    for (let i = 0; i < 5; i++) {
+      tracer.startSpan(`span ${i}`).end();
+    }
+    await tracer.flush();
+
+    assert.equal(exporter.spans.length, 5);
+    assert.ok(exporter.batches.every(batch => batch.spans.length <= 2));
+    assert.equal(exporter.batches[0].info.resource['service.name'], 'uploads');
+  });
+
+  runner.it('should not export unsampled spans or end twice', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter, sampleRate: 0 });
+
+    tracer.startSpan('dropped').end();
+
+    const sampled = new Tracer({ exporter }).startSpan('kept');
+    sampled.end();
+    sampled.end();
+    await sampled.tracer.flush();
+
+    assert.equal(exporter.spans.length, 1);
+    assert.equal(exporter.spans[0].name, 'kept');
+  });
+
+  runner.it('should drop spans beyond maxQueueSize', async () => {
+    const exporter = new MemoryExporter();
+    const tracer = new Tracer({ exporter, maxQueueSize: 2, maxBatchSize: 10 });
+
+    for (let i = 0; i < 4; i++) {
+      tracer.startSpan('span').end();
+    }
+
+    assert.equal(tracer.getStats().droppedSpans, 2);
+    await tracer.shutdown();
+    assert.equal(exporter.spans.length, 2);
+  });
+
+  runner.it('should keep running when the exporter fails', async () => {
+    const tracer = new Tracer({
+      exporter: { export: async () => { throw new Error('collector down'); } }
+    });
+
+    tracer.startSpan('span').end();
+    await tracer.flush();
+
+    assert.equal(tracer.getStats().queuedSpans, 0);
+  });
+});
+
+runner.describe('OtlpHttpExporter', () => {
+  runner.it('should encode spans as OTLP JSON', () => {
+    const tracer = new Tracer();
+    const parent = tracer.extract({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` });
+    const span = tracer.startSpan('storage S3Storage', {
+      parent,
+      attributes: { 'fluxupload.file.size': 42, ratio: 1.5, ok: true, name: 'x' }
+    });
+    span.addEvent('retry', { attempt: 1 });
+    span.end();
+
+    const exporter = new OtlpHttpExporter();
+    const body = exporter.encode([span], { 'service.name': 'uploads' });
+
+    const resource = body.resourceSpans[0].resource;
+    assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'uploads' } }]);
+
+    const encoded = body.resourceSpans[0].scopeSpans[0].spans[0];
+    assert.equal(encoded.traceId, TRACE_ID);
+    assert.equal(encoded.parentSpanId, SPAN_ID);
+    assert.equal(encoded.kind, SpanKind.INTERNAL);
+    assert.ok(/^\d+$/.test(encoded.startTimeUnixNano));
+    assert.ok(BigInt(encoded.endTimeUnixNano) >= BigInt(encoded.startTimeUnixNano));
+    assert.deepEqual(encoded.attributes, [
+      { key: 'fluxupload.file.size', value: { intValue: '42' } },
+      { key: 'ratio', value: { doubleValue: 1.5 } },
+      { key: 'ok', value: { boolValue: true } },
+      { key: 'name', value: { stringValue: 'x' } }
+    ]);
+    assert.equal(encoded.events[0].name, 'retry');
+    assert.deepEqual(encoded.status, { code: SpanStatusCode.UNSET });
+  });
+
+  runner.it('should POST spans to the collector', async () => {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+      const chunks = [];
+      req.on('data', chunk => chunks.push(chunk));
+      req.on('end', () => {
+        requests.push({ req, body: JSON.parse(Buffer.concat(chunks).toString()) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const exporter = new OtlpHttpExporter({
+        endpoint: `http://127.0.0.1:${server.address().port}/v1/traces`,
+        headers: { 'x-api-key': 'secret' }
+      });
+      const tracer = new Tracer({ exporter, serviceName: 'uploads' });
+
+      tracer.startSpan('fluxupload.request').end();
+      await tracer.shutdown();
+
+      assert.equal(requests.length, 1);
+      assert.equal(requests[0].req.url, '/v1/traces');
+      assert.equal(requests[0].req.headers['content-type'], 'application/json');
+      assert.equal(requests[0].req.headers['x-api-key'], 'secret');
+      assert.equal(requests[0].body.resourceSpans[0].scopeSpans[0].spans[0].name, 'fluxupload.request');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  runner.it('should reject when the collector returns an error', async () => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => {
+        res.writeHead(400);
+        res.end('bad request');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const exporter = new OtlpHttpExporter({
+        endpoint: `http://127.0.0.1:${server.address().port}/v1/traces`
+      });
+      const span = new Tracer().startSpan('x');
+      span.end();
+
+      await assert.rejects(exporter.export([span], {}), 'OTLP export failed: 400');
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  runner.it('should reject unsupported endpoints', () => {
+    assert.throws(() => new OtlpHttpExporter({ endpoint: 'grpc://collector:4317' }), 'Unsupported OTLP endpoint');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,94 @@
+/**
+ * TransferDecoder Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const {
+  Base64Decoder,
+  QuotedPrintableDecoder,
+  createDecoder,
+  decode,
+  isSupportedEncoding
+} = require('../../src/utils/TransferDecoder');
+
+const runner = new TestRunner();
+
+// Write input through a decoder in chunks of chunkSize bytes
+function pipeThrough(decoder, input, chunkSize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    decoder.on('data', chunk => chunks.push(chunk));
+    decoder.on('end', () => resolve(Buffer.concat(chunks)));
+    decoder.on('error', reject);
+
+    for (let i = 0; i < input.length; i += chunkSize) {
+      decoder.write(input.slice(i, i + chunkSize));
+    }
+    decoder.end();
+  });
+}
+
+runner.describe('TransferDecoder', () => {
+  const binary = Buffer.from(Array.from({ length: 300 }, (_, i) => (i * 7) % 256));
+
+  runner.it('should decode base64 across chunk boundaries', async () => {
+    const encoded = Buffer.from(binary.toString('base64').match(/.{1,76}/g).join('\r\n'));
+
+    for (const chunkSize of [1, 3, 10, 1000]) {
+      const output = await pipeThrough(new Base64Decoder(), encoded, chunkSize);
+      assert.ok(output.equals(binary), `chunk size ${chunkSize}`);
+    }
+  });
+
+  runner.it('should decode unpadded base64', () => {
+    assert.equal(decode(Buffer.from('SGk'), 'base64').toString(), 'Hi');
+  });
+
+  runner.it('should decode quoted-printable escapes and soft line breaks', () => {
+    const input = Buffer.from('na=C3=AFve =\r\nt=65xt\r\nnext line');
+
+    assert.equal(decode(input, 'quoted-printable').toString('utf8'), 'naïve text\r\nnext line');
+  });
+
+  runner.it('should remove quoted-printable transport padding', () => {
+    const input = Buffer.from('trailing \t \r\nkept  spaces');
+
+    assert.equal(decode(input, 'quoted-printable').toString(), 'trailing\r\nkept  spaces');
+  });
+
+  runner.it('should keep malformed quoted-printable escapes', () => {
+    assert.equal(decode(Buffer.from('100=ZZ = 1'), 'quoted-printable').toString(), '100=ZZ = 1');
+  });
+
+  runner.it('should decode quoted-printable across chunk boundaries', async () => {
+    const input = Buffer.from('caf=C3=A9 =\r\nlatte \r\n=E2=82=AC5');
+
+    for (const chunkSize of [1, 2, 4, 100]) {
+      const output = await pipeThrough(new QuotedPrintableDecoder(), input, chunkSize);
+      assert.equal(output.toString('utf8'), 'café latte\r\n€5', `chunk size ${chunkSize}`);
+    }
+  });
+
+  runner.it('should pass identity encodings through', async () => {
+    for (const encoding of ['7bit', '8bit', 'binary', 'BINARY']) {
+      const output = await pipeThrough(createDecoder(encoding), binary, 64);
+      assert.ok(output.equals(binary));
+      assert.ok(decode(binary, encoding).equals(binary));
+    }
+  });
+
+  runner.it('should reject unsupported encodings', () => {
+    assert.equal(isSupportedEncoding('x-uuencode'), false);
+    assert.ok(isSupportedEncoding('Quoted-Printable'));
+    assert.throws(() => createDecoder('x-uuencode'), 'Unsupported Content-Transfer-Encoding');
+    assert.throws(() => decode(Buffer.alloc(0), 'x-uuencode'), 'Unsupported Content-Transfer-Encoding');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,461 @@
+/**
+ * TusHandler Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const TusHandler = require('../../src/tus/TusHandler');
+const TusUploadStore = require('../../src/tus/TusUploadStore');
+const LocalStorage = require('../../src/storage/LocalStorage');
+const StreamHasher = require('../../src/plugins/transformers/StreamHasher');
+const Plugin = require('../../src/core/Plugin');
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const runner = new TestRunner();
+
+const TEST_DIR = path.join(__dirname, '../tmp/tus-test');
+const STATE_DIR = path.join(TEST_DIR, 'state');
+const UPLOAD_DIR = path.join(TEST_DIR, 'uploads');
+
+if (fs.existsSync(TEST_DIR)) {
+  fs.rmSync(TEST_DIR, { recursive: true });
+}
+
+// Start an HTTP server around a handler, returns { port, close }
+function startServer(tus) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => tus.handle(req, res));
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        port: server.address().port,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+// Send a request, resolves { status, headers, body }
+function request(port, method, urlPath, headers = {}, body = null) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      hostname: '127.0.0.1',
+      port,
+      method,
+      path: urlPath,
+      headers: { 'Tus-Resumable': '1.0.0', ...headers }
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString()
+      }));
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+function patch(port, location, offset, data) {
+  return request(port, 'PATCH', location, {
+    'Content-Type': 'application/offset+octet-stream',
+    'Upload-Offset': String(offset),
+    'Content-Length': String(data.length)
+  }, data);
+}
+
+function createHandler(options = {}) {
+  return new TusHandler({
+    directory: STATE_DIR,
+    storage: new LocalStorage({ destination: UPLOAD_DIR, naming: 'original' }),
+    ...options
+  });
+}
+
+runner.describe('TusHandler', () => {
+  runner.it('should require storage plugin', () => {
+    assert.throws(() => {
+      new TusHandler({ directory: STATE_DIR });
+    }, 'Storage plugin is required');
+  });
+
+  runner.it('should require directory', () => {
+    assert.throws(() => {
+      new TusHandler({ storage: new Plugin() });
+    }, 'directory is required');
+  });
+
+  runner.it('should parse and format Upload-Metadata', () => {
+    const header = `filename ${Buffer.from('report.pdf').toString('base64')},is_confidential`;
+    const metadata = TusHandler.parseMetadata(header);
+
+    assert.equal(metadata.filename, 'report.pdf');
+    assert.equal(metadata.is_confidential, '');
+    assert.deepEqual(TusHandler.parseMetadata(TusHandler.formatMetadata(metadata)), metadata);
+  });
+
+  runner.it('should advertise capabilities on OPTIONS', async () => {
+    const tus = createHandler({ maxSize: 1024 });
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const res = await request(server.port, 'OPTIONS', '/files', { 'Tus-Resumable': '' });
+      assert.equal(res.status, 204);
+      assert.equal(res.headers['tus-version'], '1.0.0');
+      assert.ok(res.headers['tus-extension'].includes('creation'));
+      assert.ok(res.headers['tus-extension'].includes('termination'));
+      assert.ok(res.headers['tus-extension'].includes('expiration'));
+      assert.equal(res.headers['tus-max-size'], '1024');
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should reject unsupported protocol versions', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const res = await request(server.port, 'POST', '/files', {
+        'Tus-Resumable': '0.2.2',
+        'Upload-Length': '10'
+      });
+      assert.equal(res.status, 412);
+      assert.equal(res.headers['tus-version'], '1.0.0');
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should create, resume and complete an upload', async () => {
+    let finished = null;
+    const tus = createHandler({
+      transformers: [new StreamHasher({ algorithm: 'sha256' })],
+      onUploadFinish: (upload, result) => { finished = { upload, result }; }
+    });
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    const data = crypto.randomBytes(1000);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', {
+        'Upload-Length': String(data.length),
+        'Upload-Metadata': `filename ${Buffer.from('video.bin').toString('base64')}`
+      });
+      assert.equal(created.status, 201);
+      assert.ok(created.headers['upload-expires']);
+      const location = created.headers.location;
+      assert.match(location, /^\/files\/[a-f0-9]{32}$/);
+
+      const first = await patch(server.port, location, 0, data.slice(0, 400));
+      assert.equal(first.status, 204);
+      assert.equal(first.headers['upload-offset'], '400');
+
+      const head = await request(server.port, 'HEAD', location);
+      assert.equal(head.status, 200);
+      assert.equal(head.headers['upload-offset'], '400');
+      assert.equal(head.headers['upload-length'], '1000');
+      assert.equal(head.headers['cache-control'], 'no-store');
+
+      const second = await patch(server.port, location, 400, data.slice(400));
+      assert.equal(second.status, 204);
+      assert.equal(second.headers['upload-offset'], '1000');
+
+      const stored = fs.readFileSync(path.join(UPLOAD_DIR, 'video.bin'));
+      assert.ok(stored.equals(data));
+
+      assert.ok(finished);
+      assert.equal(finished.result.metadata.hash, crypto.createHash('sha256').update(data).digest('hex'));
+      assert.equal(finished.upload.completed, true);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should reject offset mismatches with 409', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '10' });
+      const res = await patch(server.port, created.headers.location, 5, Buffer.from('12345'));
+      assert.equal(res.status, 409);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should reject PATCH without offset content type', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '10' });
+      const res = await request(server.port, 'PATCH', created.headers.location, {
+        'Content-Type': 'application/octet-stream',
+        'Upload-Offset': '0'
+      }, Buffer.from('12345'));
+      assert.equal(res.status, 415);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should reject chunks beyond Upload-Length', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '4' });
+      const res = await patch(server.port, created.headers.location, 0, Buffer.from('too long'));
+      assert.equal(res.status, 413);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should enforce maxSize on creation', async () => {
+    const tus = createHandler({ maxSize: 100 });
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const res = await request(server.port, 'POST', '/files', { 'Upload-Length': '101' });
+      assert.equal(res.status, 413);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should support creation-with-upload', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const res = await request(server.port, 'POST', '/files', {
+        'Upload-Length': '11',
+        'Upload-Metadata': `filename ${Buffer.from('inline.txt').toString('base64')}`,
+        'Content-Type': 'application/offset+octet-stream'
+      }, Buffer.from('hello world'));
+
+      assert.equal(res.status, 201);
+      assert.equal(res.headers['upload-offset'], '11');
+      assert.equal(fs.readFileSync(path.join(UPLOAD_DIR, 'inline.txt'), 'utf8'), 'hello world');
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should support deferred length', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', {
+        'Upload-Defer-Length': '1',
+        'Upload-Metadata': `filename ${Buffer.from('deferred.txt').toString('base64')}`
+      });
+      assert.equal(created.status, 201);
+
+      const head = await request(server.port, 'HEAD', created.headers.location);
+      assert.equal(head.headers['upload-defer-length'], '1');
+
+      await patch(server.port, created.headers.location, 0, Buffer.from('abc'));
+      const res = await request(server.port, 'PATCH', created.headers.location, {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': '3',
+        'Upload-Length': '6'
+      }, Buffer.from('def'));
+
+      assert.equal(res.status, 204);
+      assert.equal(fs.readFileSync(path.join(UPLOAD_DIR, 'deferred.txt'), 'utf8'), 'abcdef');
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should terminate uploads with DELETE', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '10' });
+      const deleted = await request(server.port, 'DELETE', created.headers.location);
+      assert.equal(deleted.status, 204);
+
+      const head = await request(server.port, 'HEAD', created.headers.location);
+      assert.equal(head.status, 404);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should discard uploads that fail validation', async () => {
+    class RejectAll extends Plugin {
+      async process() {
+        throw new Error('Rejected by validator');
+      }
+    }
+
+    const errors = [];
+    const tus = createHandler({
+      validators: [new RejectAll()],
+      onError: (error) => errors.push(error)
+    });
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '3' });
+      const res = await patch(server.port, created.headers.location, 0, Buffer.from('abc'));
+      assert.equal(res.status, 500);
+      assert.equal(errors[0].message, 'Rejected by validator');
+
+      const head = await request(server.port, 'HEAD', created.headers.location);
+      assert.equal(head.status, 404);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should expire unfinished uploads', async () => {
+    const tus = createHandler({ expiration: 20, cleanupInterval: 0 });
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const created = await request(server.port, 'POST', '/files', { 'Upload-Length': '10' });
+      await new Promise(resolve => setTimeout(resolve, 30));
+
+      const head = await request(server.port, 'HEAD', created.headers.location);
+      assert.equal(head.status, 410);
+
+      const other = await request(server.port, 'POST', '/files', { 'Upload-Length': '10' });
+      await new Promise(resolve => setTimeout(resolve, 30));
+      const removed = await tus.cleanupExpired();
+      assert.equal(removed, 1);
+      assert.equal(await tus.store.get(other.headers.location.split('/').pop()), null);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should resume after a restart', async () => {
+    const data = Buffer.from('persisted across restarts');
+    let tus = createHandler();
+    await tus.initialize();
+    let server = await startServer(tus);
+
+    let location;
+    try {
+      const created = await request(server.port, 'POST', '/files', {
+        'Upload-Length': String(data.length),
+        'Upload-Metadata': `filename ${Buffer.from('restart.txt').toString('base64')}`
+      });
+      location = created.headers.location;
+      await patch(server.port, location, 0, data.slice(0, 10));
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+
+    // New handler instance over the same state directory
+    tus = createHandler();
+    await tus.initialize();
+    server = await startServer(tus);
+
+    try {
+      const head = await request(server.port, 'HEAD', location);
+      assert.equal(head.headers['upload-offset'], '10');
+
+      const res = await patch(server.port, location, 10, data.slice(10));
+      assert.equal(res.status, 204);
+      assert.equal(fs.readFileSync(path.join(UPLOAD_DIR, 'restart.txt'), 'utf8'), data.toString());
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+
+  runner.it('should return 404 for unknown or malformed upload IDs', async () => {
+    const tus = createHandler();
+    await tus.initialize();
+    const server = await startServer(tus);
+
+    try {
+      const unknown = await request(server.port, 'HEAD', `/files/${'a'.repeat(32)}`);
+      assert.equal(unknown.status, 404);
+
+      const malformed = await request(server.port, 'HEAD', '/files/..%2F..%2Fetc');
+      assert.equal(malformed.status, 404);
+    } finally {
+      await server.close();
+      await tus.shutdown();
+    }
+  });
+});
+
+runner.describe('TusUploadStore', () => {
+  runner.it('should keep bytes written before a stream error', async () => {
+    const store = new TusUploadStore({ directory: path.join(TEST_DIR, 'store') });
+    await store.initialize();
+
+    const upload = await store.create({ id: store.generateId(), size: 10, metadata: {} });
+    const { Readable } = require('stream');
+    let sent = false;
+    const failing = new Readable({
+      read() {
+        if (!sent) {
+          sent = true;
+          this.push(Buffer.from('abcd'));
+        } else {
+          setTimeout(() => this.destroy(new Error('connection reset')), 10);
+        }
+      }
+    });
+
+    await assert.rejects(store.append(upload.id, failing), 'connection reset');
+    assert.equal((await store.get(upload.id)).offset, 4);
+  });
+
+  runner.it('should reject invalid IDs', async () => {
+    const store = new TusUploadStore({ directory: path.join(TEST_DIR, 'store') });
+    assert.equal(await store.get('../../etc/passwd'), null);
+    assert.throws(() => store.createReadStream('../secret'), 'Invalid upload ID');
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    if (fs.existsSync(TEST_DIR)) {
+      fs.rmSync(TEST_DIR, { recursive: true, force: true });
+    }
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
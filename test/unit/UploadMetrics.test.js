@@ -0,0 +1,98 @@
+/**
+ * UploadMetrics Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const UploadMetrics = require('../../src/observability/UploadMetrics');
+const { MetricsCollector, getCollector } = require('../../src/observability/MetricsCollector');
+const { Readable } = require('stream');
+
+const runner = new TestRunner();
+
+runner.describe('UploadMetrics', () => {
+  runner.it('should be disabled without config', () => {
+    assert.equal(UploadMetrics.from(undefined), null);
+    assert.equal(UploadMetrics.from(false), null);
+  });
+
+  runner.it('should use the shared collector for true', () => {
+    const metrics = UploadMetrics.from(true);
+    assert.equal(metrics.collector, getCollector());
+  });
+
+  runner.it('should accept a collector or options', () => {
+    const collector = new MetricsCollector();
+
+    assert.equal(UploadMetrics.from(collector).collector, collector);
+
+    const metrics = UploadMetrics.from({ collector, maxFieldLabels: 5 });
+    assert.equal(metrics.collector, collector);
+    assert.equal(metrics.maxFieldLabels, 5);
+
+    assert.equal(UploadMetrics.from(metrics), metrics);
+  });
+
+  runner.it('should bound field name labels', () => {
+    const metrics = new UploadMetrics({ collector: new MetricsCollector(), maxFieldLabels: 2 });
+
+    assert.equal(metrics.fieldLabel('a'), 'a');
+    assert.equal(metrics.fieldLabel('b'), 'b');
+    assert.equal(metrics.fieldLabel('c'), '_other');
+    assert.equal(metrics.fieldLabel('a'), 'a');
+    assert.equal(metrics.fieldLabel(undefined), '');
+  });
+
+  runner.it('should record parsed fields and files by field', () => {
+    const collector = new MetricsCollector();
+    const metrics = new UploadMetrics({ collector });
+
+    metrics.fieldParsed('title');
+    metrics.fieldParsed('title');
+    metrics.fileParsed({ fieldName: 'avatar' });
+
+    assert.equal(collector.getMetric('fluxupload_parser_fields_total').get({ field: 'title' }), 2);
+    assert.equal(collector.getMetric('fluxupload_parser_files_total').get({ field: 'avatar' }), 1);
+  });
+
+  runner.it('should track an upload from start to success', async () => {
+    const collector = new MetricsCollector();
+    const metrics = new UploadMetrics({ collector });
+    const labels = { storage: 'LocalStorage', field: 'file' };
+
+    const upload = metrics.startUpload({ fieldName: 'file' }, { name: 'LocalStorage' });
+    assert.deepEqual(upload.labels, labels);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get(labels), 1);
+
+    const counter = Readable.from([Buffer.alloc(10), Buffer.alloc(5)]).pipe(metrics.countBytes(upload));
+    counter.resume();
+    await new Promise(resolve => counter.on('end', resolve));
+
+    metrics.uploadSucceeded(upload);
+
+    assert.equal(upload.bytes, 15);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get(labels), 0);
+    assert.equal(collector.getMetric('fluxupload_uploads_bytes_total').get(labels), 15);
+  });
+
+  runner.it('should label failures by error code', () => {
+    const collector = new MetricsCollector();
+    const metrics = new UploadMetrics({ collector });
+
+    const upload = metrics.startUpload({ fieldName: 'file' }, { name: 'S3Storage' });
+    const error = new Error('Too large');
+    error.code = 'LIMIT_FILE_SIZE';
+    metrics.uploadFailed(upload, error);
+
+    const failed = collector.getMetric('fluxupload_uploads_failed_total');
+    assert.equal(failed.get({ storage: 'S3Storage', field: 'file', code: 'LIMIT_FILE_SIZE' }), 1);
+    assert.equal(collector.getMetric('fluxupload_uploads_active').get(upload.labels), 0);
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,139 @@
+/**
+ * UploadSession Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const UploadSession = require('../../src/core/UploadSession');
+
+const runner = new TestRunner();
+
+runner.describe('UploadSession', () => {
+  runner.it('should start with empty results', () => {
+    const session = new UploadSession();
+
+    assert.deepEqual(session.fields, {});
+    assert.deepEqual(session.files, []);
+    assert.deepEqual(session.errors, []);
+    assert.equal(session.finished, false);
+  });
+
+  runner.it('should generate unique IDs', () => {
+    const a = new UploadSession();
+    const b = new UploadSession();
+
+    assert.ok(a.id);
+    assert.notEqual(a.id, b.id);
+  });
+
+  runner.it('should accept request and ID', () => {
+    const request = { headers: {} };
+    const session = new UploadSession({ request, id: 'req-1' });
+
+    assert.equal(session.id, 'req-1');
+    assert.equal(session.request, request);
+  });
+
+  runner.it('should collect repeated fields into arrays', () => {
+    const session = new UploadSession();
+
+    session.addField('tag', 'a');
+    session.addField('tag', 'b');
+    session.addField('tag', 'c');
+    session.addField('name', 'x');
+
+    assert.deepEqual(session.fields.tag, ['a', 'b', 'c']);
+    assert.equal(session.fields.name, 'x');
+  });
+
+  runner.it('should keep empty field values', () => {
+    const session = new UploadSession();
+
+    session.addField('empty', '');
+    session.addField('empty', 'second');
+
+    assert.deepEqual(session.fields.empty, ['', 'second']);
+  });
+
+  runner.it('should record each error once', () => {
+    const session = new UploadSession();
+    const error = new Error('boom');
+
+    assert.equal(session.addError(error), true);
+    assert.equal(session.addError(error), false);
+    assert.equal(session.errors.length, 1);
+  });
+
+  runner.it('should wait for handlers tracked while waiting', async () => {
+    const session = new UploadSession();
+    const order = [];
+
+    session.track(new Promise(resolve => setTimeout(() => {
+      order.push('first');
+      session.track(new Promise(r => setTimeout(() => {
+        order.push('second');
+        r();
+      }, 5)));
+      resolve();
+    }, 5)));
+
+    await session.waitForFiles();
+
+    assert.deepEqual(order, ['first', 'second']);
+  });
+
+  runner.it('should not reject when a handler fails', async () => {
+    const session = new UploadSession();
+    session.track(Promise.reject(new Error('failed')));
+
+    await session.waitForFiles();
+  });
+
+  runner.it('should fire timeout', async () => {
+    const session = new UploadSession();
+    let fired = false;
+
+    session.startTimeout(5, () => { fired = true; });
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(fired, true);
+  });
+
+  runner.it('should clear timeout on finish', async () => {
+    const session = new UploadSession();
+    let fired = false;
+
+    session.startTimeout(5, () => { fired = true; });
+    session.finish();
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(fired, false);
+    assert.equal(session.finished, true);
+    assert.equal(session.timeoutId, null);
+  });
+
+  runner.it('should not start timeout when disabled', () => {
+    const session = new UploadSession();
+    session.startTimeout(0, () => {});
+
+    assert.equal(session.timeoutId, null);
+  });
+
+  runner.it('should build result from fields and files', () => {
+    const session = new UploadSession();
+    session.addField('name', 'john');
+    session.addFile({ filename: 'a.txt' });
+
+    assert.deepEqual(session.toResult(), {
+      fields: { name: 'john' },
+      files: [{ filename: 'a.txt' }]
+    });
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
@@ -0,0 +1,97 @@
+/**
+ * UrlencodedParser Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const UrlencodedParser = require('../../src/core/UrlencodedParser');
+
+const runner = new TestRunner();
+
+// Write a body in chunks of chunkSize bytes and collect fields
+function parse(body, options = {}, chunkSize = Infinity) {
+  const parser = new UrlencodedParser(options);
+  const buffer = Buffer.from(body, 'latin1');
+
+  return new Promise((resolve, reject) => {
+    const fields = [];
+    const limits = [];
+
+    parser.on('field', (name, value) => fields.push([name, value]));
+    parser.on('limit', (type) => limits.push(type));
+    parser.on('finish', () => resolve(fields));
+    parser.on('error', (error) => {
+      error.limits = limits;
+      reject(error);
+    });
+
+    for (let i = 0; i < buffer.length; i += chunkSize) {
+      parser.write(buffer.slice(i, i + chunkSize));
+    }
+    parser.end();
+  });
+}
+
+runner.describe('UrlencodedParser', () => {
+  runner.it('should parse name=value pairs', async () => {
+    const fields = await parse('a=1&b=two+words&c=100%25');
+
+    assert.deepEqual(fields, [['a', '1'], ['b', 'two words'], ['c', '100%']]);
+  });
+
+  runner.it('should parse pairs split across chunks', async () => {
+    for (const chunkSize of [1, 3, 7]) {
+      const fields = await parse('name=J%C3%BCrgen&city=K%C3%B6ln', {}, chunkSize);
+      assert.deepEqual(fields, [['name', 'Jürgen'], ['city', 'Köln']]);
+    }
+  });
+
+  runner.it('should handle empty values, missing values and empty pairs', async () => {
+    const fields = await parse('a=&b&&c=3&');
+
+    assert.deepEqual(fields, [['a', ''], ['b', ''], ['c', '3']]);
+  });
+
+  runner.it('should decode with the given charset', async () => {
+    const fields = await parse('note=caf%E9', { charset: 'iso-8859-1' });
+
+    assert.deepEqual(fields, [['note', 'café']]);
+  });
+
+  runner.it('should enforce the fields limit', async () => {
+    const error = await parse('a=1&b=2&c=3', { limits: { fields: 2 } }).then(() => null, err => err);
+
+    assert.ok(error.message.includes('Too many fields'));
+    assert.deepEqual(error.limits, ['fields']);
+  });
+
+  runner.it('should enforce the field name limit', async () => {
+    await assert.rejects(parse('abcdef=1', { limits: { fieldNameSize: 5 } }), 'Field name too long');
+  });
+
+  runner.it('should enforce the field size limit on decoded bytes', async () => {
+    const fields = await parse('a=%41%41%41%41', { limits: { fieldSize: 4 } });
+    assert.deepEqual(fields, [['a', 'AAAA']]);
+
+    await assert.rejects(parse('a=AAAAA', { limits: { fieldSize: 4 } }), 'Field size limit exceeded');
+  });
+
+  runner.it('should not buffer pairs larger than the limits allow', async () => {
+    const parser = new UrlencodedParser({ limits: { fieldSize: 10, fieldNameSize: 5 } });
+    const errors = [];
+    parser.on('error', (error) => errors.push(error));
+
+    parser.write(Buffer.from('a=' + 'x'.repeat(parser.maxPairSize)));
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(errors.length, 1);
+    assert.ok(errors[0].message.includes('Field size limit exceeded'));
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
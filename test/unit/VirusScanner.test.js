@@ -0,0 +1,333 @@
+/**
+ * VirusScanner Tests
+ *
+ * Uses a fake clamd speaking the INSTREAM protocol.
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const VirusScanner = require('../../src/plugins/validators/VirusScanner');
+const LocalStorage = require('../../src/storage/LocalStorage');
+const { PipelineManager } = require('../../src/core/PipelineManager');
+const { Readable } = require('stream');
+const net = require('net');
+const fs = require('fs');
+const path = require('path');
+
+const runner = new TestRunner();
+
+const TEST_DIR = path.join(__dirname, '../tmp/virus-scanner-test');
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+/**
+ * Fake clamd: reassembles INSTREAM chunks and reports EICAR as infected
+ *
+ * options.mode: 'normal' | 'silent' (never answers) | 'sizeLimit'
+ */
+function startFakeClamd(options = {}) {
+  const state = { scans: [], chunkSizes: [] };
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let command = null;
+    const received = [];
+
+    socket.on('data', (data) => {
+      buffer = Buffer.concat([buffer, data]);
+
+      if (command === null) {
+        const end = buffer.indexOf(0);
+        if (end === -1) return;
+        command = buffer.subarray(0, end).toString();
+        buffer = buffer.subarray(end + 1);
+
+        if (command === 'zPING') {
+          socket.end('PONG\0');
+          return;
+        }
+        if (options.mode === 'sizeLimit') {
+          socket.end('INSTREAM size limit exceeded. ERROR\0');
+          return;
+        }
+      }
+
+      while (buffer.length >= 4) {
+        const length = buffer.readUInt32BE(0);
+        if (buffer.length < 4 + length) return;
+
+        if (length === 0) {
+          const content = Buffer.concat(received);
+          state.scans.push(content);
+          buffer = buffer.subarray(4);
+
+          if (options.mode === 'silent') return;
+
+          socket.end(content.includes(EICAR)
+            ? 'stream: Eicar-Test-Signature FOUND\0'
+            : 'stream: OK\0');
+          return;
+        }
+
+        state.chunkSizes.push(length);
+        received.push(buffer.subarray(4, 4 + length));
+        buffer = buffer.subarray(4 + length);
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  return new Promise((resolve) => {
+    const onListening = () => resolve({
+      state,
+      port: options.socketPath ? null : server.address().port,
+      close: () => new Promise(r => server.close(r))
+    });
+
+    if (options.socketPath) {
+      server.listen(options.socketPath, onListening);
+    } else {
+      server.listen(0, '127.0.0.1', onListening);
+    }
+  });
+}
+
+function createContext(data, filename = 'file.txt') {
+  return {
+    stream: Readable.from([Buffer.from(data)]),
+    fileInfo: { filename, mimeType: 'text/plain' },
+    metadata: {}
+  };
+}
+
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    stream.on('end', () => resolve(Buffer.concat(chunks)));
+    stream.on('error', reject);
+  });
+}
+
+function resetDir() {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+}
+
+runner.describe('VirusScanner', () => {
+  runner.it('should reject invalid config', () => {
+    assert.throws(() => {
+      new VirusScanner({ port: 70000 });
+    }, 'port');
+
+    assert.throws(() => {
+      new VirusScanner({ timeout: -1 });
+    }, 'timeout');
+  });
+
+  runner.it('should default to fail closed', () => {
+    const scanner = new VirusScanner();
+    assert.equal(scanner.failOpen, false);
+    assert.equal(scanner.port, 3310);
+  });
+
+  runner.it('should pass clean files through and record metadata', async () => {
+    const clamd = await startFakeClamd();
+    try {
+      const scanner = new VirusScanner({ port: clamd.port });
+      const context = createContext('hello world');
+
+      await scanner.process(context);
+      const output = await streamToBuffer(context.stream);
+
+      assert.equal(output.toString(), 'hello world');
+      assert.equal(context.metadata.virusScan.status, 'clean');
+      assert.equal(context.metadata.virusScan.scanner, 'clamav');
+      assert.equal(context.metadata.virusScan.signature, null);
+      assert.equal(clamd.state.scans[0].toString(), 'hello world');
+    } finally {
+      await clamd.close();
+    }
+  });
+
+  runner.it('should split data into INSTREAM chunks', async () => {
+    const clamd = await startFakeClamd();
+    try {
+      const scanner = new VirusScanner({ port: clamd.port, chunkSize: 1000 });
+      const data = Buffer.alloc(4500, 'a');
+      const context = createContext(data);
+
+      await scanner.process(context);
+      await streamToBuffer(context.stream);
+
+      assert.deepEqual(clamd.state.chunkSizes, [1000, 1000, 1000, 1000, 500]);
+      assert.ok(clamd.state.scans[0].equals(data));
+    } finally {
+      await clamd.close();
+    }
+  });
+
+  runner.it('should reject infected files', async () => {
+    const clamd = await startFakeClamd();
+    try {
+      const scanner = new VirusScanner({ port: clamd.port });
+      const context = createContext(`prefix ${EICAR} suffix`);
+
+      await scanner.process(context);
+
+      let error = null;
+      try {
+        await streamToBuffer(context.stream);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error);
+      assert.equal(error.code, 'VIRUS_DETECTED');
+      assert.equal(error.statusCode, 422);
+      assert.equal(error.signature, 'Eicar-Test-Signature');
+      assert.equal(context.metadata.virusScan.status, 'infected');
+      assert.equal(context.metadata.virusScan.signature, 'Eicar-Test-Signature');
+    } finally {
+      await clamd.close();
+    }
+  });
+
+  runner.it('should roll back LocalStorage when a virus is found', async () => {
+    resetDir();
+    const clamd = await startFakeClamd();
+    try {
+      const storage = new LocalStorage({ destination: TEST_DIR, naming: 'original' });
+      await storage.initialize();
+
+      const pipeline = new PipelineManager({
+        validators: [new VirusScanner({ port: clamd.port })],
+        storage
+      });
+
+      await assert.rejects(
+        pipeline.execute(Readable.from([Buffer.from(EICAR)]), { filename: 'infected.txt' }),
+        'Virus detected'
+      );
+
+      // Temp file removed by LocalStorage.cleanup()
+      assert.deepEqual(fs.readdirSync(TEST_DIR), []);
+
+      const result = await pipeline.execute(Readable.from([Buffer.from('clean')]), { filename: 'clean.txt' });
+      assert.equal(result.metadata.virusScan.status, 'clean');
+      assert.equal(fs.readFileSync(path.join(TEST_DIR, 'clean.txt'), 'utf8'), 'clean');
+    } finally {
+      await clamd.close();
+      resetDir();
+    }
+  });
+
+  runner.it('should fail closed when clamd is unreachable', async () => {
+    const clamd = await startFakeClamd();
+    const port = clamd.port;
+    await clamd.close();
+
+    const scanner = new VirusScanner({ port });
+    const context = createContext('data');
+    await scanner.process(context);
+
+    let error = null;
+    try {
+      await streamToBuffer(context.stream);
+    } catch (err) {
+      error = err;
+    }
+
+    assert.ok(error);
+    assert.equal(error.code, 'VIRUS_SCAN_FAILED');
+    assert.equal(error.statusCode, 503);
+    assert.equal(context.metadata.virusScan.status, 'error');
+  });
+
+  runner.it('should fail open when configured', async () => {
+    const clamd = await startFakeClamd();
+    const port = clamd.port;
+    await clamd.close();
+
+    const scanner = new VirusScanner({ port, failOpen: true });
+    const context = createContext('data');
+    await scanner.process(context);
+
+    const output = await streamToBuffer(context.stream);
+
+    assert.equal(output.toString(), 'data');
+    assert.equal(context.metadata.virusScan.status, 'error');
+    assert.ok(context.metadata.virusScan.error);
+  });
+
+  runner.it('should time out waiting for a verdict', async () => {
+    const clamd = await startFakeClamd({ mode: 'silent' });
+    try {
+      const scanner = new VirusScanner({ port: clamd.port, timeout: 50 });
+      const context = createContext('data');
+      await scanner.process(context);
+
+      let error = null;
+      try {
+        await streamToBuffer(context.stream);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error);
+      assert.equal(error.code, 'VIRUS_SCAN_FAILED');
+      assert.ok(context.metadata.virusScan.error.includes('did not respond'));
+    } finally {
+      await clamd.close();
+    }
+  });
+
+  runner.it('should treat clamd errors as scan failures', async () => {
+    const clamd = await startFakeClamd({ mode: 'sizeLimit' });
+    try {
+      const scanner = new VirusScanner({ port: clamd.port });
+      const context = createContext('data');
+      await scanner.process(context);
+
+      await assert.rejects(streamToBuffer(context.stream), 'size limit exceeded');
+      assert.equal(context.metadata.virusScan.status, 'error');
+    } finally {
+      await clamd.close();
+    }
+  });
+
+  runner.it('should scan over a Unix socket', async () => {
+    fs.mkdirSync(TEST_DIR, { recursive: true });
+    const socketPath = path.join(TEST_DIR, 'clamd.sock');
+    const clamd = await startFakeClamd({ socketPath });
+    try {
+      const scanner = new VirusScanner({ socketPath });
+      const context = createContext('over unix socket');
+
+      await scanner.process(context);
+      await streamToBuffer(context.stream);
+
+      assert.equal(context.metadata.virusScan.status, 'clean');
+      assert.equal(await scanner.ping(), true);
+    } finally {
+      await clamd.close();
+      resetDir();
+    }
+  });
+
+  runner.it('should ping clamd', async () => {
+    const clamd = await startFakeClamd();
+    const scanner = new VirusScanner({ port: clamd.port });
+
+    assert.equal(await scanner.ping(), true);
+
+    await clamd.close();
+    assert.equal(await scanner.ping(), false);
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;
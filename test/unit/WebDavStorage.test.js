@@ -0,0 +1,403 @@
+/**
+ * WebDavStorage Tests
+ */
+
+const { TestRunner, assert } = require('../test-runner');
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const WebDavStorage = require('../../src/storage/WebDavStorage');
+const { createContext } = require('../storage-helpers');
+
+const runner = new TestRunner();
+
+const KB = 1024;
+const USERNAME = 'alice';
+const PASSWORD = 'app-password';
+const REALM = 'Nextcloud';
+
+function md5(value) {
+  return crypto.createHash('md5').update(value).digest('hex');
+}
+
+/**
+ * Check a Digest Authorization header the way the server does
+ *
+ * @private
+ */
+function verifyDigest(req, nonce) {
+  const header = req.headers['authorization'] || '';
+  if (!header.startsWith('Digest ')) return false;
+
+  const params = {};
+  for (const match of header.slice(7).matchAll(/(\w+)=(?:"([^"]*)"|([^\s,]+))/g)) {
+    params[match[1]] = match[2] !== undefined ? match[2] : match[3];
+  }
+
+  if (params.nonce !== nonce || params.uri !== req.url || params.username !== USERNAME) {
+    return false;
+  }
+
+  const ha1 = md5(`${USERNAME}:${REALM}:${PASSWORD}`);
+  const ha2 = md5(`${req.method}:${params.uri}`);
+  return params.response === md5(`${ha1}:${nonce}:${params.nc}:${params.cnonce}:${params.qop}:${ha2}`);
+}
+
+/**
+ * Minimal in-memory WebDAV server: PUT, MKCOL, MOVE, DELETE, PROPFIND
+ *
+ * options.auth - 'basic' or 'digest' (default: none)
+ * options.failMove - status code to return for MOVE
+ */
+function startFakeWebDav(options = {}) {
+  const state = {
+    files: new Map(),
+    collections: new Set(['/dav/']),
+    requests: [],
+    nonce: 'nonce-1'
+  };
+
+  const server = http.createServer((req, res) => {
+    const path = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    const chunks = [];
+
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      state.requests.push({ method: req.method, path, headers: req.headers, length: body.length });
+
+      let authorized = true;
+      if (options.auth === 'basic') {
+        authorized = req.headers['authorization'] ===
+          `Basic ${Buffer.from(`${USERNAME}:${PASSWORD}`).toString('base64')}`;
+      } else if (options.auth === 'digest') {
+        authorized = verifyDigest(req, state.nonce);
+      }
+      if (!authorized) {
+        res.statusCode = 401;
+        if (options.auth === 'digest') {
+          res.setHeader('WWW-Authenticate', `Digest realm="${REALM}", nonce="${state.nonce}", qop="auth", algorithm=MD5`);
+        } else {
+          res.setHeader('WWW-Authenticate', `Basic realm="${REALM}"`);
+        }
+        return res.end();
+      }
+
+      const parent = path.replace(/[^/]+\/?$/, '');
+
+      if (req.method === 'MKCOL') {
+        if (state.collections.has(path) || state.files.has(path)) {
+          res.statusCode = 405;
+        } else if (!state.collections.has(parent)) {
+          res.statusCode = 409;
+        } else {
+          state.collections.add(path);
+          res.statusCode = 201;
+        }
+        return res.end();
+      }
+
+      if (req.method === 'PROPFIND') {
+        res.statusCode = state.collections.has(path) ? 207 : 404;
+        return res.end();
+      }
+
+      if (req.method === 'PUT') {
+        if (!state.collections.has(parent)) {
+          res.statusCode = 409;
+          return res.end();
+        }
+        const existed = state.files.has(path);
+        state.files.set(path, { data: body, contentType: req.headers['content-type'] });
+        res.statusCode = existed ? 204 : 201;
+        return res.end();
+      }
+
+      if (req.method === 'MOVE') {
+        if (options.failMove) {
+          res.statusCode = options.failMove;
+          return res.end();
+        }
+        const destination = decodeURIComponent(new URL(req.headers['destination']).pathname);
+        if (!state.files.has(path)) {
+          res.statusCode = 404;
+          return res.end();
+        }
+        const existed = state.files.has(destination);
+        if (existed && req.headers['overwrite'] === 'F') {
+          res.statusCode = 412;
+          return res.end();
+        }
+        state.files.set(destination, state.files.get(path));
+        state.files.delete(path);
+        res.statusCode = existed ? 204 : 201;
+        return res.end();
+      }
+
+      if (req.method === 'DELETE') {
+        res.statusCode = state.files.delete(path) ? 204 : 404;
+        return res.end();
+      }
+
+      res.statusCode = 405;
+      res.end();
+    });
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        state,
+        url: `http://127.0.0.1:${server.address().port}/dav`,
+        close: () => new Promise(r => server.close(r))
+      });
+    });
+  });
+}
+
+function createStorage(url, config = {}) {
+  return new WebDavStorage({
+    url,
+    naming: 'original',
+    ...config
+  });
+}
+
+runner.describe('WebDavStorage', () => {
+  runner.it('should require url', () => {
+    assert.throws(() => new WebDavStorage({}), 'url is required');
+  });
+
+  runner.it('should be Plugin subclass', () => {
+    const Plugin = require('../../src/core/Plugin');
+    assert.ok(WebDavStorage.prototype instanceof Plugin);
+  });
+
+  runner.it('should reject unsupported auth types', () => {
+    assert.throws(() => createStorage('http://127.0.0.1/dav', { authType: 'ntlm' }), 'authType must be one of');
+    assert.throws(() => createStorage('http://127.0.0.1/dav', { authType: 'digest' }), 'username is required');
+  });
+
+  runner.it('should reject path traversal in prefix', () => {
+    assert.throws(() => createStorage('http://127.0.0.1/dav', { prefix: '../etc' }), 'path traversal');
+  });
+
+  runner.it('should upload to a temp name and move into place', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      const storage = createStorage(dav.url);
+      const data = Buffer.alloc(40 * KB, 'a');
+
+      const result = await storage.process(createContext(data, 'report.txt', {}, 'text/plain'));
+
+      assert.equal(result.storage.driver, 'webdav');
+      assert.equal(result.storage.path, 'report.txt');
+      assert.equal(result.storage.filename, 'report.txt');
+      assert.equal(result.storage.size, data.length);
+      assert.equal(result.storage.url, `${dav.url}/report.txt`);
+
+      const file = dav.state.files.get('/dav/report.txt');
+      assert.ok(file.data.equals(data));
+      assert.equal(file.contentType, 'text/plain');
+      assert.equal(dav.state.files.has('/dav/report.txt.tmp'), false);
+
+      const put = dav.state.requests.find(r => r.method === 'PUT');
+      const move = dav.state.requests.find(r => r.method === 'MOVE');
+      assert.equal(put.path, '/dav/report.txt.tmp');
+      assert.equal(move.headers['destination'], `${dav.url}/report.txt`);
+      assert.equal(move.headers['overwrite'], 'T');
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should create nested collections with MKCOL', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      const storage = createStorage(dav.url, { prefix: 'uploads/2024' });
+      await storage.initialize();
+
+      await storage.process(createContext(Buffer.from('one'), 'a.txt'));
+      await storage.process(createContext(Buffer.from('two'), 'b.txt'));
+
+      assert.ok(dav.state.collections.has('/dav/uploads/'));
+      assert.ok(dav.state.collections.has('/dav/uploads/2024/'));
+      assert.equal(dav.state.files.get('/dav/uploads/2024/b.txt').data.toString(), 'two');
+
+      // Known collections are not created again
+      const mkcols = dav.state.requests.filter(r => r.method === 'MKCOL').map(r => r.path);
+      assert.deepEqual(mkcols, ['/dav/uploads/2024/', '/dav/uploads/', '/dav/uploads/2024/']);
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should encode path segments', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      const storage = createStorage(dav.url);
+
+      const result = await storage.process(createContext(Buffer.from('x'), 'my file #1.txt'));
+
+      assert.equal(result.storage.url, `${dav.url}/my%20file%20%231.txt`);
+      assert.ok(dav.state.files.has('/dav/my file #1.txt'));
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should authenticate with Basic auth', async () => {
+    const dav = await startFakeWebDav({ auth: 'basic' });
+    try {
+      const storage = createStorage(dav.url, { username: USERNAME, password: PASSWORD });
+
+      await storage.process(createContext(Buffer.from('secret'), 'basic.txt'));
+
+      assert.equal(dav.state.files.get('/dav/basic.txt').data.toString(), 'secret');
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should report rejected credentials', async () => {
+    const dav = await startFakeWebDav({ auth: 'basic' });
+    try {
+      const storage = createStorage(dav.url, { username: USERNAME, password: 'wrong' });
+
+      await assert.rejects(storage.process(createContext(Buffer.from('x'), 'a.txt')), 'WebDAV MKCOL failed: 401');
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should authenticate with Digest auth', async () => {
+    const dav = await startFakeWebDav({ auth: 'digest' });
+    try {
+      const storage = createStorage(dav.url, {
+        username: USERNAME,
+        password: PASSWORD,
+        authType: 'digest',
+        createDirectories: false
+      });
+      const data = Buffer.alloc(40 * KB, 'd');
+
+      await storage.process(createContext(data, 'digest.bin'));
+
+      assert.ok(dav.state.files.get('/dav/digest.bin').data.equals(data));
+      // PROPFIND picks up the challenge before the streamed PUT
+      const methods = dav.state.requests.map(r => r.method);
+      assert.deepEqual(methods, ['PROPFIND', 'PROPFIND', 'PUT', 'MOVE']);
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should answer a new Digest nonce', async () => {
+    const dav = await startFakeWebDav({ auth: 'digest' });
+    try {
+      const storage = createStorage(dav.url, { username: USERNAME, password: PASSWORD, authType: 'digest' });
+
+      await storage.process(createContext(Buffer.from('one'), 'a.txt'));
+      dav.state.nonce = 'nonce-2';
+      await storage.process(createContext(Buffer.from('two'), 'b.txt'));
+
+      assert.equal(dav.state.files.get('/dav/b.txt').data.toString(), 'two');
+      assert.equal(storage.digest.challenge.nonce, 'nonce-2');
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should not overwrite when overwrite is false', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      dav.state.files.set('/dav/keep.txt', { data: Buffer.from('existing') });
+      const storage = createStorage(dav.url, { overwrite: false });
+      const context = createContext(Buffer.from('new'), 'keep.txt');
+
+      await assert.rejects(storage.process(context), 'WebDAV MOVE failed: 412');
+      await storage.cleanup(context, new Error('failed'));
+
+      assert.equal(dav.state.files.get('/dav/keep.txt').data.toString(), 'existing');
+      assert.equal(dav.state.files.has('/dav/keep.txt.tmp'), false);
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should delete the temp file in cleanup after a failure', async () => {
+    const dav = await startFakeWebDav({ failMove: 502 });
+    try {
+      const storage = createStorage(dav.url);
+      const context = createContext(Buffer.from('data'), 'fail.txt');
+
+      let error = null;
+      try {
+        await storage.process(context);
+      } catch (err) {
+        error = err;
+      }
+
+      assert.ok(error, 'upload should fail');
+      assert.equal(error.statusCode, 502);
+      assert.ok(dav.state.files.has('/dav/fail.txt.tmp'));
+
+      await storage.cleanup(context, error);
+
+      assert.equal(dav.state.files.has('/dav/fail.txt.tmp'), false);
+      assert.equal(storage.tempFiles.size, 0);
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should fail when the source stream errors', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      const storage = createStorage(dav.url);
+      const stream = new Readable({ read() {} });
+      const context = {
+        stream,
+        fileInfo: { filename: 'broken.txt', mimeType: 'text/plain' },
+        metadata: {}
+      };
+
+      const promise = storage.process(context);
+      stream.push('partial');
+      setTimeout(() => stream.destroy(new Error('Client aborted')), 10);
+
+      await assert.rejects(promise, 'Client aborted');
+      await storage.cleanup(context, new Error('Client aborted'));
+
+      assert.equal(dav.state.files.has('/dav/broken.txt'), false);
+      assert.equal(dav.state.files.has('/dav/broken.txt.tmp'), false);
+    } finally {
+      await dav.close();
+    }
+  });
+
+  runner.it('should delete a stored file in cleanup', async () => {
+    const dav = await startFakeWebDav();
+    try {
+      const storage = createStorage(dav.url);
+      const context = createContext(Buffer.from('data'), 'mirrored.txt');
+
+      await storage.process(context);
+      assert.ok(dav.state.files.has('/dav/mirrored.txt'));
+
+      await storage.cleanup(context, new Error('mirror failed'));
+
+      assert.equal(dav.state.files.has('/dav/mirrored.txt'), false);
+    } finally {
+      await dav.close();
+    }
+  });
+});
+
+if (require.main === module) {
+  runner.run().then(success => {
+    process.exit(success ? 0 : 1);
+  });
+}
+
+module.exports = runner;